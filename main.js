@@ -1,4 +1,4 @@
-const { app, BrowserWindow, ipcMain, dialog, shell } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, shell, Notification } = require('electron');
 const path = require('path');
 const Store = require('electron-store');
 const fs = require('fs');
@@ -9,6 +9,19 @@ const logger = require('./utils/logger');
 
 // Import PtyManager for terminal functionality
 const PtyManager = require('./terminal/pty.js');
+const { normalizeSessions } = require('./terminal/session-store');
+const processTree = require('./terminal/process-tree');
+const shellProfiles = require('./terminal/shell-profiles');
+const outputExport = require('./terminal/output-export');
+const commandNotifications = require('./terminal/command-notifications');
+const taskRunner = require('./terminal/task-runner');
+const projectConfig = require('./terminal/project-config');
+const projectTasks = require('./terminal/project-tasks');
+const projectDetection = require('./terminal/project-detection');
+const gitService = require('./terminal/git-service');
+const gitBranches = require('./terminal/git-branches');
+const commitMessages = require('./terminal/commit-message');
+const gitLog = require('./terminal/git-log');
 
 const store = new Store();
 
@@ -49,6 +62,203 @@ function logError(error, type = 'error') {
 
 let mainWindow;
 let isDev = process.argv.includes('--dev');
+let terminalSessionsSaved = false;
+
+// PTY processes by terminal id, shared by the IPC handlers and app shutdown
+const terminalProcesses = new Map();
+
+// Shown notifications must stay referenced or their click handler can be garbage collected
+const commandNotificationRefs = new Set();
+
+// The selected project's .easydebug.json/.yaml, reloaded whenever the file
+// changes. Its env and terminal profiles are left out until the user trusts
+// that version of the file (see project-config.js applyTrust).
+const PROJECT_CONFIG_RELOAD_DELAY_MS = 200;
+let activeProjectConfig = {
+  projectPath: null,
+  filePath: null,
+  hash: null,
+  config: projectConfig.EMPTY_PROJECT_CONFIG,
+  errors: [],
+  trusted: true,
+  withheld: null
+};
+let projectConfigWatcher = null;
+let projectConfigReloadTimer = null;
+// Tasks found in the project's package.json, Makefile, pyproject.toml, justfile and pubspec.yaml
+let projectTasksReloadTimer = null;
+
+// Built-in profiles for the installed shells, the user's own profiles and the project's
+function getAllShellProfiles() {
+  const builtinProfiles = shellProfiles.getBuiltinProfiles(process.platform, (shellPath) => fs.existsSync(shellPath));
+  const customProfiles = store.get('shellProfiles', [])
+    .filter(profile => shellProfiles.validateProfile(profile).length === 0)
+    .map(profile => shellProfiles.createProfile({ ...profile, builtin: false }));
+
+  return [...builtinProfiles, ...customProfiles, ...activeProjectConfig.config.terminalProfiles];
+}
+
+function getProjectDefaultProfileId(profiles) {
+  const { defaultProfileId } = activeProjectConfig.config;
+  return shellProfiles.findProfile(profiles, defaultProfileId) ? defaultProfileId : null;
+}
+
+function loadActiveProjectConfig(projectPath) {
+  const result = projectConfig.loadProjectConfig(projectPath);
+  activeProjectConfig = { projectPath, ...projectConfig.applyTrust(result, projectPath, store.get('trustedProjectConfigs', {})) };
+  if (activeProjectConfig.errors.length > 0) {
+    logger.warn('Project configuration has errors', {
+      filePath: activeProjectConfig.filePath,
+      errors: activeProjectConfig.errors
+    }, 'project');
+  }
+  return activeProjectConfig;
+}
+
+function stopWatchingProjectConfig() {
+  if (projectConfigWatcher) {
+    projectConfigWatcher.close();
+    projectConfigWatcher = null;
+  }
+  clearTimeout(projectConfigReloadTimer);
+  clearTimeout(projectTasksReloadTimer);
+}
+
+function loadProjectTasks(projectPath) {
+  const result = projectTasks.loadProjectTasks(projectPath);
+  if (result.errors.length > 0) {
+    logger.warn('Project task files have errors', { projectPath, errors: result.errors }, 'project');
+  }
+  return result;
+}
+
+// Watches the project folder rather than the files so creating, deleting and
+// editor save-by-rename are all picked up. Also reloads the generated ribbon
+// when one of the task files changes.
+function watchProjectConfig(projectPath) {
+  stopWatchingProjectConfig();
+
+  try {
+    projectConfigWatcher = fs.watch(projectPath, (eventType, fileName) => {
+      if (!fileName || projectConfig.CONFIG_FILE_NAMES.includes(fileName)) {
+        clearTimeout(projectConfigReloadTimer);
+        projectConfigReloadTimer = setTimeout(() => {
+          const result = loadActiveProjectConfig(projectPath);
+          logger.info('Project configuration reloaded', { filePath: result.filePath }, 'project');
+          if (mainWindow && !mainWindow.isDestroyed()) {
+            mainWindow.webContents.send('project-config-changed', result);
+          }
+        }, PROJECT_CONFIG_RELOAD_DELAY_MS);
+      }
+
+      if (!fileName || projectTasks.TASK_FILE_NAMES.includes(fileName)) {
+        clearTimeout(projectTasksReloadTimer);
+        projectTasksReloadTimer = setTimeout(() => {
+          const result = loadProjectTasks(projectPath);
+          logger.info('Project tasks reloaded', { groups: result.groups.length }, 'project');
+          if (mainWindow && !mainWindow.isDestroyed()) {
+            mainWindow.webContents.send('project-tasks-changed', { projectPath, ...result });
+          }
+        }, PROJECT_CONFIG_RELOAD_DELAY_MS);
+      }
+    });
+    projectConfigWatcher.on('error', (error) => {
+      logger.error('Project configuration watcher failed', error, { projectPath }, 'project');
+      stopWatchingProjectConfig();
+    });
+  } catch (error) {
+    logger.error('Error watching project configuration', error, { projectPath }, 'project');
+  }
+}
+
+// The repository root from git-status, passed to every git-* handler
+function validateRepositoryRoot(root) {
+  if (!root || typeof root !== 'string') {
+    throw new Error('Invalid repository path');
+  }
+}
+
+// Arguments of the git-* handlers that work on files: the repository root and
+// paths relative to it
+function validateGitRequest(root, paths) {
+  validateRepositoryRoot(root);
+  if (!Array.isArray(paths) || paths.length === 0 || paths.some(filePath => !filePath || typeof filePath !== 'string')) {
+    throw new Error('Invalid file paths');
+  }
+}
+
+// Branch names and refs are passed to git as arguments; one starting with "-"
+// would be read as an option
+function validateRefArgument(ref, label) {
+  if (!ref || typeof ref !== 'string' || ref.startsWith('-')) {
+    throw new Error(`Invalid ${label}`);
+  }
+}
+
+function validateCommitHash(hash) {
+  if (typeof hash !== 'string' || !/^[0-9a-f]{4,40}$/i.test(hash)) {
+    throw new Error('Invalid commit');
+  }
+}
+
+// Kill every terminal shell together with its descendants so nothing started
+// from a terminal (dev servers, watchers) outlives the app
+async function cleanupTerminalProcesses() {
+  const entries = Array.from(terminalProcesses.entries());
+  terminalProcesses.clear();
+
+  await Promise.all(entries.map(async ([terminalId, ptyProcess]) => {
+    try {
+      if (ptyProcess.pid) {
+        const killed = await processTree.killProcessTree(ptyProcess.pid);
+        logger.info('Terminal process tree cleaned up', { terminalId, killedCount: killed.length }, 'terminal');
+      }
+      ptyProcess.kill();
+    } catch (error) {
+      logger.error('Error cleaning up terminal process tree', error, { terminalId }, 'terminal');
+    }
+  }));
+}
+
+// Ask the renderer for a snapshot of its terminal tabs. Resolves with null when
+// the window is gone or the renderer does not answer in time.
+function collectTerminalSessions(timeoutMs = 2000) {
+  return new Promise((resolve) => {
+    if (!mainWindow || mainWindow.isDestroyed()) {
+      resolve(null);
+      return;
+    }
+
+    const onSnapshot = (event, sessions) => {
+      clearTimeout(timeout);
+      resolve(sessions);
+    };
+
+    const timeout = setTimeout(() => {
+      ipcMain.removeListener('terminal-sessions-snapshot', onSnapshot);
+      logger.warn('Timed out waiting for terminal sessions snapshot', { timeoutMs }, 'terminal');
+      resolve(null);
+    }, timeoutMs);
+
+    ipcMain.once('terminal-sessions-snapshot', onSnapshot);
+    mainWindow.webContents.send('request-terminal-sessions');
+  });
+}
+
+async function saveTerminalSessions() {
+  try {
+    const sessions = await collectTerminalSessions();
+    if (sessions) {
+      const validSessions = normalizeSessions(sessions);
+      store.set('terminalSessions', validSessions);
+      logger.info('Terminal sessions saved', { count: validSessions.length }, 'terminal');
+    }
+  } catch (error) {
+    logger.error('Error saving terminal sessions', error, {}, 'terminal');
+  } finally {
+    terminalSessionsSaved = true;
+  }
+}
 
 function createWindow() {
   const timer = logger.startTimer('create-window');
@@ -138,8 +348,24 @@ function createWindow() {
       logger.endTimer(timer, { windowVisible: true });
     });
 
+    // Snapshot terminal sessions while the renderer is still alive
+    terminalSessionsSaved = false;
+    mainWindow.on('close', (event) => {
+      if (terminalSessionsSaved) {
+        return;
+      }
+
+      event.preventDefault();
+      saveTerminalSessions().then(() => {
+        if (mainWindow && !mainWindow.isDestroyed()) {
+          mainWindow.close();
+        }
+      });
+    });
+
     mainWindow.on('closed', () => {
       logger.appLifecycle('main-window-closed');
+      stopWatchingProjectConfig();
       mainWindow = null;
     });
 
@@ -265,8 +491,11 @@ function setupIpcHandlers() {
     }
   });
 
-  ipcMain.handle('open-in-editor', async (event, projectPath, editor = 'code') => {
+  // `location` ({ line, column }) opens a file at a position, e.g. from the Problems panel
+  ipcMain.handle('open-in-editor', async (event, projectPath, editor = 'code', location = null) => {
     const { spawn } = require('child_process');
+    // null means "whatever the user picked for file links"
+    editor = editor || store.get('preferredEditor', 'code');
     logger.ipcOperation('handle', 'open-in-editor', { editor, projectPath: path.basename(projectPath || '') }, 'renderer-to-main');
 
     try {
@@ -287,9 +516,13 @@ function setupIpcHandlers() {
         editor = 'explorer';
       }
 
+      const line = location && Number.isInteger(location.line) && location.line > 0 ? location.line : null;
+      const column = line && Number.isInteger(location.column) && location.column > 0 ? location.column : 1;
+
       logger.info(`Opening project in ${editor}`, {
         editor,
         project: path.basename(projectPath),
+        line,
         platform: process.platform
       }, 'editor');
 
@@ -297,7 +530,8 @@ function setupIpcHandlers() {
         case 'code':
           // Try to open in VS Code
           try {
-            const codeProcess = spawn('code', [projectPath], { detached: true });
+            const codeArgs = line ? ['-g', `${projectPath}:${line}:${column}`] : [projectPath];
+            const codeProcess = spawn('code', codeArgs, { detached: true });
             codeProcess.on('error', (codeError) => {
               logger.warn('VS Code not available, fallback will be handled', codeError, { projectPath: path.basename(projectPath) }, 'editor');
             });
@@ -318,7 +552,8 @@ function setupIpcHandlers() {
               : 'android-studio';
 
           try {
-            const studioProcess = spawn(studioPath, [projectPath], { detached: true });
+            const studioArgs = line ? ['--line', String(line), projectPath] : [projectPath];
+            const studioProcess = spawn(studioPath, studioArgs, { detached: true });
             studioProcess.on('error', (studioError) => {
               logger.warn('Android Studio not available, fallback will be handled', studioError, { projectPath: path.basename(projectPath), studioPath }, 'editor');
             });
@@ -403,6 +638,100 @@ function setupIpcHandlers() {
     }
   });
 
+  ipcMain.handle('get-preferred-editor', async () => {
+    logger.ipcOperation('handle', 'get-preferred-editor', {}, 'renderer-to-main');
+
+    const editor = store.get('preferredEditor', 'code');
+    return ['code', 'studio', 'explorer'].includes(editor) ? editor : 'code';
+  });
+
+  ipcMain.handle('set-preferred-editor', async (event, editor) => {
+    logger.ipcOperation('handle', 'set-preferred-editor', { editor }, 'renderer-to-main');
+
+    try {
+      if (!['code', 'studio', 'explorer'].includes(editor)) {
+        throw new Error(`Invalid editor value: ${editor}. Must be 'code', 'studio' or 'explorer'`);
+      }
+
+      store.set('preferredEditor', editor);
+      logger.info('Preferred editor updated', { editor }, 'editor');
+      return editor;
+    } catch (error) {
+      logger.error('Error in set-preferred-editor handler', error, {
+        location: 'set-preferred-editor-ipc',
+        requestedEditor: editor
+      }, 'ipc');
+      throw error;
+    }
+  });
+
+  // Long-running command notifications
+  ipcMain.handle('get-notification-settings', () => {
+    try {
+      return commandNotifications.normalizeNotificationSettings(store.get('commandNotifications', {}));
+    } catch (error) {
+      logger.error('Error in get-notification-settings handler', error, {}, 'ipc');
+      return commandNotifications.normalizeNotificationSettings();
+    }
+  });
+
+  ipcMain.handle('save-notification-settings', (event, settings) => {
+    try {
+      if (!settings || typeof settings !== 'object') {
+        throw new Error('Notification settings must be an object');
+      }
+
+      const normalized = commandNotifications.normalizeNotificationSettings(settings);
+      store.set('commandNotifications', normalized);
+      logger.info('Notification settings saved', {
+        enabled: normalized.enabled,
+        thresholdSeconds: normalized.thresholdSeconds
+      }, 'notifications');
+      return { success: true, settings: normalized };
+    } catch (error) {
+      logger.error('Error in save-notification-settings handler', error, {}, 'ipc');
+      return { success: false, error: error.message };
+    }
+  });
+
+  // The renderer reports every finished command; only long, unmuted ones notify
+  ipcMain.handle('command-finished', (event, { terminalId, command = '', projectPath = null, exitCode = null, durationMs = null, terminalName = null } = {}) => {
+    try {
+      const settings = store.get('commandNotifications', {});
+      if (!commandNotifications.shouldNotify({ command, projectPath, durationMs }, settings)) {
+        return { success: true, notified: false };
+      }
+      if (!Notification.isSupported()) {
+        return { success: true, notified: false };
+      }
+
+      const notification = new Notification(commandNotifications.buildNotification({
+        command,
+        exitCode,
+        durationMs,
+        terminalName
+      }));
+
+      commandNotificationRefs.add(notification);
+      notification.on('close', () => commandNotificationRefs.delete(notification));
+      notification.on('click', () => {
+        commandNotificationRefs.delete(notification);
+        if (!mainWindow || mainWindow.isDestroyed()) return;
+        if (mainWindow.isMinimized()) mainWindow.restore();
+        mainWindow.show();
+        mainWindow.focus();
+        mainWindow.webContents.send('focus-terminal', { terminalId });
+      });
+      notification.show();
+
+      logger.info('Command notification shown', { terminalId, exitCode, durationMs }, 'notifications');
+      return { success: true, notified: true };
+    } catch (error) {
+      logger.error('Error in command-finished handler', error, { terminalId }, 'ipc');
+      return { success: false, error: error.message };
+    }
+  });
+
   ipcMain.handle('minimize-window', async () => {
     logger.ipcOperation('handle', 'minimize-window', {}, 'renderer-to-main');
 
@@ -545,9 +874,7 @@ function setupIpcHandlers() {
       const commands = store.get('customCommands', []);
       
       // Validate command structure
-      const validCommands = commands.filter(cmd => {
-        return cmd && typeof cmd === 'object' && cmd.name && cmd.command;
-      });
+      const validCommands = commands.map(taskRunner.normalizeTask).filter(Boolean);
       
       if (validCommands.length !== commands.length) {
         console.warn('Some invalid custom commands were filtered out');
@@ -562,6 +889,447 @@ function setupIpcHandlers() {
     }
   });
 
+  // Project configuration handlers
+  ipcMain.handle('load-project-config', (event, projectPath) => {
+    try {
+      if (!projectPath || typeof projectPath !== 'string') {
+        throw new Error('Invalid project path');
+      }
+
+      const result = loadActiveProjectConfig(projectPath);
+      watchProjectConfig(projectPath);
+      logger.info('Project configuration loaded', {
+        filePath: result.filePath,
+        commands: result.config.commands.length,
+        errors: result.errors.length
+      }, 'project');
+      return { success: true, ...result };
+    } catch (error) {
+      logger.error('Error in load-project-config handler', error, { projectPath }, 'ipc');
+      return { success: false, error: error.message };
+    }
+  });
+
+  // hash is the version of the file the user was shown, so a file changed in
+  // the meantime isn't trusted by accident
+  ipcMain.handle('trust-project-config', (event, { projectPath, hash } = {}) => {
+    try {
+      if (!projectPath || projectPath !== activeProjectConfig.projectPath) {
+        throw new Error('Invalid project path');
+      }
+      if (!hash || hash !== activeProjectConfig.hash) {
+        throw new Error('The project file has changed; review it again');
+      }
+
+      store.set('trustedProjectConfigs', { ...store.get('trustedProjectConfigs', {}), [projectPath]: hash });
+      const result = loadActiveProjectConfig(projectPath);
+      logger.info('Project configuration trusted', { filePath: result.filePath }, 'project');
+      return { success: true, ...result };
+    } catch (error) {
+      logger.error('Error in trust-project-config handler', error, { projectPath }, 'ipc');
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('detect-project', (event, projectPath) => {
+    try {
+      if (!projectPath || typeof projectPath !== 'string') {
+        throw new Error('Invalid project path');
+      }
+
+      const result = projectDetection.detectProject(projectPath);
+      if (result.errors.length > 0) {
+        logger.warn('Project detectors failed', { projectPath, errors: result.errors }, 'project');
+      }
+      logger.info('Project detected', {
+        primary: result.primary,
+        types: projectDetection.getAllTypeIds(result),
+        workspaces: result.workspaces.length
+      }, 'project');
+      return {
+        success: true,
+        ...result,
+        typeIds: projectDetection.getAllTypeIds(result),
+        summary: projectDetection.describeProject(result)
+      };
+    } catch (error) {
+      logger.error('Error in detect-project handler', error, { projectPath }, 'ipc');
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('get-project-tasks', (event, projectPath) => {
+    try {
+      if (!projectPath || typeof projectPath !== 'string') {
+        throw new Error('Invalid project path');
+      }
+
+      const result = loadProjectTasks(projectPath);
+      logger.info('Project tasks loaded', {
+        groups: result.groups.map(group => `${group.file} (${group.tasks.length})`),
+        errors: result.errors.length
+      }, 'project');
+      return { success: true, projectPath, ...result };
+    } catch (error) {
+      logger.error('Error in get-project-tasks handler', error, { projectPath }, 'ipc');
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Git panel
+  ipcMain.handle('git-status', async (event, projectPath) => {
+    try {
+      if (!projectPath || typeof projectPath !== 'string') {
+        throw new Error('Invalid project path');
+      }
+
+      return { success: true, ...(await gitService.getStatus(projectPath)) };
+    } catch (error) {
+      logger.error('Error in git-status handler', error, { projectPath }, 'ipc');
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('git-diff', async (event, { root, filePath, staged = false, untracked = false } = {}) => {
+    try {
+      validateGitRequest(root, [filePath]);
+      return { success: true, diff: await gitService.getFileDiff(root, filePath, { staged, untracked }) };
+    } catch (error) {
+      logger.error('Error in git-diff handler', error, { root, filePath }, 'ipc');
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('git-stage', async (event, { root, paths } = {}) => {
+    try {
+      validateGitRequest(root, paths);
+      await gitService.stageFiles(root, paths);
+      logger.info('Files staged', { count: paths.length }, 'git');
+      return { success: true };
+    } catch (error) {
+      logger.error('Error in git-stage handler', error, { root }, 'ipc');
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('git-unstage', async (event, { root, paths } = {}) => {
+    try {
+      validateGitRequest(root, paths);
+      await gitService.unstageFiles(root, paths);
+      logger.info('Files unstaged', { count: paths.length }, 'git');
+      return { success: true };
+    } catch (error) {
+      logger.error('Error in git-unstage handler', error, { root }, 'ipc');
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('git-apply-hunk', async (event, { root, filePath, hunkHeader, unstage = false } = {}) => {
+    try {
+      validateGitRequest(root, [filePath]);
+      if (!hunkHeader || typeof hunkHeader !== 'string') {
+        throw new Error('Invalid hunk');
+      }
+
+      await gitService.applyHunk(root, filePath, hunkHeader, { unstage });
+      logger.info(unstage ? 'Hunk unstaged' : 'Hunk staged', { filePath }, 'git');
+      return { success: true };
+    } catch (error) {
+      logger.error('Error in git-apply-hunk handler', error, { root, filePath }, 'ipc');
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('git-branches', async (event, projectPath) => {
+    try {
+      if (!projectPath || typeof projectPath !== 'string') {
+        throw new Error('Invalid project path');
+      }
+
+      return { success: true, ...(await gitService.getBranches(projectPath)) };
+    } catch (error) {
+      logger.error('Error in git-branches handler', error, { projectPath }, 'ipc');
+      return { success: false, error: error.message };
+    }
+  });
+
+  // detach checks out a commit (branch holds its hash) without a branch
+  ipcMain.handle('git-switch-branch', async (event, { root, branch, remote = false, detach = false, stash = false } = {}) => {
+    try {
+      validateGitRequest(root, [branch]);
+      if (detach) {
+        validateCommitHash(branch);
+      } else {
+        validateRefArgument(branch, 'branch');
+      }
+
+      const result = await gitService.switchBranch(root, branch, { remote, detach, stash });
+      logger.info('Branch switched', { branch, remote, detach, stashed: result.stashed }, 'git');
+      return { success: true, ...result };
+    } catch (error) {
+      logger.error('Error in git-switch-branch handler', error, { root, branch }, 'ipc');
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('git-create-branch', async (event, { root, name, startPoint = '', checkout = false } = {}) => {
+    try {
+      validateGitRequest(root, [name]);
+      const nameError = gitBranches.validateBranchName(name);
+      if (nameError) {
+        throw new Error(nameError);
+      }
+      if (startPoint) {
+        validateRefArgument(startPoint, 'start point');
+      }
+
+      await gitService.createBranch(root, name, startPoint, { checkout });
+      logger.info('Branch created', { name, startPoint, checkout }, 'git');
+      return { success: true };
+    } catch (error) {
+      logger.error('Error in git-create-branch handler', error, { root, name }, 'ipc');
+      return { success: false, error: error.message };
+    }
+  });
+
+  // unmerged is set when git refused because the branch has unmerged commits
+  ipcMain.handle('git-delete-branch', async (event, { root, name, force = false } = {}) => {
+    try {
+      validateGitRequest(root, [name]);
+      validateRefArgument(name, 'branch');
+
+      await gitService.deleteBranch(root, name, { force });
+      logger.info('Branch deleted', { name, force }, 'git');
+      return { success: true };
+    } catch (error) {
+      logger.error('Error in git-delete-branch handler', error, { root, name }, 'ipc');
+      return { success: false, error: error.message, unmerged: !!error.unmerged };
+    }
+  });
+
+  ipcMain.handle('git-set-upstream', async (event, { root, name, upstream = '' } = {}) => {
+    try {
+      validateGitRequest(root, [name]);
+      validateRefArgument(name, 'branch');
+      if (upstream) {
+        validateRefArgument(upstream, 'upstream');
+      }
+
+      await gitService.setUpstream(root, name, upstream);
+      logger.info(upstream ? 'Upstream set' : 'Upstream removed', { name, upstream }, 'git');
+      return { success: true };
+    } catch (error) {
+      logger.error('Error in git-set-upstream handler', error, { root, name }, 'ipc');
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('git-last-commit-message', async (event, root) => {
+    try {
+      validateRepositoryRoot(root);
+
+      return { success: true, message: await gitService.getLastCommitMessage(root) };
+    } catch (error) {
+      logger.error('Error in git-last-commit-message handler', error, { root }, 'ipc');
+      return { success: false, error: error.message };
+    }
+  });
+
+  // The message is checked again here and handed to git on stdin, never
+  // through a shell. conventional is the dialog's { type, scope, breaking }.
+  ipcMain.handle('git-commit', async (event, {
+    root, message, conventional = null, amend = false, signoff = false, noVerify = false, stageAll = false, paths = null
+  } = {}) => {
+    try {
+      validateRepositoryRoot(root);
+      if (paths !== null) {
+        validateGitRequest(root, paths);
+      }
+      const messageError = commitMessages.validateCommitMessage(message, conventional);
+      if (messageError) {
+        throw new Error(messageError);
+      }
+
+      const fullMessage = commitMessages.buildCommitMessage(message, conventional);
+      const result = await gitService.commit(root, fullMessage, {
+        amend: !!amend,
+        signoff: !!signoff,
+        noVerify: !!noVerify,
+        stageAll: !!stageAll,
+        paths
+      });
+      logger.info('Commit created', {
+        oid: result.oid,
+        amend: !!amend,
+        signoff: !!signoff,
+        noVerify: !!noVerify,
+        fileCount: paths ? paths.length : null
+      }, 'git');
+      return { success: true, ...result };
+    } catch (error) {
+      logger.error('Error in git-commit handler', error, { root }, 'ipc');
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('git-log', async (event, { projectPath, limit = 200, skip = 0, all = false, search = null } = {}) => {
+    try {
+      if (!projectPath || typeof projectPath !== 'string') {
+        throw new Error('Invalid project path');
+      }
+      if (search && (!gitLog.SEARCH_FIELDS.includes(search.field) || typeof search.text !== 'string')) {
+        throw new Error('Invalid search');
+      }
+
+      const options = {
+        limit: Math.min(Math.max(parseInt(limit, 10) || 200, 1), 1000),
+        skip: Math.max(parseInt(skip, 10) || 0, 0),
+        all: !!all,
+        search
+      };
+      return { success: true, ...(await gitService.getLog(projectPath, options)) };
+    } catch (error) {
+      logger.error('Error in git-log handler', error, { projectPath }, 'ipc');
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('git-commit-files', async (event, { root, hash } = {}) => {
+    try {
+      validateRepositoryRoot(root);
+      validateCommitHash(hash);
+
+      return { success: true, files: await gitService.getCommitFiles(root, hash) };
+    } catch (error) {
+      logger.error('Error in git-commit-files handler', error, { root, hash }, 'ipc');
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('git-commit-diff', async (event, { root, hash, paths } = {}) => {
+    try {
+      validateGitRequest(root, paths);
+      validateCommitHash(hash);
+
+      return { success: true, diff: await gitService.getCommitFileDiff(root, hash, paths) };
+    } catch (error) {
+      logger.error('Error in git-commit-diff handler', error, { root, hash }, 'ipc');
+      return { success: false, error: error.message };
+    }
+  });
+
+  // mainline: the commit is a merge, applied relative to its first parent
+  ipcMain.handle('git-cherry-pick', async (event, { root, hash, mainline = false } = {}) => {
+    try {
+      validateRepositoryRoot(root);
+      validateCommitHash(hash);
+
+      await gitService.cherryPick(root, hash, { mainline: !!mainline });
+      logger.info('Commit cherry-picked', { hash }, 'git');
+      return { success: true };
+    } catch (error) {
+      logger.error('Error in git-cherry-pick handler', error, { root, hash }, 'ipc');
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('git-revert', async (event, { root, hash, mainline = false } = {}) => {
+    try {
+      validateRepositoryRoot(root);
+      validateCommitHash(hash);
+
+      await gitService.revertCommit(root, hash, { mainline: !!mainline });
+      logger.info('Commit reverted', { hash }, 'git');
+      return { success: true };
+    } catch (error) {
+      logger.error('Error in git-revert handler', error, { root, hash }, 'ipc');
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('git-stashes', async (event, projectPath) => {
+    try {
+      if (!projectPath || typeof projectPath !== 'string') {
+        throw new Error('Invalid project path');
+      }
+
+      return { success: true, ...(await gitService.getStashes(projectPath)) };
+    } catch (error) {
+      logger.error('Error in git-stashes handler', error, { projectPath }, 'ipc');
+      return { success: false, error: error.message };
+    }
+  });
+
+  // stashed is false when there were no changes to stash
+  ipcMain.handle('git-stash-create', async (event, { root, message = '', includeUntracked = false } = {}) => {
+    try {
+      validateRepositoryRoot(root);
+      if (typeof message !== 'string') {
+        throw new Error('Invalid stash message');
+      }
+
+      const stashed = await gitService.stashChanges(root, message.trim(), { includeUntracked: !!includeUntracked });
+      logger.info('Changes stashed', { stashed, includeUntracked: !!includeUntracked }, 'git');
+      return { success: true, stashed };
+    } catch (error) {
+      logger.error('Error in git-stash-create handler', error, { root }, 'ipc');
+      return { success: false, error: error.message };
+    }
+  });
+
+  // untracked: the files come from the untracked part of the stash
+  ipcMain.handle('git-stash-files', async (event, { root, hash, untracked = false } = {}) => {
+    try {
+      validateRepositoryRoot(root);
+      validateCommitHash(hash);
+
+      return { success: true, files: await gitService.getStashFiles(root, hash, { untracked: !!untracked }) };
+    } catch (error) {
+      logger.error('Error in git-stash-files handler', error, { root, hash }, 'ipc');
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('git-stash-diff', async (event, { root, hash, paths, untracked = false } = {}) => {
+    try {
+      validateGitRequest(root, paths);
+      validateCommitHash(hash);
+
+      return { success: true, diff: await gitService.getStashFileDiff(root, hash, paths, { untracked: !!untracked }) };
+    } catch (error) {
+      logger.error('Error in git-stash-diff handler', error, { root, hash }, 'ipc');
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('git-stash-apply', async (event, { root, hash, pop = false } = {}) => {
+    try {
+      validateRepositoryRoot(root);
+      validateCommitHash(hash);
+
+      await gitService.applyStash(root, hash, { pop: !!pop });
+      logger.info(pop ? 'Stash popped' : 'Stash applied', { hash }, 'git');
+      return { success: true };
+    } catch (error) {
+      logger.error('Error in git-stash-apply handler', error, { root, hash }, 'ipc');
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('git-stash-drop', async (event, { root, hash } = {}) => {
+    try {
+      validateRepositoryRoot(root);
+      validateCommitHash(hash);
+
+      await gitService.dropStash(root, hash);
+      logger.info('Stash dropped', { hash }, 'git');
+      return { success: true };
+    } catch (error) {
+      logger.error('Error in git-stash-drop handler', error, { root, hash }, 'ipc');
+      return { success: false, error: error.message };
+    }
+  });
+
   ipcMain.handle('save-custom-commands', (event, commands) => {
     try {
       // Input validation
@@ -569,13 +1337,8 @@ function setupIpcHandlers() {
         throw new Error('Commands must be an array');
       }
       
-      // Validate each command
-      const validCommands = commands.filter(cmd => {
-        if (!cmd || typeof cmd !== 'object') return false;
-        if (!cmd.name || typeof cmd.name !== 'string') return false;
-        if (!cmd.command || typeof cmd.command !== 'string') return false;
-        return true;
-      });
+      // Validate each command; a command needs a shell command or at least one step
+      const validCommands = commands.map(taskRunner.normalizeTask).filter(Boolean);
       
       if (validCommands.length !== commands.length) {
         console.warn(`${commands.length - validCommands.length} invalid commands were filtered out`);
@@ -590,6 +1353,65 @@ function setupIpcHandlers() {
     }
   });
 
+  // Last values entered for ${input:...} and ${pick:...} placeholders, per command
+  ipcMain.handle('get-placeholder-values', (event, commandId) => {
+    try {
+      const values = store.get('placeholderValues', {});
+      return values[commandId] || {};
+    } catch (error) {
+      logger.error('Error in get-placeholder-values handler', error, { commandId }, 'ipc');
+      return {};
+    }
+  });
+
+  ipcMain.handle('save-placeholder-values', (event, { commandId, values } = {}) => {
+    try {
+      if (!commandId || typeof commandId !== 'string') {
+        throw new Error('Invalid command id');
+      }
+      if (!values || typeof values !== 'object') {
+        throw new Error('Placeholder values must be an object');
+      }
+
+      const stringValues = Object.fromEntries(
+        Object.entries(values).filter(([, value]) => typeof value === 'string')
+      );
+      store.set('placeholderValues', { ...store.get('placeholderValues', {}), [commandId]: stringValues });
+      return { success: true };
+    } catch (error) {
+      logger.error('Error in save-placeholder-values handler', error, { commandId }, 'ipc');
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Last ribbon tab used in each project
+  ipcMain.handle('get-ribbon-tab', (event, projectPath) => {
+    try {
+      const tabs = store.get('ribbonTabs', {});
+      return tabs[projectPath] || null;
+    } catch (error) {
+      logger.error('Error in get-ribbon-tab handler', error, { projectPath }, 'ipc');
+      return null;
+    }
+  });
+
+  ipcMain.handle('save-ribbon-tab', (event, { projectPath, target } = {}) => {
+    try {
+      if (!projectPath || typeof projectPath !== 'string') {
+        throw new Error('Invalid project path');
+      }
+      if (!target || typeof target !== 'string') {
+        throw new Error('Invalid ribbon tab');
+      }
+
+      store.set('ribbonTabs', { ...store.get('ribbonTabs', {}), [projectPath]: target });
+      return { success: true };
+    } catch (error) {
+      logger.error('Error in save-ribbon-tab handler', error, { projectPath }, 'ipc');
+      return { success: false, error: error.message };
+    }
+  });
+
   // Command History handlers
   ipcMain.handle('get-command-history', () => {
     try {
@@ -690,6 +1512,153 @@ function setupIpcHandlers() {
     }
   });
 
+  ipcMain.handle('export-search-results', async (event, { text, defaultName }) => {
+    try {
+      if (!text || typeof text !== 'string') {
+        throw new Error('Invalid search excerpt provided');
+      }
+
+      if (!mainWindow || mainWindow.isDestroyed()) {
+        throw new Error('Main window is not available for file dialog');
+      }
+
+      const result = await dialog.showSaveDialog(mainWindow, {
+        title: 'Export Search Results',
+        defaultPath: defaultName || 'terminal-search.txt',
+        filters: [
+          { name: 'Text Files', extensions: ['txt'] },
+          { name: 'All Files', extensions: ['*'] }
+        ]
+      });
+
+      if (!result.canceled && result.filePath) {
+        const fs = require('fs');
+        const path = require('path');
+        const dir = path.dirname(result.filePath);
+
+        if (!fs.existsSync(dir)) {
+          throw new Error(`Directory does not exist: ${dir}`);
+        }
+
+        fs.writeFileSync(result.filePath, text);
+        return { success: true, filePath: result.filePath };
+      }
+
+      return { success: false, cancelled: true };
+    } catch (error) {
+      console.error('Error in export-search-results handler:', error);
+      logError(error, 'export-search-results-handler');
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('save-terminal-output', async (event, { content, format, title, background, foreground } = {}) => {
+    try {
+      const exportFormat = outputExport.getExportFormat(format);
+      const fileContent = outputExport.buildExportContent({ content, format, title, background, foreground });
+
+      if (!mainWindow || mainWindow.isDestroyed()) {
+        throw new Error('Main window is not available for file dialog');
+      }
+
+      const result = await dialog.showSaveDialog(mainWindow, {
+        title: `Save Terminal Output (${exportFormat.label})`,
+        defaultPath: outputExport.getDefaultFileName(title, format),
+        filters: [
+          { name: exportFormat.filterName, extensions: [exportFormat.extension] },
+          { name: 'All Files', extensions: ['*'] }
+        ]
+      });
+
+      if (!result.canceled && result.filePath) {
+        const fs = require('fs');
+        const path = require('path');
+        const dir = path.dirname(result.filePath);
+
+        if (!fs.existsSync(dir)) {
+          throw new Error(`Directory does not exist: ${dir}`);
+        }
+
+        fs.writeFileSync(result.filePath, fileContent);
+        logger.info('Terminal output saved', { filePath: result.filePath, format }, 'terminal');
+        return { success: true, filePath: result.filePath };
+      }
+
+      return { success: false, cancelled: true };
+    } catch (error) {
+      console.error('Error in save-terminal-output handler:', error);
+      logError(error, 'save-terminal-output-handler');
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Shell profile handlers
+  ipcMain.handle('get-shell-profiles', () => {
+    try {
+      const profiles = getAllShellProfiles();
+      const defaultProfileId = store.get('defaultShellProfileId', null);
+
+      logger.debug('Shell profiles retrieved', { count: profiles.length, defaultProfileId }, 'terminal');
+      return {
+        profiles,
+        defaultProfileId: shellProfiles.findProfile(profiles, defaultProfileId) ? defaultProfileId : null,
+        projectDefaultProfileId: getProjectDefaultProfileId(profiles)
+      };
+    } catch (error) {
+      logger.error('Error in get-shell-profiles handler', error, {}, 'ipc');
+      return { profiles: [], defaultProfileId: null };
+    }
+  });
+
+  ipcMain.handle('save-shell-profiles', (event, { profiles, defaultProfileId = null } = {}) => {
+    try {
+      if (!Array.isArray(profiles)) {
+        throw new Error('Profiles must be an array');
+      }
+
+      // Built-in profiles are detected on every launch, only custom ones are stored
+      const customProfiles = profiles.filter(profile => profile && !profile.builtin && profile.source !== 'project');
+      customProfiles.forEach(profile => {
+        const errors = shellProfiles.validateProfile(profile);
+        if (errors.length > 0) {
+          throw new Error(`Invalid profile "${profile.name || profile.id}": ${errors[0]}`);
+        }
+      });
+
+      store.set('shellProfiles', customProfiles.map(profile => shellProfiles.createProfile(profile)));
+      store.set('defaultShellProfileId', defaultProfileId);
+
+      logger.info('Shell profiles saved', { count: customProfiles.length, defaultProfileId }, 'terminal');
+      return { success: true, savedCount: customProfiles.length };
+    } catch (error) {
+      logger.error('Error in save-shell-profiles handler', error, {}, 'ipc');
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Terminal session persistence handlers
+  ipcMain.handle('get-terminal-sessions', () => {
+    try {
+      const sessions = normalizeSessions(store.get('terminalSessions', []));
+      logger.info('Terminal sessions retrieved', { count: sessions.length }, 'terminal');
+      return sessions;
+    } catch (error) {
+      logger.error('Error in get-terminal-sessions handler', error, {}, 'ipc');
+      return [];
+    }
+  });
+
+  ipcMain.handle('clear-terminal-sessions', () => {
+    try {
+      store.delete('terminalSessions');
+      logger.info('Terminal sessions cleared', {}, 'terminal');
+      return { success: true };
+    } catch (error) {
+      logger.error('Error in clear-terminal-sessions handler', error, {}, 'ipc');
+      return { success: false, error: error.message };
+    }
+  });
+
   // Add IPC handler for renderer process logs
   ipcMain.handle('log-message', async (event, logData) => {
     try {
@@ -721,23 +1690,47 @@ function setupIpcHandlers() {
   });
 
   // Terminal IPC handlers
-  const terminalProcesses = new Map();
-
-  ipcMain.handle('create-pty', async (event, { workingDirectory = process.cwd() } = {}) => {
+  ipcMain.handle('create-pty', async (event, { workingDirectory = process.cwd(), cols, rows, profileId = null } = {}) => {
     try {
-      logger.info('Creating PTY process', { workingDirectory }, 'terminal');
+      logger.info('Creating PTY process', { workingDirectory, cols, rows, profileId }, 'terminal');
+
+      // The project's default profile and variables apply to terminals inside the project
+      const profiles = getAllShellProfiles();
+      const inProject = projectConfig.isInsideProject(workingDirectory, activeProjectConfig.projectPath);
+      const resolvedProfileId = profileId ||
+        (inProject && getProjectDefaultProfileId(profiles)) ||
+        store.get('defaultShellProfileId', null);
+      const profile = shellProfiles.findProfile(profiles, resolvedProfileId);
+      if (profileId && !profile) {
+        throw new Error(`Shell profile ${profileId} not found`);
+      }
 
-      const ptyProcess = PtyManager.createPtyProcess(workingDirectory);
+      const ptyProcess = PtyManager.createPtyProcess(workingDirectory, {
+        cols,
+        rows,
+        profile,
+        env: inProject ? activeProjectConfig.config.env : {},
+        // Shells cannot read scripts packed in the app archive, so they live in userData
+        shellIntegrationDir: path.join(app.getPath('userData'), 'shell-integration')
+      });
       const terminalId = `pty-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 
       terminalProcesses.set(terminalId, ptyProcess);
 
-      logger.info('PTY process created successfully', { terminalId, workingDirectory, pid: ptyProcess.pid }, 'terminal');
+      logger.info('PTY process created successfully', {
+        terminalId,
+        workingDirectory,
+        pid: ptyProcess.pid,
+        mode: ptyProcess.mode
+      }, 'terminal');
 
       return {
         success: true,
         terminalId,
-        pid: ptyProcess.pid
+        pid: ptyProcess.pid,
+        mode: ptyProcess.mode,
+        shell: ptyProcess.shell,
+        profileId: ptyProcess.profileId
       };
     } catch (error) {
       logger.error('Error creating PTY process', error, { workingDirectory }, 'terminal');
@@ -786,17 +1779,65 @@ function setupIpcHandlers() {
         throw new Error(`PTY process ${terminalId} not found`);
       }
 
-      ptyProcess.kill();
+      // Take down everything the shell started, not just the shell itself
       terminalProcesses.delete(terminalId);
-      logger.info('PTY process killed', { terminalId }, 'terminal');
+      const killedPids = ptyProcess.pid ? await processTree.killProcessTree(ptyProcess.pid) : [];
+      ptyProcess.kill();
+      logger.info('PTY process killed', { terminalId, killedCount: killedPids.length }, 'terminal');
 
-      return { success: true };
+      return { success: true, killedPids };
     } catch (error) {
       logger.error('Error killing PTY', error, { terminalId }, 'terminal');
       return { success: false, error: error.message };
     }
   });
 
+  ipcMain.handle('pty-list-processes', async (event, { terminalId }) => {
+    try {
+      const ptyProcess = terminalProcesses.get(terminalId);
+      if (!ptyProcess) {
+        throw new Error(`PTY process ${terminalId} not found`);
+      }
+
+      const processes = ptyProcess.pid ? await processTree.getProcessTree(ptyProcess.pid) : [];
+      logger.debug('PTY processes listed', { terminalId, count: processes.length }, 'terminal');
+
+      return { success: true, shellPid: ptyProcess.pid, processes };
+    } catch (error) {
+      logger.error('Error listing PTY processes', error, { terminalId }, 'terminal');
+      return { success: false, error: error.message, processes: [] };
+    }
+  });
+
+  ipcMain.handle('pty-kill-process', async (event, { terminalId, pid, tree = false, signal = 'SIGTERM' }) => {
+    try {
+      const ptyProcess = terminalProcesses.get(terminalId);
+      if (!ptyProcess) {
+        throw new Error(`PTY process ${terminalId} not found`);
+      }
+
+      // Only processes started from this terminal may be killed through it
+      const processes = await processTree.getProcessTree(ptyProcess.pid);
+      if (!processes.some(proc => proc.pid === pid)) {
+        throw new Error(`Process ${pid} does not belong to terminal ${terminalId}`);
+      }
+
+      if (!['SIGTERM', 'SIGKILL', 'SIGINT'].includes(signal)) {
+        throw new Error(`Unsupported signal: ${signal}`);
+      }
+
+      const killedPids = tree
+        ? await processTree.killProcessTree(pid, { signal })
+        : (processTree.killProcess(pid, signal) ? [pid] : []);
+
+      logger.info('PTY child process killed', { terminalId, pid, tree, signal, killedCount: killedPids.length }, 'terminal');
+      return { success: true, killedPids };
+    } catch (error) {
+      logger.error('Error killing PTY child process', error, { terminalId, pid, tree }, 'terminal');
+      return { success: false, error: error.message };
+    }
+  });
+
   // Set up PTY data handlers
   ipcMain.handle('pty-setup-handlers', async (event, { terminalId }) => {
     try {
@@ -806,9 +1847,15 @@ function setupIpcHandlers() {
       }
 
       // Set up data handler
-      ptyProcess.onData((data) => {
-        // Send data back to renderer
-        event.sender.send('pty-data', { terminalId, data });
+      ptyProcess.onData((data, chunk = {}) => {
+        // Send data back to renderer along with its stream tag so the UI can filter it
+        event.sender.send('pty-data', {
+          terminalId,
+          data,
+          stream: chunk.stream,
+          seq: chunk.seq,
+          timestamp: chunk.timestamp
+        });
       });
 
       // Set up exit handler
@@ -928,12 +1975,15 @@ app.whenReady().then(() => {
   createWindow();
 });
 
-app.on('window-all-closed', () => {
+app.on('window-all-closed', async () => {
   logger.appLifecycle('window-all-closed', {
     platform: process.platform,
-    willQuit: process.platform !== 'darwin'
+    willQuit: process.platform !== 'darwin',
+    terminalCount: terminalProcesses.size
   });
 
+  await cleanupTerminalProcesses();
+
   if (process.platform !== 'darwin') {
     logger.appLifecycle('app-quitting', { reason: 'window-all-closed' });
     app.quit();
@@ -952,18 +2002,36 @@ app.on('activate', () => {
   }
 });
 
-app.on('before-quit', () => {
+app.on('before-quit', (event) => {
   logger.appLifecycle('before-quit', {
     hasMainWindow: !!mainWindow,
     uptime: process.uptime()
   });
 
+  if (!terminalSessionsSaved && mainWindow && !mainWindow.isDestroyed()) {
+    event.preventDefault();
+    saveTerminalSessions().then(() => app.quit());
+    return;
+  }
+
   if (mainWindow) {
     mainWindow.removeAllListeners('close');
     mainWindow.close();
   }
 });
 
+// Quitting with Cmd+Q, the menu or app.quit() skips window-all-closed, so the
+// process trees are cleaned up here before the app is allowed to exit
+app.on('will-quit', (event) => {
+  if (terminalProcesses.size === 0) {
+    return;
+  }
+
+  logger.appLifecycle('will-quit', { terminalCount: terminalProcesses.size });
+  event.preventDefault();
+  cleanupTerminalProcesses().finally(() => app.quit());
+});
+
 // Additional app event logging
 app.on('ready', () => {
   logger.appLifecycle('app-ready-event');
@@ -4,7 +4,7 @@ console.log('[DEBUG] Module system check: typeof require =', typeof require);
 console.log('[DEBUG] Node environment: typeof process =', typeof process);
 
 // Test each module loading individually
-let ipcRenderer, shell, TerminalManager, fs, path, logger, FileExplorer;
+let ipcRenderer, shell, TerminalManager, fs, path, logger, FileExplorer, ProcessPanel, ProblemsPanel, TaskPanel, GitPanel, GitLogPanel, GitStashPanel, SplitPaneManager, TerminalSearch, shellProfiles, historyHelpers, taskRunner, commandPlaceholders, ribbonLayout, commandVariants, gitBranches, commitMessages;
 
 console.log('[DEBUG] Loading electron module...');
 try {
@@ -70,6 +70,14 @@ try {
             console.log('[FALLBACK] Executing command:', command, 'in terminal:', terminalId);
             return Promise.resolve({ success: true, output: 'Mock command execution' });
         }
+
+        getTerminal(id) {
+            return null;
+        }
+
+        onShellEvent(callback) {
+            return () => {};
+        }
     };
     console.log('[DEBUG] ✓ Fallback TerminalManager created successfully');
 }
@@ -149,10 +157,158 @@ try {
         syncWithTerminal(path) {
             console.log('[FALLBACK] Sync with terminal:', path);
         }
+
+        getSelectedFile() {
+            return null;
+        }
     };
     console.log('[DEBUG] ✓ Fallback FileExplorer created successfully');
 }
 
+console.log('[DEBUG] Loading ProcessPanel...');
+try {
+    ProcessPanel = require('./process-panel.js');
+    console.log('[DEBUG] ✓ ProcessPanel loaded successfully');
+} catch (error) {
+    console.error('[DEBUG] ✗ FAILED to load ProcessPanel:', error);
+    ProcessPanel = null;
+}
+
+console.log('[DEBUG] Loading ProblemsPanel...');
+try {
+    ProblemsPanel = require('./problems-panel.js');
+    console.log('[DEBUG] ✓ ProblemsPanel loaded successfully');
+} catch (error) {
+    console.error('[DEBUG] ✗ FAILED to load ProblemsPanel:', error);
+    ProblemsPanel = null;
+}
+
+console.log('[DEBUG] Loading GitPanel...');
+try {
+    GitPanel = require('./git-panel.js');
+    console.log('[DEBUG] ✓ GitPanel loaded successfully');
+} catch (error) {
+    console.error('[DEBUG] ✗ FAILED to load GitPanel:', error);
+    GitPanel = null;
+}
+
+console.log('[DEBUG] Loading GitLogPanel...');
+try {
+    GitLogPanel = require('./git-log-panel.js');
+    console.log('[DEBUG] ✓ GitLogPanel loaded successfully');
+} catch (error) {
+    console.error('[DEBUG] ✗ FAILED to load GitLogPanel:', error);
+    GitLogPanel = null;
+}
+
+console.log('[DEBUG] Loading GitStashPanel...');
+try {
+    GitStashPanel = require('./git-stash-panel.js');
+    console.log('[DEBUG] ✓ GitStashPanel loaded successfully');
+} catch (error) {
+    console.error('[DEBUG] ✗ FAILED to load GitStashPanel:', error);
+    GitStashPanel = null;
+}
+
+console.log('[DEBUG] Loading TaskPanel...');
+try {
+    TaskPanel = require('./task-panel.js');
+    console.log('[DEBUG] ✓ TaskPanel loaded successfully');
+} catch (error) {
+    console.error('[DEBUG] ✗ FAILED to load TaskPanel:', error);
+    TaskPanel = null;
+}
+
+console.log('[DEBUG] Loading SplitPaneManager...');
+try {
+    SplitPaneManager = require('./split-panes.js');
+    console.log('[DEBUG] ✓ SplitPaneManager loaded successfully');
+} catch (error) {
+    console.error('[DEBUG] ✗ FAILED to load SplitPaneManager:', error);
+    SplitPaneManager = null;
+}
+
+console.log('[DEBUG] Loading TerminalSearch...');
+try {
+    TerminalSearch = require('./terminal-search.js');
+    console.log('[DEBUG] ✓ TerminalSearch loaded successfully');
+} catch (error) {
+    console.error('[DEBUG] ✗ FAILED to load TerminalSearch:', error);
+    TerminalSearch = null;
+}
+
+console.log('[DEBUG] Loading shell profile helpers...');
+try {
+    shellProfiles = require('../../terminal/shell-profiles.js');
+    console.log('[DEBUG] ✓ shell profile helpers loaded successfully');
+} catch (error) {
+    console.error('[DEBUG] ✗ FAILED to load shell profile helpers:', error);
+    shellProfiles = null;
+}
+
+console.log('[DEBUG] Loading command history helpers...');
+try {
+    historyHelpers = require('../../terminal/command-history.js');
+    console.log('[DEBUG] ✓ command history helpers loaded successfully');
+} catch (error) {
+    console.error('[DEBUG] ✗ FAILED to load command history helpers:', error);
+    historyHelpers = null;
+}
+
+console.log('[DEBUG] Loading task runner helpers...');
+try {
+    taskRunner = require('../../terminal/task-runner.js');
+    console.log('[DEBUG] ✓ task runner helpers loaded successfully');
+} catch (error) {
+    console.error('[DEBUG] ✗ FAILED to load task runner helpers:', error);
+    taskRunner = null;
+}
+
+console.log('[DEBUG] Loading command placeholder helpers...');
+try {
+    commandPlaceholders = require('../../terminal/command-placeholders.js');
+    console.log('[DEBUG] ✓ command placeholder helpers loaded successfully');
+} catch (error) {
+    console.error('[DEBUG] ✗ FAILED to load command placeholder helpers:', error);
+    commandPlaceholders = null;
+}
+
+console.log('[DEBUG] Loading ribbon layout helpers...');
+try {
+    ribbonLayout = require('../../terminal/ribbon-layout.js');
+    console.log('[DEBUG] ✓ ribbon layout helpers loaded successfully');
+} catch (error) {
+    console.error('[DEBUG] ✗ FAILED to load ribbon layout helpers:', error);
+    ribbonLayout = null;
+}
+
+console.log('[DEBUG] Loading command variant helpers...');
+try {
+    commandVariants = require('../../terminal/command-variants.js');
+    console.log('[DEBUG] ✓ command variant helpers loaded successfully');
+} catch (error) {
+    console.error('[DEBUG] ✗ FAILED to load command variant helpers:', error);
+    commandVariants = null;
+}
+
+console.log('[DEBUG] Loading git branch helpers...');
+try {
+    gitBranches = require('../../terminal/git-branches.js');
+    console.log('[DEBUG] ✓ git branch helpers loaded successfully');
+} catch (error) {
+    console.error('[DEBUG] ✗ FAILED to load git branch helpers:', error);
+    gitBranches = null;
+}
+
+console.log('[DEBUG] Loading commit message helpers...');
+try {
+    commitMessages = require('../../terminal/commit-message.js');
+    console.log('[DEBUG] ✓ commit message helpers loaded successfully');
+} catch (error) {
+    console.error('[DEBUG] ✗ FAILED to load commit message helpers:', error);
+    commitMessages = null;
+}
+
 class InputValidator {
     static validateRequired(value, fieldName) {
         if (!value || value.trim() === '') {
@@ -191,33 +347,32 @@ class InputValidator {
             }
         }
         
-        return null;
+        return InputValidator.validatePlaceholders(value);
+    }
+
+    // ${input:...}, ${pick:file:...}, ${project}, ${currentFile} and ${env:...}
+    static validatePlaceholders(value) {
+        return commandPlaceholders ? commandPlaceholders.validatePlaceholders(value) : null;
     }
 
     static validateIcon(value) {
         if (!value) return null; // Icon is optional
         
-        if (value.length > 2) {
+        if (shellProfiles ? !shellProfiles.isValidIcon(value) : value.length > 2) {
             return 'Icon must be 1-2 characters (emoji recommended)';
         }
         
         return null;
     }
 
-    static validateCommitMessage(value) {
+    // conventional: the commit dialog's { type, scope, breaking }, counted in the
+    // first line's length. The rules are shared with the main process.
+    static validateCommitMessage(value, conventional = null) {
         if (!value || value.trim() === '') {
             return 'Commit message is required';
         }
-        
-        if (value.length < 3) {
-            return 'Commit message must be at least 3 characters';
-        }
-        
-        if (value.length > 500) {
-            return 'Commit message must be no more than 500 characters';
-        }
-        
-        return null;
+
+        return commitMessages ? commitMessages.validateCommitMessage(value, conventional) : null;
     }
 }
 
@@ -236,16 +391,95 @@ class EasyDebugApp {
 
         this.terminalManager = new TerminalManager();
         this.fileExplorer = new FileExplorer();
+        this.processPanel = ProcessPanel
+            ? new ProcessPanel(this.terminalManager, { onNotify: (message, type) => this.showToast(message, type) })
+            : null;
+        this.problemsPanel = ProblemsPanel
+            ? new ProblemsPanel(this.terminalManager, {
+                onNotify: (message, type) => this.showToast(message, type),
+                getProjectPath: () => this.currentProject
+            })
+            : null;
+        this.gitPanel = GitPanel
+            ? new GitPanel(this.terminalManager, {
+                onNotify: (message, type) => this.showToast(message, type),
+                getProjectPath: () => this.currentProject
+            })
+            : null;
+        this.gitLogPanel = GitLogPanel
+            ? new GitLogPanel(this.terminalManager, {
+                onNotify: (message, type) => this.showToast(message, type),
+                getProjectPath: () => this.currentProject,
+                confirmStash: (name) => this.confirmStashBeforeSwitch(name),
+                onRepositoryChanged: () => this.handleBranchesChanged()
+            })
+            : null;
+        this.gitStashPanel = GitStashPanel
+            ? new GitStashPanel(this.terminalManager, {
+                onNotify: (message, type) => this.showToast(message, type),
+                getProjectPath: () => this.currentProject,
+                onRepositoryChanged: () => this.handleBranchesChanged()
+            })
+            : null;
+        this.taskPanel = TaskPanel && taskRunner
+            ? new TaskPanel(this.terminalManager, {
+                onNotify: (message, type) => this.showToast(message, type),
+                getProjectPath: () => this.currentProject,
+                getTasks: () => this.getRunnableCommands(),
+                openTerminal: (title) => this.openTaskTerminal(title),
+                onFocusTerminal: (terminalId) => this.focusTerminalById(terminalId)
+            })
+            : null;
+        this.terminalSearch = TerminalSearch
+            ? new TerminalSearch(this.terminalManager, { onNotify: (message, type) => this.showToast(message, type) })
+            : null;
+        this.splitPanes = SplitPaneManager
+            ? new SplitPaneManager(this.terminalManager, {
+                onFocusChange: (tabElementId, terminalId) => this.handlePaneFocusChange(tabElementId, terminalId),
+                onNotify: (message, type) => this.showToast(message, type)
+            })
+            : null;
+        this.terminalManager.onShellEvent((terminalId, event) => this.handleShellEvent(terminalId, event));
         this.currentProject = null;
         this.currentTheme = 'dark';
         this.isResizing = false;
         this.terminalCounter = 1;
         this.activeTerminals = new Map();
+        this.activeTabId = 'default-terminal';
         this.customCommands = [];
         this.editingCommandId = null;
+        // Resolves the pending placeholder form: values by placeholder key, or null when cancelled
+        this.commandInputsResolver = null;
+        this.commandInputsCommandId = null;
+        // Result of loading the project's .easydebug file: { filePath, hash, config, errors, trusted, withheld }
+        this.projectConfig = null;
+        // Hashes of project files whose terminal settings the user declined this session
+        this.declinedProjectConfigs = new Set();
+        // Task groups found in package.json, Makefile, pyproject.toml, justfile and pubspec.yaml
+        this.projectTasks = [];
+        // Result of the detect-project handler: { primary, types, isMonorepo, workspaces, summary }
+        this.projectInfo = null;
+        // Ribbon tab picked by the user in this project, and the one saved from last time
+        this.selectedRibbonTab = null;
+        this.rememberedRibbonTab = null;
+        this.showAllRibbonTabs = false;
+        // Result of get-system-versions, used to disable commands whose toolchain is missing
+        this.systemVersions = null;
+        // Result of git-branches for the project: { root, current, local, remote }, null outside a repository
+        this.branchInfo = null;
+        this.branchRefreshTimer = null;
+        // Result of git-status when the commit dialog was opened
+        this.commitStatus = null;
+        this.shellProfiles = [];
+        this.defaultShellProfileId = null;
+        this.projectDefaultProfileId = null;
+        this.editingProfileId = null;
         this.commandHistory = [];
         this.filteredHistory = [];
+        this.historyFilters = { status: 'all', period: 'all' };
+        this.commandTracker = historyHelpers ? new historyHelpers.CommandTracker() : null;
         this.isHistoryVisible = false;
+        this.notificationSettings = null;
 
         logger.info('App properties initialized', {
             terminalCounter: this.terminalCounter,
@@ -275,8 +509,17 @@ class EasyDebugApp {
             logger.debug('Setting up event listeners', {}, 'app-init');
             this.setupEventListeners();
 
+            logger.debug('Loading shell profiles', {}, 'app-init');
+            await this.loadShellProfiles();
+
+            logger.debug('Loading preferred editor', {}, 'app-init');
+            await this.loadPreferredEditor();
+
             logger.debug('Setting up terminal', {}, 'app-init');
-            this.setupTerminal();
+            await this.setupTerminal();
+
+            logger.debug('Setting up terminal session persistence', {}, 'app-init');
+            this.setupSessionPersistence();
 
             logger.debug('Loading recent projects', {}, 'app-init');
             this.loadRecentProjects();
@@ -350,6 +593,29 @@ class EasyDebugApp {
         }
     }
 
+    // Editor used for file links in terminal output and the Problems panel
+    async loadPreferredEditor() {
+        try {
+            const editor = await ipcRenderer.invoke('get-preferred-editor');
+            const select = document.getElementById('preferred-editor-select');
+            if (select) {
+                select.value = editor;
+            }
+        } catch (error) {
+            logger.error('Error loading preferred editor', error, {}, 'editor');
+        }
+    }
+
+    async setPreferredEditor(editor) {
+        try {
+            await ipcRenderer.invoke('set-preferred-editor', editor);
+            logger.userAction('set-preferred-editor', { editor });
+        } catch (error) {
+            logger.error('Error saving preferred editor', error, { editor }, 'editor');
+            this.showToast(`Error saving editor preference: ${error.message}`, 'error');
+        }
+    }
+
     applyTheme(theme) {
         logger.themeOperation('apply-theme', { theme, previousTheme: this.currentTheme });
 
@@ -414,13 +680,59 @@ class EasyDebugApp {
         document.querySelectorAll('.command-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
                 const command = e.currentTarget.getAttribute('data-command');
+                const action = e.currentTarget.getAttribute('data-action');
                 if (command) {
                     this.executeCommand(command);
+                } else if (action) {
+                    this.runBuiltinAction(action);
                 }
             });
         });
 
+        // Remember the tab the user picks; tabs selected by arrangeRibbon() are clicked programmatically
+        document.querySelector('[role="tablist"]').addEventListener('click', (e) => {
+            const tab = e.target.closest('.ribbon-tab');
+            if (!tab || !e.isTrusted) return;
+
+            this.selectedRibbonTab = tab.dataset.target;
+            if (this.currentProject) {
+                ipcRenderer.invoke('save-ribbon-tab', { projectPath: this.currentProject, target: tab.dataset.target })
+                    .catch(error => logger.error('Error saving ribbon tab', error, {}, 'ribbon'));
+            }
+        });
+
+        document.getElementById('ribbon-show-all').addEventListener('click', () => {
+            this.showAllRibbonTabs = !this.showAllRibbonTabs;
+            this.arrangeRibbon();
+        });
+
         // Special command handlers
+        document.getElementById('open-git-panel-btn').addEventListener('click', () => {
+            if (this.gitPanel) {
+                this.gitPanel.show();
+            }
+        });
+
+        document.getElementById('open-git-log-btn').addEventListener('click', () => {
+            if (this.gitLogPanel) {
+                this.gitLogPanel.show();
+            }
+        });
+
+        document.getElementById('open-git-stash-btn').addEventListener('click', () => {
+            if (this.gitStashPanel) {
+                this.gitStashPanel.show();
+            }
+        });
+
+        document.getElementById('git-pull-btn').addEventListener('click', () => {
+            this.pullWithStash();
+        });
+
+        document.getElementById('git-branches-btn').addEventListener('click', () => {
+            this.showBranchModal();
+        });
+
         document.getElementById('git-commit-btn').addEventListener('click', () => {
             this.showCommitModal();
         });
@@ -442,6 +754,13 @@ class EasyDebugApp {
             this.openInEditor('explorer');
         });
 
+        const preferredEditorSelect = document.getElementById('preferred-editor-select');
+        if (preferredEditorSelect) {
+            preferredEditorSelect.addEventListener('change', () => {
+                this.setPreferredEditor(preferredEditorSelect.value);
+            });
+        }
+
         // System info refresh button
         document.getElementById('refresh-versions-btn').addEventListener('click', () => {
             this.refreshSystemVersions();
@@ -452,6 +771,19 @@ class EasyDebugApp {
             this.createNewTerminal();
         });
 
+        this.setupShellProfileControls();
+        this.setupSaveOutputControls();
+
+        const splitHorizontalBtn = document.getElementById('split-horizontal-btn');
+        if (splitHorizontalBtn) {
+            splitHorizontalBtn.addEventListener('click', () => this.splitActiveTerminal('horizontal'));
+        }
+
+        const splitVerticalBtn = document.getElementById('split-vertical-btn');
+        if (splitVerticalBtn) {
+            splitVerticalBtn.addEventListener('click', () => this.splitActiveTerminal('vertical'));
+        }
+
         document.getElementById('clear-terminal-btn').addEventListener('click', () => {
             this.terminalManager.clear();
         });
@@ -468,16 +800,30 @@ class EasyDebugApp {
             this.performCommit();
         });
 
+        this.setupCommitControls();
+
+        this.setupBranchControls();
+
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
             this.handleKeyboardShortcut(e);
         });
 
+        // Pane shortcuts listen in the capture phase because xterm stops
+        // propagation of the keys it handles while a terminal has focus
+        document.addEventListener('keydown', (e) => {
+            this.handlePaneShortcut(e);
+        }, true);
+
         // Click outside modal to close
         document.getElementById('modal-overlay').addEventListener('click', (e) => {
             if (e.target === document.getElementById('modal-overlay')) {
                 this.hideCommitModal();
+                this.hideBranchModal();
                 this.hideCustomCommandModal();
+                this.hideShellProfileModal();
+                this.hideNotificationSettingsModal();
+                this.hideCommandInputsModal();
             }
         });
 
@@ -494,6 +840,32 @@ class EasyDebugApp {
             this.saveCustomCommand();
         });
 
+        document.getElementById('add-task-step-btn').addEventListener('click', () => {
+            this.addTaskStepRow();
+        });
+
+        document.getElementById('cancel-command-inputs').addEventListener('click', () => {
+            this.hideCommandInputsModal();
+        });
+
+        document.getElementById('confirm-command-inputs').addEventListener('click', () => {
+            this.submitCommandInputs();
+        });
+
+        document.getElementById('command-inputs-fields').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.submitCommandInputs();
+            }
+        });
+
+        document.getElementById('task-steps-list').addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.remove-step-btn');
+            if (removeBtn) {
+                removeBtn.closest('.task-step-row').remove();
+            }
+        });
+
         // Command history handlers
         document.getElementById('show-history-btn').addEventListener('click', () => {
             this.toggleHistoryPanel();
@@ -515,6 +887,41 @@ class EasyDebugApp {
             this.filterHistory(e.target.value);
         });
 
+        document.getElementById('history-status-filter').addEventListener('change', (e) => {
+            this.setHistoryFilter('status', e.target.value);
+        });
+
+        document.getElementById('history-period-filter').addEventListener('change', (e) => {
+            this.setHistoryFilter('period', e.target.value);
+        });
+
+        // Command notification handlers
+        document.getElementById('notification-settings-btn').addEventListener('click', () => {
+            this.showNotificationSettingsModal();
+        });
+
+        document.getElementById('cancel-notification-settings').addEventListener('click', () => {
+            this.hideNotificationSettingsModal();
+        });
+
+        document.getElementById('confirm-notification-settings').addEventListener('click', () => {
+            this.saveNotificationSettings();
+        });
+
+        ipcRenderer.on('focus-terminal', (event, { terminalId }) => {
+            this.focusTerminalById(terminalId);
+        });
+
+        ipcRenderer.on('project-config-changed', (event, result) => {
+            this.applyProjectConfig(result, { reloaded: true });
+        });
+
+        ipcRenderer.on('project-tasks-changed', (event, result) => {
+            if (result.projectPath === this.currentProject) {
+                this.applyProjectTasks(result);
+            }
+        });
+
         // Real-time validation for custom command form
         this.setupFormValidation();
     }
@@ -523,9 +930,9 @@ class EasyDebugApp {
         const inputs = [
             { id: 'command-name', validator: (value) => InputValidator.validateRequired(value, 'Command name') || InputValidator.validateLength(value, 'Command name', 1, 50) },
             { id: 'command-description', validator: (value) => value ? InputValidator.validateLength(value, 'Description', 0, 200) : null },
-            { id: 'command-shell', validator: (value) => InputValidator.validateCommand(value) },
+            { id: 'command-shell', validator: (value) => !value && this.getTaskStepsFromForm().length > 0 ? null : InputValidator.validateCommand(value) },
             { id: 'command-icon', validator: (value) => InputValidator.validateIcon(value) },
-            { id: 'commit-message', validator: (value) => value ? InputValidator.validateCommitMessage(value) : null }
+            { id: 'commit-message', validator: (value) => value ? InputValidator.validateCommitMessage(value, this.getCommitConventional()) : null }
         ];
 
         inputs.forEach(({ id, validator }) => {
@@ -614,6 +1021,7 @@ class EasyDebugApp {
 
     setCurrentProject(folderPath) {
         this.currentProject = folderPath;
+        this.terminalManager.setProjectPath(folderPath);
 
         const currentProjectDiv = document.getElementById('current-project');
         const projectPathDiv = document.getElementById('project-path');
@@ -630,35 +1038,105 @@ class EasyDebugApp {
         if (this.fileExplorer) {
             this.fileExplorer.updatePath(folderPath);
         }
+
+        this.selectedRibbonTab = null;
+        this.rememberedRibbonTab = null;
+        this.loadRememberedRibbonTab(folderPath);
+
+        this.loadProjectConfig(folderPath);
+        this.loadProjectTasks(folderPath);
+        this.branchInfo = null;
+        this.refreshProjectBranch();
+        if (this.gitPanel) {
+            this.gitPanel.resetProject();
+        }
+        if (this.gitLogPanel) {
+            this.gitLogPanel.resetProject();
+        }
+        if (this.gitStashPanel) {
+            this.gitStashPanel.resetProject();
+        }
     }
 
-    detectProjectType(folderPath) {
-        const projectTypeDiv = document.getElementById('project-type');
-        let projectType = 'Unknown';
-        
+    async loadRememberedRibbonTab(projectPath) {
         try {
-            // Check for Flutter
-            if (fs.existsSync(path.join(folderPath, 'pubspec.yaml'))) {
-                projectType = '📱 Flutter Project';
-            }
-            // Check for Python
-            else if (fs.existsSync(path.join(folderPath, 'requirements.txt')) || 
-                     fs.existsSync(path.join(folderPath, 'main.py'))) {
-                projectType = '🐍 Python Project';
+            const target = await ipcRenderer.invoke('get-ribbon-tab', projectPath);
+            if (projectPath === this.currentProject) {
+                this.rememberedRibbonTab = target;
+                this.arrangeRibbon();
             }
-            // Check for Web/Node.js
-            else if (fs.existsSync(path.join(folderPath, 'package.json'))) {
-                projectType = '🌐 Web Project';
+        } catch (error) {
+            logger.error('Error loading ribbon tab', error, { projectPath }, 'ribbon');
+        }
+    }
+
+    async detectProjectType(folderPath) {
+        const projectTypeDiv = document.getElementById('project-type');
+
+        try {
+            const result = await ipcRenderer.invoke('detect-project', folderPath);
+            if (!result.success) {
+                throw new Error(result.error);
             }
-            // Check for basic HTML
-            else if (fs.existsSync(path.join(folderPath, 'index.html'))) {
-                projectType = '🌐 HTML Project';
+            if (folderPath !== this.currentProject) {
+                return;
             }
+
+            this.projectInfo = result;
+            projectTypeDiv.textContent = result.summary;
+            projectTypeDiv.title = this.describeProjectInfo(result);
+            this.renderProjectStack();
         } catch (error) {
-            console.error('Error detecting project type:', error);
+            logger.error('Error detecting project type', error, { folderPath }, 'project');
+            this.projectInfo = null;
+            projectTypeDiv.textContent = 'Unknown';
+            projectTypeDiv.title = '';
+            this.renderProjectStack();
         }
-        
-        projectTypeDiv.textContent = projectType;
+        this.arrangeRibbon();
+    }
+
+    // Tooltip listing what each detected type was recognised by
+    describeProjectInfo(info) {
+        const describeTypes = types => types
+            .map(type => `${type.name}${type.frameworks.length > 0 ? ` (${type.frameworks.join(', ')})` : ''}: ${type.signals.join(', ')}`);
+
+        return [
+            ...describeTypes(info.types),
+            ...info.workspaces.flatMap(workspace => describeTypes(workspace.types).map(line => `${workspace.path}/ ${line}`))
+        ].join('\n');
+    }
+
+    // Detected project types in the System Information panel
+    renderProjectStack() {
+        const list = document.getElementById('project-stack');
+        if (!list) return;
+
+        list.innerHTML = '';
+        const info = this.projectInfo;
+        const rows = info
+            ? [
+                ...info.types.map(type => ({ type, location: '.' })),
+                ...info.workspaces.flatMap(workspace => workspace.types.map(type => ({ type, location: workspace.path })))
+            ]
+            : [];
+
+        if (rows.length === 0) {
+            list.innerHTML = '<div class="text-gray-500">No project type detected</div>';
+            return;
+        }
+
+        rows.forEach(({ type, location }) => {
+            const row = document.createElement('div');
+            row.className = 'flex justify-between';
+            row.title = type.signals.join(', ');
+            const frameworks = type.frameworks.length > 0 ? ` (${type.frameworks.join(', ')})` : '';
+            row.innerHTML = `
+                <span>${this.escapeHtml(`${type.icon} ${type.name}${frameworks}`)}</span>
+                <span class="text-gray-400">${this.escapeHtml(location)}</span>
+            `;
+            list.appendChild(row);
+        });
     }
 
     async loadRecentProjects() {
@@ -727,11 +1205,13 @@ class EasyDebugApp {
             terminalCount: this.activeTerminals.size
         });
 
-        // Add to command history
-        this.addToCommandHistory(command, this.currentProject);
+        // Add to command history; the result is filled in when the shell reports it
+        this.addToCommandHistory(command, this.currentProject, this.terminalManager.activeTerminalId);
 
         // Change to project directory first, then execute command
-        const fullCommand = `cd "${this.currentProject}" && ${command}`;
+        const fullCommand = commandVariants
+            ? commandVariants.buildCdCommand(this.currentProject, command, this.getActiveShell())
+            : `cd "${this.currentProject}" && ${command}`;
 
         logger.debug('Executing command in terminal', {
             command,
@@ -747,7 +1227,7 @@ class EasyDebugApp {
             }, 'command');
 
             // Check if it's a directory change command and sync file explorer
-            this.handleDirectoryChange(command);
+            this.handleDirectoryChange(command, this.terminalManager.activeTerminalId);
 
             logger.endTimer(timer, { success: true });
         } else {
@@ -760,7 +1240,14 @@ class EasyDebugApp {
         }
     }
 
-    handleDirectoryChange(command) {
+    // Fallback for shells that don't report their working directory (see
+    // handleShellEvent): follow a `cd` sent from the ribbon at least
+    handleDirectoryChange(command, terminalId) {
+        const terminal = this.terminalManager.getTerminal(terminalId);
+        if (terminal && terminal.reportsWorkingDirectory) {
+            return;
+        }
+
         // Check if the command is a directory change command
         const cdRegex = /^cd\s+(.+)$/i;
         const match = command.match(cdRegex);
@@ -823,26 +1310,131 @@ class EasyDebugApp {
         }
     }
 
-    setupTerminal() {
+    // Shell integration events drive command results, notifications and the explorer,
+    // which follows the focused terminal's real directory (including `cd` typed by hand)
+    handleShellEvent(terminalId, event) {
+        const result = this.commandTracker ? this.commandTracker.handleEvent(terminalId, event) : null;
+        if (result) {
+            this.recordCommandResult(result);
+        }
+        if (event.type === 'command-finished') {
+            this.reportCommandFinished(terminalId, event, result);
+            // The command may have switched or created branches
+            this.scheduleBranchRefresh();
+        }
+        if (event.type === 'exit' && this.commandTracker) {
+            this.commandTracker.forget(terminalId).forEach(entryId => {
+                this.recordCommandResult({ entryId, exitCode: null });
+            });
+        }
+
+        if (event.type !== 'cwd' || terminalId !== this.terminalManager.activeTerminalId) {
+            return;
+        }
+
+        logger.debug('Terminal working directory changed', { terminalId, cwd: event.cwd }, 'explorer-sync');
+        this.syncExplorerWithTerminal(terminalId);
+    }
+
+    // The main process decides whether the command ran long enough to notify.
+    // Commands sent from the ribbon use their history entry's command and project.
+    reportCommandFinished(terminalId, event, result = null) {
+        const entry = result ? this.commandHistory.find(item => item.id === result.entryId) : null;
+        const durationMs = result ? result.endedAt - result.startedAt : event.durationMs;
+        if (typeof durationMs !== 'number') {
+            return;
+        }
+
+        ipcRenderer.invoke('command-finished', {
+            terminalId,
+            command: entry ? entry.command : event.commandLine,
+            projectPath: entry ? entry.fullProjectPath : event.cwd,
+            exitCode: event.exitCode,
+            durationMs,
+            terminalName: this.getTerminalTitle(terminalId)
+        }).catch(error => {
+            logger.error('Error reporting finished command', error, { terminalId }, 'notifications');
+        });
+    }
+
+    // Clicking a command notification brings its terminal (and pane) to the front
+    focusTerminalById(terminalId) {
+        const tabElementId = this.getTabIdForTerminal(terminalId);
+        if (!tabElementId) {
+            return;
+        }
+
+        this.switchToTerminal(tabElementId);
+        if (this.splitPanes) {
+            this.splitPanes.focusTerminal(tabElementId, terminalId);
+        }
+    }
+
+    // Each step of a parallel task group runs in a terminal of its own
+    async openTaskTerminal(title) {
+        const terminalElementId = await this.createNewTerminal({ title });
+        const terminalInfo = terminalElementId ? this.activeTerminals.get(terminalElementId) : null;
+        return terminalInfo ? terminalInfo.terminalId : null;
+    }
+
+    syncExplorerWithTerminal(terminalId) {
+        const terminal = this.terminalManager.getTerminal(terminalId);
+        // Until the shell reports it, the stored directory is only where the shell started
+        if (this.fileExplorer && terminal && terminal.reportsWorkingDirectory) {
+            this.fileExplorer.syncWithTerminal(terminal.workingDirectory);
+        }
+    }
+
+    async setupTerminal() {
+        const sessions = await this.loadTerminalSessions();
+        const [firstSession, ...otherSessions] = sessions;
+
         try {
-            const terminalId = this.terminalManager.createTerminal('default-terminal', this.currentProject);
+            const workingDirectory = this.getRestorableDirectory(firstSession) || this.currentProject;
+            const paneId = this.splitPanes ? this.splitPanes.initTab('default-terminal') : 'default-terminal';
+            const terminalId = await this.terminalManager.createTerminal(paneId, workingDirectory, {
+                restoredSession: firstSession,
+                profileId: this.getRestorableProfileId(firstSession)
+            });
+            if (this.splitPanes) {
+                this.splitPanes.registerPane('default-terminal', paneId, terminalId);
+            }
+            const title = firstSession ? firstSession.title : 'Terminal 1';
             this.activeTerminals.set('default-terminal', {
                 id: 'default-terminal',
-                title: 'Terminal 1',
-                terminalId
+                title,
+                terminalId,
+                project: firstSession ? firstSession.project : this.currentProject
             });
+            this.updateTerminalTabTitle('default-terminal', title);
             this.showToast('Terminal initialized', 'success');
         } catch (error) {
             console.error('Error setting up terminal:', error);
             this.showToast('Error initializing terminal', 'error');
         }
+
+        for (const session of otherSessions) {
+            await this.createNewTerminal({ session });
+        }
+
+        if (sessions.length > 0) {
+            const activeIndex = Math.max(0, sessions.findIndex(session => session.isActive));
+            const activeElementId = Array.from(this.activeTerminals.keys())[activeIndex];
+            if (activeElementId) {
+                this.switchToTerminal(activeElementId);
+            }
+            this.showToast(`Restored ${sessions.length} terminal session${sessions.length === 1 ? '' : 's'}`, 'info');
+        }
     }
 
-    createNewTerminal() {
+    async createNewTerminal({ session = null, profileId = null, title = null } = {}) {
         try {
             this.terminalCounter++;
             const terminalElementId = `terminal-${this.terminalCounter}`;
-            const terminalTitle = `Terminal ${this.terminalCounter}`;
+            const profile = this.getShellProfile(profileId);
+            const terminalTitle = session
+                ? session.title
+                : title || (profile ? `${profile.icon} ${profile.name} ${this.terminalCounter}` : `Terminal ${this.terminalCounter}`);
             
             // Create terminal container element
             const terminalContainer = document.getElementById('terminal-container');
@@ -851,65 +1443,1005 @@ class EasyDebugApp {
             newTerminalDiv.className = 'h-full hidden';
             terminalContainer.appendChild(newTerminalDiv);
             
+            // Create tab before the terminal so restored sessions keep their order
+            this.addTerminalTab(terminalElementId, terminalTitle);
+
             // Create terminal instance
-            const terminalId = this.terminalManager.createTerminal(terminalElementId, this.currentProject);
+            const workingDirectory = this.getRestorableDirectory(session) || this.currentProject;
+            const paneId = this.splitPanes ? this.splitPanes.initTab(terminalElementId) : terminalElementId;
+            const terminalId = await this.terminalManager.createTerminal(paneId, workingDirectory, {
+                restoredSession: session,
+                profileId: session ? this.getRestorableProfileId(session) : profileId
+            });
             
             // Store terminal info
             this.activeTerminals.set(terminalElementId, {
                 id: terminalElementId,
                 title: terminalTitle,
-                terminalId
+                terminalId,
+                project: session ? session.project : this.currentProject
             });
-            
-            // Create tab
-            this.addTerminalTab(terminalElementId, terminalTitle);
+            if (this.splitPanes) {
+                this.splitPanes.registerPane(terminalElementId, paneId, terminalId);
+            }
             
             // Switch to new terminal
-            this.switchToTerminal(terminalElementId);
-            
-            this.showToast(`Created ${terminalTitle}`, 'success');
+            if (!session) {
+                this.switchToTerminal(terminalElementId);
+                this.showToast(`Created ${terminalTitle}`, 'success');
+            }
+
+            return terminalElementId;
         } catch (error) {
             console.error('Error creating terminal:', error);
             this.showToast('Error creating terminal', 'error');
+            return null;
         }
     }
 
-    showCommitModal() {
-        if (!this.currentProject) {
-            this.showToast('Please select a project folder first', 'warning');
-            return;
+    // Terminal Session Persistence
+    async loadTerminalSessions() {
+        try {
+            const sessions = await ipcRenderer.invoke('get-terminal-sessions');
+            return Array.isArray(sessions) ? sessions : [];
+        } catch (error) {
+            logger.error('Error loading terminal sessions', error, {}, 'terminal');
+            return [];
         }
-        
-        document.getElementById('modal-overlay').classList.remove('hidden');
-        document.getElementById('commit-modal').classList.remove('hidden');
-        document.getElementById('commit-message').focus();
     }
 
-    hideCommitModal() {
-        document.getElementById('modal-overlay').classList.add('hidden');
-        document.getElementById('commit-modal').classList.add('hidden');
-        document.getElementById('commit-message').value = '';
-    }
+    getRestorableDirectory(session) {
+        if (!session || !session.workingDirectory) {
+            return null;
+        }
 
-    performCommit() {
-        const message = document.getElementById('commit-message').value.trim();
-        const commitTextarea = document.getElementById('commit-message');
-        
-        // Remove existing error styling
-        commitTextarea.classList.remove('input-error');
-        
-        // Validate commit message
-        const validationError = InputValidator.validateCommitMessage(message);
-        if (validationError) {
-            commitTextarea.classList.add('input-error');
-            this.showToast(validationError, 'error');
-            return;
+        try {
+            return fs.existsSync(session.workingDirectory) ? session.workingDirectory : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    setupSessionPersistence() {
+        // Main process asks for a snapshot right before the window closes
+        ipcRenderer.on('request-terminal-sessions', () => {
+            let sessions = [];
+            try {
+                sessions = this.getTerminalSessions();
+            } catch (error) {
+                logger.error('Error collecting terminal sessions', error, {}, 'terminal');
+            }
+            ipcRenderer.send('terminal-sessions-snapshot', sessions);
+        });
+    }
+
+    getTerminalSessions() {
+        const savedAt = new Date().toISOString();
+        const activeTerminalId = this.terminalManager.activeTerminalId;
+
+        return Array.from(this.activeTerminals.values())
+            .filter(info => info.terminalId)
+            .map(info => {
+                const snapshot = this.terminalManager.getSessionSnapshot(info.terminalId);
+                if (!snapshot) {
+                    return null;
+                }
+
+                return {
+                    title: info.title,
+                    workingDirectory: snapshot.workingDirectory,
+                    shell: snapshot.shell,
+                    profileId: snapshot.profileId,
+                    project: info.project || null,
+                    scrollback: snapshot.scrollback,
+                    isActive: info.terminalId === activeTerminalId,
+                    savedAt
+                };
+            })
+            .filter(Boolean);
+    }
+
+    // Shell Profiles Management
+    async loadShellProfiles() {
+        try {
+            const result = await ipcRenderer.invoke('get-shell-profiles');
+            this.shellProfiles = result.profiles || [];
+            this.defaultShellProfileId = result.defaultProfileId || null;
+            this.projectDefaultProfileId = result.projectDefaultProfileId || null;
+            this.renderShellProfileMenu();
+        } catch (error) {
+            logger.error('Error loading shell profiles', error, {}, 'terminal');
+            this.shellProfiles = [];
+            this.defaultShellProfileId = null;
+            this.projectDefaultProfileId = null;
+        }
+    }
+
+    getShellProfile(profileId) {
+        if (!profileId) return null;
+        return this.shellProfiles.find(profile => profile.id === profileId) || null;
+    }
+
+    // A restored session falls back to the default shell if its profile was deleted
+    getRestorableProfileId(session) {
+        if (!session || !session.profileId) return null;
+        return this.getShellProfile(session.profileId) ? session.profileId : null;
+    }
+
+    setupShellProfileControls() {
+        const profileBtn = document.getElementById('terminal-profile-btn');
+        const profileMenu = document.getElementById('terminal-profile-menu');
+        if (!profileBtn || !profileMenu) return;
+
+        profileBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            profileMenu.classList.toggle('hidden');
+        });
+
+        document.addEventListener('click', (e) => {
+            if (!profileMenu.contains(e.target)) {
+                profileMenu.classList.add('hidden');
+            }
+        });
+
+        profileMenu.addEventListener('click', (e) => {
+            const editBtn = e.target.closest('[data-edit-profile]');
+            const deleteBtn = e.target.closest('[data-delete-profile]');
+            const item = e.target.closest('[data-profile]');
+
+            if (editBtn) {
+                this.showShellProfileModal(editBtn.dataset.editProfile);
+            } else if (deleteBtn) {
+                this.deleteShellProfile(deleteBtn.dataset.deleteProfile);
+            } else if (item && item.dataset.profile === '__manage__') {
+                this.showShellProfileModal();
+            } else if (item) {
+                this.createNewTerminal({ profileId: item.dataset.profile || null });
+            }
+            profileMenu.classList.add('hidden');
+        });
+
+        const cancelBtn = document.getElementById('cancel-shell-profile');
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', () => this.hideShellProfileModal());
+        }
+
+        const confirmBtn = document.getElementById('confirm-shell-profile');
+        if (confirmBtn) {
+            confirmBtn.addEventListener('click', () => this.saveShellProfile());
+        }
+    }
+
+    renderShellProfileMenu() {
+        const menu = document.getElementById('terminal-profile-menu');
+        if (!menu) return;
+
+        const items = this.shellProfiles.map(profile => `
+            <div class="dropdown-menu-item" data-profile="${this.escapeHtml(profile.id)}" title="${this.escapeHtml(profile.executable)}">
+                <span>${this.escapeHtml(profile.icon)} ${this.escapeHtml(profile.name)}${this.getProfileLabelSuffix(profile)}</span>
+                ${profile.builtin ? '' : `
+                    <span class="dropdown-menu-actions">
+                        <button class="action-btn" data-edit-profile="${this.escapeHtml(profile.id)}">✏️</button>
+                        <button class="action-btn" data-delete-profile="${this.escapeHtml(profile.id)}">🗑️</button>
+                    </span>`}
+            </div>
+        `).join('');
+
+        menu.innerHTML = `
+            <div class="dropdown-menu-item" data-profile="">💻 Default Shell</div>
+            ${items}
+            <div class="dropdown-menu-separator"></div>
+            <div class="dropdown-menu-item" data-profile="__manage__">➕ New Profile...</div>
+        `;
+    }
+
+    // The project's default replaces the user's for terminals opened in the project
+    getProfileLabelSuffix(profile) {
+        if (profile.id === this.projectDefaultProfileId) {
+            return ' (project default)';
+        }
+        if (profile.id === this.defaultShellProfileId && !this.projectDefaultProfileId) {
+            return ' (default)';
+        }
+        return profile.source === 'project' ? ' (project)' : '';
+    }
+
+    showShellProfileModal(profileId = null) {
+        this.editingProfileId = profileId;
+        const profile = this.getShellProfile(profileId);
+        const title = document.getElementById('shell-profile-modal-title');
+
+        title.textContent = profile ? 'Edit Shell Profile' : 'Add Shell Profile';
+        document.getElementById('profile-name').value = profile ? profile.name : '';
+        document.getElementById('profile-executable').value = profile ? profile.executable : '';
+        document.getElementById('profile-args').value = profile && shellProfiles ? shellProfiles.formatArgs(profile.args) : '';
+        document.getElementById('profile-env').value = profile && shellProfiles ? shellProfiles.formatEnv(profile.env) : '';
+        document.getElementById('profile-startup').value = profile ? profile.startupCommand : '';
+        document.getElementById('profile-icon').value = profile ? profile.icon : '';
+        document.getElementById('profile-default').checked = !!profile && profile.id === this.defaultShellProfileId;
+
+        document.getElementById('modal-overlay').classList.remove('hidden');
+        document.getElementById('shell-profile-modal').classList.remove('hidden');
+        document.getElementById('profile-name').focus();
+    }
+
+    hideShellProfileModal() {
+        document.getElementById('modal-overlay').classList.add('hidden');
+        document.getElementById('shell-profile-modal').classList.add('hidden');
+        this.editingProfileId = null;
+    }
+
+    async saveShellProfile() {
+        if (!shellProfiles) {
+            this.showToast('Shell profiles are unavailable', 'error');
+            return;
+        }
+
+        const argsText = document.getElementById('profile-args').value.trim();
+        const profile = shellProfiles.createProfile({
+            id: this.editingProfileId || `custom-${Date.now()}`,
+            name: document.getElementById('profile-name').value.trim(),
+            executable: document.getElementById('profile-executable').value.trim(),
+            args: argsText ? shellProfiles.parseArgs(argsText) : null,
+            env: shellProfiles.parseEnv(document.getElementById('profile-env').value),
+            startupCommand: document.getElementById('profile-startup').value.trim(),
+            icon: document.getElementById('profile-icon').value.trim() || '💻'
+        });
+
+        const errors = shellProfiles.validateProfile(profile);
+        const duplicate = this.shellProfiles.find(existing =>
+            existing.name.toLowerCase() === profile.name.toLowerCase() && existing.id !== profile.id
+        );
+        if (duplicate) {
+            errors.push('A profile with this name already exists');
+        }
+
+        if (errors.length > 0) {
+            this.showToast(errors[0], 'error');
+            return;
+        }
+
+        const profiles = this.shellProfiles.filter(existing => existing.id !== profile.id);
+        profiles.push(profile);
+
+        const isDefault = document.getElementById('profile-default').checked;
+        let defaultProfileId = this.defaultShellProfileId;
+        if (isDefault) {
+            defaultProfileId = profile.id;
+        } else if (defaultProfileId === profile.id) {
+            defaultProfileId = null;
+        }
+
+        await this.persistShellProfiles(profiles, defaultProfileId, 'Shell profile saved');
+        this.hideShellProfileModal();
+    }
+
+    async deleteShellProfile(profileId) {
+        const profile = this.getShellProfile(profileId);
+        if (!profile || profile.builtin) return;
+
+        if (!confirm(`Are you sure you want to delete the "${profile.name}" profile?`)) {
+            return;
+        }
+
+        const profiles = this.shellProfiles.filter(existing => existing.id !== profileId);
+        const defaultProfileId = this.defaultShellProfileId === profileId ? null : this.defaultShellProfileId;
+        await this.persistShellProfiles(profiles, defaultProfileId, 'Shell profile deleted');
+    }
+
+    async persistShellProfiles(profiles, defaultProfileId, successMessage) {
+        try {
+            const result = await ipcRenderer.invoke('save-shell-profiles', { profiles, defaultProfileId });
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            await this.loadShellProfiles();
+            this.showToast(successMessage, 'success');
+        } catch (error) {
+            logger.error('Error saving shell profiles', error, {}, 'terminal');
+            this.showToast(`Error saving profiles: ${error.message}`, 'error');
+        }
+    }
+
+    // Command Notifications
+    async showNotificationSettingsModal() {
+        try {
+            this.notificationSettings = await ipcRenderer.invoke('get-notification-settings');
+        } catch (error) {
+            logger.error('Error loading notification settings', error, {}, 'notifications');
+            this.showToast('Error loading notification settings', 'error');
+            return;
+        }
+
+        const settings = this.notificationSettings;
+        const muteProject = document.getElementById('notify-mute-project');
+        document.getElementById('notify-enabled').checked = settings.enabled;
+        document.getElementById('notify-threshold').value = settings.thresholdSeconds;
+        document.getElementById('notify-muted-commands').value = settings.mutedCommands.join('\n');
+        document.getElementById('notify-project-name').textContent = this.currentProject
+            ? path.basename(this.currentProject)
+            : 'this project (no project selected)';
+        muteProject.disabled = !this.currentProject;
+        muteProject.checked = !!this.currentProject && settings.mutedProjects.includes(this.currentProject);
+
+        document.getElementById('modal-overlay').classList.remove('hidden');
+        document.getElementById('notification-settings-modal').classList.remove('hidden');
+    }
+
+    hideNotificationSettingsModal() {
+        document.getElementById('modal-overlay').classList.add('hidden');
+        document.getElementById('notification-settings-modal').classList.add('hidden');
+    }
+
+    async saveNotificationSettings() {
+        const threshold = parseInt(document.getElementById('notify-threshold').value, 10);
+        if (!Number.isInteger(threshold) || threshold < 1) {
+            this.showToast('Enter a duration of at least 1 second', 'error');
+            return;
+        }
+
+        let mutedProjects = (this.notificationSettings.mutedProjects || []).filter(project => project !== this.currentProject);
+        if (this.currentProject && document.getElementById('notify-mute-project').checked) {
+            mutedProjects = [...mutedProjects, this.currentProject];
+        }
+
+        const settings = {
+            enabled: document.getElementById('notify-enabled').checked,
+            thresholdSeconds: threshold,
+            mutedProjects,
+            mutedCommands: document.getElementById('notify-muted-commands').value.split('\n')
+        };
+
+        try {
+            const result = await ipcRenderer.invoke('save-notification-settings', settings);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            this.notificationSettings = result.settings;
+            logger.userAction('save-notification-settings', {
+                enabled: result.settings.enabled,
+                thresholdSeconds: result.settings.thresholdSeconds
+            });
+            this.hideNotificationSettingsModal();
+            this.showToast('Notification settings saved', 'success');
+        } catch (error) {
+            logger.error('Error saving notification settings', error, {}, 'notifications');
+            this.showToast(`Error saving notification settings: ${error.message}`, 'error');
+        }
+    }
+
+    updateTerminalTabTitle(terminalElementId, title) {
+        const tabTitle = document.querySelector(`[data-terminal="${terminalElementId}"] .tab-title`);
+        if (tabTitle) {
+            tabTitle.textContent = title;
+        }
+    }
+
+    setupCommitControls() {
+        const typeSelect = document.getElementById('commit-type');
+        if (commitMessages) {
+            commitMessages.CONVENTIONAL_TYPES.forEach(({ type, description }) => {
+                typeSelect.appendChild(new Option(`${type} - ${description}`, type));
+            });
+        }
+
+        ['commit-message', 'commit-type', 'commit-scope', 'commit-breaking'].forEach(id => {
+            const element = document.getElementById(id);
+            element.addEventListener(element.tagName === 'SELECT' || element.type === 'checkbox' ? 'change' : 'input', () => {
+                this.updateCommitForm();
+            });
+        });
+
+        document.getElementById('commit-include').addEventListener('change', (e) => {
+            document.getElementById('commit-file-list').classList.toggle('hidden', e.target.value !== 'selected');
+        });
+
+        document.getElementById('commit-amend').addEventListener('change', (e) => {
+            if (e.target.checked) {
+                this.loadLastCommitMessage();
+            }
+            this.updateCommitForm();
+        });
+
+        // Ctrl+Enter commits from the message box
+        document.getElementById('commit-message').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                this.performCommit();
+            }
+        });
+    }
+
+    async showCommitModal() {
+        if (!this.currentProject) {
+            this.showToast('Please select a project folder first', 'warning');
+            return;
+        }
+
+        try {
+            const status = await ipcRenderer.invoke('git-status', this.currentProject);
+            if (!status.success) {
+                throw new Error(status.error);
+            }
+            if (!status.root) {
+                this.showToast('This folder is not in a Git repository', 'warning');
+                return;
+            }
+            this.commitStatus = status;
+        } catch (error) {
+            logger.error('Error reading git status for commit', error, {}, 'git');
+            this.showToast(`Git status failed: ${error.message}`, 'error');
+            return;
+        }
+
+        this.renderCommitFileList();
+        this.updateCommitForm();
+        document.getElementById('modal-overlay').classList.remove('hidden');
+        document.getElementById('commit-modal').classList.remove('hidden');
+        document.getElementById('commit-message').focus();
+    }
+
+    hideCommitModal() {
+        document.getElementById('modal-overlay').classList.add('hidden');
+        document.getElementById('commit-modal').classList.add('hidden');
+        document.getElementById('commit-message').value = '';
+        document.getElementById('commit-message').classList.remove('input-error');
+        document.getElementById('commit-type').value = '';
+        document.getElementById('commit-scope').value = '';
+        document.getElementById('commit-breaking').checked = false;
+        document.getElementById('commit-amend').checked = false;
+        this.commitStatus = null;
+    }
+
+    // { type, scope, breaking } from the Conventional Commits picker, or null without a type
+    getCommitConventional() {
+        const type = document.getElementById('commit-type').value;
+        if (!type) {
+            return null;
+        }
+
+        return {
+            type,
+            scope: document.getElementById('commit-scope').value.trim(),
+            breaking: document.getElementById('commit-breaking').checked
+        };
+    }
+
+    // Changed files to pick from when committing selected files; staged ones start checked
+    renderCommitFileList() {
+        const fileList = document.getElementById('commit-file-list');
+        const status = this.commitStatus;
+        const files = new Map();
+        status.staged.forEach(file => files.set(file.path, { ...file, checked: true }));
+        [...status.unstaged, ...status.untracked].forEach(file => {
+            if (!files.has(file.path)) {
+                files.set(file.path, { ...file, checked: false });
+            }
+        });
+
+        fileList.innerHTML = '';
+        if (files.size === 0) {
+            fileList.innerHTML = '<div class="commit-file-empty">No changed files</div>';
+            return;
+        }
+
+        files.forEach(file => {
+            const label = document.createElement('label');
+            label.className = 'commit-file';
+            label.title = file.origPath ? `${file.origPath} → ${file.path}` : file.path;
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = file.checked;
+            checkbox.value = file.path;
+            if (file.origPath) {
+                checkbox.dataset.origPath = file.origPath;
+            }
+
+            const statusLabel = document.createElement('span');
+            statusLabel.className = 'commit-file-status';
+            statusLabel.textContent = file.status === '?' ? 'U' : file.status;
+
+            const name = document.createElement('span');
+            name.textContent = file.path;
+
+            label.append(checkbox, statusLabel, name);
+            fileList.appendChild(label);
+        });
+    }
+
+    // A renamed file is committed together with the removal of its old path
+    getSelectedCommitPaths() {
+        return Array.from(document.querySelectorAll('#commit-file-list input:checked')).flatMap(checkbox => {
+            return checkbox.dataset.origPath ? [checkbox.value, checkbox.dataset.origPath] : [checkbox.value];
+        });
+    }
+
+    // Fills in the last commit's message (and its type and scope) when amending
+    async loadLastCommitMessage() {
+        const textarea = document.getElementById('commit-message');
+        if (textarea.value.trim() || !this.commitStatus) {
+            return;
+        }
+
+        try {
+            const result = await ipcRenderer.invoke('git-last-commit-message', this.commitStatus.root);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            const parsed = commitMessages ? commitMessages.parseConventionalHeader(result.message) : null;
+            if (parsed) {
+                document.getElementById('commit-type').value = parsed.conventional.type;
+                document.getElementById('commit-scope').value = parsed.conventional.scope;
+                document.getElementById('commit-breaking').checked = parsed.conventional.breaking;
+            }
+            textarea.value = parsed ? parsed.message : result.message;
+            this.updateCommitForm();
+        } catch (error) {
+            logger.error('Error loading the last commit message', error, {}, 'git');
+        }
+    }
+
+    // Character counter, validation message and button state of the commit dialog
+    updateCommitForm() {
+        const message = document.getElementById('commit-message').value.trim();
+        const conventional = this.getCommitConventional();
+        const error = message ? InputValidator.validateCommitMessage(message, conventional) : null;
+        const subjectLength = commitMessages
+            ? commitMessages.getSubjectLength(message, conventional)
+            : message.split('\n')[0].length;
+        const maxLength = commitMessages ? commitMessages.SUBJECT_MAX_LENGTH : 72;
+
+        const count = document.getElementById('commit-message-count');
+        count.textContent = subjectLength;
+        count.parentElement.classList.toggle('over-limit', subjectLength > maxLength);
+
+        const errorElement = document.getElementById('commit-message-error');
+        errorElement.textContent = error || '';
+        errorElement.classList.toggle('hidden', !error);
+
+        const confirmButton = document.getElementById('confirm-commit');
+        confirmButton.disabled = !message || !!error;
+        confirmButton.textContent = document.getElementById('commit-amend').checked ? 'Amend' : 'Commit';
+    }
+
+    setupBranchControls() {
+        document.getElementById('project-branch').addEventListener('click', () => {
+            this.showBranchModal();
+        });
+
+        document.getElementById('cancel-branch').addEventListener('click', () => {
+            this.hideBranchModal();
+        });
+
+        document.getElementById('confirm-branch').addEventListener('click', () => {
+            this.switchSelectedBranch();
+        });
+
+        document.getElementById('delete-branch').addEventListener('click', () => {
+            this.deleteSelectedBranch();
+        });
+
+        document.getElementById('create-branch').addEventListener('click', () => {
+            this.createBranch();
+        });
+
+        document.getElementById('set-branch-upstream').addEventListener('click', () => {
+            this.setBranchUpstream();
+        });
+
+        const branchSelect = document.getElementById('branch-select');
+        branchSelect.addEventListener('change', () => {
+            this.updateBranchDetails();
+        });
+        branchSelect.addEventListener('dblclick', () => {
+            this.switchSelectedBranch();
+        });
+
+        document.getElementById('new-branch-name').addEventListener('input', (e) => {
+            e.target.classList.remove('input-error');
+        });
+    }
+
+    scheduleBranchRefresh() {
+        if (!this.currentProject || this.branchRefreshTimer) {
+            return;
+        }
+
+        this.branchRefreshTimer = setTimeout(() => {
+            this.branchRefreshTimer = null;
+            this.refreshProjectBranch();
+        }, 500);
+    }
+
+    async refreshProjectBranch() {
+        const projectPath = this.currentProject;
+        if (!projectPath) {
+            return;
+        }
+
+        try {
+            const result = await ipcRenderer.invoke('git-branches', projectPath);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            if (projectPath !== this.currentProject) {
+                return;
+            }
+            this.branchInfo = result.root ? result : null;
+        } catch (error) {
+            logger.error('Error loading branches', error, { projectPath }, 'git');
+            this.branchInfo = null;
+        }
+        this.renderProjectBranch();
+    }
+
+    // Current branch next to the project path; hidden outside a Git repository
+    renderProjectBranch() {
+        const button = document.getElementById('project-branch');
+        const info = this.branchInfo;
+        button.classList.toggle('hidden', !info);
+        if (!info) {
+            return;
+        }
+
+        const current = info.local.find(branch => branch.current);
+        const unborn = info.local.length === 0;
+        document.getElementById('project-branch-name').textContent = current
+            ? current.name
+            : (unborn ? 'no commits yet' : 'detached HEAD');
+        document.getElementById('project-branch-tracking').textContent = current && gitBranches
+            ? gitBranches.describeTracking(current)
+            : '';
+        button.title = current && current.upstream
+            ? `Tracking ${current.upstream} - click to manage branches`
+            : 'Manage branches';
+    }
+
+    async showBranchModal() {
+        if (!this.currentProject) {
+            this.showToast('Please select a project folder first', 'warning');
+            return;
+        }
+
+        await this.refreshProjectBranch();
+        if (!this.branchInfo) {
+            this.showToast('This folder is not in a Git repository', 'warning');
+            return;
+        }
+
+        this.renderBranchModal(this.branchInfo.current ? `local:${this.branchInfo.current}` : null);
+        document.getElementById('modal-overlay').classList.remove('hidden');
+        document.getElementById('branch-modal').classList.remove('hidden');
+        document.getElementById('branch-select').focus();
+    }
+
+    hideBranchModal() {
+        document.getElementById('modal-overlay').classList.add('hidden');
+        document.getElementById('branch-modal').classList.add('hidden');
+        document.getElementById('new-branch-name').value = '';
+        document.getElementById('new-branch-start').value = '';
+        document.getElementById('new-branch-name').classList.remove('input-error');
+    }
+
+    isBranchModalVisible() {
+        return !document.getElementById('branch-modal').classList.contains('hidden');
+    }
+
+    // Option values are "local:<name>" or "remote:<name>"; selectedValue keeps a
+    // branch selected across a refresh, the current branch is selected otherwise
+    renderBranchModal(selectedValue = null) {
+        const info = this.branchInfo;
+        const branchSelect = document.getElementById('branch-select');
+        const previous = selectedValue || branchSelect.value;
+        branchSelect.innerHTML = '';
+
+        const addGroup = (label, branches, createOption) => {
+            if (branches.length === 0) return;
+            const group = document.createElement('optgroup');
+            group.label = label;
+            branches.forEach(branch => group.appendChild(createOption(branch)));
+            branchSelect.appendChild(group);
+        };
+
+        addGroup('Local', info.local, branch => {
+            const tracking = gitBranches ? gitBranches.describeTracking(branch) : '';
+            return new Option(`${branch.current ? '● ' : ''}${branch.name}${tracking ? `  ${tracking}` : ''}`, `local:${branch.name}`);
+        });
+        addGroup('Remote', info.remote, branch => {
+            return new Option(`${branch.name}${branch.tracked ? '  (tracked)' : ''}`, `remote:${branch.name}`);
+        });
+
+        const values = Array.from(branchSelect.options).map(option => option.value);
+        branchSelect.value = values.includes(previous) ? previous : (info.current ? `local:${info.current}` : values[0] || '');
+
+        const upstreamSelect = document.getElementById('branch-upstream');
+        upstreamSelect.innerHTML = '';
+        upstreamSelect.appendChild(new Option('None', ''));
+        info.remote.forEach(branch => upstreamSelect.appendChild(new Option(branch.name, branch.name)));
+
+        const refs = document.getElementById('branch-refs');
+        refs.innerHTML = '';
+        [...info.local, ...info.remote].forEach(branch => refs.appendChild(new Option(branch.name)));
+
+        this.updateBranchDetails();
+    }
+
+    // { remote, branch } for the branch selected in the branch modal, or null
+    getSelectedBranch() {
+        const value = document.getElementById('branch-select').value;
+        if (!value || !this.branchInfo) {
+            return null;
+        }
+
+        const remote = value.startsWith('remote:');
+        const name = value.slice(value.indexOf(':') + 1);
+        const branch = (remote ? this.branchInfo.remote : this.branchInfo.local).find(item => item.name === name);
+        return branch ? { remote, branch } : null;
+    }
+
+    updateBranchDetails() {
+        const selected = this.getSelectedBranch();
+        const details = document.getElementById('branch-details');
+        const upstreamGroup = document.getElementById('branch-upstream-group');
+        const isCurrent = !!selected && !selected.remote && selected.branch.current;
+
+        document.getElementById('confirm-branch').disabled = !selected || isCurrent;
+        document.getElementById('delete-branch').disabled = !selected || selected.remote || isCurrent;
+        upstreamGroup.classList.toggle('hidden', !selected || selected.remote);
+
+        if (!selected) {
+            details.textContent = '';
+            return;
+        }
+
+        const { branch } = selected;
+        details.textContent = `${branch.oid} ${branch.subject} (${branch.date})`;
+        if (!selected.remote) {
+            document.getElementById('branch-upstream').value = branch.upstream || '';
+        }
+    }
+
+    // Whether the project's working tree has changes to tracked files (the ones
+    // a switch or pull can fail on); false when that can't be determined
+    async hasUncommittedChanges() {
+        try {
+            const status = await ipcRenderer.invoke('git-status', this.currentProject);
+            return !!(status.success && status.root &&
+                (status.staged.length > 0 || status.unstaged.length > 0 || status.conflicted.length > 0));
+        } catch (error) {
+            logger.error('Error checking for uncommitted changes', error, {}, 'git');
+            return false;
+        }
+    }
+
+    // Offers to stash uncommitted changes before they are carried to another branch
+    async confirmStashBeforeSwitch(branchName) {
+        return await this.hasUncommittedChanges() && confirm(
+            `You have uncommitted changes. Stash them before switching to "${branchName}"?\n\n` +
+            'Choose Cancel to take them along instead (Git refuses the switch if they conflict).'
+        );
+    }
+
+    // Runs git pull in the terminal. With uncommitted changes it offers
+    // --autostash, which stashes them first and reapplies them after the pull;
+    // if they conflict with what was pulled, the stash is kept in the stash list.
+    async pullWithStash() {
+        if (!this.currentProject) {
+            this.executeCommand('git pull');
+            return;
+        }
+
+        const autostash = await this.hasUncommittedChanges() && confirm(
+            'You have uncommitted changes. Stash them during the pull and reapply them afterwards?\n\n' +
+            'Choose Cancel to pull without stashing (Git refuses the pull if they conflict).'
+        );
+        this.executeCommand(autostash ? 'git pull --autostash' : 'git pull');
+    }
+
+    async switchSelectedBranch() {
+        const selected = this.getSelectedBranch();
+        if (!selected || (!selected.remote && selected.branch.current)) {
+            return;
+        }
+
+        // A remote branch that already has a local counterpart switches to that one
+        let target = selected.branch.name;
+        let remote = selected.remote;
+        if (remote) {
+            const localBranch = this.branchInfo.local.find(branch => branch.upstream === selected.branch.name) ||
+                this.branchInfo.local.find(branch => branch.name === selected.branch.branch);
+            if (localBranch) {
+                target = localBranch.name;
+                remote = false;
+            }
+        }
+        const localName = remote ? selected.branch.branch : target;
+
+        const stash = await this.confirmStashBeforeSwitch(localName);
+        try {
+            const result = await ipcRenderer.invoke('git-switch-branch', { root: this.branchInfo.root, branch: target, remote, stash });
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            logger.userAction('git-switch-branch', { remote, stashed: result.stashed });
+            this.showToast(
+                result.stashed ? `Switched to ${localName}; your changes were stashed` : `Switched to ${localName}`,
+                'success'
+            );
+            await this.handleBranchesChanged(`local:${localName}`);
+        } catch (error) {
+            logger.error('Error switching branch', error, { remote }, 'git');
+            this.showToast(`Could not switch to ${localName}: ${error.message}`, 'error');
+        }
+    }
+
+    async createBranch() {
+        const nameInput = document.getElementById('new-branch-name');
+        const name = nameInput.value.trim();
+        const startPoint = document.getElementById('new-branch-start').value.trim();
+        const checkout = document.getElementById('new-branch-checkout').checked;
+
+        const nameError = gitBranches ? gitBranches.validateBranchName(name) : (name ? null : 'Enter a branch name');
+        if (nameError) {
+            nameInput.classList.add('input-error');
+            this.showToast(nameError, 'error');
+            return;
+        }
+
+        try {
+            const result = await ipcRenderer.invoke('git-create-branch', { root: this.branchInfo.root, name, startPoint, checkout });
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            logger.userAction('git-create-branch', { checkout, fromStartPoint: !!startPoint });
+            this.showToast(checkout ? `Created and switched to ${name}` : `Created ${name}`, 'success');
+            nameInput.value = '';
+            document.getElementById('new-branch-start').value = '';
+            await this.handleBranchesChanged(`local:${name}`);
+        } catch (error) {
+            logger.error('Error creating branch', error, { checkout }, 'git');
+            this.showToast(`Could not create ${name}: ${error.message}`, 'error');
+        }
+    }
+
+    // git branch -d refuses branches with unmerged commits; those are only
+    // deleted (with -D) after a second, explicit confirmation
+    async deleteSelectedBranch() {
+        const selected = this.getSelectedBranch();
+        if (!selected || selected.remote || selected.branch.current) {
+            return;
+        }
+
+        const { name, upstream } = selected.branch;
+        if (!confirm(`Delete the branch "${name}"?`)) {
+            return;
+        }
+
+        try {
+            let result = await ipcRenderer.invoke('git-delete-branch', { root: this.branchInfo.root, name });
+            if (!result.success && result.unmerged) {
+                const mergeTarget = upstream || this.branchInfo.current || 'HEAD';
+                if (!confirm(`"${name}" has commits that are not merged into ${mergeTarget}. Deleting it can lose that work.\n\nDelete it anyway?`)) {
+                    return;
+                }
+                result = await ipcRenderer.invoke('git-delete-branch', { root: this.branchInfo.root, name, force: true });
+            }
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            logger.userAction('git-delete-branch', {});
+            this.showToast(`Deleted ${name}`, 'success');
+            await this.handleBranchesChanged();
+        } catch (error) {
+            logger.error('Error deleting branch', error, {}, 'git');
+            this.showToast(`Could not delete ${name}: ${error.message}`, 'error');
+        }
+    }
+
+    async setBranchUpstream() {
+        const selected = this.getSelectedBranch();
+        if (!selected || selected.remote) {
+            return;
+        }
+
+        const { name } = selected.branch;
+        const upstream = document.getElementById('branch-upstream').value;
+        if (upstream === (selected.branch.upstream || '')) {
+            return;
+        }
+
+        try {
+            const result = await ipcRenderer.invoke('git-set-upstream', { root: this.branchInfo.root, name, upstream });
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            logger.userAction('git-set-upstream', { unset: !upstream });
+            this.showToast(upstream ? `${name} now tracks ${upstream}` : `${name} no longer has an upstream`, 'success');
+            await this.handleBranchesChanged(`local:${name}`);
+        } catch (error) {
+            logger.error('Error setting upstream', error, {}, 'git');
+            this.showToast(`Could not set the upstream of ${name}: ${error.message}`, 'error');
+        }
+    }
+
+    async handleBranchesChanged(selectedValue = null) {
+        await this.refreshProjectBranch();
+        if (this.branchInfo && this.isBranchModalVisible()) {
+            this.renderBranchModal(selectedValue);
+        }
+        if (this.gitPanel && this.gitPanel.isVisible) {
+            this.gitPanel.refresh();
+        }
+        if (this.gitStashPanel && this.gitStashPanel.isVisible) {
+            this.gitStashPanel.load();
+        }
+    }
+
+    // The message goes to the main process and from there to git on stdin, so
+    // quotes, backticks and $() in it are committed as written
+    async performCommit() {
+        const commitTextarea = document.getElementById('commit-message');
+        const confirmButton = document.getElementById('confirm-commit');
+        const message = commitTextarea.value.trim();
+        const conventional = this.getCommitConventional();
+        if (!this.commitStatus || confirmButton.disabled) {
+            return;
+        }
+
+        // Remove existing error styling
+        commitTextarea.classList.remove('input-error');
+
+        // Validate commit message
+        const validationError = InputValidator.validateCommitMessage(message, conventional);
+        if (validationError) {
+            commitTextarea.classList.add('input-error');
+            this.showToast(validationError, 'error');
+            return;
+        }
+
+        const include = document.getElementById('commit-include').value;
+        const paths = include === 'selected' ? this.getSelectedCommitPaths() : null;
+        if (paths && paths.length === 0) {
+            this.showToast('Select the files to commit', 'warning');
+            return;
+        }
+
+        const options = {
+            amend: document.getElementById('commit-amend').checked,
+            signoff: document.getElementById('commit-signoff').checked,
+            noVerify: document.getElementById('commit-no-verify').checked
+        };
+
+        confirmButton.disabled = true;
+        confirmButton.textContent = 'Committing...';
+        try {
+            const result = await ipcRenderer.invoke('git-commit', {
+                root: this.commitStatus.root,
+                message,
+                conventional,
+                stageAll: include === 'all',
+                paths,
+                ...options
+            });
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            logger.userAction('git-commit', { include, conventional: !!conventional, ...options });
+            this.hideCommitModal();
+            this.showToast(`${options.amend ? 'Amended' : 'Committed'} ${result.oid}`, 'success');
+            await this.handleBranchesChanged();
+        } catch (error) {
+            logger.error('Error committing', error, { include, ...options }, 'git');
+            this.showToast(`Commit failed: ${error.message}`, 'error');
+            this.updateCommitForm();
         }
-        
-        const commitCommand = `git add . && git commit -m "${message}"`;
-        this.executeCommand(commitCommand);
-        this.hideCommitModal();
-        this.showToast('Commit executed', 'success');
     }
 
     openInBrowser() {
@@ -959,49 +2491,179 @@ class EasyDebugApp {
         });
     }
 
-    handleResize = (e) => {
-        if (!this.isResizing) return;
-        
-        const leftPanel = document.getElementById('left-panel');
-        const newWidth = e.clientX;
-        
-        if (newWidth >= 250 && newWidth <= 500) {
-            leftPanel.style.width = `${newWidth}px`;
+    handleResize = (e) => {
+        if (!this.isResizing) return;
+        
+        const leftPanel = document.getElementById('left-panel');
+        const newWidth = e.clientX;
+        
+        if (newWidth >= 250 && newWidth <= 500) {
+            leftPanel.style.width = `${newWidth}px`;
+        }
+    };
+
+    stopResize = () => {
+        this.isResizing = false;
+        document.removeEventListener('mousemove', this.handleResize);
+        document.removeEventListener('mouseup', this.stopResize);
+        document.body.style.cursor = '';
+        
+        // Resize terminal after panel resize
+        setTimeout(() => {
+            if (this.terminalManager) {
+                this.terminalManager.resizeAll();
+            }
+        }, 100);
+    };
+
+    handleKeyboardShortcut(e) {
+        if (e.ctrlKey || e.metaKey) {
+            switch(e.key) {
+                case 'r':
+                    e.preventDefault();
+                    this.executeCommand('npm run dev');
+                    break;
+                case 'c':
+                    if (e.shiftKey) {
+                        e.preventDefault();
+                        this.showCommitModal();
+                    }
+                    break;
+                case 't':
+                    e.preventDefault();
+                    this.toggleTheme();
+                    break;
+            }
+        }
+    }
+
+    // Terminal Output Export
+    setupSaveOutputControls() {
+        const saveBtn = document.getElementById('save-output-btn');
+        const saveMenu = document.getElementById('save-output-menu');
+        if (!saveBtn || !saveMenu) return;
+
+        const openMenu = (tabElementId, position = null) => {
+            saveMenu.dataset.tab = tabElementId;
+            saveMenu.style.position = position ? 'fixed' : '';
+            saveMenu.style.left = position ? `${position.x}px` : '';
+            saveMenu.style.top = position ? `${position.y}px` : '';
+            saveMenu.classList.remove('hidden');
+        };
+
+        saveBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (saveMenu.classList.contains('hidden')) {
+                openMenu(this.activeTabId);
+            } else {
+                saveMenu.classList.add('hidden');
+            }
+        });
+
+        // Right-clicking a tab offers the same formats for that tab
+        const tabsContainer = document.getElementById('tabs-container');
+        if (tabsContainer) {
+            tabsContainer.addEventListener('contextmenu', (e) => {
+                const tab = e.target.closest('.terminal-tab');
+                if (tab) {
+                    e.preventDefault();
+                    openMenu(tab.getAttribute('data-terminal'), { x: e.clientX, y: e.clientY });
+                }
+            });
+        }
+
+        document.addEventListener('click', (e) => {
+            if (!saveMenu.contains(e.target)) {
+                saveMenu.classList.add('hidden');
+            }
+        });
+
+        saveMenu.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-format]');
+            if (item) {
+                saveMenu.classList.add('hidden');
+                this.saveTerminalOutput(saveMenu.dataset.tab, item.dataset.format);
+            }
+        });
+    }
+
+    async saveTerminalOutput(tabElementId, format) {
+        const terminalInfo = this.activeTerminals.get(tabElementId);
+        if (!terminalInfo || !terminalInfo.terminalId) {
+            this.showToast('No terminal output to save', 'warning');
+            return;
+        }
+
+        logger.userAction('save-terminal-output', { tabElementId, format });
+
+        try {
+            const result = await this.terminalManager.saveOutput(terminalInfo.terminalId, format, terminalInfo.title);
+            if (result.success) {
+                this.showToast(`Output saved to ${result.filePath}`, 'success');
+            } else if (!result.cancelled) {
+                throw new Error(result.error);
+            }
+        } catch (error) {
+            logger.error('Error saving terminal output', error, { tabElementId, format }, 'terminal');
+            this.showToast(`Error saving output: ${error.message}`, 'error');
+        }
+    }
+
+    // Split Panes
+    handlePaneFocusChange(tabElementId, terminalId) {
+        const terminalInfo = this.activeTerminals.get(tabElementId);
+        if (terminalInfo) {
+            terminalInfo.terminalId = terminalId;
+        }
+        this.syncExplorerWithTerminal(terminalId);
+    }
+
+    async splitActiveTerminal(direction) {
+        if (!this.splitPanes) {
+            this.showToast('Split panes are unavailable', 'error');
+            return;
+        }
+        await this.splitPanes.splitPane(this.activeTabId, direction);
+    }
+
+    async closeActivePane() {
+        if (!this.splitPanes) return;
+
+        const closed = await this.splitPanes.closePane(this.activeTabId);
+        if (!closed) {
+            this.closeTerminal(this.activeTabId);
+        }
+    }
+
+    focusAdjacentPane(offset) {
+        if (this.splitPanes) {
+            this.splitPanes.focusAdjacentPane(this.activeTabId, offset);
+        }
+    }
+
+    handlePaneShortcut(e) {
+        if (!(e.ctrlKey || e.metaKey)) return;
+
+        const key = e.key.toLowerCase();
+        let handled = true;
+
+        if (e.altKey && (key === 'arrowright' || key === 'arrowdown')) {
+            this.focusAdjacentPane(1);
+        } else if (e.altKey && (key === 'arrowleft' || key === 'arrowup')) {
+            this.focusAdjacentPane(-1);
+        } else if (e.shiftKey && key === 'e') {
+            this.splitActiveTerminal('horizontal');
+        } else if (e.shiftKey && key === 'o') {
+            this.splitActiveTerminal('vertical');
+        } else if (e.shiftKey && key === 'w') {
+            this.closeActivePane();
+        } else {
+            handled = false;
         }
-    };
-
-    stopResize = () => {
-        this.isResizing = false;
-        document.removeEventListener('mousemove', this.handleResize);
-        document.removeEventListener('mouseup', this.stopResize);
-        document.body.style.cursor = '';
-        
-        // Resize terminal after panel resize
-        setTimeout(() => {
-            if (this.terminalManager) {
-                this.terminalManager.resizeAll();
-            }
-        }, 100);
-    };
 
-    handleKeyboardShortcut(e) {
-        if (e.ctrlKey || e.metaKey) {
-            switch(e.key) {
-                case 'r':
-                    e.preventDefault();
-                    this.executeCommand('npm run dev');
-                    break;
-                case 'c':
-                    if (e.shiftKey) {
-                        e.preventDefault();
-                        this.showCommitModal();
-                    }
-                    break;
-                case 't':
-                    e.preventDefault();
-                    this.toggleTheme();
-                    break;
-            }
+        if (handled) {
+            e.preventDefault();
+            e.stopPropagation();
         }
     }
 
@@ -1036,7 +2698,7 @@ class EasyDebugApp {
         tab.className = 'terminal-tab';
         tab.setAttribute('data-terminal', terminalId);
         tab.innerHTML = `
-            <span class="tab-title">${title}</span>
+            <span class="tab-title">${this.escapeHtml(title)}</span>
             <span class="terminal-tab-close" data-close="${terminalId}">×</span>
         `;
         
@@ -1044,6 +2706,8 @@ class EasyDebugApp {
     }
 
     switchToTerminal(terminalId) {
+        this.activeTabId = terminalId;
+
         // Hide all terminals
         document.querySelectorAll('#terminal-container > div').forEach(terminal => {
             terminal.classList.add('hidden');
@@ -1069,6 +2733,7 @@ class EasyDebugApp {
         const terminalInfo = this.activeTerminals.get(terminalId);
         if (terminalInfo && terminalInfo.terminalId) {
             this.terminalManager.setActiveTerminal(terminalInfo.terminalId);
+            this.syncExplorerWithTerminal(terminalInfo.terminalId);
         }
         
         // Resize terminal after switch
@@ -1087,8 +2752,10 @@ class EasyDebugApp {
         
         const terminalInfo = this.activeTerminals.get(terminalId);
         if (terminalInfo) {
-            // Close terminal in manager
-            if (terminalInfo.terminalId) {
+            // Close terminal in manager, including every split pane of the tab
+            if (this.splitPanes) {
+                this.splitPanes.removeTab(terminalId);
+            } else if (terminalInfo.terminalId) {
                 this.terminalManager.closeTerminal(terminalInfo.terminalId);
             }
             
@@ -1144,6 +2811,8 @@ class EasyDebugApp {
             this.updateVersionDisplay('flutter-version', versions.flutter);
             this.updateVersionDisplay('python-version', versions.python);
             this.updateVersionDisplay('vscode-version', versions.vscode);
+            this.systemVersions = versions;
+            this.applyToolchainAvailability();
             
             this.showToast('System versions updated', 'success');
         } catch (error) {
@@ -1193,9 +2862,8 @@ class EasyDebugApp {
     async loadCommandHistory() {
         try {
             const history = await ipcRenderer.invoke('get-command-history');
-            this.commandHistory = history || [];
-            this.filteredHistory = [...this.commandHistory];
-            this.renderCommandHistory();
+            this.commandHistory = (history || []).map(entry => historyHelpers ? historyHelpers.normalizeHistoryEntry(entry) : entry);
+            this.filterHistory();
         } catch (error) {
             console.error('Error loading command history:', error);
             this.commandHistory = [];
@@ -1203,41 +2871,76 @@ class EasyDebugApp {
         }
     }
 
-    async addToCommandHistory(command, projectPath) {
-        const historyItem = {
-            id: Date.now().toString(),
-            command: command,
-            projectPath: path.basename(projectPath),
-            fullProjectPath: projectPath,
-            timestamp: new Date().toISOString(),
-            formattedTime: new Date().toLocaleString()
-        };
+    async addToCommandHistory(command, projectPath, terminalId = null) {
+        if (!historyHelpers) {
+            logger.warn('Command history helpers unavailable', { command }, 'command');
+            return;
+        }
+
+        const terminal = terminalId ? this.terminalManager.getTerminal(terminalId) : null;
+        const tracked = !!(terminal && terminal.hasShellIntegration && this.commandTracker);
+        const historyItem = historyHelpers.createHistoryEntry({
+            command,
+            projectPath,
+            terminalId,
+            terminalName: this.getTerminalTitle(terminalId),
+            tracked
+        });
+
+        if (tracked) {
+            this.commandTracker.track(terminalId, historyItem.id);
+        }
 
         // Add to beginning of array (most recent first)
         this.commandHistory.unshift(historyItem);
         
-        // Keep only last 100 commands
-        if (this.commandHistory.length > 100) {
-            this.commandHistory = this.commandHistory.slice(0, 100);
+        // Keep only the most recent commands
+        if (this.commandHistory.length > historyHelpers.MAX_HISTORY) {
+            this.commandHistory = this.commandHistory.slice(0, historyHelpers.MAX_HISTORY);
         }
 
-        // Update filtered history if no search filter active
-        const searchValue = document.getElementById('history-search').value;
-        if (!searchValue) {
-            this.filteredHistory = [...this.commandHistory];
-        } else {
-            this.filterHistory(searchValue);
+        await this.saveCommandHistory();
+        this.filterHistory();
+    }
+
+    // Called when the shell reports that a tracked command finished
+    async recordCommandResult(result) {
+        const index = this.commandHistory.findIndex(item => item.id === result.entryId);
+        if (index === -1) {
+            return;
         }
 
-        // Save to storage
+        this.commandHistory[index] = historyHelpers.completeHistoryEntry(this.commandHistory[index], result);
+        logger.info('Command finished', {
+            command: this.commandHistory[index].command,
+            exitCode: result.exitCode,
+            durationMs: this.commandHistory[index].durationMs
+        }, 'command');
+
+        await this.saveCommandHistory();
+        this.filterHistory();
+    }
+
+    async saveCommandHistory() {
         try {
             await ipcRenderer.invoke('save-command-history', this.commandHistory);
         } catch (error) {
             console.error('Error saving command history:', error);
         }
+    }
 
-        // Update UI
-        this.renderCommandHistory();
+    getTabIdForTerminal(terminalId) {
+        const tab = Array.from(this.activeTerminals.values()).find(info =>
+            info.terminalId === terminalId ||
+            (this.splitPanes && this.splitPanes.getTerminalIds(info.id).includes(terminalId))
+        );
+        return tab ? tab.id : null;
+    }
+
+    // Tab title of the tab that owns a terminal (panes share their tab's title)
+    getTerminalTitle(terminalId) {
+        const tabElementId = this.getTabIdForTerminal(terminalId);
+        return tabElementId ? this.activeTerminals.get(tabElementId).title : null;
     }
 
     toggleHistoryPanel() {
@@ -1255,19 +2958,19 @@ class EasyDebugApp {
         }
     }
 
-    filterHistory(searchTerm) {
-        if (!searchTerm.trim()) {
-            this.filteredHistory = [...this.commandHistory];
-        } else {
-            const term = searchTerm.toLowerCase();
-            this.filteredHistory = this.commandHistory.filter(item => 
-                item.command.toLowerCase().includes(term) ||
-                item.projectPath.toLowerCase().includes(term)
-            );
-        }
+    filterHistory(searchTerm = document.getElementById('history-search').value) {
+        this.filteredHistory = historyHelpers
+            ? historyHelpers.filterHistory(this.commandHistory, { search: searchTerm, ...this.historyFilters })
+            : [...this.commandHistory];
         this.renderCommandHistory();
     }
 
+    setHistoryFilter(name, value) {
+        this.historyFilters[name] = value;
+        logger.userAction('filter-history', { [name]: value });
+        this.filterHistory();
+    }
+
     async clearCommandHistory() {
         if (!confirm('Are you sure you want to clear all command history?')) {
             return;
@@ -1307,12 +3010,16 @@ class EasyDebugApp {
     }
 
     generateHistoryCSV() {
-        const headers = ['Timestamp', 'Command', 'Project', 'Full Path'];
+        const headers = ['Timestamp', 'Command', 'Project', 'Full Path', 'Status', 'Exit Code', 'Duration (ms)', 'Terminal'];
         const rows = this.commandHistory.map(item => [
             item.formattedTime,
             `"${item.command.replace(/"/g, '""')}"`,
             item.projectPath,
-            `"${item.fullProjectPath.replace(/"/g, '""')}"`
+            `"${item.fullProjectPath.replace(/"/g, '""')}"`,
+            item.status || 'unknown',
+            item.exitCode === null || item.exitCode === undefined ? '' : item.exitCode,
+            item.durationMs === null || item.durationMs === undefined ? '' : item.durationMs,
+            `"${(item.terminalName || '').replace(/"/g, '""')}"`
         ]);
 
         return [headers, ...rows].map(row => row.join(',')).join('\n');
@@ -1323,8 +3030,7 @@ class EasyDebugApp {
         container.innerHTML = '';
 
         if (this.filteredHistory.length === 0) {
-            const searchValue = document.getElementById('history-search').value;
-            const emptyText = searchValue ? 'No commands match your search' : 'No commands executed yet';
+            const emptyText = this.commandHistory.length > 0 ? 'No commands match your filters' : 'No commands executed yet';
             container.innerHTML = `<div class="history-empty">${emptyText}</div>`;
             return;
         }
@@ -1336,8 +3042,10 @@ class EasyDebugApp {
                 <div class="history-item-content">
                     <div class="history-command">${this.escapeHtml(item.command)}</div>
                     <div class="history-meta">
+                        ${this.renderHistoryStatus(item)}
                         <span class="history-timestamp">${item.formattedTime}</span>
                         <span class="history-project">📁 ${this.escapeHtml(item.projectPath)}</span>
+                        ${item.terminalName ? `<span class="history-terminal">🖥️ ${this.escapeHtml(item.terminalName)}</span>` : ''}
                     </div>
                 </div>
                 <div class="history-actions">
@@ -1378,6 +3086,26 @@ class EasyDebugApp {
         });
     }
 
+    renderHistoryStatus(item) {
+        const status = historyHelpers ? historyHelpers.getEntryStatus(item) : 'unknown';
+        const duration = historyHelpers && item.durationMs !== null ? historyHelpers.formatDuration(item.durationMs) : '';
+        const labels = {
+            passed: '✓ Passed',
+            failed: `✗ Exit ${item.exitCode}`,
+            running: '⏳ Running'
+        };
+
+        // Shells without integration never report a result, so there is nothing to show
+        if (!labels[status]) {
+            return '';
+        }
+
+        return `
+            <span class="history-status ${status}">${labels[status]}</span>
+            ${duration ? `<span class="history-duration">⏱ ${duration}</span>` : ''}
+        `;
+    }
+
     reExecuteCommand(historyItem) {
         // Set the project if it still exists
         if (this.currentProject !== historyItem.fullProjectPath) {
@@ -1409,7 +3137,7 @@ class EasyDebugApp {
             this.commandHistory = this.commandHistory.filter(item => item.id !== itemId);
             this.filteredHistory = this.filteredHistory.filter(item => item.id !== itemId);
             
-            await ipcRenderer.invoke('save-command-history', this.commandHistory);
+            await this.saveCommandHistory();
             this.renderCommandHistory();
             this.showToast('History item deleted', 'success');
         } catch (error) {
@@ -1418,10 +3146,11 @@ class EasyDebugApp {
         }
     }
 
+    // Also escapes quotes, so the result is safe inside attribute values
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
-        return div.innerHTML;
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
     }
 
     // Custom Commands Management
@@ -1441,6 +3170,16 @@ class EasyDebugApp {
         const description = document.getElementById('command-description').value.trim();
         const shellCommand = document.getElementById('command-shell').value.trim();
         const icon = document.getElementById('command-icon').value.trim() || '⚡';
+        const steps = this.getTaskStepsFromForm();
+        const dependsOn = document.getElementById('command-depends-on').value
+            .split(',')
+            .map(item => item.trim())
+            .filter(Boolean);
+        const onFailure = document.getElementById('command-on-failure').value;
+        const platformsText = document.getElementById('command-platforms').value;
+        const { platforms, errors: platformErrors } = commandVariants
+            ? commandVariants.parsePlatforms(platformsText)
+            : { platforms: {}, errors: [] };
 
         // Validate all inputs
         const validationErrors = [];
@@ -1451,8 +3190,26 @@ class EasyDebugApp {
         const nameLengthError = InputValidator.validateLength(name, 'Command name', 1, 50);
         if (nameLengthError) validationErrors.push(nameLengthError);
         
-        const shellError = InputValidator.validateCommand(shellCommand);
-        if (shellError) validationErrors.push(shellError);
+        if (steps.length === 0) {
+            const shellError = InputValidator.validateCommand(shellCommand);
+            if (shellError) validationErrors.push(shellError);
+        } else if (shellCommand) {
+            validationErrors.push('Leave Shell Command empty when the task has steps');
+        }
+
+        steps.forEach((step, index) => {
+            const stepError = InputValidator.validateCommand(step.command);
+            if (stepError) validationErrors.push(`Step ${index + 1}: ${stepError}`);
+        });
+
+        if (steps.length > 0 && platformsText.trim()) {
+            validationErrors.push('Per-shell variants only apply to the Shell Command');
+        }
+        validationErrors.push(...platformErrors);
+        Object.entries(platforms).forEach(([platform, variant]) => {
+            const variantError = InputValidator.validateCommand(variant);
+            if (variantError) validationErrors.push(`${platform}: ${variantError}`);
+        });
         
         const descLengthError = description ? InputValidator.validateLength(description, 'Description', 0, 200) : null;
         if (descLengthError) validationErrors.push(descLengthError);
@@ -1469,20 +3226,30 @@ class EasyDebugApp {
             validationErrors.push('A command with this name already exists');
         }
 
-        if (validationErrors.length > 0) {
-            this.showToast(validationErrors[0], 'error');
-            this.highlightInvalidFields();
-            return;
-        }
-
         const command = {
             id: this.editingCommandId || Date.now().toString(),
             name,
             description,
             shellCommand,
-            icon
+            icon,
+            steps,
+            dependsOn,
+            onFailure,
+            platforms: steps.length === 0 ? platforms : {}
         };
 
+        if (taskRunner && name) {
+            const otherCommands = this.getRunnableCommands().filter(cmd => cmd.id !== this.editingCommandId);
+            const dependencyError = taskRunner.validateTaskDependencies(command, otherCommands);
+            if (dependencyError) validationErrors.push(dependencyError);
+        }
+
+        if (validationErrors.length > 0) {
+            this.showToast(validationErrors[0], 'error');
+            this.highlightInvalidFields();
+            return;
+        }
+
         try {
             if (this.editingCommandId) {
                 // Update existing command
@@ -1508,7 +3275,7 @@ class EasyDebugApp {
 
     highlightInvalidFields() {
         // Remove existing error styling
-        const inputs = ['command-name', 'command-description', 'command-shell', 'command-icon'];
+        const inputs = ['command-name', 'command-description', 'command-shell', 'command-platforms', 'command-icon'];
         inputs.forEach(id => {
             const element = document.getElementById(id);
             if (element) {
@@ -1526,9 +3293,21 @@ class EasyDebugApp {
             document.getElementById('command-name').classList.add('input-error');
         }
         
-        if (InputValidator.validateCommand(shellCommand)) {
+        const hasSteps = this.getTaskStepsFromForm().length > 0;
+        if (hasSteps ? shellCommand : InputValidator.validateCommand(shellCommand)) {
             document.getElementById('command-shell').classList.add('input-error');
         }
+
+        const platformsText = document.getElementById('command-platforms').value;
+        if (commandVariants && platformsText.trim() &&
+                (hasSteps || commandVariants.parsePlatforms(platformsText).errors.length > 0)) {
+            document.getElementById('command-platforms').classList.add('input-error');
+        }
+
+        document.querySelectorAll('#task-steps-list .step-command').forEach(input => {
+            const value = input.value.trim();
+            input.classList.toggle('input-error', !!value && !!InputValidator.validateCommand(value));
+        });
         
         if (description && InputValidator.validateLength(description, 'Description', 0, 200)) {
             document.getElementById('command-description').classList.add('input-error');
@@ -1553,7 +3332,9 @@ class EasyDebugApp {
                 document.getElementById('command-name').value = command.name;
                 document.getElementById('command-description').value = command.description;
                 document.getElementById('command-shell').value = command.shellCommand;
+                document.getElementById('command-platforms').value = commandVariants ? commandVariants.formatPlatforms(command.platforms) : '';
                 document.getElementById('command-icon').value = command.icon;
+                this.setTaskForm(command);
             }
         } else {
             // Add mode
@@ -1561,7 +3342,9 @@ class EasyDebugApp {
             document.getElementById('command-name').value = '';
             document.getElementById('command-description').value = '';
             document.getElementById('command-shell').value = '';
+            document.getElementById('command-platforms').value = '';
             document.getElementById('command-icon').value = '';
+            this.setTaskForm({});
         }
 
         overlay.classList.remove('hidden');
@@ -1569,6 +3352,41 @@ class EasyDebugApp {
         document.getElementById('command-name').focus();
     }
 
+    setTaskForm({ steps = [], dependsOn = [], onFailure = 'stop' }) {
+        document.getElementById('task-steps-list').innerHTML = '';
+        steps.forEach(step => this.addTaskStepRow(step));
+        document.getElementById('command-depends-on').value = dependsOn.join(', ');
+        document.getElementById('command-on-failure').value = onFailure;
+    }
+
+    addTaskStepRow({ command = '', cwd = '', group = '' } = {}) {
+        const row = document.createElement('div');
+        row.className = 'task-step-row';
+        row.innerHTML = `
+            <input type="text" class="step-command" placeholder="Command, e.g. npm test" />
+            <input type="text" class="step-cwd" placeholder="Directory" title="Relative to the project folder" />
+            <input type="text" class="step-group" placeholder="Parallel group" title="Consecutive steps with the same group run side by side" />
+            <button type="button" class="remove-step-btn" title="Remove Step">×</button>
+        `;
+        row.querySelector('.step-command').value = command;
+        row.querySelector('.step-cwd').value = cwd;
+        row.querySelector('.step-group').value = group;
+        document.getElementById('task-steps-list').appendChild(row);
+        if (!command) {
+            row.querySelector('.step-command').focus();
+        }
+    }
+
+    getTaskStepsFromForm() {
+        return Array.from(document.querySelectorAll('#task-steps-list .task-step-row'))
+            .map(row => ({
+                command: row.querySelector('.step-command').value.trim(),
+                cwd: row.querySelector('.step-cwd').value.trim(),
+                group: row.querySelector('.step-group').value.trim()
+            }))
+            .filter(step => step.command);
+    }
+
     hideCustomCommandModal() {
         document.getElementById('modal-overlay').classList.add('hidden');
         document.getElementById('custom-command-modal').classList.add('hidden');
@@ -1595,32 +3413,42 @@ class EasyDebugApp {
         const container = document.getElementById('custom-commands-list');
         container.innerHTML = '';
 
-        if (this.customCommands.length === 0) {
+        const commands = this.getRunnableCommands();
+        if (commands.length === 0) {
             container.innerHTML = '<div class="text-sm text-gray-400">No custom commands added yet</div>';
             return;
         }
 
-        this.customCommands.forEach(command => {
+        commands.forEach(command => {
             const commandElement = document.createElement('div');
             commandElement.className = 'custom-command-btn';
+            // Project commands are edited in the project's .easydebug file
+            const isProjectCommand = command.source === 'project';
             commandElement.innerHTML = `
                 <div class="command-info">
-                    <div class="command-name">${command.icon} ${command.name}</div>
-                    <div class="command-desc">${command.description || command.shellCommand}</div>
+                    <div class="command-name">${this.escapeHtml(`${command.icon} ${command.name}`)}</div>
+                    <div class="command-desc">${this.escapeHtml(command.description || this.describeCustomCommand(command))}</div>
                 </div>
                 <div class="command-actions">
+                    ${isProjectCommand ? `
+                    <span class="command-source" title="${this.escapeHtml(this.projectConfig.filePath)}">project</span>` : `
                     <button class="action-btn edit-btn" data-edit="${command.id}">✏️</button>
-                    <button class="action-btn delete-btn" data-delete="${command.id}">🗑️</button>
+                    <button class="action-btn delete-btn" data-delete="${command.id}">🗑️</button>`}
                 </div>
             `;
 
             // Add click handler for execution (excluding action buttons)
             commandElement.addEventListener('click', (e) => {
                 if (!e.target.classList.contains('action-btn')) {
-                    this.executeCommand(command.shellCommand);
+                    this.runCustomCommand(command);
                 }
             });
 
+            container.appendChild(commandElement);
+            if (isProjectCommand) {
+                return;
+            }
+
             // Add action button handlers
             const editBtn = commandElement.querySelector('.edit-btn');
             const deleteBtn = commandElement.querySelector('.delete-btn');
@@ -1634,8 +3462,479 @@ class EasyDebugApp {
                 e.stopPropagation();
                 this.deleteCustomCommand(command.id);
             });
+        });
+    }
 
-            container.appendChild(commandElement);
+    describeCustomCommand(command) {
+        if (!command.steps || command.steps.length === 0) {
+            return command.shellCommand;
+        }
+        return `${command.steps.length} step${command.steps.length === 1 ? '' : 's'}`;
+    }
+
+    async runCustomCommand(command) {
+        const isComposite = this.taskPanel && taskRunner.isCompositeTask(command);
+
+        let resolveCommand;
+        try {
+            resolveCommand = await this.prepareCommandPlaceholders(command, this.getCommandTexts(command, isComposite));
+        } catch (error) {
+            logger.warn('Command placeholders could not be resolved', { command: command.name, error: error.message }, 'command');
+            this.showToast(error.message, 'error');
+            return;
+        }
+        if (!resolveCommand) {
+            return;
+        }
+
+        if (isComposite) {
+            this.taskPanel.runTask(command.name, { resolveCommand });
+        } else {
+            this.executeCommand(resolveCommand(this.getShellVariant(command)));
+        }
+    }
+
+    // Executable of the shell commands are sent to; null when it isn't known
+    getActiveShell() {
+        const terminal = this.terminalManager.getTerminal(this.terminalManager.activeTerminalId);
+        return terminal ? terminal.shell : null;
+    }
+
+    // The command's variant for the shell of the terminal it is sent to
+    getShellVariant(command) {
+        return commandVariants
+            ? commandVariants.resolveCommandVariant(command.shellCommand, command.platforms, this.getActiveShell())
+            : command.shellCommand;
+    }
+
+    // CMD ribbon actions: ls -la, dir or Get-ChildItem depending on the terminal's shell
+    runBuiltinAction(actionId) {
+        const command = commandVariants ? commandVariants.resolveBuiltinAction(actionId, this.getActiveShell()) : null;
+        if (!command) {
+            logger.warn('Unknown ribbon action', { actionId }, 'command');
+            return;
+        }
+        this.executeCommand(command);
+    }
+
+    // Every command string the run will send, including those of dependencies,
+    // in its variant for the active terminal's shell
+    getCommandTexts(command, isComposite) {
+        if (!isComposite) {
+            return [this.getShellVariant(command)];
+        }
+        try {
+            const plan = taskRunner.buildTaskPlan(this.getRunnableCommands(), command.name);
+            const shell = this.getActiveShell();
+            return plan.stages.flatMap(stage => stage.steps.map(step => taskRunner.resolveStepCommand(step, shell)));
+        } catch (error) {
+            // The task panel reports planning errors when the task runs
+            return [];
+        }
+    }
+
+    // Returns a function that fills in a command's placeholders, or null when the form is cancelled
+    async prepareCommandPlaceholders(command, texts) {
+        const placeholders = commandPlaceholders ? commandPlaceholders.parsePlaceholders(texts) : [];
+        if (placeholders.length === 0) {
+            return (text) => text;
+        }
+        if (!this.currentProject) {
+            throw new Error('Please select a project folder first');
+        }
+
+        const prompted = commandPlaceholders.getPromptedPlaceholders(placeholders);
+        const values = prompted.length > 0 ? await this.showCommandInputsModal(command, prompted) : {};
+        if (!values) {
+            return null;
+        }
+
+        const context = {
+            values,
+            projectPath: this.currentProject,
+            currentFile: this.fileExplorer.getSelectedFile(),
+            env: { ...process.env, ...(this.projectConfig ? this.projectConfig.config.env : {}) },
+            shell: this.getActiveShell()
+        };
+        // Resolve once up front so nothing runs when e.g. ${currentFile} has no file
+        texts.forEach(text => commandPlaceholders.resolvePlaceholders(text, context));
+        return (text) => commandPlaceholders.resolvePlaceholders(text, context);
+    }
+
+    async showCommandInputsModal(command, placeholders) {
+        let remembered = {};
+        try {
+            remembered = await ipcRenderer.invoke('get-placeholder-values', command.id);
+        } catch (error) {
+            logger.error('Error loading placeholder values', error, { command: command.name }, 'command');
+        }
+
+        const fields = document.getElementById('command-inputs-fields');
+        fields.innerHTML = '';
+        for (const [index, placeholder] of placeholders.entries()) {
+            fields.appendChild(await this.createCommandInputField(placeholder, remembered[placeholder.key], index));
+        }
+
+        document.getElementById('command-inputs-title').textContent = `Run ${command.name}`;
+        document.getElementById('modal-overlay').classList.remove('hidden');
+        document.getElementById('command-inputs-modal').classList.remove('hidden');
+        this.commandInputsCommandId = command.id;
+
+        const firstField = fields.querySelector('input, select');
+        if (firstField) {
+            firstField.focus();
+        }
+
+        return new Promise(resolve => {
+            this.commandInputsResolver = resolve;
+        });
+    }
+
+    async createCommandInputField(placeholder, rememberedValue, index) {
+        const group = document.createElement('div');
+        group.className = 'form-group';
+
+        const label = document.createElement('label');
+        const fieldId = `command-input-${index}`;
+        label.htmlFor = fieldId;
+
+        let field;
+        if (placeholder.type === 'pick') {
+            label.textContent = `File (${placeholder.pattern}):`;
+            field = document.createElement('select');
+            const files = await commandPlaceholders.findMatchingFiles(this.currentProject, placeholder.pattern);
+            if (files.length === 0) {
+                field.appendChild(new Option(`No files match ${placeholder.pattern}`, ''));
+            }
+            files.forEach(file => field.appendChild(new Option(file, file)));
+            if (files.includes(rememberedValue)) {
+                field.value = rememberedValue;
+            }
+        } else {
+            label.textContent = `${placeholder.name}:`;
+            field = document.createElement('input');
+            field.type = 'text';
+            field.value = rememberedValue !== undefined ? rememberedValue : placeholder.defaultValue;
+            if (placeholder.defaultValue) {
+                field.placeholder = placeholder.defaultValue;
+            }
+        }
+
+        field.id = fieldId;
+        field.dataset.placeholderKey = placeholder.key;
+        group.append(label, field);
+        return group;
+    }
+
+    async submitCommandInputs() {
+        const values = {};
+        let missingField = null;
+        document.querySelectorAll('#command-inputs-fields [data-placeholder-key]').forEach(field => {
+            const value = field.tagName === 'SELECT' ? field.value : field.value.trim();
+            field.classList.toggle('input-error', field.tagName === 'SELECT' && !value);
+            if (field.tagName === 'SELECT' && !value && !missingField) {
+                missingField = field;
+            }
+            values[field.dataset.placeholderKey] = value;
+        });
+
+        if (missingField) {
+            this.showToast('Pick a file to run the command', 'error');
+            missingField.focus();
+            return;
+        }
+
+        try {
+            await ipcRenderer.invoke('save-placeholder-values', { commandId: this.commandInputsCommandId, values });
+        } catch (error) {
+            logger.error('Error saving placeholder values', error, {}, 'command');
+        }
+
+        const resolve = this.commandInputsResolver;
+        this.commandInputsResolver = null;
+        this.hideCommandInputsModal();
+        if (resolve) {
+            resolve(values);
+        }
+    }
+
+    hideCommandInputsModal() {
+        document.getElementById('modal-overlay').classList.add('hidden');
+        document.getElementById('command-inputs-modal').classList.add('hidden');
+        document.getElementById('command-inputs-fields').innerHTML = '';
+
+        // Closing the form any other way cancels the run
+        if (this.commandInputsResolver) {
+            this.commandInputsResolver(null);
+            this.commandInputsResolver = null;
+        }
+    }
+
+    // Project Configuration (.easydebug.json / .easydebug.yaml)
+    async loadProjectConfig(projectPath) {
+        try {
+            const result = await ipcRenderer.invoke('load-project-config', projectPath);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            this.applyProjectConfig(result);
+        } catch (error) {
+            logger.error('Error loading project configuration', error, { projectPath }, 'project');
+            this.showToast(`Error loading project configuration: ${error.message}`, 'error');
+        }
+    }
+
+    applyProjectConfig(result, { reloaded = false } = {}) {
+        this.projectConfig = result.filePath ? result : null;
+
+        if (result.filePath) {
+            const fileName = path.basename(result.filePath);
+            const commandCount = result.config.commands.length;
+            logger.info('Project configuration applied', {
+                fileName,
+                commands: commandCount,
+                errors: result.errors.length
+            }, 'project');
+
+            // A few toasts point at the problems; the log has the full list
+            result.errors.slice(0, 3).forEach(error => this.showToast(`${fileName}: ${error}`, 'error'));
+            if (result.errors.length > 3) {
+                this.showToast(`${fileName}: ${result.errors.length - 3} more problems, see the log`, 'error');
+            }
+            this.showToast(reloaded
+                ? `Reloaded ${fileName}`
+                : `Loaded ${commandCount} command${commandCount === 1 ? '' : 's'} from ${fileName}`, 'info');
+        } else if (reloaded) {
+            this.showToast('Project configuration removed', 'info');
+        }
+
+        this.renderCustomCommands();
+        this.renderProjectRibbon();
+        this.loadShellProfiles();
+
+        if (result.filePath && !result.trusted && !this.declinedProjectConfigs.has(result.hash)) {
+            this.confirmProjectConfigTrust(result);
+        }
+    }
+
+    // Terminal settings from a project file run code in every terminal opened in
+    // the project, so they only apply once the user trusts this version of the file
+    async confirmProjectConfigTrust(result) {
+        const { env, profiles, defaultProfileId } = result.withheld;
+        const details = [
+            ...(env.length > 0 ? [`Environment variables: ${env.join(', ')}`] : []),
+            ...profiles.map(profile => `Terminal profile ${profile}`),
+            ...(defaultProfileId ? [`Default terminal profile: ${defaultProfileId}`] : [])
+        ];
+        const trust = confirm(
+            `${path.basename(result.filePath)} in this project wants to set up its terminals:\n\n` +
+            `${details.join('\n')}\n\n` +
+            'Only trust it if you trust the project. Trust this file?'
+        );
+        if (!trust) {
+            this.declinedProjectConfigs.add(result.hash);
+            this.showToast('Project terminal settings were not applied', 'info');
+            return;
+        }
+
+        try {
+            const trusted = await ipcRenderer.invoke('trust-project-config', { projectPath: result.projectPath, hash: result.hash });
+            if (!trusted.success) {
+                throw new Error(trusted.error);
+            }
+            this.applyProjectConfig(trusted, { reloaded: true });
+        } catch (error) {
+            logger.error('Error trusting project configuration', error, {}, 'project');
+            this.showToast(`Could not trust the project file: ${error.message}`, 'error');
+        }
+    }
+
+    // Generated ribbon from the project's own task files
+    async loadProjectTasks(projectPath) {
+        try {
+            const result = await ipcRenderer.invoke('get-project-tasks', projectPath);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            if (result.projectPath === this.currentProject) {
+                this.applyProjectTasks(result);
+            }
+        } catch (error) {
+            logger.error('Error loading project tasks', error, { projectPath }, 'project');
+            this.showToast(`Error reading project tasks: ${error.message}`, 'error');
+        }
+    }
+
+    applyProjectTasks(result) {
+        this.projectTasks = result.groups;
+        result.errors.forEach(error => this.showToast(error, 'warning'));
+        logger.info('Project tasks applied', {
+            groups: result.groups.map(group => group.name),
+            errors: result.errors.length
+        }, 'project');
+        this.renderDetectedRibbon();
+    }
+
+    // One tab per task file, placed before the tabs from the .easydebug file.
+    // A generated package.json tab replaces the fixed Web Dev panel.
+    renderDetectedRibbon() {
+        const groupIcons = {
+            'package-scripts': 'fa-cube text-yellow-500',
+            make: 'fa-hammer text-orange-400',
+            pyproject: 'fa-play text-green-500',
+            just: 'fa-bolt text-pink-400',
+            pubspec: 'fa-mobile-alt text-blue-400'
+        };
+        const tabList = document.querySelector('[role="tablist"]');
+        const panelContainer = document.getElementById('flutter').parentElement;
+        const firstProjectTab = tabList.querySelector('.ribbon-tab[data-project-ribbon]') || document.getElementById('ribbon-show-all');
+
+        document.querySelectorAll('[data-detected-ribbon]').forEach(element => element.remove());
+
+        this.projectTasks.forEach(group => {
+            const panelId = `detected-ribbon-${group.id}`;
+
+            const tab = document.createElement('button');
+            tab.className = 'ribbon-tab px-4 py-2 rounded-t-lg text-sm text-gray-400 hover:bg-gray-700 hover:text-white transition-colors duration-200';
+            tab.dataset.target = panelId;
+            tab.dataset.detectedRibbon = 'true';
+            tab.title = `From ${group.file}`;
+            tab.textContent = group.name;
+            tabList.insertBefore(tab, firstProjectTab);
+
+            const panel = document.createElement('div');
+            panel.id = panelId;
+            panel.className = 'ribbon-panel hidden space-x-4';
+            panel.dataset.detectedRibbon = 'true';
+            group.tasks.forEach(task => {
+                const button = document.createElement('button');
+                button.className = 'command-btn';
+                button.title = task.description ? `${task.command}\n${task.description}` : task.command;
+                button.innerHTML = `<i class="fas ${groupIcons[group.id] || 'fa-play text-gray-400'}"></i><span>${this.escapeHtml(task.name)}</span>`;
+                this.setButtonToolchain(button, task.command);
+                button.addEventListener('click', () => this.runCustomCommand({
+                    id: `detected:${group.id}:${task.name}`,
+                    name: task.name,
+                    shellCommand: task.command,
+                    steps: [],
+                    dependsOn: []
+                }));
+                panel.appendChild(button);
+            });
+            panelContainer.appendChild(panel);
+        });
+
+        this.arrangeRibbon();
+    }
+
+    getRunnableCommands() {
+        const projectCommands = this.projectConfig ? this.projectConfig.config.commands : [];
+        return taskRunner ? taskRunner.mergeCustomCommands(this.customCommands, projectCommands) : this.customCommands;
+    }
+
+    // Ribbon groups from the project file become extra ribbon tabs
+    renderProjectRibbon() {
+        const tabList = document.querySelector('[role="tablist"]');
+        const panelContainer = document.getElementById('flutter').parentElement;
+
+        document.querySelectorAll('[data-project-ribbon]').forEach(element => element.remove());
+
+        const groups = this.projectConfig ? this.projectConfig.config.ribbon : [];
+        const commands = this.getRunnableCommands();
+        groups.forEach((group, index) => {
+            const panelId = `project-ribbon-${index}`;
+
+            const tab = document.createElement('button');
+            tab.className = 'ribbon-tab px-4 py-2 rounded-t-lg text-sm text-gray-400 hover:bg-gray-700 hover:text-white transition-colors duration-200';
+            tab.dataset.target = panelId;
+            tab.dataset.projectRibbon = 'true';
+            tab.title = `From ${path.basename(this.projectConfig.filePath)}`;
+            tab.textContent = group.name;
+            tabList.insertBefore(tab, document.getElementById('ribbon-show-all'));
+
+            const panel = document.createElement('div');
+            panel.id = panelId;
+            panel.className = 'ribbon-panel hidden space-x-4';
+            panel.dataset.projectRibbon = 'true';
+            group.commands.forEach(name => {
+                const command = commands.find(item => item.name === name);
+                if (!command) return;
+
+                const button = document.createElement('button');
+                button.className = 'command-btn';
+                button.title = command.description || this.describeCustomCommand(command);
+                button.innerHTML = `<span>${this.escapeHtml(command.icon)}</span><span>${this.escapeHtml(command.name)}</span>`;
+                if (command.steps.length === 0) {
+                    this.setButtonToolchain(button, command.shellCommand);
+                }
+                button.addEventListener('click', () => this.runCustomCommand(command));
+                panel.appendChild(button);
+            });
+            panelContainer.appendChild(panel);
+        });
+
+        this.arrangeRibbon();
+    }
+
+    // Puts the tabs for the detected project first, hides the ones it doesn't use
+    // and selects the tab last used in this project
+    arrangeRibbon() {
+        if (!ribbonLayout) return;
+
+        const tabList = document.querySelector('[role="tablist"]');
+        const showAllButton = document.getElementById('ribbon-show-all');
+        const projectTargets = Array.from(tabList.querySelectorAll('.ribbon-tab[data-project-ribbon]'), tab => tab.dataset.target);
+        const tabs = ribbonLayout.getRibbonTabs(this.projectTasks.map(group => group.id), projectTargets);
+        const project = this.projectInfo ? { primary: this.projectInfo.primary, typeIds: this.projectInfo.typeIds } : null;
+        const arranged = ribbonLayout.arrangeRibbonTabs(tabs, project, { showAll: this.showAllRibbonTabs });
+        const findTab = target => tabList.querySelector(`.ribbon-tab[data-target="${target}"]`);
+
+        // Replaced tabs (Web Dev once package.json scripts have their own tab) aren't in the arrangement
+        tabs.filter(tab => tab.replaced).forEach(tab => findTab(tab.target).classList.add('hidden'));
+        arranged.tabs.forEach(({ target, visible }) => {
+            const tab = findTab(target);
+            if (!tab) return;
+            tab.classList.toggle('hidden', !visible);
+            tabList.insertBefore(tab, showAllButton);
+        });
+
+        showAllButton.classList.toggle('hidden', arranged.hiddenCount === 0);
+        showAllButton.textContent = this.showAllRibbonTabs ? 'Show relevant' : `Show all (${arranged.hiddenCount})`;
+
+        const activeTab = tabList.querySelector('.ribbon-tab.active');
+        const target = ribbonLayout.pickRibbonTab(arranged, [
+            this.selectedRibbonTab,
+            this.rememberedRibbonTab,
+            activeTab ? activeTab.dataset.target : null
+        ]);
+        // Clicking again also shows the panel of a tab that was just re-rendered
+        if (target) {
+            findTab(target).click();
+        }
+
+        this.applyToolchainAvailability();
+    }
+
+    setButtonToolchain(button, command) {
+        const toolchain = ribbonLayout ? ribbonLayout.getCommandToolchain(command) : null;
+        if (toolchain) {
+            button.dataset.toolchain = toolchain;
+        }
+    }
+
+    // Disables ribbon commands whose toolchain get-system-versions couldn't find
+    applyToolchainAvailability() {
+        if (!ribbonLayout) return;
+
+        document.querySelectorAll('.ribbon-panel .command-btn').forEach(button => {
+            if (button.dataset.defaultTitle === undefined) {
+                button.dataset.defaultTitle = button.title;
+            }
+
+            const toolchain = button.dataset.toolchain || ribbonLayout.getCommandToolchain(button.dataset.command);
+            const reason = ribbonLayout.describeMissingToolchain(toolchain, this.systemVersions);
+            button.disabled = Boolean(reason);
+            button.title = reason ? `${button.dataset.defaultTitle}\n${reason}` : button.dataset.defaultTitle;
         });
     }
 }
@@ -0,0 +1,81 @@
+const { toSideBySide } = require('../../terminal/git-diff');
+
+// Rows beyond this are left out so huge diffs don't freeze the window
+const MAX_DIFF_LINES = 3000;
+
+function createCell(className, text) {
+  const cell = document.createElement('span');
+  cell.className = className;
+  cell.textContent = text;
+  return cell;
+}
+
+function createInlineRow(line) {
+  const row = document.createElement('div');
+  row.className = `git-diff-line git-line-${line.type}`;
+  const sign = { add: '+', del: '-', context: ' ', meta: '' }[line.type];
+  row.append(
+    createCell('git-line-number', line.oldNumber === null ? '' : line.oldNumber),
+    createCell('git-line-number', line.newNumber === null ? '' : line.newNumber),
+    createCell('git-line-text', line.type === 'meta' ? line.text : `${sign} ${line.text}`)
+  );
+  return row;
+}
+
+function createSplitRow(row) {
+  const element = document.createElement('div');
+  element.className = 'git-diff-line git-diff-split-row';
+  if (row.meta) {
+    element.classList.add('git-line-meta');
+    element.appendChild(createCell('git-line-text', row.meta));
+    return element;
+  }
+
+  const side = (line, numberKey, changedType) => {
+    const half = document.createElement('div');
+    half.className = `git-diff-half ${line ? `git-line-${line.type === changedType ? changedType : 'context'}` : 'git-line-empty'}`;
+    half.append(
+      createCell('git-line-number', line ? line[numberKey] : ''),
+      createCell('git-line-text', line ? line.text : '')
+    );
+    return half;
+  };
+  element.append(side(row.left, 'oldNumber', 'del'), side(row.right, 'newNumber', 'add'));
+  return element;
+}
+
+// The hunks of a parsed diff (see terminal/git-diff.js) as a fragment of rows,
+// inline or side by side ('split'). decorateHeader(header, hunk, index) can
+// add controls to each hunk's header.
+function renderHunks(diff, mode = 'inline', decorateHeader = null) {
+  const fragment = document.createDocumentFragment();
+  let renderedLines = 0;
+
+  diff.hunks.forEach((hunk, index) => {
+    if (renderedLines > MAX_DIFF_LINES) return;
+
+    const header = document.createElement('div');
+    header.className = 'git-hunk-header';
+    header.appendChild(createCell('', hunk.header));
+    if (decorateHeader) {
+      decorateHeader(header, hunk, index);
+    }
+    fragment.appendChild(header);
+
+    const rows = mode === 'split'
+      ? toSideBySide(hunk).map(createSplitRow)
+      : hunk.lines.map(createInlineRow);
+    rows.forEach(row => fragment.appendChild(row));
+    renderedLines += rows.length;
+  });
+
+  if (renderedLines > MAX_DIFF_LINES) {
+    fragment.appendChild(createCell('git-empty', 'Diff truncated; open the file in the editor to see the rest'));
+  }
+  return fragment;
+}
+
+module.exports = {
+  createCell,
+  renderHunks
+};
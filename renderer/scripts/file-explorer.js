@@ -6,6 +6,7 @@ class FileExplorer {
     this.currentPath = '';
     this.isVisible = true;
     this.expandedFolders = new Set();
+    this.selectedFile = null;
 
     logger.info('FileExplorer constructor started', {}, 'explorer');
     this.initializeEventListeners();
@@ -52,6 +53,9 @@ class FileExplorer {
     if (!newPath) return;
 
     logger.info('Updating file explorer path', { newPath, oldPath: this.currentPath }, 'explorer');
+    if (newPath !== this.currentPath) {
+      this.selectedFile = null;
+    }
     this.currentPath = newPath;
     await this.loadDirectory(newPath);
   }
@@ -306,10 +310,15 @@ class FileExplorer {
 
     // Select current file
     fileElement.classList.add('selected');
+    this.selectedFile = filePath;
 
     logger.debug('File selected', { filePath }, 'explorer');
   }
 
+  getSelectedFile() {
+    return this.selectedFile;
+  }
+
   async openFile(filePath) {
     try {
       logger.info('Opening file', { filePath }, 'explorer');
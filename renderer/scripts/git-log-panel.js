@@ -0,0 +1,530 @@
+const { ipcRenderer } = require('electron');
+const logger = require('../../utils/renderer-logger');
+const { STATUS_LABELS } = require('../../terminal/git-status');
+const { computeGraph } = require('../../terminal/git-log');
+const { createCell, renderHunks } = require('./diff-view');
+
+const PAGE_SIZE = 200;
+const SEARCH_DELAY_MS = 300;
+const REFRESH_DELAY_MS = 500;
+const LANE_WIDTH = 14;
+const ROW_HEIGHT = 24;
+// Wider graphs are cut off so the messages stay readable
+const MAX_GRAPH_LANES = 10;
+const LANE_COLORS = ['#63b3ed', '#f6ad55', '#68d391', '#fc8181', '#b794f4', '#f687b3', '#4fd1c5', '#faf089'];
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Commit history of the project's repository with a branch/merge graph. Commits
+// can be searched by message, author or path; selecting one lists its files and
+// shows their diff, and the context menu checks out, cherry-picks, reverts or
+// copies a commit.
+class GitLogPanel {
+  constructor(terminalManager, {
+    onNotify = () => {},
+    getProjectPath = () => null,
+    confirmStash = async () => false,
+    onRepositoryChanged = () => {}
+  } = {}) {
+    this.terminalManager = terminalManager;
+    this.onNotify = onNotify;
+    this.getProjectPath = getProjectPath;
+    // Resolves whether to stash uncommitted changes before checking out a commit
+    this.confirmStash = confirmStash;
+    this.onRepositoryChanged = onRepositoryChanged;
+    this.isVisible = false;
+    this.root = null;
+    this.commits = [];
+    // Graph rows from computeGraph, null while searching by message or author
+    // (the matches aren't connected history)
+    this.graph = null;
+    this.hasMore = false;
+    this.loadId = 0;
+    this.selectedHash = null;
+    this.files = [];
+    this.selectedFile = null;
+    this.search = { field: 'message', text: '' };
+    this.showAllBranches = false;
+    this.searchTimer = null;
+    this.refreshTimer = null;
+
+    logger.info('GitLogPanel constructor started', {}, 'git');
+    this.initializeEventListeners();
+    logger.info('GitLogPanel initialized', {}, 'git');
+  }
+
+  initializeEventListeners() {
+    const toggleBtn = document.getElementById('show-git-log-btn');
+    if (toggleBtn) {
+      toggleBtn.addEventListener('click', () => {
+        this.toggleVisibility();
+      });
+    }
+
+    const closeBtn = document.getElementById('close-git-log-btn');
+    if (closeBtn) {
+      closeBtn.addEventListener('click', () => {
+        this.hide();
+      });
+    }
+
+    const refreshBtn = document.getElementById('refresh-git-log-btn');
+    if (refreshBtn) {
+      refreshBtn.addEventListener('click', () => {
+        this.load();
+      });
+    }
+
+    const searchInput = document.getElementById('git-log-search');
+    if (searchInput) {
+      searchInput.addEventListener('input', () => {
+        this.search.text = searchInput.value;
+        clearTimeout(this.searchTimer);
+        this.searchTimer = setTimeout(() => this.load(), SEARCH_DELAY_MS);
+      });
+    }
+
+    const searchField = document.getElementById('git-log-search-field');
+    if (searchField) {
+      searchField.addEventListener('change', () => {
+        this.search.field = searchField.value;
+        if (this.search.text.trim()) {
+          this.load();
+        }
+      });
+    }
+
+    const allBranches = document.getElementById('git-log-all');
+    if (allBranches) {
+      allBranches.addEventListener('change', () => {
+        this.showAllBranches = allBranches.checked;
+        this.load();
+      });
+    }
+
+    const list = document.getElementById('git-log-list');
+    if (list) {
+      list.addEventListener('click', (e) => {
+        if (e.target.closest('[data-load-more]')) {
+          this.load({ append: true });
+          return;
+        }
+        const row = e.target.closest('[data-hash]');
+        if (row) {
+          this.selectCommit(row.dataset.hash);
+        }
+      });
+
+      list.addEventListener('contextmenu', (e) => {
+        const row = e.target.closest('[data-hash]');
+        if (row) {
+          e.preventDefault();
+          this.selectCommit(row.dataset.hash);
+          this.openMenu(row.dataset.hash, e.clientX, e.clientY);
+        }
+      });
+    }
+
+    const details = document.getElementById('git-log-details');
+    if (details) {
+      details.addEventListener('click', (e) => {
+        const fileRow = e.target.closest('[data-commit-file]');
+        if (fileRow) {
+          this.selectFile(fileRow.dataset.commitFile);
+        }
+      });
+    }
+
+    const menu = document.getElementById('git-log-menu');
+    if (menu) {
+      menu.addEventListener('click', (e) => {
+        const item = e.target.closest('[data-log-action]');
+        if (item) {
+          menu.classList.add('hidden');
+          this.runAction(item.dataset.logAction, menu.dataset.hash);
+        }
+      });
+
+      document.addEventListener('click', (e) => {
+        if (!menu.contains(e.target)) {
+          menu.classList.add('hidden');
+        }
+      });
+    }
+
+    // New commits or checkouts made in a terminal
+    this.terminalManager.onShellEvent((terminalId, event) => {
+      if (event.type === 'command-finished' && this.isVisible) {
+        this.scheduleRefresh();
+      }
+    });
+
+    logger.debug('Git log panel event listeners initialized', {}, 'git');
+  }
+
+  toggleVisibility() {
+    if (this.isVisible) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  show() {
+    const panel = document.getElementById('git-log-panel');
+    if (!panel) return;
+
+    panel.classList.remove('hidden');
+    this.isVisible = true;
+    this.load();
+    logger.debug('Git log panel shown', {}, 'git');
+  }
+
+  hide() {
+    const panel = document.getElementById('git-log-panel');
+    if (panel) {
+      panel.classList.add('hidden');
+    }
+
+    this.isVisible = false;
+    logger.debug('Git log panel hidden', {}, 'git');
+  }
+
+  // Called when another project folder is selected
+  resetProject() {
+    this.root = null;
+    this.commits = [];
+    this.clearSelection();
+    if (this.isVisible) {
+      this.load();
+    }
+  }
+
+  clearSelection() {
+    this.selectedHash = null;
+    this.files = [];
+    this.selectedFile = null;
+  }
+
+  scheduleRefresh() {
+    if (!this.refreshTimer) {
+      this.refreshTimer = setTimeout(() => {
+        this.refreshTimer = null;
+        this.load();
+      }, REFRESH_DELAY_MS);
+    }
+  }
+
+  // Loads the first page, or with append the next one
+  async load({ append = false } = {}) {
+    const projectPath = this.getProjectPath();
+    if (!projectPath) {
+      this.renderMessage('Select a project folder to see its history');
+      return;
+    }
+
+    const loadId = ++this.loadId;
+    const searchText = this.search.text.trim();
+    try {
+      const result = await ipcRenderer.invoke('git-log', {
+        projectPath,
+        limit: PAGE_SIZE,
+        skip: append ? this.commits.length : 0,
+        all: this.showAllBranches,
+        search: searchText ? { field: this.search.field, text: searchText } : null
+      });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      // A newer search or refresh has started since
+      if (loadId !== this.loadId) {
+        return;
+      }
+
+      if (!result.root) {
+        this.root = null;
+        this.commits = [];
+        this.clearSelection();
+        this.renderMessage('This folder is not in a Git repository');
+        return;
+      }
+
+      this.root = result.root;
+      this.commits = append ? [...this.commits, ...result.commits] : result.commits;
+      this.hasMore = result.commits.length === PAGE_SIZE;
+      this.graph = searchText && this.search.field !== 'path' ? null : computeGraph(this.commits);
+      this.renderList();
+
+      if (this.selectedHash && !this.findCommit(this.selectedHash)) {
+        this.clearSelection();
+        this.renderDetails();
+      }
+    } catch (error) {
+      logger.error('Error loading git log', error, { projectPath }, 'git');
+      this.renderMessage(`Git log failed: ${error.message}`);
+    }
+  }
+
+  findCommit(hash) {
+    return this.commits.find(commit => commit.hash === hash) || null;
+  }
+
+  renderMessage(message) {
+    const list = document.getElementById('git-log-list');
+    const details = document.getElementById('git-log-details');
+    if (details) details.innerHTML = '';
+    if (list) {
+      list.innerHTML = '';
+      list.appendChild(createCell('git-empty', message));
+    }
+  }
+
+  renderList() {
+    const list = document.getElementById('git-log-list');
+    if (!list) return;
+
+    list.innerHTML = '';
+    if (this.commits.length === 0) {
+      list.appendChild(createCell('git-empty', this.search.text.trim() ? 'No commits match the search' : 'No commits yet'));
+      return;
+    }
+
+    const graphLanes = this.graph ? Math.min(Math.max(...this.graph.map(row => row.lanes)), MAX_GRAPH_LANES) : 0;
+    const fragment = document.createDocumentFragment();
+    this.commits.forEach((commit, index) => {
+      const row = document.createElement('div');
+      row.className = `git-log-row${commit.hash === this.selectedHash ? ' selected' : ''}`;
+      row.dataset.hash = commit.hash;
+      row.title = `${commit.shortHash} ${commit.subject}`;
+
+      if (this.graph) {
+        row.appendChild(this.createGraphCell(this.graph[index], graphLanes));
+      }
+      commit.refs.forEach(ref => {
+        row.appendChild(createCell(`git-log-ref git-log-ref-${ref.type}`, ref.name));
+      });
+      row.append(
+        createCell('git-log-subject', commit.subject),
+        createCell('git-log-author', commit.author),
+        createCell('git-log-date', new Date(commit.date).toLocaleDateString())
+      );
+      fragment.appendChild(row);
+    });
+
+    if (this.hasMore) {
+      const more = document.createElement('button');
+      more.className = 'git-log-more';
+      more.dataset.loadMore = 'true';
+      more.textContent = 'Load More';
+      fragment.appendChild(more);
+    }
+    list.appendChild(fragment);
+  }
+
+  // Lines from the row above meet at the commit's dot, lines to its parents
+  // leave from it towards the row below
+  createGraphCell(graphRow, lanes) {
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('class', 'git-log-graph');
+    svg.setAttribute('width', lanes * LANE_WIDTH);
+    svg.setAttribute('height', ROW_HEIGHT);
+
+    const x = column => column * LANE_WIDTH + LANE_WIDTH / 2;
+    const middle = ROW_HEIGHT / 2;
+    const addLine = ([from, to], y1, y2, colorColumn) => {
+      const line = document.createElementNS(SVG_NS, 'line');
+      line.setAttribute('x1', x(from));
+      line.setAttribute('y1', y1);
+      line.setAttribute('x2', x(to));
+      line.setAttribute('y2', y2);
+      line.setAttribute('stroke', LANE_COLORS[colorColumn % LANE_COLORS.length]);
+      line.setAttribute('stroke-width', 2);
+      svg.appendChild(line);
+    };
+
+    graphRow.top.forEach(segment => addLine(segment, 0, middle, segment[0]));
+    graphRow.bottom.forEach(segment => addLine(segment, middle, ROW_HEIGHT, segment[1]));
+
+    const dot = document.createElementNS(SVG_NS, 'circle');
+    dot.setAttribute('cx', x(graphRow.column));
+    dot.setAttribute('cy', middle);
+    dot.setAttribute('r', 4);
+    dot.setAttribute('fill', LANE_COLORS[graphRow.column % LANE_COLORS.length]);
+    svg.appendChild(dot);
+    return svg;
+  }
+
+  async selectCommit(hash) {
+    if (hash === this.selectedHash) return;
+
+    this.selectedHash = hash;
+    this.files = [];
+    this.selectedFile = null;
+    document.querySelectorAll('#git-log-list .git-log-row').forEach(row => {
+      row.classList.toggle('selected', row.dataset.hash === hash);
+    });
+
+    try {
+      const result = await ipcRenderer.invoke('git-commit-files', { root: this.root, hash });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      if (hash !== this.selectedHash) return;
+
+      this.files = result.files;
+      this.renderDetails();
+      if (this.files.length > 0) {
+        await this.selectFile(this.files[0].path);
+      }
+    } catch (error) {
+      logger.error('Error loading commit files', error, { hash }, 'git');
+      this.onNotify(`Could not show the commit: ${error.message}`, 'error');
+    }
+  }
+
+  renderDetails() {
+    const details = document.getElementById('git-log-details');
+    if (!details) return;
+
+    details.innerHTML = '';
+    const commit = this.selectedHash ? this.findCommit(this.selectedHash) : null;
+    if (!commit) {
+      details.appendChild(createCell('git-empty', 'Select a commit to see its changes'));
+      return;
+    }
+
+    const meta = document.createElement('div');
+    meta.className = 'git-log-meta';
+    meta.append(
+      createCell('git-log-meta-subject', commit.subject),
+      ...(commit.body ? [createCell('git-log-meta-body', commit.body)] : []),
+      createCell('git-log-meta-line', `${commit.hash}`),
+      createCell('git-log-meta-line', `${commit.author} <${commit.email}>, ${new Date(commit.date).toLocaleString()}`),
+      ...(commit.parents.length > 1
+        ? [createCell('git-log-meta-line', `Merge of ${commit.parents.map(parent => parent.slice(0, 7)).join(' and ')}; changes are shown against the first`)]
+        : [])
+    );
+
+    const fileList = document.createElement('div');
+    fileList.className = 'git-log-files';
+    this.files.forEach(file => {
+      const row = document.createElement('div');
+      row.className = `git-file-row${file.path === this.selectedFile ? ' selected' : ''}`;
+      row.dataset.commitFile = file.path;
+      row.title = file.origPath ? `${file.origPath} → ${file.path}` : file.path;
+
+      const status = createCell(`git-file-status git-status-${file.status}`, file.status);
+      status.title = STATUS_LABELS[file.status] || file.status;
+      row.append(status, createCell('git-file-name', file.origPath ? `${file.origPath} → ${file.path}` : file.path));
+      fileList.appendChild(row);
+    });
+    if (this.files.length === 0) {
+      fileList.appendChild(createCell('git-empty', 'No file changes'));
+    }
+
+    const diffView = document.createElement('div');
+    diffView.id = 'git-log-diff';
+    diffView.className = 'git-log-diff';
+
+    details.append(meta, fileList, diffView);
+  }
+
+  async selectFile(filePath) {
+    const file = this.files.find(item => item.path === filePath);
+    const hash = this.selectedHash;
+    if (!file || !hash) return;
+
+    this.selectedFile = filePath;
+    document.querySelectorAll('#git-log-details .git-file-row').forEach(row => {
+      row.classList.toggle('selected', row.dataset.commitFile === filePath);
+    });
+
+    const diffView = document.getElementById('git-log-diff');
+    try {
+      const result = await ipcRenderer.invoke('git-commit-diff', {
+        root: this.root,
+        hash,
+        paths: file.origPath ? [file.path, file.origPath] : [file.path]
+      });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      if (hash !== this.selectedHash || filePath !== this.selectedFile || !diffView) return;
+
+      diffView.innerHTML = '';
+      if (result.diff.binary) {
+        diffView.appendChild(createCell('git-empty', 'Binary file'));
+      } else if (result.diff.hunks.length === 0) {
+        diffView.appendChild(createCell('git-empty', 'No textual changes'));
+      } else {
+        diffView.appendChild(renderHunks(result.diff));
+      }
+    } catch (error) {
+      logger.error('Error loading commit diff', error, { hash }, 'git');
+      this.onNotify(`Could not show the diff: ${error.message}`, 'error');
+    }
+  }
+
+  openMenu(hash, x, y) {
+    const menu = document.getElementById('git-log-menu');
+    if (!menu) return;
+
+    menu.dataset.hash = hash;
+    menu.style.position = 'fixed';
+    menu.style.left = `${x}px`;
+    menu.style.top = `${y}px`;
+    menu.classList.remove('hidden');
+  }
+
+  async runAction(action, hash) {
+    const commit = this.findCommit(hash);
+    if (!commit || !this.root) return;
+
+    const label = `${commit.shortHash} "${commit.subject}"`;
+    if (action === 'copy-sha') {
+      try {
+        await navigator.clipboard.writeText(commit.hash);
+        this.onNotify(`Copied ${commit.shortHash}`, 'success');
+      } catch (error) {
+        logger.error('Error copying commit hash', error, {}, 'git');
+        this.onNotify('Error copying to clipboard', 'error');
+      }
+      return;
+    }
+
+    const request = { root: this.root, hash: commit.hash, mainline: commit.parents.length > 1 };
+    let channel;
+    let done;
+    if (action === 'checkout') {
+      if (!confirm(`Check out ${label}?\n\nThis leaves you on no branch ("detached HEAD"); create a branch to keep commits made there.`)) return;
+      channel = 'git-switch-branch';
+      Object.assign(request, { branch: commit.hash, detach: true, stash: await this.confirmStash(commit.shortHash) });
+      done = `Checked out ${commit.shortHash}`;
+    } else if (action === 'cherry-pick') {
+      if (!confirm(`Apply ${label} on top of the current branch?`)) return;
+      channel = 'git-cherry-pick';
+      done = `Cherry-picked ${commit.shortHash}`;
+    } else if (action === 'revert') {
+      if (!confirm(`Create a commit that undoes ${label}?`)) return;
+      channel = 'git-revert';
+      done = `Reverted ${commit.shortHash}`;
+    } else {
+      return;
+    }
+
+    logger.userAction(`git-log-${action}`, { merge: request.mainline });
+    try {
+      const result = await ipcRenderer.invoke(channel, request);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      this.onNotify(done, 'success');
+    } catch (error) {
+      logger.error(`Error running ${action} from the log`, error, { hash: commit.shortHash }, 'git');
+      this.onNotify(error.message, 'error');
+    }
+    this.onRepositoryChanged();
+    await this.load();
+  }
+}
+
+module.exports = GitLogPanel;
@@ -0,0 +1,403 @@
+const { ipcRenderer } = require('electron');
+const logger = require('../../utils/renderer-logger');
+const { STATUS_LABELS, groupByDirectory } = require('../../terminal/git-status');
+const { describeTracking } = require('../../terminal/git-branches');
+const { createCell, renderHunks } = require('./diff-view');
+
+const REFRESH_DELAY_MS = 300;
+const SECTIONS = [
+  { key: 'conflicted', title: 'Merge Conflicts', action: 'stage' },
+  { key: 'staged', title: 'Staged Changes', action: 'unstage' },
+  { key: 'unstaged', title: 'Changes', action: 'stage' },
+  { key: 'untracked', title: 'Untracked Files', action: 'stage' }
+];
+
+// Working tree status of the project's repository from the main-process git
+// service. Files and single hunks can be staged or unstaged, and the selected
+// file's diff is shown inline or side by side.
+class GitPanel {
+  constructor(terminalManager, { onNotify = () => {}, getProjectPath = () => null } = {}) {
+    this.terminalManager = terminalManager;
+    this.onNotify = onNotify;
+    this.getProjectPath = getProjectPath;
+    this.isVisible = false;
+    this.refreshTimer = null;
+    // Result of git-status: { root, branch, staged, unstaged, untracked, conflicted }
+    this.status = null;
+    // { section, path } of the file whose diff is shown
+    this.selected = null;
+    this.diff = null;
+    this.diffMode = 'inline';
+
+    logger.info('GitPanel constructor started', {}, 'git');
+    this.initializeEventListeners();
+    logger.info('GitPanel initialized', {}, 'git');
+  }
+
+  initializeEventListeners() {
+    const toggleBtn = document.getElementById('show-git-btn');
+    if (toggleBtn) {
+      toggleBtn.addEventListener('click', () => {
+        this.toggleVisibility();
+      });
+    }
+
+    const closeBtn = document.getElementById('close-git-btn');
+    if (closeBtn) {
+      closeBtn.addEventListener('click', () => {
+        this.hide();
+      });
+    }
+
+    const refreshBtn = document.getElementById('refresh-git-btn');
+    if (refreshBtn) {
+      refreshBtn.addEventListener('click', () => {
+        this.refresh();
+      });
+    }
+
+    const modeBtn = document.getElementById('git-diff-mode-btn');
+    if (modeBtn) {
+      modeBtn.addEventListener('click', () => {
+        this.diffMode = this.diffMode === 'inline' ? 'split' : 'inline';
+        modeBtn.textContent = this.diffMode === 'inline' ? 'Side by Side' : 'Inline';
+        this.renderDiff();
+      });
+    }
+
+    const fileList = document.getElementById('git-file-list');
+    if (fileList) {
+      fileList.addEventListener('click', (e) => {
+        const actionBtn = e.target.closest('[data-git-action]');
+        if (actionBtn) {
+          e.stopPropagation();
+          this.runFileAction(actionBtn.dataset.gitAction, actionBtn.dataset.section, actionBtn.dataset.path || null);
+          return;
+        }
+
+        const row = e.target.closest('[data-git-file]');
+        if (row) {
+          this.selectFile(row.dataset.section, row.dataset.gitFile);
+        }
+      });
+    }
+
+    const diffView = document.getElementById('git-diff-view');
+    if (diffView) {
+      diffView.addEventListener('click', (e) => {
+        const hunkBtn = e.target.closest('[data-hunk-index]');
+        if (hunkBtn) {
+          this.applyHunk(parseInt(hunkBtn.dataset.hunkIndex, 10));
+        }
+      });
+    }
+
+    // Pick up git commands typed in a terminal
+    this.terminalManager.onShellEvent((terminalId, event) => {
+      if (event.type === 'command-finished' && this.isVisible) {
+        this.scheduleRefresh();
+      }
+    });
+
+    logger.debug('Git panel event listeners initialized', {}, 'git');
+  }
+
+  toggleVisibility() {
+    if (this.isVisible) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  show() {
+    const panel = document.getElementById('git-panel');
+    if (!panel) return;
+
+    panel.classList.remove('hidden');
+    this.isVisible = true;
+    this.refresh();
+    logger.debug('Git panel shown', {}, 'git');
+  }
+
+  hide() {
+    const panel = document.getElementById('git-panel');
+    if (panel) {
+      panel.classList.add('hidden');
+    }
+
+    this.isVisible = false;
+    logger.debug('Git panel hidden', {}, 'git');
+  }
+
+  // Called when another project folder is selected
+  resetProject() {
+    this.status = null;
+    this.selected = null;
+    this.diff = null;
+    if (this.isVisible) {
+      this.refresh();
+    }
+  }
+
+  scheduleRefresh() {
+    if (!this.refreshTimer) {
+      this.refreshTimer = setTimeout(() => {
+        this.refreshTimer = null;
+        this.refresh();
+      }, REFRESH_DELAY_MS);
+    }
+  }
+
+  async refresh() {
+    const projectPath = this.getProjectPath();
+    if (!projectPath) {
+      this.status = null;
+      this.renderMessage('Select a project folder to see its changes');
+      return;
+    }
+
+    try {
+      const result = await ipcRenderer.invoke('git-status', projectPath);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      if (projectPath !== this.getProjectPath()) {
+        return;
+      }
+
+      this.status = result.root ? result : null;
+      if (!this.status) {
+        this.selected = null;
+        this.diff = null;
+        this.renderMessage('This folder is not in a Git repository');
+        return;
+      }
+
+      this.renderStatus();
+      if (this.selected && this.findFile(this.selected.section, this.selected.path)) {
+        await this.loadDiff();
+      } else {
+        this.selected = null;
+        this.diff = null;
+        this.renderDiff();
+      }
+    } catch (error) {
+      logger.error('Error refreshing git status', error, { projectPath }, 'git');
+      this.renderMessage(`Git status failed: ${error.message}`);
+    }
+  }
+
+  findFile(section, filePath) {
+    return this.status ? this.status[section].find(file => file.path === filePath) : null;
+  }
+
+  renderMessage(message) {
+    const branch = document.getElementById('git-branch');
+    const fileList = document.getElementById('git-file-list');
+    const diffView = document.getElementById('git-diff-view');
+    if (branch) branch.textContent = '';
+    if (diffView) diffView.innerHTML = '';
+    if (fileList) {
+      fileList.innerHTML = '';
+      fileList.appendChild(createCell('git-empty', message));
+    }
+  }
+
+  describeBranch(branch) {
+    if (branch.detached) {
+      return `detached at ${(branch.oid || '').slice(0, 7)}`;
+    }
+
+    const tracking = describeTracking(branch);
+    return tracking ? `${branch.head || '(no branch)'} ${tracking}` : branch.head || '(no branch)';
+  }
+
+  renderStatus() {
+    const branch = document.getElementById('git-branch');
+    const fileList = document.getElementById('git-file-list');
+    if (!fileList) return;
+
+    if (branch) {
+      branch.textContent = this.describeBranch(this.status.branch);
+      branch.title = this.status.branch.upstream ? `Tracking ${this.status.branch.upstream}` : 'No upstream branch';
+    }
+
+    const fragment = document.createDocumentFragment();
+    SECTIONS.forEach(section => {
+      const files = this.status[section.key];
+      if (files.length === 0) return;
+
+      const header = document.createElement('div');
+      header.className = 'git-section-header';
+      const title = document.createElement('span');
+      title.textContent = `${section.title} (${files.length})`;
+      header.append(title, this.createActionButton(section.action, section.key, null));
+      fragment.appendChild(header);
+
+      groupByDirectory(files).forEach(group => {
+        if (group.directory) {
+          const folder = document.createElement('div');
+          folder.className = 'git-folder';
+          folder.textContent = `${group.directory}/`;
+          fragment.appendChild(folder);
+        }
+        group.files.forEach(file => fragment.appendChild(this.createFileRow(file, section, !!group.directory)));
+      });
+    });
+
+    if (!fragment.hasChildNodes()) {
+      fileList.innerHTML = '<div class="git-empty">No changes</div>';
+      return;
+    }
+
+    fileList.innerHTML = '';
+    fileList.appendChild(fragment);
+  }
+
+  createFileRow(file, section, nested) {
+    const row = document.createElement('div');
+    row.className = `git-file-row${nested ? ' git-file-nested' : ''}`;
+    row.dataset.gitFile = file.path;
+    row.dataset.section = section.key;
+    row.title = file.origPath ? `${file.origPath} → ${file.path}` : file.path;
+    if (this.selected && this.selected.section === section.key && this.selected.path === file.path) {
+      row.classList.add('selected');
+    }
+
+    const status = document.createElement('span');
+    status.className = `git-file-status git-status-${file.status === '?' ? 'untracked' : file.status}`;
+    status.textContent = file.status === '?' ? 'U' : file.status;
+    status.title = STATUS_LABELS[file.status] || file.status;
+
+    const name = document.createElement('span');
+    name.className = 'git-file-name';
+    name.textContent = file.name;
+
+    row.append(status, name, this.createActionButton(section.action, section.key, file.path));
+    return row;
+  }
+
+  // Stage or unstage one file, or every file of a section when filePath is null
+  createActionButton(action, sectionKey, filePath) {
+    const button = document.createElement('button');
+    button.className = 'git-action-btn';
+    button.dataset.gitAction = action;
+    button.dataset.section = sectionKey;
+    if (filePath) {
+      button.dataset.path = filePath;
+    }
+    button.textContent = action === 'stage' ? '+' : '−';
+    button.title = `${action === 'stage' ? 'Stage' : 'Unstage'} ${filePath ? 'File' : 'All'}`;
+    return button;
+  }
+
+  async runFileAction(action, sectionKey, filePath) {
+    if (!this.status) return;
+
+    const files = filePath ? [this.findFile(sectionKey, filePath)].filter(Boolean) : this.status[sectionKey];
+    // Unstaging a rename has to restore the old path as well
+    const paths = files.flatMap(file => (action === 'unstage' && file.origPath ? [file.path, file.origPath] : [file.path]));
+    if (paths.length === 0) return;
+
+    logger.userAction(`git-${action}`, { count: paths.length, section: sectionKey });
+    try {
+      const result = await ipcRenderer.invoke(action === 'stage' ? 'git-stage' : 'git-unstage', { root: this.status.root, paths });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      // Follow the file into the section it moved to
+      if (filePath && this.selected && this.selected.path === filePath) {
+        this.selected = { section: action === 'stage' ? 'staged' : 'unstaged', path: filePath };
+      }
+    } catch (error) {
+      logger.error(`Error running git ${action}`, error, { count: paths.length }, 'git');
+      this.onNotify(`Git ${action} failed: ${error.message}`, 'error');
+    }
+    await this.refresh();
+  }
+
+  async selectFile(sectionKey, filePath) {
+    this.selected = { section: sectionKey, path: filePath };
+    document.querySelectorAll('#git-file-list .git-file-row').forEach(row => {
+      row.classList.toggle('selected', row.dataset.section === sectionKey && row.dataset.gitFile === filePath);
+    });
+    await this.loadDiff();
+  }
+
+  async loadDiff() {
+    const { section, path: filePath } = this.selected;
+    try {
+      const result = await ipcRenderer.invoke('git-diff', {
+        root: this.status.root,
+        filePath,
+        staged: section === 'staged',
+        untracked: section === 'untracked'
+      });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      this.diff = result.diff;
+    } catch (error) {
+      logger.error('Error loading diff', error, { filePath }, 'git');
+      this.diff = null;
+      this.onNotify(`Could not show the diff: ${error.message}`, 'error');
+    }
+    this.renderDiff();
+  }
+
+  renderDiff() {
+    const diffView = document.getElementById('git-diff-view');
+    if (!diffView) return;
+
+    diffView.innerHTML = '';
+    if (!this.selected || !this.diff) {
+      diffView.innerHTML = '<div class="git-empty">Select a file to see its changes</div>';
+      return;
+    }
+    if (this.diff.binary) {
+      diffView.innerHTML = '<div class="git-empty">Binary file</div>';
+      return;
+    }
+    if (this.diff.hunks.length === 0) {
+      diffView.innerHTML = '<div class="git-empty">No textual changes (mode or permissions only)</div>';
+      return;
+    }
+
+    // Hunks can be moved between the index and the working tree, not out of untracked or conflicted files
+    const hunkAction = { staged: 'Unstage Hunk', unstaged: 'Stage Hunk' }[this.selected.section];
+    diffView.classList.toggle('git-diff-split', this.diffMode === 'split');
+    diffView.appendChild(renderHunks(this.diff, this.diffMode, hunkAction ? (header, hunk, index) => {
+      const button = document.createElement('button');
+      button.className = 'git-hunk-btn';
+      button.dataset.hunkIndex = index;
+      button.textContent = hunkAction;
+      header.appendChild(button);
+    } : null));
+  }
+
+  async applyHunk(hunkIndex) {
+    const hunk = this.diff && this.diff.hunks[hunkIndex];
+    if (!hunk || !this.selected) return;
+
+    const unstage = this.selected.section === 'staged';
+    logger.userAction(unstage ? 'git-unstage-hunk' : 'git-stage-hunk', { hunk: hunk.header });
+    try {
+      const result = await ipcRenderer.invoke('git-apply-hunk', {
+        root: this.status.root,
+        filePath: this.selected.path,
+        hunkHeader: hunk.header,
+        unstage
+      });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+    } catch (error) {
+      logger.error('Error applying hunk', error, { filePath: this.selected.path }, 'git');
+      this.onNotify(`Could not ${unstage ? 'unstage' : 'stage'} the hunk: ${error.message}`, 'error');
+    }
+    await this.refresh();
+  }
+}
+
+module.exports = GitPanel;
@@ -0,0 +1,415 @@
+const { ipcRenderer } = require('electron');
+const logger = require('../../utils/renderer-logger');
+const { STATUS_LABELS } = require('../../terminal/git-status');
+const { createCell, renderHunks } = require('./diff-view');
+
+const REFRESH_DELAY_MS = 500;
+const STASH_ACTIONS = [
+  { action: 'apply', label: 'Apply', title: 'Apply the changes and keep the stash' },
+  { action: 'pop', label: 'Pop', title: 'Apply the changes and drop the stash' },
+  { action: 'drop', label: 'Drop', title: 'Delete the stash' }
+];
+
+// Stashes of the project's repository. Uncommitted changes can be stashed with
+// a message and optionally their untracked files; selecting a stash lists its
+// files and shows their diff, and each stash can be applied, popped or dropped.
+class GitStashPanel {
+  constructor(terminalManager, {
+    onNotify = () => {},
+    getProjectPath = () => null,
+    onRepositoryChanged = () => {}
+  } = {}) {
+    this.terminalManager = terminalManager;
+    this.onNotify = onNotify;
+    this.getProjectPath = getProjectPath;
+    this.onRepositoryChanged = onRepositoryChanged;
+    this.isVisible = false;
+    this.root = null;
+    // Entries from git-stash.js, newest first
+    this.stashes = [];
+    this.loadId = 0;
+    this.selectedHash = null;
+    this.files = [];
+    this.selectedFile = null;
+    this.refreshTimer = null;
+
+    logger.info('GitStashPanel constructor started', {}, 'git');
+    this.initializeEventListeners();
+    logger.info('GitStashPanel initialized', {}, 'git');
+  }
+
+  initializeEventListeners() {
+    const toggleBtn = document.getElementById('show-git-stash-btn');
+    if (toggleBtn) {
+      toggleBtn.addEventListener('click', () => {
+        this.toggleVisibility();
+      });
+    }
+
+    const closeBtn = document.getElementById('close-git-stash-btn');
+    if (closeBtn) {
+      closeBtn.addEventListener('click', () => {
+        this.hide();
+      });
+    }
+
+    const refreshBtn = document.getElementById('refresh-git-stash-btn');
+    if (refreshBtn) {
+      refreshBtn.addEventListener('click', () => {
+        this.load();
+      });
+    }
+
+    const createBtn = document.getElementById('create-git-stash-btn');
+    if (createBtn) {
+      createBtn.addEventListener('click', () => {
+        this.createStash();
+      });
+    }
+
+    const messageInput = document.getElementById('git-stash-message');
+    if (messageInput) {
+      messageInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          this.createStash();
+        }
+      });
+    }
+
+    const list = document.getElementById('git-stash-list');
+    if (list) {
+      list.addEventListener('click', (e) => {
+        const row = e.target.closest('[data-stash]');
+        if (!row) return;
+
+        const actionBtn = e.target.closest('[data-stash-action]');
+        if (actionBtn) {
+          e.stopPropagation();
+          this.runAction(actionBtn.dataset.stashAction, row.dataset.stash);
+        } else {
+          this.selectStash(row.dataset.stash);
+        }
+      });
+    }
+
+    const details = document.getElementById('git-stash-details');
+    if (details) {
+      details.addEventListener('click', (e) => {
+        const fileRow = e.target.closest('[data-stash-file]');
+        if (fileRow) {
+          this.selectFile(fileRow.dataset.stashFile, fileRow.dataset.untracked === 'true');
+        }
+      });
+    }
+
+    // Stashes made or applied in a terminal, including autostashes
+    this.terminalManager.onShellEvent((terminalId, event) => {
+      if (event.type === 'command-finished' && this.isVisible) {
+        this.scheduleRefresh();
+      }
+    });
+
+    logger.debug('Git stash panel event listeners initialized', {}, 'git');
+  }
+
+  toggleVisibility() {
+    if (this.isVisible) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  show() {
+    const panel = document.getElementById('git-stash-panel');
+    if (!panel) return;
+
+    panel.classList.remove('hidden');
+    this.isVisible = true;
+    this.load();
+    logger.debug('Git stash panel shown', {}, 'git');
+  }
+
+  hide() {
+    const panel = document.getElementById('git-stash-panel');
+    if (panel) {
+      panel.classList.add('hidden');
+    }
+
+    this.isVisible = false;
+    logger.debug('Git stash panel hidden', {}, 'git');
+  }
+
+  // Called when another project folder is selected
+  resetProject() {
+    this.root = null;
+    this.stashes = [];
+    this.clearSelection();
+    if (this.isVisible) {
+      this.load();
+    }
+  }
+
+  clearSelection() {
+    this.selectedHash = null;
+    this.files = [];
+    this.selectedFile = null;
+  }
+
+  scheduleRefresh() {
+    if (!this.refreshTimer) {
+      this.refreshTimer = setTimeout(() => {
+        this.refreshTimer = null;
+        this.load();
+      }, REFRESH_DELAY_MS);
+    }
+  }
+
+  async load() {
+    const projectPath = this.getProjectPath();
+    if (!projectPath) {
+      this.renderMessage('Select a project folder to see its stashes');
+      return;
+    }
+
+    const loadId = ++this.loadId;
+    try {
+      const result = await ipcRenderer.invoke('git-stashes', projectPath);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      if (loadId !== this.loadId) {
+        return;
+      }
+
+      if (!result.root) {
+        this.root = null;
+        this.stashes = [];
+        this.clearSelection();
+        this.renderMessage('This folder is not in a Git repository');
+        return;
+      }
+
+      this.root = result.root;
+      this.stashes = result.stashes;
+      this.renderList();
+      if (!this.selectedHash || !this.findStash(this.selectedHash)) {
+        this.clearSelection();
+        this.renderDetails();
+      }
+    } catch (error) {
+      logger.error('Error loading stashes', error, { projectPath }, 'git');
+      this.renderMessage(`Git stash failed: ${error.message}`);
+    }
+  }
+
+  findStash(hash) {
+    return this.stashes.find(stash => stash.hash === hash) || null;
+  }
+
+  renderMessage(message) {
+    const list = document.getElementById('git-stash-list');
+    const details = document.getElementById('git-stash-details');
+    if (details) details.innerHTML = '';
+    if (list) {
+      list.innerHTML = '';
+      list.appendChild(createCell('git-empty', message));
+    }
+  }
+
+  renderList() {
+    const list = document.getElementById('git-stash-list');
+    if (!list) return;
+
+    list.innerHTML = '';
+    if (this.stashes.length === 0) {
+      list.appendChild(createCell('git-empty', 'No stashes'));
+      return;
+    }
+
+    this.stashes.forEach(stash => {
+      const row = document.createElement('div');
+      row.className = `git-stash-row${stash.hash === this.selectedHash ? ' selected' : ''}`;
+      row.dataset.stash = stash.hash;
+      row.title = `${stash.ref}: ${stash.message}`;
+
+      row.append(
+        createCell('git-stash-ref', stash.ref),
+        createCell('git-stash-message', stash.message),
+        ...(stash.branch ? [createCell('git-log-ref git-log-ref-branch', stash.branch)] : []),
+        createCell('git-log-date', new Date(stash.date).toLocaleDateString())
+      );
+      STASH_ACTIONS.forEach(({ action, label, title }) => {
+        const button = document.createElement('button');
+        button.className = 'git-hunk-btn git-stash-action';
+        button.dataset.stashAction = action;
+        button.textContent = label;
+        button.title = title;
+        row.appendChild(button);
+      });
+      list.appendChild(row);
+    });
+  }
+
+  async selectStash(hash) {
+    const stash = this.findStash(hash);
+    if (!stash || hash === this.selectedHash) return;
+
+    this.selectedHash = hash;
+    this.files = [];
+    this.selectedFile = null;
+    document.querySelectorAll('#git-stash-list .git-stash-row').forEach(row => {
+      row.classList.toggle('selected', row.dataset.stash === hash);
+    });
+
+    try {
+      const result = await ipcRenderer.invoke('git-stash-files', { root: this.root, hash, untracked: stash.untracked });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      if (hash !== this.selectedHash) return;
+
+      this.files = result.files;
+      this.renderDetails();
+      if (this.files.length > 0) {
+        await this.selectFile(this.files[0].path, !!this.files[0].untracked);
+      }
+    } catch (error) {
+      logger.error('Error loading stash files', error, {}, 'git');
+      this.onNotify(`Could not show the stash: ${error.message}`, 'error');
+    }
+  }
+
+  renderDetails() {
+    const details = document.getElementById('git-stash-details');
+    if (!details) return;
+
+    details.innerHTML = '';
+    if (!this.selectedHash) {
+      details.appendChild(createCell('git-empty', 'Select a stash to see its changes'));
+      return;
+    }
+
+    const fileList = document.createElement('div');
+    fileList.className = 'git-log-files';
+    this.files.forEach(file => {
+      const row = document.createElement('div');
+      row.className = 'git-file-row';
+      row.dataset.stashFile = file.path;
+      row.dataset.untracked = String(!!file.untracked);
+      row.title = file.origPath ? `${file.origPath} → ${file.path}` : file.path;
+
+      const statusKey = file.untracked ? 'untracked' : file.status;
+      const status = createCell(`git-file-status git-status-${statusKey}`, file.untracked ? 'U' : file.status);
+      status.title = file.untracked ? 'Untracked' : STATUS_LABELS[file.status] || file.status;
+      row.append(status, createCell('git-file-name', row.title));
+      fileList.appendChild(row);
+    });
+
+    const diffView = document.createElement('div');
+    diffView.id = 'git-stash-diff';
+    diffView.className = 'git-log-diff';
+
+    details.append(fileList, diffView);
+  }
+
+  async selectFile(filePath, untracked) {
+    const file = this.files.find(item => item.path === filePath && !!item.untracked === untracked);
+    const hash = this.selectedHash;
+    if (!file || !hash) return;
+
+    this.selectedFile = file;
+    document.querySelectorAll('#git-stash-details .git-file-row').forEach(row => {
+      row.classList.toggle('selected', row.dataset.stashFile === filePath && row.dataset.untracked === String(untracked));
+    });
+
+    const diffView = document.getElementById('git-stash-diff');
+    try {
+      const result = await ipcRenderer.invoke('git-stash-diff', {
+        root: this.root,
+        hash,
+        paths: file.origPath ? [file.path, file.origPath] : [file.path],
+        untracked
+      });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      if (hash !== this.selectedHash || file !== this.selectedFile || !diffView) return;
+
+      diffView.innerHTML = '';
+      if (result.diff.binary) {
+        diffView.appendChild(createCell('git-empty', 'Binary file'));
+      } else if (result.diff.hunks.length === 0) {
+        diffView.appendChild(createCell('git-empty', 'No textual changes'));
+      } else {
+        diffView.appendChild(renderHunks(result.diff));
+      }
+    } catch (error) {
+      logger.error('Error loading stash diff', error, {}, 'git');
+      this.onNotify(`Could not show the diff: ${error.message}`, 'error');
+    }
+  }
+
+  async createStash() {
+    if (!this.root) {
+      this.onNotify('This folder is not in a Git repository', 'warning');
+      return;
+    }
+
+    const messageInput = document.getElementById('git-stash-message');
+    const untrackedInput = document.getElementById('git-stash-untracked');
+    const includeUntracked = !!(untrackedInput && untrackedInput.checked);
+    logger.userAction('git-stash-create', { includeUntracked });
+    try {
+      const result = await ipcRenderer.invoke('git-stash-create', {
+        root: this.root,
+        message: messageInput ? messageInput.value : '',
+        includeUntracked
+      });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      if (!result.stashed) {
+        this.onNotify('There are no changes to stash', 'info');
+        return;
+      }
+      if (messageInput) messageInput.value = '';
+      this.onNotify('Changes stashed', 'success');
+    } catch (error) {
+      logger.error('Error creating stash', error, {}, 'git');
+      this.onNotify(`Could not stash: ${error.message}`, 'error');
+    }
+    this.onRepositoryChanged();
+    await this.load();
+  }
+
+  async runAction(action, hash) {
+    const stash = this.findStash(hash);
+    if (!stash || !this.root) return;
+
+    const label = `${stash.ref} "${stash.message}"`;
+    if (action === 'drop' && !confirm(`Delete ${label}? Its changes will be lost.`)) {
+      return;
+    }
+
+    logger.userAction(`git-stash-${action}`, { untracked: stash.untracked });
+    try {
+      const result = action === 'drop'
+        ? await ipcRenderer.invoke('git-stash-drop', { root: this.root, hash })
+        : await ipcRenderer.invoke('git-stash-apply', { root: this.root, hash, pop: action === 'pop' });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      this.onNotify({ apply: `Applied ${stash.ref}`, pop: `Popped ${stash.ref}`, drop: `Dropped ${stash.ref}` }[action], 'success');
+    } catch (error) {
+      logger.error(`Error running stash ${action}`, error, {}, 'git');
+      this.onNotify(error.message, 'error');
+    }
+    this.onRepositoryChanged();
+    await this.load();
+  }
+}
+
+module.exports = GitStashPanel;
@@ -0,0 +1,191 @@
+const { ipcRenderer } = require('electron');
+const path = require('path');
+const logger = require('../../utils/renderer-logger');
+
+const RENDER_DELAY_MS = 200;
+const SEVERITY_ICONS = {
+  error: 'fa-times-circle',
+  warning: 'fa-exclamation-triangle',
+  info: 'fa-info-circle'
+};
+
+// Lists problems the problem matchers found in terminal output; clicking one
+// opens the file at that line in the editor
+class ProblemsPanel {
+  constructor(terminalManager, { onNotify = () => {}, getProjectPath = () => null } = {}) {
+    this.terminalManager = terminalManager;
+    this.onNotify = onNotify;
+    this.getProjectPath = getProjectPath;
+    this.isVisible = false;
+    this.renderTimer = null;
+    this.problems = [];
+
+    logger.info('ProblemsPanel constructor started', {}, 'problems');
+    this.initializeEventListeners();
+    logger.info('ProblemsPanel initialized', {}, 'problems');
+  }
+
+  initializeEventListeners() {
+    const toggleBtn = document.getElementById('show-problems-btn');
+    if (toggleBtn) {
+      toggleBtn.addEventListener('click', () => {
+        this.toggleVisibility();
+      });
+    }
+
+    const closeBtn = document.getElementById('close-problems-btn');
+    if (closeBtn) {
+      closeBtn.addEventListener('click', () => {
+        this.hide();
+      });
+    }
+
+    const clearBtn = document.getElementById('clear-problems-btn');
+    if (clearBtn) {
+      clearBtn.addEventListener('click', () => {
+        this.terminalManager.clearProblems();
+      });
+    }
+
+    const list = document.getElementById('problems-list');
+    if (list) {
+      list.addEventListener('click', (e) => {
+        const row = e.target.closest('[data-problem-index]');
+        if (row) {
+          this.openProblem(this.problems[parseInt(row.dataset.problemIndex, 10)]);
+        }
+      });
+    }
+
+    // Output arrives in many small chunks; batch the re-renders
+    this.terminalManager.onProblemsChanged(() => {
+      if (!this.renderTimer) {
+        this.renderTimer = setTimeout(() => {
+          this.renderTimer = null;
+          this.refresh();
+        }, RENDER_DELAY_MS);
+      }
+    });
+
+    logger.debug('Problems panel event listeners initialized', {}, 'problems');
+  }
+
+  toggleVisibility() {
+    if (this.isVisible) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  show() {
+    const panel = document.getElementById('problems-panel');
+    if (!panel) return;
+
+    panel.classList.remove('hidden');
+    this.isVisible = true;
+    this.refresh();
+    logger.debug('Problems panel shown', {}, 'problems');
+  }
+
+  hide() {
+    const panel = document.getElementById('problems-panel');
+    if (panel) {
+      panel.classList.add('hidden');
+    }
+
+    this.isVisible = false;
+    logger.debug('Problems panel hidden', {}, 'problems');
+  }
+
+  refresh() {
+    const severityOrder = { error: 0, warning: 1, info: 2 };
+    this.problems = this.terminalManager.getProblems()
+      .sort((a, b) => severityOrder[a.severity] - severityOrder[b.severity]);
+
+    this.updateBadge();
+    if (this.isVisible) {
+      this.renderProblems();
+    }
+  }
+
+  updateBadge() {
+    const badge = document.getElementById('problems-badge');
+    const count = document.getElementById('problems-count');
+    const errorCount = this.problems.filter(problem => problem.severity === 'error').length;
+
+    if (count) {
+      count.textContent = this.problems.length;
+    }
+    if (badge) {
+      badge.textContent = this.problems.length;
+      badge.classList.toggle('hidden', this.problems.length === 0);
+      badge.classList.toggle('has-errors', errorCount > 0);
+    }
+  }
+
+  renderProblems() {
+    const list = document.getElementById('problems-list');
+    if (!list) return;
+
+    if (this.problems.length === 0) {
+      list.innerHTML = '<div class="problem-empty">No problems detected in terminal output</div>';
+      return;
+    }
+
+    const projectPath = this.getProjectPath();
+    const fragment = document.createDocumentFragment();
+    this.problems.forEach((problem, index) => {
+      const row = document.createElement('div');
+      row.className = `problem-row problem-${problem.severity}`;
+      row.dataset.problemIndex = index;
+      row.title = `${problem.file}:${problem.line}:${problem.column}`;
+
+      const icon = document.createElement('i');
+      icon.className = `fas ${SEVERITY_ICONS[problem.severity]} problem-icon`;
+
+      const message = document.createElement('span');
+      message.className = 'problem-message';
+      message.textContent = problem.code ? `${problem.message} (${problem.code})` : problem.message;
+
+      const location = document.createElement('span');
+      location.className = 'problem-location';
+      const displayPath = projectPath && problem.file.startsWith(projectPath)
+        ? path.relative(projectPath, problem.file)
+        : problem.file;
+      location.textContent = `${displayPath}:${problem.line}:${problem.column}`;
+
+      const source = document.createElement('span');
+      source.className = 'problem-source';
+      source.textContent = problem.source;
+
+      row.append(icon, message, location, source);
+      fragment.appendChild(row);
+    });
+
+    list.innerHTML = '';
+    list.appendChild(fragment);
+  }
+
+  async openProblem(problem) {
+    if (!problem) return;
+
+    logger.userAction('open-problem', { file: path.basename(problem.file), line: problem.line, source: problem.source });
+
+    try {
+      const result = await ipcRenderer.invoke('open-in-editor', problem.file, null, {
+        line: problem.line,
+        column: problem.column
+      });
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+    } catch (error) {
+      logger.error('Error opening problem location', error, { file: problem.file }, 'problems');
+      this.onNotify(`Error opening file: ${error.message}`, 'error');
+    }
+  }
+}
+
+module.exports = ProblemsPanel;
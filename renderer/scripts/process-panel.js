@@ -0,0 +1,192 @@
+const { ipcRenderer } = require('electron');
+const logger = require('../../utils/renderer-logger');
+
+const REFRESH_INTERVAL_MS = 2000;
+
+class ProcessPanel {
+  constructor(terminalManager, { onNotify = () => {} } = {}) {
+    this.terminalManager = terminalManager;
+    this.onNotify = onNotify;
+    this.isVisible = false;
+    this.refreshTimer = null;
+    this.isRefreshing = false;
+
+    logger.info('ProcessPanel constructor started', {}, 'processes');
+    this.initializeEventListeners();
+    logger.info('ProcessPanel initialized', {}, 'processes');
+  }
+
+  initializeEventListeners() {
+    const toggleBtn = document.getElementById('show-processes-btn');
+    if (toggleBtn) {
+      toggleBtn.addEventListener('click', () => {
+        this.toggleVisibility();
+      });
+    }
+
+    const closeBtn = document.getElementById('close-processes-btn');
+    if (closeBtn) {
+      closeBtn.addEventListener('click', () => {
+        this.hide();
+      });
+    }
+
+    const list = document.getElementById('process-list');
+    if (list) {
+      // Delegated so re-rendering the list doesn't need to rebind buttons
+      list.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-kill-pid]');
+        if (button) {
+          const pid = parseInt(button.dataset.killPid, 10);
+          this.killProcess(pid, button.dataset.tree === 'true');
+        }
+      });
+    }
+
+    logger.debug('Process panel event listeners initialized', {}, 'processes');
+  }
+
+  toggleVisibility() {
+    if (this.isVisible) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  show() {
+    const panel = document.getElementById('process-panel');
+    if (!panel) return;
+
+    panel.classList.remove('hidden');
+    this.isVisible = true;
+    this.refresh();
+    this.refreshTimer = setInterval(() => this.refresh(), REFRESH_INTERVAL_MS);
+    logger.debug('Process panel shown', {}, 'processes');
+  }
+
+  hide() {
+    const panel = document.getElementById('process-panel');
+    if (panel) {
+      panel.classList.add('hidden');
+    }
+
+    this.isVisible = false;
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+    logger.debug('Process panel hidden', {}, 'processes');
+  }
+
+  async refresh() {
+    // Skip overlapping refreshes when ps is slow
+    if (this.isRefreshing) return;
+
+    const activeTerminal = this.terminalManager.getActiveTerminal();
+    if (!activeTerminal || !activeTerminal.ptyTerminalId) {
+      this.renderProcesses([], 'No active terminal');
+      return;
+    }
+
+    this.isRefreshing = true;
+    try {
+      const result = await ipcRenderer.invoke('pty-list-processes', { terminalId: activeTerminal.ptyTerminalId });
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to list processes');
+      }
+      this.renderProcesses(result.processes, 'No processes running in this terminal');
+    } catch (error) {
+      logger.error('Error refreshing process list', error, { terminalId: activeTerminal.id }, 'processes');
+      this.renderProcesses([], 'Error loading processes');
+    } finally {
+      this.isRefreshing = false;
+    }
+  }
+
+  renderProcesses(processes, emptyText) {
+    const list = document.getElementById('process-list');
+    if (!list) return;
+
+    const count = document.getElementById('process-count');
+    if (count) {
+      count.textContent = processes.length;
+    }
+
+    if (processes.length === 0) {
+      list.innerHTML = `<div class="process-empty">${emptyText}</div>`;
+      return;
+    }
+
+    const fragment = document.createDocumentFragment();
+    processes.forEach(proc => {
+      const row = document.createElement('div');
+      row.className = 'process-row';
+
+      const command = document.createElement('span');
+      command.className = 'process-command';
+      command.style.paddingLeft = `${(proc.depth - 1) * 12}px`;
+      command.textContent = proc.command;
+      command.title = proc.command;
+
+      const pid = document.createElement('span');
+      pid.className = 'process-pid';
+      pid.textContent = proc.pid;
+
+      const cpu = document.createElement('span');
+      cpu.className = 'process-cpu';
+      cpu.textContent = proc.cpu === null ? '—' : `${proc.cpu.toFixed(1)}%`;
+
+      const memory = document.createElement('span');
+      memory.className = 'process-memory';
+      memory.textContent = this.formatBytes(proc.memory);
+
+      const actions = document.createElement('span');
+      actions.className = 'process-actions';
+      actions.innerHTML = `
+        <button class="process-action-btn" data-kill-pid="${proc.pid}" data-tree="false" title="Kill process">Kill</button>
+        <button class="process-action-btn" data-kill-pid="${proc.pid}" data-tree="true" title="Kill process and its children">Kill Tree</button>
+      `;
+
+      row.append(pid, command, cpu, memory, actions);
+      fragment.appendChild(row);
+    });
+
+    list.innerHTML = '';
+    list.appendChild(fragment);
+  }
+
+  async killProcess(pid, tree = false) {
+    const activeTerminal = this.terminalManager.getActiveTerminal();
+    if (!activeTerminal) return;
+
+    logger.userAction('kill-process', { pid, tree, terminalId: activeTerminal.id });
+
+    try {
+      const result = await ipcRenderer.invoke('pty-kill-process', {
+        terminalId: activeTerminal.ptyTerminalId,
+        pid,
+        tree
+      });
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      this.onNotify(`Killed ${result.killedPids.length} process${result.killedPids.length === 1 ? '' : 'es'}`, 'success');
+      this.refresh();
+    } catch (error) {
+      logger.error('Error killing process', error, { pid, tree }, 'processes');
+      this.onNotify(`Error killing process: ${error.message}`, 'error');
+    }
+  }
+
+  formatBytes(bytes) {
+    if (!bytes) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB'];
+    const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+    return `${(bytes / Math.pow(1024, exponent)).toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+  }
+}
+
+module.exports = ProcessPanel;
@@ -0,0 +1,258 @@
+const logger = require('../../utils/renderer-logger');
+const paneLayout = require('../../terminal/pane-layout');
+
+// Manages split panes inside terminal tabs. Each tab element hosts a layout
+// tree of panes, and every pane owns its own xterm + PTY via TerminalManager.
+class SplitPaneManager {
+  constructor(terminalManager, { onFocusChange = () => {}, onNotify = () => {} } = {}) {
+    this.terminalManager = terminalManager;
+    this.onFocusChange = onFocusChange;
+    this.onNotify = onNotify;
+    this.tabs = new Map();
+    this.dragState = null;
+
+    logger.info('SplitPaneManager initialized', {}, 'terminal');
+  }
+
+  // Creates the first pane of a tab and returns its element id
+  initTab(tabElementId) {
+    const host = document.getElementById(tabElementId);
+    if (!host) {
+      throw new Error(`Tab element ${tabElementId} not found`);
+    }
+
+    host.classList.add('pane-host');
+    this.tabs.set(tabElementId, {
+      layout: null,
+      paneElements: new Map(),
+      paneTerminals: new Map(),
+      focusedPaneId: null,
+      paneCounter: 0
+    });
+
+    const paneId = this.createPaneElement(tabElementId);
+    this.tabs.get(tabElementId).layout = paneLayout.createPaneLayout(paneId);
+    this.render(tabElementId);
+    return paneId;
+  }
+
+  createPaneElement(tabElementId) {
+    const tab = this.tabs.get(tabElementId);
+    const paneId = `${tabElementId}-pane-${++tab.paneCounter}`;
+
+    const paneElement = document.createElement('div');
+    paneElement.id = paneId;
+    paneElement.className = 'terminal-pane';
+    paneElement.addEventListener('focusin', () => {
+      this.focusPane(tabElementId, paneId);
+    });
+
+    tab.paneElements.set(paneId, paneElement);
+    return paneId;
+  }
+
+  registerPane(tabElementId, paneId, terminalId) {
+    const tab = this.tabs.get(tabElementId);
+    if (!tab) return;
+
+    tab.paneTerminals.set(paneId, terminalId);
+    this.focusPane(tabElementId, paneId);
+  }
+
+  getTerminalIds(tabElementId) {
+    const tab = this.tabs.get(tabElementId);
+    return tab ? Array.from(tab.paneTerminals.values()) : [];
+  }
+
+  getPaneCount(tabElementId) {
+    const tab = this.tabs.get(tabElementId);
+    return tab ? paneLayout.getPaneIds(tab.layout).length : 0;
+  }
+
+  getFocusedTerminalId(tabElementId) {
+    const tab = this.tabs.get(tabElementId);
+    return tab && tab.focusedPaneId ? tab.paneTerminals.get(tab.focusedPaneId) || null : null;
+  }
+
+  async splitPane(tabElementId, direction) {
+    const tab = this.tabs.get(tabElementId);
+    if (!tab || !tab.focusedPaneId) return null;
+
+    const sourceTerminal = this.terminalManager.getTerminal(tab.paneTerminals.get(tab.focusedPaneId));
+    const workingDirectory = sourceTerminal ? sourceTerminal.workingDirectory : process.cwd();
+    const profileId = sourceTerminal ? sourceTerminal.profileId : null;
+
+    // The pane must be laid out before xterm opens so the fit addon can measure it
+    const paneId = this.createPaneElement(tabElementId);
+    tab.layout = paneLayout.splitPane(tab.layout, tab.focusedPaneId, direction, paneId);
+    this.render(tabElementId);
+
+    logger.userAction('split-pane', { tabElementId, direction, paneId });
+
+    try {
+      const terminalId = await this.terminalManager.createTerminal(paneId, workingDirectory, { profileId });
+      this.registerPane(tabElementId, paneId, terminalId);
+      this.terminalManager.resizeAll();
+      return paneId;
+    } catch (error) {
+      logger.error('Error creating split pane', error, { tabElementId, direction }, 'terminal');
+      tab.paneElements.delete(paneId);
+      tab.layout = paneLayout.removePane(tab.layout, paneId);
+      this.render(tabElementId);
+      this.onNotify(`Error splitting terminal: ${error.message}`, 'error');
+      return null;
+    }
+  }
+
+  // Returns false when the pane is the last one in its tab; closing that is up to the tab
+  async closePane(tabElementId, paneId = null) {
+    const tab = this.tabs.get(tabElementId);
+    if (!tab) return false;
+
+    const targetPaneId = paneId || tab.focusedPaneId;
+    if (this.getPaneCount(tabElementId) <= 1) {
+      return false;
+    }
+
+    const neighbourPaneId = paneLayout.getAdjacentPaneId(tab.layout, targetPaneId, -1);
+    const terminalId = tab.paneTerminals.get(targetPaneId);
+
+    tab.layout = paneLayout.removePane(tab.layout, targetPaneId);
+    tab.paneTerminals.delete(targetPaneId);
+    const paneElement = tab.paneElements.get(targetPaneId);
+    tab.paneElements.delete(targetPaneId);
+
+    if (terminalId) {
+      await this.terminalManager.closeTerminal(terminalId);
+    }
+    if (paneElement) {
+      paneElement.remove();
+    }
+
+    this.render(tabElementId);
+    this.focusPane(tabElementId, neighbourPaneId);
+    this.terminalManager.resizeAll();
+    return true;
+  }
+
+  focusPane(tabElementId, paneId) {
+    const tab = this.tabs.get(tabElementId);
+    if (!tab || !tab.paneElements.has(paneId)) return;
+
+    tab.focusedPaneId = paneId;
+    tab.paneElements.forEach((element, id) => {
+      element.classList.toggle('focused', id === paneId);
+    });
+
+    const terminalId = tab.paneTerminals.get(paneId);
+    if (!terminalId) return;
+
+    // setActiveTerminal focuses xterm, which fires focusin again; the guard stops the loop
+    if (this.terminalManager.activeTerminalId !== terminalId) {
+      this.terminalManager.setActiveTerminal(terminalId);
+    }
+    this.onFocusChange(tabElementId, terminalId);
+  }
+
+  focusTerminal(tabElementId, terminalId) {
+    const tab = this.tabs.get(tabElementId);
+    if (!tab) return;
+
+    const pane = Array.from(tab.paneTerminals.entries()).find(([, id]) => id === terminalId);
+    if (pane) {
+      this.focusPane(tabElementId, pane[0]);
+    }
+  }
+
+  focusAdjacentPane(tabElementId, offset) {
+    const tab = this.tabs.get(tabElementId);
+    if (!tab || !tab.focusedPaneId) return;
+
+    const paneId = paneLayout.getAdjacentPaneId(tab.layout, tab.focusedPaneId, offset);
+    if (paneId && paneId !== tab.focusedPaneId) {
+      this.focusPane(tabElementId, paneId);
+    }
+  }
+
+  // Closes every pane's terminal; used when the whole tab is closed
+  async removeTab(tabElementId) {
+    const terminalIds = this.getTerminalIds(tabElementId);
+    this.tabs.delete(tabElementId);
+
+    for (const terminalId of terminalIds) {
+      await this.terminalManager.closeTerminal(terminalId);
+    }
+  }
+
+  render(tabElementId) {
+    const tab = this.tabs.get(tabElementId);
+    const host = document.getElementById(tabElementId);
+    if (!tab || !host || !tab.layout) return;
+
+    const build = (node, path) => {
+      if (node.type === 'pane') {
+        return tab.paneElements.get(node.id);
+      }
+
+      const container = document.createElement('div');
+      container.className = `pane-split pane-split-${node.direction}`;
+
+      const [first, second] = node.children.map((child, index) => build(child, [...path, index]));
+      first.style.flex = `${node.ratio} 1 0`;
+      second.style.flex = `${1 - node.ratio} 1 0`;
+
+      const divider = document.createElement('div');
+      divider.className = `pane-divider pane-divider-${node.direction}`;
+      divider.addEventListener('mousedown', (e) => {
+        this.startDividerDrag(e, tabElementId, path, container, node.direction);
+      });
+
+      container.append(first, divider, second);
+      return container;
+    };
+
+    // Pane elements are re-parented, not recreated, so each xterm keeps its state
+    const root = build(tab.layout, []);
+    root.style.flex = '';
+    host.replaceChildren(root);
+  }
+
+  startDividerDrag(e, tabElementId, path, container, direction) {
+    e.preventDefault();
+    this.dragState = { tabElementId, path, container, direction };
+    document.addEventListener('mousemove', this.handleDividerDrag);
+    document.addEventListener('mouseup', this.stopDividerDrag);
+    document.body.style.cursor = direction === 'horizontal' ? 'col-resize' : 'row-resize';
+  }
+
+  handleDividerDrag = (e) => {
+    if (!this.dragState) return;
+
+    const { tabElementId, path, container, direction } = this.dragState;
+    const tab = this.tabs.get(tabElementId);
+    if (!tab) return;
+
+    const rect = container.getBoundingClientRect();
+    const ratio = paneLayout.clampRatio(direction === 'horizontal'
+      ? (e.clientX - rect.left) / rect.width
+      : (e.clientY - rect.top) / rect.height);
+
+    tab.layout = paneLayout.setSplitRatio(tab.layout, path, ratio);
+
+    // Update the two sides in place; a full render on every mousemove would be wasteful
+    const [first, , second] = container.children;
+    first.style.flex = `${ratio} 1 0`;
+    second.style.flex = `${1 - ratio} 1 0`;
+  };
+
+  stopDividerDrag = () => {
+    this.dragState = null;
+    document.removeEventListener('mousemove', this.handleDividerDrag);
+    document.removeEventListener('mouseup', this.stopDividerDrag);
+    document.body.style.cursor = '';
+
+    this.terminalManager.resizeAll();
+  };
+}
+
+module.exports = SplitPaneManager;
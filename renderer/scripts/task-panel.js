@@ -0,0 +1,380 @@
+const { ipcRenderer } = require('electron');
+const path = require('path');
+const logger = require('../../utils/renderer-logger');
+const { buildTaskPlan, resolveStepCommand, buildStepCommand, TaskRun } = require('../../terminal/task-runner');
+const { CommandTracker, formatDuration } = require('../../terminal/command-history');
+
+const TICK_INTERVAL_MS = 1000;
+// Steps finish on the shell's OSC 133 marks, so a shell without them would never finish one
+const NO_INTEGRATION_MESSAGE = 'tasks need a shell that reports when commands finish (bash, zsh or PowerShell with shell integration)';
+const STATUS_ICONS = {
+  pending: 'fa-circle',
+  running: 'fa-spinner fa-spin',
+  passed: 'fa-check-circle',
+  failed: 'fa-times-circle',
+  skipped: 'fa-minus-circle'
+};
+
+// Runs composite custom commands step by step and shows each step's live status.
+// Sequential steps share the terminal that was active when the run started;
+// every step of a parallel group gets a terminal of its own.
+class TaskPanel {
+  constructor(terminalManager, {
+    onNotify = () => {},
+    getProjectPath = () => null,
+    getTasks = () => [],
+    openTerminal = async () => null,
+    onFocusTerminal = () => {}
+  } = {}) {
+    this.terminalManager = terminalManager;
+    this.onNotify = onNotify;
+    this.getProjectPath = getProjectPath;
+    this.getTasks = getTasks;
+    this.openTerminal = openTerminal;
+    this.onFocusTerminal = onFocusTerminal;
+    this.isVisible = false;
+    this.tickTimer = null;
+    this.run = null;
+    this.projectPath = null;
+    this.mainTerminalId = null;
+    this.resolveCommand = (command) => command;
+    // Step results come from the shell integration marks, like history entries
+    this.tracker = new CommandTracker();
+
+    logger.info('TaskPanel constructor started', {}, 'tasks');
+    this.initializeEventListeners();
+    logger.info('TaskPanel initialized', {}, 'tasks');
+  }
+
+  initializeEventListeners() {
+    const toggleBtn = document.getElementById('show-tasks-btn');
+    if (toggleBtn) {
+      toggleBtn.addEventListener('click', () => {
+        this.toggleVisibility();
+      });
+    }
+
+    const closeBtn = document.getElementById('close-tasks-btn');
+    if (closeBtn) {
+      closeBtn.addEventListener('click', () => {
+        this.hide();
+      });
+    }
+
+    const stopBtn = document.getElementById('stop-task-btn');
+    if (stopBtn) {
+      stopBtn.addEventListener('click', () => {
+        this.stop();
+      });
+    }
+
+    const list = document.getElementById('task-step-list');
+    if (list) {
+      list.addEventListener('click', (e) => {
+        const row = e.target.closest('[data-terminal-id]');
+        if (row) {
+          this.onFocusTerminal(row.dataset.terminalId);
+        }
+      });
+    }
+
+    this.terminalManager.onShellEvent((terminalId, event) => this.handleShellEvent(terminalId, event));
+
+    logger.debug('Task panel event listeners initialized', {}, 'tasks');
+  }
+
+  toggleVisibility() {
+    if (this.isVisible) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  show() {
+    const panel = document.getElementById('task-panel');
+    if (!panel) return;
+
+    panel.classList.remove('hidden');
+    this.isVisible = true;
+    this.render();
+    this.updateTicker();
+    logger.debug('Task panel shown', {}, 'tasks');
+  }
+
+  hide() {
+    const panel = document.getElementById('task-panel');
+    if (panel) {
+      panel.classList.add('hidden');
+    }
+
+    this.isVisible = false;
+    this.updateTicker();
+    logger.debug('Task panel hidden', {}, 'tasks');
+  }
+
+  isRunning() {
+    return !!this.run && !this.run.isFinished();
+  }
+
+  // resolveCommand fills in the placeholders of each step's command, once the
+  // shell it runs in (and so its variant) is known
+  async runTask(taskName, { resolveCommand = (command) => command } = {}) {
+    if (this.isRunning()) {
+      this.onNotify(`"${this.run.name}" is still running`, 'warning');
+      return;
+    }
+
+    const projectPath = this.getProjectPath();
+    if (!projectPath) {
+      this.onNotify('Please select a project folder first', 'warning');
+      return;
+    }
+
+    let plan;
+    try {
+      plan = buildTaskPlan(this.getTasks(), taskName);
+    } catch (error) {
+      logger.warn('Task could not be planned', { taskName, error: error.message }, 'tasks');
+      this.onNotify(error.message, 'error');
+      return;
+    }
+
+    // Sequential steps run in the active terminal, which has to report when they finish
+    const mainTerminalId = this.terminalManager.activeTerminalId;
+    const usesMainTerminal = plan.stages.some(stage => stage.steps.some(step => !step.group));
+    if (usesMainTerminal && !(await this.terminalManager.waitForShellIntegration(mainTerminalId))) {
+      logger.warn('Task needs shell integration', { taskName, terminalId: mainTerminalId }, 'tasks');
+      this.onNotify(`Can't run "${plan.name}" here: ${NO_INTEGRATION_MESSAGE}`, 'error');
+      return;
+    }
+    // Another run may have started while the terminal was checked
+    if (this.isRunning()) {
+      this.onNotify(`"${this.run.name}" is still running`, 'warning');
+      return;
+    }
+
+    logger.userAction('run-task', {
+      task: taskName,
+      steps: plan.stages.reduce((count, stage) => count + stage.steps.length, 0),
+      project: path.basename(projectPath)
+    });
+
+    this.run = new TaskRun(plan);
+    this.projectPath = projectPath;
+    this.mainTerminalId = mainTerminalId;
+    this.resolveCommand = resolveCommand;
+    this.show();
+    await this.launchSteps(this.run.start());
+  }
+
+  async launchSteps(steps) {
+    for (const step of steps) {
+      const terminalId = step.group
+        ? await this.openTerminal(`${step.group}: ${step.command}`)
+        : this.mainTerminalId;
+      const integrated = !!terminalId && await this.terminalManager.waitForShellIntegration(terminalId);
+
+      // The run may have been stopped while the terminal was opening
+      if (step.status !== 'running') {
+        continue;
+      }
+
+      step.terminalId = terminalId;
+      if (terminalId && !integrated) {
+        logger.warn('Task step terminal has no shell integration', { step: step.command, terminalId }, 'tasks');
+        this.onNotify(`Could not start "${step.command}": ${NO_INTEGRATION_MESSAGE}`, 'error');
+        await this.completeStep(step.id, null);
+        continue;
+      }
+
+      // Tracked before sending so a fast command can't finish unnoticed
+      if (terminalId) {
+        this.tracker.track(terminalId, step.id);
+      }
+      const sent = terminalId ? await this.sendStep(step, terminalId) : false;
+
+      if (!sent) {
+        this.tracker.forget(terminalId);
+        logger.error('Task step could not be started', null, { step: step.command, terminalId }, 'tasks');
+        this.onNotify(`Could not start "${step.command}"`, 'error');
+        await this.completeStep(step.id, null);
+      }
+    }
+    this.render();
+  }
+
+  // Sends the step's variant for the terminal's shell with its placeholders filled
+  // in, after a cd into the step's directory the way that shell understands.
+  // The step shows the command that was sent.
+  async sendStep(step, terminalId) {
+    const terminal = this.terminalManager.getTerminal(terminalId);
+    const shell = terminal ? terminal.shell : null;
+
+    let command;
+    try {
+      step.command = this.resolveCommand(resolveStepCommand(step, shell));
+      command = buildStepCommand(step, this.projectPath, shell);
+    } catch (error) {
+      logger.warn('Task step command could not be built', { step: step.command, error: error.message }, 'tasks');
+      this.onNotify(error.message, 'error');
+      return false;
+    }
+    return this.terminalManager.executeCommand(command, terminalId);
+  }
+
+  async completeStep(stepId, exitCode) {
+    if (!this.run) {
+      return;
+    }
+
+    const nextSteps = this.run.completeStep(stepId, exitCode);
+    this.render();
+
+    if (this.run.isFinished()) {
+      this.finishRun();
+    } else if (nextSteps.length > 0) {
+      await this.launchSteps(nextSteps);
+    }
+  }
+
+  handleShellEvent(terminalId, event) {
+    if (event.type === 'exit') {
+      this.tracker.forget(terminalId).forEach(stepId => this.completeStep(stepId, null));
+      return;
+    }
+
+    const result = this.tracker.handleEvent(terminalId, event);
+    if (result) {
+      this.completeStep(result.entryId, result.exitCode);
+    } else if (event.type === 'command-executed' && this.isRunning()) {
+      this.render();
+    }
+  }
+
+  stop() {
+    if (!this.isRunning()) {
+      return;
+    }
+
+    const running = this.run.steps.filter(step => step.status === 'running');
+    this.run.stop();
+    running.forEach(step => {
+      this.tracker.forget(step.terminalId);
+      this.interrupt(step.terminalId);
+    });
+
+    logger.userAction('stop-task', { task: this.run.name, interrupted: running.length });
+    this.finishRun();
+    this.render();
+  }
+
+  async interrupt(terminalId) {
+    const terminal = this.terminalManager.getTerminal(terminalId);
+    if (!terminal || !terminal.ptyTerminalId) {
+      return;
+    }
+
+    try {
+      await ipcRenderer.invoke('pty-write', { terminalId: terminal.ptyTerminalId, data: '\x03' });
+    } catch (error) {
+      logger.error('Error interrupting task step', error, { terminalId }, 'tasks');
+    }
+  }
+
+  finishRun() {
+    const { name, status } = this.run;
+    logger.info('Task run finished', { task: name, status }, 'tasks');
+
+    if (status === 'passed') {
+      this.onNotify(`Task "${name}" finished`, 'success');
+    } else if (status === 'failed') {
+      this.onNotify(`Task "${name}" failed`, 'error');
+    } else {
+      this.onNotify(`Task "${name}" stopped`, 'warning');
+    }
+    this.updateTicker();
+  }
+
+  // Running steps show their elapsed time, so re-render while the panel is open
+  updateTicker() {
+    const shouldTick = this.isVisible && this.isRunning();
+    if (shouldTick && !this.tickTimer) {
+      this.tickTimer = setInterval(() => this.render(), TICK_INTERVAL_MS);
+    } else if (!shouldTick && this.tickTimer) {
+      clearInterval(this.tickTimer);
+      this.tickTimer = null;
+    }
+  }
+
+  render() {
+    if (!this.isVisible) return;
+
+    const runView = document.getElementById('task-run');
+    const list = document.getElementById('task-step-list');
+    if (!runView || !list) return;
+
+    runView.classList.toggle('hidden', !this.run);
+    if (!this.run) return;
+
+    document.getElementById('task-run-name').textContent = this.run.name;
+    const status = document.getElementById('task-run-status');
+    status.textContent = this.run.status;
+    status.className = `task-status task-status-${this.run.status}`;
+    document.getElementById('stop-task-btn').classList.toggle('hidden', !this.isRunning());
+
+    const now = Date.now();
+    const fragment = document.createDocumentFragment();
+    this.run.stages.forEach(stage => {
+      stage.steps.forEach(step => {
+        fragment.appendChild(this.renderStep(step, stage, now));
+      });
+    });
+
+    list.innerHTML = '';
+    list.appendChild(fragment);
+    this.updateTicker();
+  }
+
+  renderStep(step, stage, now) {
+    const row = document.createElement('div');
+    row.className = `task-step task-step-${step.status}`;
+    if (stage.parallel) {
+      row.classList.add('task-step-parallel');
+    }
+    if (step.terminalId) {
+      row.dataset.terminalId = step.terminalId;
+      row.title = 'Show terminal';
+    }
+
+    const icon = document.createElement('i');
+    icon.className = `fas ${STATUS_ICONS[step.status]} task-step-icon`;
+
+    const command = document.createElement('span');
+    command.className = 'task-step-command';
+    command.textContent = step.command;
+
+    const details = document.createElement('span');
+    details.className = 'task-step-details';
+    details.textContent = [
+      step.taskName !== this.run.name ? step.taskName : null,
+      step.group ? `∥ ${step.group}` : null,
+      step.cwd || null
+    ].filter(Boolean).join(' · ');
+
+    const duration = document.createElement('span');
+    duration.className = 'task-step-duration';
+    if (step.status === 'running') {
+      duration.textContent = formatDuration(now - step.startedAt);
+    } else if (step.status === 'failed') {
+      duration.textContent = step.exitCode === null ? 'no result' : `exit ${step.exitCode}`;
+    } else {
+      duration.textContent = formatDuration(step.durationMs);
+    }
+
+    row.append(icon, command, details, duration);
+    return row;
+  }
+}
+
+module.exports = TaskPanel;
@@ -0,0 +1,219 @@
+const { ipcRenderer } = require('electron');
+const logger = require('../../utils/renderer-logger');
+const { isValidSearch } = require('../../terminal/scrollback-search');
+
+// Ctrl+F search overlay for the active terminal's scrollback
+class TerminalSearch {
+  constructor(terminalManager, { onNotify = () => {} } = {}) {
+    this.terminalManager = terminalManager;
+    this.onNotify = onNotify;
+    this.isVisible = false;
+    this.options = { regex: false, caseSensitive: false };
+    this.searchedTerminalId = null;
+    this.resultsSubscription = null;
+
+    logger.info('TerminalSearch constructor started', {}, 'search');
+    this.initializeEventListeners();
+    logger.info('TerminalSearch initialized', {}, 'search');
+  }
+
+  initializeEventListeners() {
+    // Capture phase: xterm stops propagation of Ctrl+F while it has focus
+    document.addEventListener('keydown', (e) => {
+      if ((e.ctrlKey || e.metaKey) && !e.shiftKey && !e.altKey && e.key.toLowerCase() === 'f') {
+        const container = document.getElementById('terminal-container');
+        const inTerminal = container && container.contains(e.target);
+        if (inTerminal || e.target === document.body || this.isVisible) {
+          e.preventDefault();
+          e.stopPropagation();
+          this.show();
+        }
+      }
+    }, true);
+
+    const input = document.getElementById('terminal-search-input');
+    if (input) {
+      input.addEventListener('input', () => {
+        this.find('next', true);
+      });
+
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          this.find(e.shiftKey ? 'previous' : 'next');
+        } else if (e.key === 'Escape') {
+          e.preventDefault();
+          this.hide();
+        }
+      });
+    }
+
+    const bindings = {
+      'search-next-btn': () => this.find('next'),
+      'search-prev-btn': () => this.find('previous'),
+      'search-regex-btn': () => this.toggleOption('regex', 'search-regex-btn'),
+      'search-case-btn': () => this.toggleOption('caseSensitive', 'search-case-btn'),
+      'search-export-btn': () => this.exportResults(),
+      'search-close-btn': () => this.hide()
+    };
+
+    Object.entries(bindings).forEach(([id, handler]) => {
+      const button = document.getElementById(id);
+      if (button) {
+        button.addEventListener('click', handler);
+      }
+    });
+
+    logger.debug('Terminal search event listeners initialized', {}, 'search');
+  }
+
+  show() {
+    const overlay = document.getElementById('terminal-search');
+    const input = document.getElementById('terminal-search-input');
+    if (!overlay || !input) return;
+
+    overlay.classList.remove('hidden');
+    this.isVisible = true;
+
+    // Seed the query with the terminal selection, like most editors do
+    const activeTerminal = this.terminalManager.getActiveTerminal();
+    const selection = activeTerminal ? activeTerminal.terminal.getSelection() : '';
+    if (selection && !selection.includes('\n')) {
+      input.value = selection;
+    }
+
+    input.focus();
+    input.select();
+    if (input.value) {
+      this.find('next', true);
+    }
+  }
+
+  hide() {
+    const overlay = document.getElementById('terminal-search');
+    if (overlay) {
+      overlay.classList.add('hidden');
+    }
+
+    this.isVisible = false;
+    if (this.searchedTerminalId) {
+      this.terminalManager.clearSearch(this.searchedTerminalId);
+    }
+    this.setSearchedTerminal(null);
+
+    const activeTerminal = this.terminalManager.getActiveTerminal();
+    if (activeTerminal) {
+      activeTerminal.terminal.focus();
+    }
+  }
+
+  toggleOption(option, buttonId) {
+    this.options[option] = !this.options[option];
+
+    const button = document.getElementById(buttonId);
+    if (button) {
+      button.classList.toggle('active', this.options[option]);
+    }
+
+    this.find('next', true);
+  }
+
+  // The results listener follows the active terminal (tabs and panes can change while open)
+  setSearchedTerminal(terminalId) {
+    if (this.searchedTerminalId === terminalId) return;
+
+    if (this.resultsSubscription) {
+      this.resultsSubscription.dispose();
+      this.resultsSubscription = null;
+    }
+    if (this.searchedTerminalId) {
+      this.terminalManager.clearSearch(this.searchedTerminalId);
+    }
+
+    this.searchedTerminalId = terminalId;
+    if (terminalId) {
+      this.resultsSubscription = this.terminalManager.onSearchResults(terminalId, (results) => {
+        this.updateMatchCount(results);
+      });
+    }
+  }
+
+  find(direction = 'next', incremental = false) {
+    const input = document.getElementById('terminal-search-input');
+    const activeTerminal = this.terminalManager.getActiveTerminal();
+    if (!input || !activeTerminal) return;
+
+    this.setSearchedTerminal(activeTerminal.id);
+    const query = input.value;
+
+    if (!query) {
+      this.terminalManager.clearSearch(activeTerminal.id);
+      this.setStatus('');
+      return;
+    }
+
+    if (!isValidSearch(query, this.options)) {
+      this.terminalManager.clearSearch(activeTerminal.id);
+      this.setStatus('Invalid regex', true);
+      return;
+    }
+
+    const found = this.terminalManager.search(activeTerminal.id, query, { ...this.options, incremental }, direction);
+    if (!found) {
+      this.setStatus('No results', true);
+    }
+  }
+
+  updateMatchCount(results) {
+    if (!results || results.resultCount === 0) {
+      this.setStatus('No results', true);
+    } else if (results.resultIndex === -1) {
+      // The addon stops counting past its highlight limit
+      this.setStatus(`${results.resultCount}+ matches`);
+    } else {
+      this.setStatus(`${results.resultIndex + 1} of ${results.resultCount}`);
+    }
+  }
+
+  setStatus(text, isEmpty = false) {
+    const count = document.getElementById('search-match-count');
+    if (count) {
+      count.textContent = text;
+      count.classList.toggle('no-results', isEmpty);
+    }
+  }
+
+  async exportResults() {
+    const input = document.getElementById('terminal-search-input');
+    const activeTerminal = this.terminalManager.getActiveTerminal();
+    if (!input || !input.value || !activeTerminal) {
+      this.onNotify('Enter a search term to export', 'warning');
+      return;
+    }
+
+    try {
+      const excerpt = this.terminalManager.getSearchExcerpt(activeTerminal.id, input.value, this.options);
+      if (excerpt.matchCount === 0) {
+        this.onNotify('No matches to export', 'warning');
+        return;
+      }
+
+      logger.userAction('export-search-results', { matchCount: excerpt.matchCount, terminalId: activeTerminal.id });
+      const result = await ipcRenderer.invoke('export-search-results', {
+        text: excerpt.text,
+        defaultName: `terminal-search-${new Date().toISOString().split('T')[0]}.txt`
+      });
+
+      if (result.success) {
+        this.onNotify(`Exported ${excerpt.matchCount} matches`, 'success');
+      } else if (!result.cancelled) {
+        throw new Error(result.error);
+      }
+    } catch (error) {
+      logger.error('Error exporting search results', error, {}, 'search');
+      this.onNotify(`Error exporting search results: ${error.message}`, 'error');
+    }
+  }
+}
+
+module.exports = TerminalSearch;
@@ -0,0 +1,198 @@
+// Command history entries and the run results recorded for them.
+// Results come from the shell integration marks (OSC 133 C/D): a command
+// sent to a terminal is queued, starts running at the next "command executed"
+// mark and finishes at the next "command finished" mark with its exit code.
+
+const path = require('path');
+
+const MAX_HISTORY = 100;
+const HISTORY_STATUSES = ['running', 'passed', 'failed', 'unknown'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Ribbon tasks can send several commands within the same millisecond
+let entryCount = 0;
+
+// `tracked` is false when the terminal has no shell integration, so no result will arrive
+function createHistoryEntry({ command, projectPath, terminalId = null, terminalName = null, tracked = false, now = new Date() }) {
+  return {
+    id: `${now.getTime()}-${++entryCount}`,
+    command,
+    projectPath: path.basename(projectPath),
+    fullProjectPath: projectPath,
+    timestamp: now.toISOString(),
+    formattedTime: now.toLocaleString(),
+    terminalId,
+    terminalName,
+    status: tracked ? 'running' : 'unknown',
+    exitCode: null,
+    startedAt: now.toISOString(),
+    endedAt: null,
+    durationMs: null
+  };
+}
+
+function getEntryStatus(entry) {
+  return HISTORY_STATUSES.includes(entry.status) ? entry.status : 'unknown';
+}
+
+// Entries saved before results were recorded, or still running when the app
+// closed, come back as "unknown"
+function normalizeHistoryEntry(entry) {
+  return {
+    terminalId: null,
+    terminalName: null,
+    exitCode: null,
+    startedAt: entry.timestamp || null,
+    endedAt: null,
+    durationMs: null,
+    ...entry,
+    status: getEntryStatus(entry) === 'running' ? 'unknown' : getEntryStatus(entry)
+  };
+}
+
+// A null exit code means the command never reported back (its terminal closed)
+function completeHistoryEntry(entry, { exitCode, startedAt, endedAt }) {
+  if (exitCode === null) {
+    return { ...entry, status: 'unknown' };
+  }
+
+  return {
+    ...entry,
+    status: exitCode === 0 ? 'passed' : 'failed',
+    exitCode,
+    startedAt: new Date(startedAt).toISOString(),
+    endedAt: new Date(endedAt).toISOString(),
+    durationMs: Math.max(0, endedAt - startedAt)
+  };
+}
+
+function formatDuration(ms) {
+  if (typeof ms !== 'number' || Number.isNaN(ms) || ms < 0) {
+    return '';
+  }
+  if (ms < 1000) {
+    return `${Math.round(ms)}ms`;
+  }
+  if (ms < 60 * 1000) {
+    return `${(ms / 1000).toFixed(1)}s`;
+  }
+
+  const totalSeconds = Math.round(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  if (hours > 0) {
+    return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+  }
+  return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+}
+
+function getPeriodStart(period, now) {
+  if (period === 'today') {
+    const start = new Date(now);
+    start.setHours(0, 0, 0, 0);
+    return start.getTime();
+  }
+  if (period === 'week') {
+    return now.getTime() - 7 * DAY_MS;
+  }
+  return null;
+}
+
+// filters: { search, status: 'all' | one of HISTORY_STATUSES, period: 'all' | 'today' | 'week' }
+function filterHistory(entries, { search = '', status = 'all', period = 'all' } = {}, now = new Date()) {
+  const term = search.trim().toLowerCase();
+  const periodStart = getPeriodStart(period, now);
+
+  return entries.filter(entry => {
+    if (term && !entry.command.toLowerCase().includes(term) && !entry.projectPath.toLowerCase().includes(term)) {
+      return false;
+    }
+    if (status !== 'all' && getEntryStatus(entry) !== status) {
+      return false;
+    }
+    if (periodStart !== null && new Date(entry.timestamp).getTime() < periodStart) {
+      return false;
+    }
+    return true;
+  });
+}
+
+// Pairs commands sent to a terminal with the shell's command marks
+class CommandTracker {
+  constructor() {
+    this.queues = new Map();
+    this.running = new Map();
+    // Terminals whose shell sends "command executed" marks (bash < 4.4 has no PS0)
+    this.executedMarks = new Set();
+  }
+
+  track(terminalId, entryId, sentAt = Date.now()) {
+    if (!this.queues.has(terminalId)) {
+      this.queues.set(terminalId, []);
+    }
+    this.queues.get(terminalId).push({ entryId, startedAt: sentAt });
+  }
+
+  // Returns { entryId, exitCode, startedAt, endedAt } when a tracked command finishes
+  handleEvent(terminalId, event, now = Date.now()) {
+    const queue = this.queues.get(terminalId) || [];
+
+    if (event.type === 'command-executed') {
+      this.executedMarks.add(terminalId);
+      // Commands typed by hand also run; only queued commands are tracked
+      const run = queue.shift();
+      if (run) {
+        this.running.set(terminalId, { ...run, startedAt: now });
+      }
+      return null;
+    }
+
+    if (event.type !== 'command-finished') {
+      return null;
+    }
+
+    let run = this.running.get(terminalId);
+    this.running.delete(terminalId);
+    if (!run && !this.executedMarks.has(terminalId)) {
+      run = queue.shift();
+    }
+    if (!run) {
+      return null;
+    }
+
+    return {
+      entryId: run.entryId,
+      exitCode: event.exitCode === undefined ? null : event.exitCode,
+      startedAt: run.startedAt,
+      endedAt: now
+    };
+  }
+
+  // Drops a closed terminal; returns the ids of commands that never finished
+  forget(terminalId) {
+    const running = this.running.get(terminalId);
+    const entryIds = [
+      ...(running ? [running.entryId] : []),
+      ...(this.queues.get(terminalId) || []).map(run => run.entryId)
+    ];
+
+    this.queues.delete(terminalId);
+    this.running.delete(terminalId);
+    this.executedMarks.delete(terminalId);
+    return entryIds;
+  }
+}
+
+module.exports = {
+  MAX_HISTORY,
+  HISTORY_STATUSES,
+  createHistoryEntry,
+  getEntryStatus,
+  normalizeHistoryEntry,
+  completeHistoryEntry,
+  formatDuration,
+  filterHistory,
+  CommandTracker
+};
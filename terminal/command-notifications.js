@@ -0,0 +1,107 @@
+// Desktop notifications for long-running commands.
+// The renderer reports every finished command; the main process decides with
+// these helpers whether it ran long enough (and isn't muted) to notify.
+
+const path = require('path');
+const { formatDuration } = require('./command-history');
+
+const DEFAULT_NOTIFICATION_SETTINGS = {
+  enabled: true,
+  thresholdSeconds: 30,
+  mutedProjects: [],
+  mutedCommands: []
+};
+
+const MIN_THRESHOLD_SECONDS = 1;
+const MAX_THRESHOLD_SECONDS = 24 * 60 * 60;
+const MAX_COMMAND_PREVIEW = 80;
+
+function normalizeList(values) {
+  if (!Array.isArray(values)) {
+    return [];
+  }
+  const items = values
+    .filter(value => typeof value === 'string')
+    .map(value => value.trim())
+    .filter(Boolean);
+  return Array.from(new Set(items));
+}
+
+function normalizeNotificationSettings(settings = {}) {
+  const source = settings && typeof settings === 'object' ? settings : {};
+  const threshold = Number(source.thresholdSeconds);
+
+  return {
+    enabled: typeof source.enabled === 'boolean' ? source.enabled : DEFAULT_NOTIFICATION_SETTINGS.enabled,
+    thresholdSeconds: Number.isFinite(threshold)
+      ? Math.min(MAX_THRESHOLD_SECONDS, Math.max(MIN_THRESHOLD_SECONDS, Math.round(threshold)))
+      : DEFAULT_NOTIFICATION_SETTINGS.thresholdSeconds,
+    mutedProjects: normalizeList(source.mutedProjects),
+    mutedCommands: normalizeList(source.mutedCommands)
+  };
+}
+
+// Ribbon commands are sent with a cd into the project in front (see buildCdCommand
+// in command-variants.js), quoted for the shell; match on the command itself
+const PROJECT_CD_ARGUMENT = String.raw`(?:"[^"]*"|'(?:\\.|'\\''|''|[^'])*'|\S+)`;
+const PROJECT_CD = new RegExp(String.raw`^\s*(?:cd\s+(?:/d\s+)?${PROJECT_CD_ARGUMENT}\s*&&|Set-Location\s+-LiteralPath\s+${PROJECT_CD_ARGUMENT}\s+-ErrorAction\s+Stop\s*;)\s*`, 'i');
+
+function stripProjectCd(command) {
+  return String(command || '').replace(PROJECT_CD, '').trim();
+}
+
+function isProjectMuted(projectPath, mutedProjects) {
+  if (!projectPath) {
+    return false;
+  }
+  return mutedProjects.some(muted => {
+    const relative = path.relative(path.resolve(muted), path.resolve(projectPath));
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+  });
+}
+
+// "flutter run" mutes "flutter run -d chrome" but not "flutter runner"
+function isCommandMuted(command, mutedCommands) {
+  const normalized = stripProjectCd(command).replace(/\s+/g, ' ');
+  return mutedCommands.some(muted => {
+    const prefix = muted.replace(/\s+/g, ' ');
+    return normalized === prefix || normalized.startsWith(`${prefix} `);
+  });
+}
+
+// run: { command, projectPath, durationMs }
+function shouldNotify(run, settings) {
+  const { enabled, thresholdSeconds, mutedProjects, mutedCommands } = normalizeNotificationSettings(settings);
+  if (!enabled || typeof run.durationMs !== 'number' || run.durationMs < thresholdSeconds * 1000) {
+    return false;
+  }
+  return !isProjectMuted(run.projectPath, mutedProjects) && !isCommandMuted(run.command, mutedCommands);
+}
+
+function buildNotification({ command, exitCode, durationMs, terminalName }) {
+  let commandText = stripProjectCd(command) || 'Command';
+  if (commandText.length > MAX_COMMAND_PREVIEW) {
+    commandText = `${commandText.slice(0, MAX_COMMAND_PREVIEW - 1)}…`;
+  }
+
+  const status = exitCode === 0 ? '✓ Succeeded' : (exitCode === null || exitCode === undefined ? 'Finished' : `✗ Failed (exit ${exitCode})`);
+  const details = [`${status} in ${formatDuration(durationMs)}`];
+  if (terminalName) {
+    details.push(terminalName);
+  }
+
+  return {
+    title: commandText,
+    body: details.join(' · ')
+  };
+}
+
+module.exports = {
+  DEFAULT_NOTIFICATION_SETTINGS,
+  normalizeNotificationSettings,
+  stripProjectCd,
+  isProjectMuted,
+  isCommandMuted,
+  shouldNotify,
+  buildNotification
+};
@@ -0,0 +1,219 @@
+// Placeholders in custom command strings, filled in just before they run:
+//   ${input:name}         free text, asked for in a form (${input:name=default})
+//   ${pick:file:<glob>}   a project file matching the glob, picked in the form
+//   ${project}            the selected project folder
+//   ${currentFile}        the file selected in the explorer
+//   ${env:NAME}           an environment variable (empty when unset)
+// Other ${...} text, like ${HOME} or ${PWD:-.}, is shell syntax and left alone.
+// Values are quoted for the shell the command is sent to, so a path with spaces
+// stays one argument and typed text can't add commands. A placeholder the
+// command already quotes, like "${project}", is escaped for those quotes instead.
+
+const fs = require('fs');
+const path = require('path');
+const { quoteArgument, findOpenQuote, quoteWithin } = require('./command-variants');
+
+const PLACEHOLDER_PATTERN = /\$\{([^}]*)\}/g;
+const NAME_PATTERN = /^[A-Za-z_][\w-]*$/;
+const ENV_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const PICK_KINDS = ['file'];
+const IGNORED_DIRECTORIES = ['node_modules', '.git', '.dart_tool', 'build', 'dist', '__pycache__', '.venv', 'venv'];
+const MAX_PICK_FILES = 500;
+
+// Returns { placeholder } or { error } for the text between `${` and `}`, or
+// { placeholder: null } when it isn't a placeholder but shell parameter
+// expansion. Prompted placeholders share a value by key, so ${input:device}
+// may appear twice.
+function parseToken(token) {
+  const [type, ...rest] = token.split(':');
+  const argument = rest.join(':');
+
+  switch (type) {
+    case 'project':
+    case 'currentFile':
+      return rest.length === 0
+        ? { placeholder: { key: type, type } }
+        : { error: `\${${type}} takes no arguments` };
+
+    case 'env':
+      return ENV_NAME_PATTERN.test(argument)
+        ? { placeholder: { key: `env:${argument}`, type, name: argument } }
+        : { error: `\${env:${argument}} needs a variable name` };
+
+    case 'input': {
+      const separator = argument.indexOf('=');
+      const name = separator === -1 ? argument : argument.slice(0, separator);
+      if (!NAME_PATTERN.test(name)) {
+        return { error: `\${input:${argument}} needs a name made of letters, digits, - or _` };
+      }
+      return {
+        placeholder: { key: `input:${name}`, type, name, defaultValue: separator === -1 ? '' : argument.slice(separator + 1) }
+      };
+    }
+
+    case 'pick': {
+      const [kind, ...patternParts] = rest;
+      const pattern = patternParts.join(':');
+      if (!PICK_KINDS.includes(kind) || !pattern) {
+        return { error: `\${pick:${argument}} must look like \${pick:file:*.py}` };
+      }
+      return { placeholder: { key: `pick:${kind}:${pattern}`, type, name: pattern, kind, pattern } };
+    }
+
+    default:
+      return { placeholder: null };
+  }
+}
+
+// Unique placeholders in the order they first appear; throws on the first invalid one
+function parsePlaceholders(commands) {
+  const placeholders = [];
+  const texts = Array.isArray(commands) ? commands : [commands];
+
+  texts.forEach(text => {
+    for (const match of String(text || '').matchAll(PLACEHOLDER_PATTERN)) {
+      const { placeholder, error } = parseToken(match[1].trim());
+      if (error) {
+        throw new Error(error);
+      }
+      if (!placeholder) {
+        continue;
+      }
+      const existing = placeholders.find(item => item.key === placeholder.key);
+      if (!existing) {
+        placeholders.push(placeholder);
+      } else if (!existing.defaultValue && placeholder.defaultValue) {
+        existing.defaultValue = placeholder.defaultValue;
+      }
+    }
+  });
+  return placeholders;
+}
+
+function validatePlaceholders(command) {
+  const text = String(command || '');
+  const withoutPlaceholders = text.replace(PLACEHOLDER_PATTERN, '');
+  if (withoutPlaceholders.includes('${')) {
+    return 'Placeholder is missing its closing }';
+  }
+
+  try {
+    parsePlaceholders(text);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+// The placeholders the user fills in before the command runs
+function getPromptedPlaceholders(placeholders) {
+  return placeholders.filter(placeholder => placeholder.type === 'input' || placeholder.type === 'pick');
+}
+
+// values: { [key]: string } for the prompted placeholders; shell: the
+// executable of the shell the command is sent to (see command-variants.js)
+function resolvePlaceholders(command, {
+  values = {},
+  projectPath = '',
+  currentFile = null,
+  env = {},
+  shell = null,
+  platform = process.platform
+} = {}) {
+  return String(command).replace(PLACEHOLDER_PATTERN, (match, token, offset, text) => {
+    const { placeholder, error } = parseToken(token.trim());
+    if (error) {
+      throw new Error(error);
+    }
+    if (!placeholder) {
+      return match;
+    }
+    const value = getPlaceholderValue(placeholder, { values, projectPath, currentFile, env });
+    const quote = findOpenQuote(text.slice(0, offset), shell, platform);
+    return quote ? quoteWithin(value, quote, shell, platform) : quoteArgument(value, shell, platform);
+  });
+}
+
+function getPlaceholderValue(placeholder, { values, projectPath, currentFile, env }) {
+  switch (placeholder.type) {
+    case 'project':
+      return projectPath;
+    case 'currentFile':
+      if (!currentFile) {
+        throw new Error('Select a file in the explorer to use ${currentFile}');
+      }
+      return currentFile;
+    case 'env':
+      return env[placeholder.name] || '';
+    default:
+      if (values[placeholder.key] === undefined) {
+        throw new Error(`No value for \${${placeholder.key}}`);
+      }
+      return values[placeholder.key];
+  }
+}
+
+// `*` and `?` stay within a path segment, `**/` spans any number of folders
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      const followedBySlash = glob[i + 2] === '/';
+      source += followedBySlash ? '(?:.*/)?' : '.*';
+      i += followedBySlash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+// Patterns without a folder (e.g. *.py) match files anywhere in the project
+function matchesGlob(relativePath, glob) {
+  const normalized = relativePath.split(path.sep).join('/');
+  const regExp = globToRegExp(glob);
+  return glob.includes('/') ? regExp.test(normalized) : regExp.test(path.posix.basename(normalized));
+}
+
+// Project-relative paths of matching files, sorted, skipping dependency and build folders
+async function findMatchingFiles(root, glob, { fileSystem = fs, limit = MAX_PICK_FILES } = {}) {
+  const matches = [];
+  const pending = [''];
+
+  while (pending.length > 0 && matches.length < limit) {
+    const relativeDir = pending.shift();
+    let entries;
+    try {
+      entries = await fileSystem.promises.readdir(path.join(root, relativeDir), { withFileTypes: true });
+    } catch (error) {
+      continue;
+    }
+
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+      const relativePath = relativeDir ? path.join(relativeDir, entry.name) : entry.name;
+      if (entry.isDirectory()) {
+        if (!IGNORED_DIRECTORIES.includes(entry.name)) {
+          pending.push(relativePath);
+        }
+      } else if (matchesGlob(relativePath, glob) && matches.length < limit) {
+        matches.push(relativePath);
+      }
+    }
+  }
+  return matches.sort();
+}
+
+module.exports = {
+  parsePlaceholders,
+  validatePlaceholders,
+  getPromptedPlaceholders,
+  resolvePlaceholders,
+  matchesGlob,
+  findMatchingFiles
+};
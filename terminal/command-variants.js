@@ -0,0 +1,240 @@
+// Per-shell variants of a command. A command can give a different text for a
+// shell (bash, zsh, fish, sh, pwsh), a shell family (posix, powershell, cmd) or
+// an operating system (linux, macos, windows); the most specific one matching
+// the terminal the command is sent to wins, and the plain command is the
+// fallback. The CMD ribbon actions are defined the same way.
+
+const path = require('path');
+
+const SHELL_KEYS = ['bash', 'zsh', 'fish', 'sh', 'pwsh'];
+const FAMILY_KEYS = ['posix', 'powershell', 'cmd'];
+const OS_KEYS = ['linux', 'macos', 'windows'];
+const PLATFORM_KEYS = [...SHELL_KEYS, ...FAMILY_KEYS, ...OS_KEYS];
+
+const OS_BY_PLATFORM = { linux: 'linux', darwin: 'macos', win32: 'windows' };
+
+// Ribbon actions with no single command that works everywhere
+const BUILTIN_ACTIONS = {
+  'list-files': { posix: 'ls -la', cmd: 'dir', powershell: 'Get-ChildItem' },
+  'clear-screen': { posix: 'clear', cmd: 'cls', powershell: 'Clear-Host' },
+  'network-info': { linux: 'ip addr', posix: 'ifconfig', windows: 'ipconfig' },
+  'shell-help': { zsh: 'run-help', posix: 'help', cmd: 'help', powershell: 'Get-Help' }
+};
+
+// shell: the executable the terminal was started with (null when unknown, in
+// which case the platform's default shell is assumed)
+function getShellInfo(shell, platform = process.platform) {
+  if (!shell) {
+    return { name: null, family: platform === 'win32' ? 'cmd' : 'posix' };
+  }
+
+  const name = path.basename(String(shell).replace(/\\/g, '/')).toLowerCase().replace(/\.exe$/, '');
+  if (name === 'cmd') return { name, family: 'cmd' };
+  if (name === 'pwsh' || name === 'powershell') return { name, family: 'powershell' };
+  return { name, family: 'posix' };
+}
+
+// Keys to look up, most specific first. A POSIX shell on Windows (Git Bash,
+// MSYS) skips the "windows" variant, which is written for cmd or PowerShell.
+function getVariantKeys(shell, platform = process.platform) {
+  const { name, family } = getShellInfo(shell, platform);
+  const osKey = OS_BY_PLATFORM[platform] || null;
+  const keys = family === 'posix'
+    ? [name, platform === 'win32' ? null : osKey, 'posix']
+    : [name, family, osKey];
+
+  return [...new Set(keys.filter(key => key && PLATFORM_KEYS.includes(key)))];
+}
+
+function resolveCommandVariant(command, platforms, shell, platform = process.platform) {
+  if (!platforms) {
+    return command;
+  }
+
+  const key = getVariantKeys(shell, platform).find(candidate => typeof platforms[candidate] === 'string' && platforms[candidate]);
+  return key ? platforms[key] : command;
+}
+
+function resolveBuiltinAction(actionId, shell, platform = process.platform) {
+  const platforms = BUILTIN_ACTIONS[actionId];
+  return platforms ? resolveCommandVariant(null, platforms, shell, platform) : null;
+}
+
+// Characters that never need quoting, per shell family
+const SAFE_ARGUMENT = {
+  posix: /^[A-Za-z0-9_@%+=:,./-]+$/,
+  powershell: /^[A-Za-z0-9_%+=:./\\-]+$/,
+  cmd: /^[A-Za-z0-9_@+=:,./\\-]+$/
+};
+
+// value as one argument for the shell, quoted only when it has to be:
+// single quotes for POSIX shells and PowerShell, double quotes for cmd.
+// cmd has no way to escape a double quote inside quotes, so such values are
+// refused (and %NAME% is still expanded inside them).
+function quoteArgument(value, shell, platform = process.platform) {
+  const text = String(value);
+  const { name, family } = getShellInfo(shell, platform);
+  if (SAFE_ARGUMENT[family].test(text)) {
+    return text;
+  }
+
+  if (family === 'cmd') {
+    if (text.includes('"')) {
+      throw new Error(`${text} contains a double quote, which cmd cannot take as part of an argument`);
+    }
+    return `"${text}"`;
+  }
+  if (family === 'powershell') {
+    // PowerShell also ends single-quoted strings at typographic quotes
+    return `'${text.replace(/['\u2018\u2019]/g, '$&$&')}'`;
+  }
+  // fish reads \\ and \' inside single quotes; other shells end the quotes for an escaped '
+  return name === 'fish'
+    ? `'${text.replace(/[\\']/g, '\\$&')}'`
+    : `'${text.replace(/'/g, "'\\''")}'`;
+}
+
+// The quote (' or ") still open at the end of text, for a value that goes
+// inside quotes the command already has, or null outside quotes. cmd only
+// has double quotes; escapes outside single quotes skip the next character.
+function findOpenQuote(text, shell, platform = process.platform) {
+  const { name, family } = getShellInfo(shell, platform);
+  const escape = { posix: '\\', powershell: '`', cmd: '^' }[family];
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote === "'") {
+      if (name === 'fish' && char === '\\') {
+        i++;
+      } else if (char === "'") {
+        quote = null;
+      }
+    } else if (char === escape && !(family === 'cmd' && quote)) {
+      i++;
+    } else if (quote === '"') {
+      if (char === '"') {
+        quote = null;
+      }
+    } else if (char === '"' || (char === "'" && family !== 'cmd')) {
+      quote = char;
+    }
+  }
+  return quote;
+}
+
+// value inside the quotes the command already put around it. POSIX double
+// quotes still expand $, ` and !, so values that need it are single-quoted
+// in between: "${project}" for /my app becomes ""'/my app'"", one argument.
+function quoteWithin(value, quote, shell, platform = process.platform) {
+  const text = String(value);
+  const { name, family } = getShellInfo(shell, platform);
+  if (family === 'cmd') {
+    return quoteArgument(text, shell, platform).replace(/^"(.*)"$/, '$1');
+  }
+  if (family === 'powershell') {
+    return quote === "'"
+      ? text.replace(/['\u2018\u2019]/g, '$&$&')
+      : text.replace(/[`"$\u201C\u201D\u201E]/g, '`$&');
+  }
+  if (quote === '"') {
+    return SAFE_ARGUMENT.posix.test(text) ? text : `"${quoteArgument(text, shell, platform)}"`;
+  }
+  return name === 'fish' ? text.replace(/[\\']/g, '\\$&') : text.replace(/'/g, "'\\''");
+}
+
+// command run from directory, and only once changing into it worked. Windows
+// PowerShell 5.1 has no &&, so a failed Set-Location stops the line instead;
+// cmd needs /d to change drives as well.
+function buildCdCommand(directory, command, shell, platform = process.platform) {
+  const target = quoteArgument(directory, shell, platform);
+  const { family } = getShellInfo(shell, platform);
+  if (family === 'powershell') {
+    return `Set-Location -LiteralPath ${target} -ErrorAction Stop; ${command}`;
+  }
+  return family === 'cmd' ? `cd /d ${target} && ${command}` : `cd ${target} && ${command}`;
+}
+
+// What ends a command line written to a terminal's shell: a TTY expects a
+// carriage return, piped shells read whole lines
+function getLineEnding(mode, platform = process.platform) {
+  if (mode === 'pty') {
+    return '\r';
+  }
+  return platform === 'win32' ? '\r\n' : '\n';
+}
+
+// Error messages for a `platforms` object from a custom command or .easydebug
+function validatePlatforms(platforms) {
+  if (!platforms || typeof platforms !== 'object' || Array.isArray(platforms)) {
+    return ['"platforms" must map shells or systems to commands'];
+  }
+
+  return Object.entries(platforms).flatMap(([key, value]) => {
+    if (!PLATFORM_KEYS.includes(key)) {
+      return [`unknown platform "${key}" (use ${PLATFORM_KEYS.join(', ')})`];
+    }
+    if (typeof value !== 'string' || !value.trim()) {
+      return [`platforms.${key} must be a command`];
+    }
+    return [];
+  });
+}
+
+// Keeps the valid entries, trimmed
+function normalizePlatforms(platforms) {
+  if (!platforms || typeof platforms !== 'object' || Array.isArray(platforms)) {
+    return {};
+  }
+
+  return Object.fromEntries(Object.entries(platforms)
+    .filter(([key, value]) => PLATFORM_KEYS.includes(key) && typeof value === 'string' && value.trim())
+    .map(([key, value]) => [key, value.trim()]));
+}
+
+// Parses "platform: command" lines from the custom command form; blank lines
+// and # comments are ignored. Returns { platforms, errors }.
+function parsePlatforms(text) {
+  const platforms = {};
+  const errors = [];
+  if (!text) {
+    return { platforms, errors };
+  }
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) {
+      return;
+    }
+    const separator = trimmed.indexOf(':');
+    if (separator <= 0) {
+      errors.push(`Line ${index + 1}: use "platform: command"`);
+      return;
+    }
+    platforms[trimmed.slice(0, separator).trim().toLowerCase()] = trimmed.slice(separator + 1).trim();
+  });
+
+  errors.push(...validatePlatforms(platforms));
+  return { platforms, errors };
+}
+
+function formatPlatforms(platforms = {}) {
+  return Object.entries(platforms).map(([key, value]) => `${key}: ${value}`).join('\n');
+}
+
+module.exports = {
+  PLATFORM_KEYS,
+  BUILTIN_ACTIONS,
+  getShellInfo,
+  getVariantKeys,
+  resolveCommandVariant,
+  resolveBuiltinAction,
+  quoteArgument,
+  findOpenQuote,
+  quoteWithin,
+  buildCdCommand,
+  getLineEnding,
+  validatePlatforms,
+  normalizePlatforms,
+  parsePlatforms,
+  formatPlatforms
+};
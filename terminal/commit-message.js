@@ -0,0 +1,112 @@
+// Commit message rules shared by the commit dialog and the main-process commit
+// handler, and the Conventional Commits header (`type(scope)!: summary`) built
+// from the dialog's type and scope picker.
+
+// git and most hosts truncate longer summary lines
+const SUBJECT_MAX_LENGTH = 72;
+const MIN_LENGTH = 3;
+
+const CONVENTIONAL_TYPES = [
+  { type: 'feat', description: 'A new feature' },
+  { type: 'fix', description: 'A bug fix' },
+  { type: 'docs', description: 'Documentation only' },
+  { type: 'style', description: 'Formatting, no code change' },
+  { type: 'refactor', description: 'Neither a fix nor a feature' },
+  { type: 'perf', description: 'A performance improvement' },
+  { type: 'test', description: 'Adding or fixing tests' },
+  { type: 'build', description: 'Build system or dependencies' },
+  { type: 'ci', description: 'CI configuration' },
+  { type: 'chore', description: 'Other changes' },
+  { type: 'revert', description: 'Reverts a previous commit' }
+];
+
+const SCOPE_PATTERN = /^[A-Za-z0-9][\w./-]*$/;
+const CONVENTIONAL_HEADER = /^([a-z]+)(?:\(([^()\s]+)\))?(!)?: (.*)$/;
+
+// conventional: { type, scope, breaking }; no prefix without a type
+function formatConventionalPrefix(conventional) {
+  if (!conventional || !conventional.type) {
+    return '';
+  }
+
+  const scope = conventional.scope ? `(${conventional.scope})` : '';
+  return `${conventional.type}${scope}${conventional.breaking ? '!' : ''}: `;
+}
+
+// The message as it will be committed: trimmed, with the Conventional Commits
+// prefix in front of its first line
+function buildCommitMessage(message, conventional = null) {
+  return `${formatConventionalPrefix(conventional)}${String(message || '').trim()}`;
+}
+
+// Splits "type(scope)!: summary" off the first line of an existing message,
+// e.g. when amending. Returns { conventional, message } or null when the
+// message doesn't start with a known type.
+function parseConventionalHeader(message) {
+  const [firstLine, ...rest] = String(message || '').split('\n');
+  const match = CONVENTIONAL_HEADER.exec(firstLine);
+  if (!match || !CONVENTIONAL_TYPES.some(entry => entry.type === match[1])) {
+    return null;
+  }
+
+  return {
+    conventional: { type: match[1], scope: match[2] || '', breaking: !!match[3] },
+    message: [match[4], ...rest].join('\n')
+  };
+}
+
+function validateConventional(conventional) {
+  if (!conventional || !conventional.type) {
+    return null;
+  }
+  if (!CONVENTIONAL_TYPES.some(entry => entry.type === conventional.type)) {
+    return `Unknown commit type "${conventional.type}"`;
+  }
+  if (conventional.scope && !SCOPE_PATTERN.test(conventional.scope)) {
+    return 'Scope can only contain letters, numbers, and - _ . /';
+  }
+  return null;
+}
+
+// Error message for a commit message (before the prefix is added when
+// conventional is given), or null. Only the first line is limited to
+// SUBJECT_MAX_LENGTH, prefix included; the body can be as long as needed.
+function validateCommitMessage(message, conventional = null) {
+  if (!message || !String(message).trim()) {
+    return 'Commit message is required';
+  }
+
+  const conventionalError = validateConventional(conventional);
+  if (conventionalError) {
+    return conventionalError;
+  }
+
+  const fullMessage = buildCommitMessage(message, conventional);
+  if (fullMessage.length < MIN_LENGTH) {
+    return `Commit message must be at least ${MIN_LENGTH} characters`;
+  }
+
+  const [subject, separator] = fullMessage.split(/\r?\n/);
+  if (subject.length > SUBJECT_MAX_LENGTH) {
+    return `The first line must be no more than ${SUBJECT_MAX_LENGTH} characters (it has ${subject.length})`;
+  }
+  if (separator !== undefined && separator.trim() !== '') {
+    return 'Leave an empty line between the first line and the rest of the message';
+  }
+  return null;
+}
+
+// Length of the first line as committed, for the dialog's character counter
+function getSubjectLength(message, conventional = null) {
+  return buildCommitMessage(message, conventional).split(/\r?\n/)[0].length;
+}
+
+module.exports = {
+  SUBJECT_MAX_LENGTH,
+  CONVENTIONAL_TYPES,
+  formatConventionalPrefix,
+  buildCommitMessage,
+  parseConventionalHeader,
+  validateCommitMessage,
+  getSubjectLength
+};
@@ -0,0 +1,95 @@
+// Detects file:line[:col] references in terminal output (stack traces,
+// compiler errors) and resolves them to files on disk.
+
+const path = require('path');
+
+// Python tracebacks: File "app/main.py", line 10
+const PYTHON_PATTERN = /File "([^"]+)", line (\d+)/g;
+
+// tsc: src/app.ts(12,5)
+const PAREN_PATTERN = /((?:[A-Za-z]:)?(?:[\w.@~-]*[\\/])*[\w.@-]+\.[A-Za-z]\w*)\((\d+),(\d+)\)/g;
+
+// Node, Dart, eslint, gcc style: lib/main.dart:42:7, /abs/app.js:3, file:///abs/app.mjs:1:9, C:\dev\app.js:3:5
+// The extension must start with a letter so versions and IPs (1.2.3:4) are skipped.
+const COLON_PATTERN = /(?:file:\/\/)?((?:[A-Za-z]:)?(?:[\w.@~-]*[\\/])*[\w.@-]+\.[A-Za-z]\w*):(\d+)(?::(\d+))?/g;
+
+function collectMatches(text, pattern, toLink) {
+  const links = [];
+  pattern.lastIndex = 0;
+
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    // Skip the middle of URLs and longer tokens, e.g. http://host:3000/app.js:1
+    const previous = text[match.index - 1];
+    if (previous && /[\w:/\\.@-]/.test(previous)) {
+      continue;
+    }
+
+    links.push(toLink(match));
+  }
+
+  return links;
+}
+
+function findFileLinks(text) {
+  const candidates = [
+    ...collectMatches(text, PYTHON_PATTERN, match => ({
+      text: match[0],
+      filePath: match[1],
+      line: parseInt(match[2], 10),
+      column: 1,
+      start: match.index,
+      end: match.index + match[0].length
+    })),
+    ...collectMatches(text, PAREN_PATTERN, match => ({
+      text: match[0],
+      filePath: match[1],
+      line: parseInt(match[2], 10),
+      column: parseInt(match[3], 10),
+      start: match.index,
+      end: match.index + match[0].length
+    })),
+    ...collectMatches(text, COLON_PATTERN, match => ({
+      text: match[0],
+      filePath: match[1],
+      line: parseInt(match[2], 10),
+      column: match[3] ? parseInt(match[3], 10) : 1,
+      start: match.index,
+      end: match.index + match[0].length
+    }))
+  ].sort((a, b) => a.start - b.start || b.end - a.end);
+
+  // Patterns can overlap (the Python path also looks like a plain path); keep the first, longest
+  const links = [];
+  candidates.forEach(link => {
+    const last = links[links.length - 1];
+    if (!last || link.start >= last.end) {
+      links.push(link);
+    }
+  });
+
+  return links;
+}
+
+// Returns the absolute path of the first existing candidate, or null.
+// Relative paths are tried against the terminal directory, then the project.
+function resolveFileLink(filePath, { cwd = null, projectPath = null, fileExists = () => false } = {}) {
+  if (!filePath) {
+    return null;
+  }
+
+  if (path.isAbsolute(filePath)) {
+    return fileExists(filePath) ? filePath : null;
+  }
+
+  const candidates = [cwd, projectPath]
+    .filter(Boolean)
+    .map(base => path.resolve(base, filePath));
+
+  return candidates.find(candidate => fileExists(candidate)) || null;
+}
+
+module.exports = {
+  findFileLinks,
+  resolveFileLink
+};
@@ -0,0 +1,107 @@
+// Branch list for the branch manager, read from `git for-each-ref` with the
+// fields of each ref separated by NUL, and checks on branch names typed by the
+// user before they are passed to git as arguments.
+
+const BRANCH_FIELDS = [
+  '%(refname)',
+  '%(refname:short)',
+  '%(objectname:short)',
+  '%(upstream:short)',
+  '%(upstream:track,nobracket)',
+  '%(HEAD)',
+  '%(committerdate:relative)',
+  '%(contents:subject)'
+];
+const BRANCH_FORMAT = BRANCH_FIELDS.join('%00');
+
+// "ahead 2, behind 1", "ahead 2", "gone" or ''
+function parseTrack(track) {
+  const ahead = /ahead (\d+)/.exec(track);
+  const behind = /behind (\d+)/.exec(track);
+  return {
+    ahead: ahead ? parseInt(ahead[1], 10) : 0,
+    behind: behind ? parseInt(behind[1], 10) : 0,
+    gone: track === 'gone'
+  };
+}
+
+// Returns { current, local, remote }. current is the checked out branch (null
+// when HEAD is detached); local branches are { name, oid, upstream, ahead,
+// behind, gone, current, date, subject } and remote ones { name, remote,
+// branch, oid, tracked, date, subject }, where branch is the name without the
+// remote and tracked tells whether a local branch already follows it.
+function parseBranches(output) {
+  const local = [];
+  const remote = [];
+
+  String(output || '').split('\n').forEach(line => {
+    if (!line) return;
+    const [refname, name, oid, upstream, track, head, date, subject] = line.split('\0');
+
+    if (refname.startsWith('refs/heads/')) {
+      local.push({
+        name,
+        oid,
+        upstream: upstream || null,
+        ...parseTrack(track || ''),
+        current: head === '*',
+        date,
+        subject
+      });
+    } else if (refname.startsWith('refs/remotes/') && !refname.endsWith('/HEAD')) {
+      const slash = name.indexOf('/');
+      remote.push({ name, remote: name.slice(0, slash), branch: name.slice(slash + 1), oid, tracked: false, date, subject });
+    }
+  });
+
+  remote.forEach(branch => {
+    branch.tracked = local.some(localBranch => localBranch.upstream === branch.name);
+  });
+
+  const current = local.find(branch => branch.current);
+  return { current: current ? current.name : null, local, remote };
+}
+
+// Error message for a new branch name, or null when git will accept it. This is
+// the subset of `git check-ref-format --branch` a typo is likely to hit; it also
+// keeps names that git would read as options out of the argument list.
+function validateBranchName(name) {
+  if (!name || !name.trim()) {
+    return 'Enter a branch name';
+  }
+  if (name.startsWith('-')) {
+    return 'Branch names cannot start with "-"';
+  }
+  if (/[\s~^:?*[\\]/.test(name) || /[\x00-\x1f\x7f]/.test(name)) {
+    return 'Branch names cannot contain spaces or any of ~ ^ : ? * [ \\';
+  }
+  if (name.includes('..') || name.includes('@{') || name === '@') {
+    return 'Branch names cannot contain ".." or "@{"';
+  }
+  if (name.startsWith('/') || name.endsWith('/') || name.includes('//') || name.endsWith('.') || name.endsWith('.lock')) {
+    return 'Branch names cannot start or end with "/" or end with "." or ".lock"';
+  }
+  if (name.split('/').some(part => part.startsWith('.'))) {
+    return 'No part of a branch name can start with "."';
+  }
+  return null;
+}
+
+// Ahead/behind counts as shown next to a branch name, e.g. "↑2 ↓1"
+function describeTracking(branch) {
+  if (branch.gone) {
+    return 'upstream gone';
+  }
+
+  const parts = [];
+  if (branch.ahead > 0) parts.push(`↑${branch.ahead}`);
+  if (branch.behind > 0) parts.push(`↓${branch.behind}`);
+  return parts.join(' ');
+}
+
+module.exports = {
+  BRANCH_FORMAT,
+  parseBranches,
+  validateBranchName,
+  describeTracking
+};
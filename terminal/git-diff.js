@@ -0,0 +1,113 @@
+// Parses the unified diff of a single file for the Git panel's diff viewer,
+// pairs its lines up for the side-by-side view and cuts single hunks out of it
+// as patches that `git apply --cached` can stage or unstage.
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@(.*)$/;
+const LINE_PREFIXES = { add: '+', del: '-', context: ' ' };
+
+// Returns { header, hunks, binary }. header holds the lines before the first
+// hunk (diff --git, index, ---, +++); each hunk is { header, oldStart,
+// oldLines, newStart, newLines, section, lines } and each line
+// { type: 'context' | 'add' | 'del' | 'meta', text, oldNumber, newNumber }.
+function parseDiff(text) {
+  const diff = { header: [], hunks: [], binary: false };
+  const lines = String(text || '').split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+
+  let hunk = null;
+  let oldNumber = 0;
+  let newNumber = 0;
+  for (const line of lines) {
+    const match = HUNK_HEADER.exec(line);
+    if (match) {
+      hunk = {
+        header: line,
+        oldStart: parseInt(match[1], 10),
+        oldLines: match[2] === undefined ? 1 : parseInt(match[2], 10),
+        newStart: parseInt(match[3], 10),
+        newLines: match[4] === undefined ? 1 : parseInt(match[4], 10),
+        section: match[5].trim(),
+        lines: []
+      };
+      oldNumber = hunk.oldStart;
+      newNumber = hunk.newStart;
+      diff.hunks.push(hunk);
+    } else if (!hunk) {
+      // Only the first file of a multi-file diff is read
+      if (line.startsWith('diff --git') && diff.header.length > 0) break;
+      diff.header.push(line);
+      if (line.startsWith('Binary files ') || line === 'GIT binary patch') {
+        diff.binary = true;
+      }
+    } else if (line.startsWith('+')) {
+      hunk.lines.push({ type: 'add', text: line.slice(1), oldNumber: null, newNumber: newNumber++ });
+    } else if (line.startsWith('-')) {
+      hunk.lines.push({ type: 'del', text: line.slice(1), oldNumber: oldNumber++, newNumber: null });
+    } else if (line.startsWith(' ') || line === '') {
+      hunk.lines.push({ type: 'context', text: line.slice(1), oldNumber: oldNumber++, newNumber: newNumber++ });
+    } else if (line.startsWith('\\')) {
+      hunk.lines.push({ type: 'meta', text: line, oldNumber: null, newNumber: null });
+    } else {
+      break;
+    }
+  }
+
+  return diff;
+}
+
+function formatLine(line) {
+  return line.type === 'meta' ? line.text : `${LINE_PREFIXES[line.type]}${line.text}`;
+}
+
+// A patch holding only one hunk of the diff, for git apply --cached [--reverse]
+function buildHunkPatch(diff, hunkIndex) {
+  const hunk = diff.hunks[hunkIndex];
+  if (!hunk) {
+    throw new Error(`The diff has no hunk ${hunkIndex + 1}`);
+  }
+  if (diff.binary) {
+    throw new Error('Binary files can only be staged as a whole');
+  }
+
+  return [...diff.header, hunk.header, ...hunk.lines.map(formatLine)].join('\n') + '\n';
+}
+
+// Rows of { left, right } for the side-by-side view. Runs of removed and added
+// lines are paired up in order; the longer run leaves blanks (null) on the
+// other side. "No newline at end of file" markers get a row of their own.
+function toSideBySide(hunk) {
+  const rows = [];
+  let removed = [];
+  let added = [];
+
+  const flush = () => {
+    for (let i = 0; i < Math.max(removed.length, added.length); i++) {
+      rows.push({ left: removed[i] || null, right: added[i] || null });
+    }
+    removed = [];
+    added = [];
+  };
+
+  hunk.lines.forEach(line => {
+    if (line.type === 'del') {
+      if (added.length > 0) flush();
+      removed.push(line);
+    } else if (line.type === 'add') {
+      added.push(line);
+    } else {
+      flush();
+      rows.push(line.type === 'meta' ? { meta: line.text, left: null, right: null } : { left: line, right: line });
+    }
+  });
+  flush();
+
+  return rows;
+}
+
+module.exports = {
+  parseDiff,
+  buildHunkPatch,
+  toSideBySide
+};
@@ -0,0 +1,177 @@
+// Commit history for the log browser: the `git log` arguments for a page of
+// commits, parsing of its NUL-separated output, the changed files of a commit
+// and the lanes of the branch/merge graph drawn next to each commit.
+
+// Fields are separated by the unit separator; -z ends each commit with NUL
+const FIELD_SEPARATOR = '\x1f';
+const LOG_FORMAT = ['%H', '%P', '%an', '%ae', '%at', '%D', '%s', '%b'].join('%x1f');
+
+const SEARCH_FIELDS = ['message', 'author', 'path'];
+
+// search: { field: 'message' | 'author' | 'path', text }; all includes every
+// branch instead of HEAD only. --parents makes %P list the parents within the
+// shown history, which keeps the graph connected when filtering by path, and
+// full decorations tell local branches from remote ones.
+function buildLogArgs({ limit = 200, skip = 0, all = false, search = null } = {}) {
+  const args = [
+    'log', '-z', `--format=${LOG_FORMAT}`, '--date-order', '--parents', '--decorate=full', `--max-count=${limit}`
+  ];
+  if (skip > 0) {
+    args.push(`--skip=${skip}`);
+  }
+  if (all) {
+    args.push('--all');
+  }
+
+  const text = search && search.text ? search.text.trim() : '';
+  if (text && search.field === 'message') {
+    args.push('--regexp-ignore-case', '--fixed-strings', `--grep=${text}`);
+  } else if (text && search.field === 'author') {
+    args.push('--regexp-ignore-case', '--fixed-strings', `--author=${text}`);
+  }
+  args.push('--');
+  if (text && search.field === 'path') {
+    args.push(text);
+  }
+  return args;
+}
+
+const REF_TYPES = [
+  { prefix: 'refs/heads/', type: 'branch' },
+  { prefix: 'refs/remotes/', type: 'remote' },
+  { prefix: 'refs/tags/', type: 'tag' }
+];
+
+// "HEAD -> refs/heads/main, tag: refs/tags/v1.0, refs/remotes/origin/main"
+// into [{ name, type }] with type head, branch, remote, tag or other
+function parseRefs(decoration) {
+  if (!decoration) {
+    return [];
+  }
+
+  return decoration.split(', ').flatMap(entry => {
+    const refs = [];
+    let ref = entry.replace(/^tag: /, '');
+    if (ref.startsWith('HEAD -> ')) {
+      refs.push({ name: 'HEAD', type: 'head' });
+      ref = ref.slice(8);
+    } else if (ref === 'HEAD') {
+      return [{ name: 'HEAD', type: 'head' }];
+    }
+
+    const refType = REF_TYPES.find(candidate => ref.startsWith(candidate.prefix));
+    // A remote's HEAD only repeats its default branch
+    const isRemoteHead = !!refType && refType.type === 'remote' && ref.endsWith('/HEAD');
+    if (!isRemoteHead) {
+      refs.push(refType ? { name: ref.slice(refType.prefix.length), type: refType.type } : { name: ref, type: 'other' });
+    }
+    return refs;
+  });
+}
+
+// [{ hash, shortHash, parents, author, email, date, refs, subject, body }],
+// date in milliseconds
+function parseLog(output) {
+  return String(output || '').split('\0').map(record => record.replace(/^\n/, '')).filter(Boolean).map(record => {
+    const [hash, parents, author, email, timestamp, decoration, subject, body = ''] = record.split(FIELD_SEPARATOR);
+    return {
+      hash,
+      shortHash: hash.slice(0, 7),
+      parents: parents ? parents.split(' ') : [],
+      author,
+      email,
+      date: parseInt(timestamp, 10) * 1000,
+      refs: parseRefs(decoration),
+      subject,
+      body: body.trim()
+    };
+  });
+}
+
+// `git show --name-status -z -M` output into [{ status, path, origPath }]; a
+// rename or copy (R100, C75) is followed by both paths
+function parseCommitFiles(output) {
+  const files = [];
+  const entries = String(output || '').split('\0').map(entry => entry.replace(/^\n/, ''));
+
+  for (let i = 0; i < entries.length; i++) {
+    const status = entries[i];
+    if (!status) continue;
+
+    if (status[0] === 'R' || status[0] === 'C') {
+      files.push({ status: status[0], origPath: entries[i + 1], path: entries[i + 2] });
+      i += 2;
+    } else {
+      files.push({ status: status[0], origPath: null, path: entries[i + 1] });
+      i += 1;
+    }
+  }
+  return files;
+}
+
+// Lanes of the history graph, one row per commit (newest first, as git log
+// lists them). Each lane holds the hash of the commit it leads to. A row is
+// { column, lanes, top, bottom }: the commit's column, the number of columns
+// in use, and the [fromColumn, toColumn] segments drawn above and below the
+// commit's dot. Freed lanes are reused rather than closed up so lines stay
+// straight.
+function computeGraph(commits) {
+  let lanes = [];
+
+  return commits.map(commit => {
+    let column = lanes.indexOf(commit.hash);
+    if (column < 0) {
+      column = lanes.indexOf(null);
+      if (column < 0) {
+        column = lanes.length;
+      }
+    }
+
+    const before = lanes.slice();
+    before[column] = before[column] || null;
+    const top = [];
+    before.forEach((hash, index) => {
+      if (hash === commit.hash) {
+        top.push([index, column]);
+      } else if (hash) {
+        top.push([index, index]);
+      }
+    });
+
+    // Lanes that led to this commit end here; the first parent continues in
+    // the commit's own lane, further parents join an existing lane or take a free one
+    const after = before.map(hash => (hash === commit.hash ? null : hash));
+    const bottom = [];
+    commit.parents.forEach((parent, index) => {
+      let parentColumn = after.indexOf(parent);
+      if (parentColumn < 0) {
+        parentColumn = index === 0 ? column : after.indexOf(null);
+        if (parentColumn < 0) {
+          parentColumn = after.length;
+        }
+        after[parentColumn] = parent;
+      }
+      bottom.push([column, parentColumn]);
+    });
+    after.forEach((hash, index) => {
+      if (hash && before[index] === hash) {
+        bottom.push([index, index]);
+      }
+    });
+
+    while (after.length > 0 && !after[after.length - 1]) {
+      after.pop();
+    }
+    lanes = after;
+
+    return { column, lanes: Math.max(before.length, after.length, column + 1), top, bottom };
+  });
+}
+
+module.exports = {
+  SEARCH_FIELDS,
+  buildLogArgs,
+  parseLog,
+  parseCommitFiles,
+  computeGraph
+};
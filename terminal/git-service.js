@@ -0,0 +1,406 @@
+const { spawn } = require('child_process');
+const { parseStatus } = require('./git-status');
+const { parseDiff, buildHunkPatch } = require('./git-diff');
+const { BRANCH_FORMAT, parseBranches } = require('./git-branches');
+const { buildLogArgs, parseLog, parseCommitFiles } = require('./git-log');
+const { STASH_FORMAT, parseStashList } = require('./git-stash');
+
+// Git operations behind the Git panel, run in the main process. git is spawned
+// with an argument list (never through a shell) and hunk patches are passed on
+// stdin, so paths and file contents need no quoting. Each function takes the
+// runner as its last argument so tests can replace it.
+
+const GIT_TIMEOUT_MS = 15000;
+// Commit hooks (linters, test runs) and signing can take a while
+const COMMIT_TIMEOUT_MS = 5 * 60 * 1000;
+const MAX_OUTPUT_BYTES = 20 * 1024 * 1024;
+
+// Fixed diff settings: user config such as diff.noprefix or an external diff
+// tool would produce patches git apply can't read back
+const DIFF_ARGS = ['diff', '--no-color', '--no-ext-diff', '--src-prefix=a/', '--dst-prefix=b/'];
+
+// Resolves { stdout, stderr, exitCode }; rejects with git's error message when
+// the exit code isn't one of okExitCodes
+function runGit(cwd, args, { input = null, okExitCodes = [0], timeoutMs = GIT_TIMEOUT_MS } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('git', args, {
+      cwd,
+      windowsHide: true,
+      // Never wait for credentials, and don't take index.lock for a status refresh
+      env: { ...process.env, GIT_TERMINAL_PROMPT: '0', GIT_OPTIONAL_LOCKS: '0' }
+    });
+
+    const stdout = [];
+    const stderr = [];
+    let outputBytes = 0;
+    let settled = false;
+    const finish = (callback) => {
+      if (!settled) {
+        settled = true;
+        clearTimeout(timer);
+        callback();
+      }
+    };
+
+    const timer = setTimeout(() => {
+      child.kill();
+      finish(() => reject(new Error(`git ${args[0]} timed out`)));
+    }, timeoutMs);
+
+    child.stdout.on('data', (data) => {
+      outputBytes += data.length;
+      if (outputBytes > MAX_OUTPUT_BYTES) {
+        child.kill();
+        finish(() => reject(new Error(`git ${args[0]} produced too much output`)));
+        return;
+      }
+      stdout.push(data);
+    });
+    child.stderr.on('data', (data) => stderr.push(data));
+
+    child.on('error', (error) => {
+      finish(() => reject(error.code === 'ENOENT' ? new Error('Git is not installed or not on PATH') : error));
+    });
+
+    child.on('close', (exitCode) => {
+      const result = {
+        stdout: Buffer.concat(stdout).toString('utf8'),
+        stderr: Buffer.concat(stderr).toString('utf8'),
+        exitCode
+      };
+      finish(() => {
+        if (okExitCodes.includes(exitCode)) {
+          resolve(result);
+        } else {
+          // Some failures, like "nothing to commit", are only reported at the end of stdout
+          const lastLine = result.stdout.trim().split('\n').pop();
+          reject(new Error(result.stderr.trim() || lastLine || `git ${args[0]} exited with code ${exitCode}`));
+        }
+      });
+    });
+
+    // Errors writing stdin surface through 'close' with git's own message
+    child.stdin.on('error', () => {});
+    child.stdin.end(input === null ? undefined : input);
+  });
+}
+
+// Top-level folder of the repository containing directory, or null outside one
+async function getRepositoryRoot(directory, run = runGit) {
+  try {
+    const { stdout } = await run(directory, ['rev-parse', '--show-toplevel']);
+    return stdout.trim();
+  } catch (error) {
+    if (/not a git repository/i.test(error.message)) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// { root, branch, staged, unstaged, untracked, conflicted } (see git-status.js),
+// or { root: null } when the folder isn't in a repository. Porcelain paths are
+// relative to root, which the other functions take as their working directory.
+async function getStatus(directory, run = runGit) {
+  const root = await getRepositoryRoot(directory, run);
+  if (!root) {
+    return { root: null };
+  }
+
+  const { stdout } = await run(root, ['status', '--porcelain=v2', '--branch', '-z', '--untracked-files=all']);
+  return { root, ...parseStatus(stdout) };
+}
+
+// Parsed diff of one file: the staged changes, the unstaged ones, or the whole
+// content of an untracked file
+async function getFileDiff(root, filePath, { staged = false, untracked = false } = {}, run = runGit) {
+  const args = untracked
+    ? [...DIFF_ARGS, '--no-index', '--', '/dev/null', filePath]
+    : [...DIFF_ARGS, ...(staged ? ['--cached'] : []), '--', filePath];
+
+  // diff --no-index exits with 1 when the files differ, which they always do here
+  const { stdout } = await run(root, args, { okExitCodes: untracked ? [0, 1] : [0] });
+  return parseDiff(stdout);
+}
+
+async function stageFiles(root, paths, run = runGit) {
+  await run(root, ['add', '--', ...paths]);
+}
+
+// reset rather than restore --staged: it also works before the first commit
+async function unstageFiles(root, paths, run = runGit) {
+  await run(root, ['reset', '-q', '--', ...paths]);
+}
+
+// Stages one hunk of the file's unstaged diff, or with unstage removes one hunk
+// of its staged diff from the index. The hunk is looked up again by its header,
+// so a file that changed since its diff was shown fails instead of applying
+// something the user didn't see.
+async function applyHunk(root, filePath, hunkHeader, { unstage = false } = {}, run = runGit) {
+  const diff = await getFileDiff(root, filePath, { staged: unstage }, run);
+  const hunkIndex = diff.hunks.findIndex(hunk => hunk.header === hunkHeader);
+  if (hunkIndex < 0) {
+    throw new Error('The file changed since its diff was shown; refresh and try again');
+  }
+
+  const args = ['apply', '--cached', '--whitespace=nowarn', ...(unstage ? ['--reverse'] : []), '-'];
+  await run(root, args, { input: buildHunkPatch(diff, hunkIndex) });
+}
+
+// { root, current, local, remote } (see git-branches.js), or { root: null }
+// outside a repository
+async function getBranches(directory, run = runGit) {
+  const root = await getRepositoryRoot(directory, run);
+  if (!root) {
+    return { root: null };
+  }
+
+  const { stdout } = await run(root, ['for-each-ref', `--format=${BRANCH_FORMAT}`, 'refs/heads', 'refs/remotes']);
+  return { root, ...parseBranches(stdout) };
+}
+
+// Stashes staged and unstaged changes, with includeUntracked new files too;
+// resolves whether there was anything to stash. Without a message git names
+// the stash after the current commit.
+async function stashChanges(root, message, { includeUntracked = false } = {}, run = runGit) {
+  const args = ['stash', 'push', ...(includeUntracked ? ['--include-untracked'] : []), ...(message ? ['-m', message] : [])];
+  const { stdout } = await run(root, args);
+  return !/no local changes to save/i.test(stdout);
+}
+
+// Checks out a local branch, or with remote creates a local branch tracking the
+// remote one (origin/feature becomes feature), or with detach checks out a
+// commit without a branch. With stash, uncommitted changes are stashed first
+// and restored if the switch fails.
+async function switchBranch(root, branch, { remote = false, detach = false, stash = false } = {}, run = runGit) {
+  const stashed = stash ? await stashChanges(root, `Before switching to ${branch}`, {}, run) : false;
+  const mode = remote ? ['--track'] : detach ? ['--detach'] : [];
+  try {
+    await run(root, ['switch', ...mode, branch]);
+  } catch (error) {
+    if (stashed) {
+      await run(root, ['stash', 'pop', '--quiet']);
+    }
+    throw error;
+  }
+  return { stashed };
+}
+
+// startPoint is any commit-ish (branch, tag, hash); the current commit when empty
+async function createBranch(root, name, startPoint, { checkout = false } = {}, run = runGit) {
+  const args = checkout ? ['switch', '-c', name] : ['branch', name];
+  await run(root, startPoint ? [...args, startPoint] : args);
+}
+
+// Without force git refuses to delete a branch whose commits aren't merged into
+// its upstream or HEAD; that error is marked with unmerged so the caller can
+// ask before deleting it anyway
+async function deleteBranch(root, name, { force = false } = {}, run = runGit) {
+  try {
+    await run(root, ['branch', force ? '-D' : '-d', name]);
+  } catch (error) {
+    if (/not fully merged/i.test(error.message)) {
+      error.unmerged = true;
+    }
+    throw error;
+  }
+}
+
+// Sets the remote branch name follows, or removes its upstream when upstream is empty
+async function setUpstream(root, name, upstream, run = runGit) {
+  await run(root, upstream
+    ? ['branch', `--set-upstream-to=${upstream}`, name]
+    : ['branch', '--unset-upstream', name]);
+}
+
+// Full message of the last commit, or '' before the first one
+async function getLastCommitMessage(root, run = runGit) {
+  try {
+    const { stdout } = await run(root, ['log', '-1', '--format=%B']);
+    return stdout.trim();
+  } catch (error) {
+    if (/does not have any commits/i.test(error.message)) {
+      return '';
+    }
+    throw error;
+  }
+}
+
+// Untracked files among paths. commit --only picks up tracked ones by itself,
+// deletions and the old name of a renamed file included, but rejects the rest.
+async function getUntrackedPaths(root, paths, run = runGit) {
+  const { stdout } = await run(root, ['ls-files', '--others', '--exclude-standard', '-z', '--', ...paths]);
+  return stdout.split('\0').filter(Boolean);
+}
+
+// Commits with the message passed on stdin (-F -), so no shell or quoting is
+// involved. stageAll stages every change first; paths stages and commits only
+// those files and leaves anything else in the index for a later commit.
+// Resolves the short hash of the new commit.
+async function commit(root, message, { amend = false, signoff = false, noVerify = false, stageAll = false, paths = null } = {}, run = runGit) {
+  if (stageAll) {
+    await run(root, ['add', '--all']);
+  } else if (paths) {
+    const untracked = await getUntrackedPaths(root, paths, run);
+    if (untracked.length > 0) {
+      await stageFiles(root, untracked, run);
+    }
+  }
+
+  const args = [
+    'commit',
+    '-F', '-',
+    ...(amend ? ['--amend'] : []),
+    ...(signoff ? ['--signoff'] : []),
+    ...(noVerify ? ['--no-verify'] : []),
+    ...(paths ? ['--only', '--', ...paths] : [])
+  ];
+  await run(root, args, { input: message, timeoutMs: COMMIT_TIMEOUT_MS });
+
+  const { stdout } = await run(root, ['rev-parse', '--short', 'HEAD']);
+  return { oid: stdout.trim() };
+}
+
+// { root, commits } with a page of history (see git-log.js for the options),
+// or { root: null } outside a repository
+async function getLog(directory, options = {}, run = runGit) {
+  const root = await getRepositoryRoot(directory, run);
+  if (!root) {
+    return { root: null };
+  }
+
+  try {
+    const { stdout } = await run(root, buildLogArgs(options));
+    return { root, commits: parseLog(stdout) };
+  } catch (error) {
+    // A repository without commits has no history to show
+    if (/does not have any commits/i.test(error.message)) {
+      return { root, commits: [] };
+    }
+    throw error;
+  }
+}
+
+// Merge commits are compared with their first parent, like most log viewers do
+const COMMIT_DIFF_ARGS = ['--format=', '-M', '-m', '--first-parent'];
+
+// Files changed by a commit: [{ status, path, origPath }]
+async function getCommitFiles(root, hash, run = runGit) {
+  const { stdout } = await run(root, ['show', ...COMMIT_DIFF_ARGS, '--name-status', '-z', hash]);
+  return parseCommitFiles(stdout);
+}
+
+// Parsed diff of one file in a commit; paths holds both names of a renamed file
+async function getCommitFileDiff(root, hash, paths, run = runGit) {
+  const { stdout } = await run(root, ['show', ...COMMIT_DIFF_ARGS, ...DIFF_ARGS.slice(1), hash, '--', ...paths]);
+  return parseDiff(stdout);
+}
+
+// Runs cherry-pick or revert; git stops halfway when the change conflicts,
+// which is reported with how to go on
+async function applyCommit(root, command, hash, mainline, run) {
+  const args = [command, ...(command === 'revert' ? ['--no-edit'] : []), ...(mainline ? ['-m', '1'] : []), hash];
+  try {
+    await run(root, args);
+  } catch (error) {
+    if (/conflict/i.test(error.message)) {
+      throw new Error(`The ${command} stopped on conflicts. Resolve them in the Git panel, then run "git ${command} --continue" (or "--abort" to undo)`);
+    }
+    throw error;
+  }
+}
+
+// Merge commits need mainline: they are applied relative to their first parent
+async function cherryPick(root, hash, { mainline = false } = {}, run = runGit) {
+  await applyCommit(root, 'cherry-pick', hash, mainline, run);
+}
+
+async function revertCommit(root, hash, { mainline = false } = {}, run = runGit) {
+  await applyCommit(root, 'revert', hash, mainline, run);
+}
+
+// { root, stashes } with the entries of git-stash.js, or { root: null }
+// outside a repository
+async function getStashes(directory, run = runGit) {
+  const root = await getRepositoryRoot(directory, run);
+  if (!root) {
+    return { root: null };
+  }
+
+  const { stdout } = await run(root, ['stash', 'list', '-z', `--format=${STASH_FORMAT}`]);
+  return { root, stashes: parseStashList(stdout) };
+}
+
+// Stashes are picked by commit hash, since stash@{n} numbers shift whenever
+// a stash is created or dropped
+async function findStashRef(root, hash, run) {
+  const { stdout } = await run(root, ['stash', 'list', '-z', `--format=${STASH_FORMAT}`]);
+  const stash = parseStashList(stdout).find(entry => entry.hash === hash);
+  if (!stash) {
+    throw new Error('The stash no longer exists; refresh the list');
+  }
+  return stash.ref;
+}
+
+// Files changed by a stash relative to the commit it was made on; with
+// untracked the untracked files saved with it, which git keeps in the stash's
+// third parent
+async function getStashFiles(root, hash, { untracked = false } = {}, run = runGit) {
+  const files = await getCommitFiles(root, hash, run);
+  if (!untracked) {
+    return files;
+  }
+
+  const untrackedFiles = await getCommitFiles(root, `${hash}^3`, run);
+  return [...files, ...untrackedFiles.map(file => ({ ...file, untracked: true }))];
+}
+
+async function getStashFileDiff(root, hash, paths, { untracked = false } = {}, run = runGit) {
+  return getCommitFileDiff(root, untracked ? `${hash}^3` : hash, paths, run);
+}
+
+// Applies a stash to the working tree, with pop removing it afterwards. When
+// it conflicts git leaves the conflicts in the files and keeps the stash.
+async function applyStash(root, hash, { pop = false } = {}, run = runGit) {
+  const ref = await findStashRef(root, hash, run);
+  const { stdout, stderr, exitCode } = await run(root, ['stash', pop ? 'pop' : 'apply', ref], { okExitCodes: [0, 1] });
+  if (exitCode !== 0) {
+    if (/^CONFLICT/m.test(stdout)) {
+      throw new Error('The stash was applied with conflicts and has been kept. Resolve them in the Git panel');
+    }
+    throw new Error(stderr.trim() || stdout.trim().split('\n').pop() || `git stash ${pop ? 'pop' : 'apply'} failed`);
+  }
+}
+
+async function dropStash(root, hash, run = runGit) {
+  const ref = await findStashRef(root, hash, run);
+  await run(root, ['stash', 'drop', ref]);
+}
+
+module.exports = {
+  runGit,
+  getRepositoryRoot,
+  getStatus,
+  getFileDiff,
+  stageFiles,
+  unstageFiles,
+  applyHunk,
+  getBranches,
+  stashChanges,
+  switchBranch,
+  createBranch,
+  deleteBranch,
+  setUpstream,
+  getLastCommitMessage,
+  commit,
+  getLog,
+  getCommitFiles,
+  getCommitFileDiff,
+  cherryPick,
+  revertCommit,
+  getStashes,
+  getStashFiles,
+  getStashFileDiff,
+  applyStash,
+  dropStash
+};
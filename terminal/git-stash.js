@@ -0,0 +1,33 @@
+// Stash list for the stash manager, read from `git stash list -z` with the
+// fields of each entry separated by the unit separator.
+
+const FIELD_SEPARATOR = '\x1f';
+const STASH_FORMAT = ['%H', '%P', '%at', '%gs'].join('%x1f');
+
+// "On main: message" for stashes with a message, "WIP on main: a1b2c3d subject"
+// for those without one
+const STASH_SUBJECT = /^(WIP on|On) ([^:]+): (.*)$/;
+
+// [{ ref, index, hash, date, branch, message, untracked }], newest first, date
+// in milliseconds. A stash commit's first parent is the commit it was made on,
+// the second holds the index and an optional third the untracked files.
+function parseStashList(output) {
+  return String(output || '').split('\0').map(record => record.replace(/^\n/, '')).filter(Boolean).map((record, index) => {
+    const [hash, parents = '', timestamp, subject = ''] = record.split(FIELD_SEPARATOR);
+    const match = STASH_SUBJECT.exec(subject);
+    return {
+      ref: `stash@{${index}}`,
+      index,
+      hash,
+      date: parseInt(timestamp, 10) * 1000,
+      branch: match ? match[2] : null,
+      message: match ? (match[1] === 'WIP on' ? `WIP: ${match[3]}` : match[3]) : subject,
+      untracked: parents.split(' ').filter(Boolean).length > 2
+    };
+  });
+}
+
+module.exports = {
+  STASH_FORMAT,
+  parseStashList
+};
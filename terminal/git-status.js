@@ -0,0 +1,112 @@
+// Parses `git status --porcelain=v2 --branch -z` for the Git panel.
+// Entries are NUL-terminated, so paths arrive unquoted; a rename or copy
+// entry is followed by a second entry holding the original path.
+
+const STATUS_LABELS = {
+  M: 'Modified',
+  T: 'Type changed',
+  A: 'Added',
+  D: 'Deleted',
+  R: 'Renamed',
+  C: 'Copied',
+  U: 'Conflict',
+  '?': 'Untracked'
+};
+
+// Fields before the path in each entry type
+const ORDINARY_FIELDS = 8;
+const RENAME_FIELDS = 9;
+const UNMERGED_FIELDS = 10;
+
+function splitFields(entry, count) {
+  const fields = [];
+  let rest = entry;
+  for (let i = 0; i < count; i++) {
+    const space = rest.indexOf(' ');
+    fields.push(rest.slice(0, space));
+    rest = rest.slice(space + 1);
+  }
+  return { fields, path: rest };
+}
+
+function parseBranchHeader(branch, line) {
+  const [, key, ...values] = line.split(' ');
+  const value = values.join(' ');
+
+  if (key === 'branch.oid') {
+    branch.oid = value === '(initial)' ? null : value;
+  } else if (key === 'branch.head') {
+    branch.head = value === '(detached)' ? null : value;
+    branch.detached = value === '(detached)';
+  } else if (key === 'branch.upstream') {
+    branch.upstream = value;
+  } else if (key === 'branch.ab') {
+    const match = /^\+(\d+) -(\d+)$/.exec(value);
+    if (match) {
+      branch.ahead = parseInt(match[1], 10);
+      branch.behind = parseInt(match[2], 10);
+    }
+  }
+}
+
+// Returns { branch: { oid, head, detached, upstream, ahead, behind },
+// staged, unstaged, untracked, conflicted }, each a list of
+// { path, origPath, status } with a one-letter status from STATUS_LABELS
+function parseStatus(output) {
+  const branch = { oid: null, head: null, detached: false, upstream: null, ahead: 0, behind: 0 };
+  const result = { branch, staged: [], unstaged: [], untracked: [], conflicted: [] };
+  const entries = String(output || '').split('\0');
+
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    if (!entry) continue;
+
+    if (entry.startsWith('# ')) {
+      parseBranchHeader(branch, entry);
+    } else if (entry.startsWith('1 ') || entry.startsWith('2 ')) {
+      const isRename = entry[0] === '2';
+      const { fields, path } = splitFields(entry, isRename ? RENAME_FIELDS : ORDINARY_FIELDS);
+      const origPath = isRename ? entries[++i] : null;
+      const [indexStatus, worktreeStatus] = fields[1];
+
+      if (indexStatus !== '.') {
+        result.staged.push({ path, origPath, status: indexStatus });
+      }
+      if (worktreeStatus !== '.') {
+        result.unstaged.push({ path, origPath: null, status: worktreeStatus });
+      }
+    } else if (entry.startsWith('u ')) {
+      const { fields, path } = splitFields(entry, UNMERGED_FIELDS);
+      result.conflicted.push({ path, origPath: null, status: 'U', conflict: fields[1] });
+    } else if (entry.startsWith('? ')) {
+      result.untracked.push({ path: entry.slice(2), origPath: null, status: '?' });
+    }
+  }
+
+  return result;
+}
+
+// Groups files by folder for the status tree: [{ directory, files }], with
+// files in the repository root under ''
+function groupByDirectory(files) {
+  const groups = new Map();
+  files.forEach(file => {
+    const slash = file.path.lastIndexOf('/');
+    const directory = slash >= 0 ? file.path.slice(0, slash) : '';
+    if (!groups.has(directory)) {
+      groups.set(directory, []);
+    }
+    groups.get(directory).push({ ...file, name: file.path.slice(slash + 1) });
+  });
+
+  return Array.from(groups, ([directory, groupFiles]) => ({
+    directory,
+    files: groupFiles.sort((a, b) => a.name.localeCompare(b.name))
+  })).sort((a, b) => a.directory.localeCompare(b.directory));
+}
+
+module.exports = {
+  STATUS_LABELS,
+  parseStatus,
+  groupByDirectory
+};
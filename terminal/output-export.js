@@ -0,0 +1,91 @@
+// Formats for saving a terminal transcript to disk.
+// The renderer serializes the xterm buffer (ANSI or HTML); the main process
+// turns that into the final file contents here before writing.
+
+const EXPORT_FORMATS = {
+  text: { label: 'Plain Text', extension: 'txt', filterName: 'Text Files' },
+  ansi: { label: 'Raw ANSI', extension: 'ansi', filterName: 'ANSI Text Files' },
+  html: { label: 'HTML', extension: 'html', filterName: 'HTML Files' }
+};
+
+// CSI sequences, OSC sequences (BEL or ST terminated) and other escapes such
+// as ESC 7 (save cursor) or ESC ( B (charset selection)
+const ANSI_PATTERN = /\x1b\[[0-?]*[ -/]*[@-~]|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)|\x1b[ -/]*[0-~]/g;
+
+function getExportFormat(format) {
+  const exportFormat = EXPORT_FORMATS[format];
+  if (!exportFormat) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+  return exportFormat;
+}
+
+function stripAnsi(text) {
+  return text.replace(ANSI_PATTERN, '');
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function getDefaultFileName(title, format, date = new Date()) {
+  const { extension } = getExportFormat(format);
+  const safeTitle = (title || 'terminal')
+    .replace(/[^\w.-]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .toLowerCase() || 'terminal';
+  return `${safeTitle}-${date.toISOString().split('T')[0]}.${extension}`;
+}
+
+// xterm's serializeAsHTML returns a clipboard fragment without a charset or
+// title; wrap just the <pre> so the file opens correctly on its own
+function buildHtmlDocument(serializedHtml, { title = 'Terminal Output', background = '#1e1e1e', foreground = '#ffffff' } = {}) {
+  const fragment = serializedHtml.match(/<!--StartFragment-->([\s\S]*?)<!--EndFragment-->/);
+  const body = fragment ? fragment[1] : serializedHtml;
+
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(title)}</title>`,
+    '<style>',
+    `body { margin: 0; padding: 16px; background: ${background}; color: ${foreground}; }`,
+    'pre { margin: 0; font-family: Consolas, "Courier New", monospace; font-size: 13px; line-height: 1.2; white-space: pre-wrap; }',
+    '</style>',
+    '</head>',
+    '<body>',
+    body,
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+function buildExportContent({ content, format, title, background, foreground }) {
+  if (typeof content !== 'string') {
+    throw new Error('Invalid terminal output provided');
+  }
+
+  getExportFormat(format);
+  if (format === 'text') {
+    return stripAnsi(content);
+  }
+  if (format === 'html') {
+    return buildHtmlDocument(content, { title, background, foreground });
+  }
+  return content;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  getExportFormat,
+  stripAnsi,
+  getDefaultFileName,
+  buildHtmlDocument,
+  buildExportContent
+};
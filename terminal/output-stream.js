@@ -0,0 +1,85 @@
+// Stream-aware output helpers shared by the PTY layer (main process)
+// and TerminalManager (renderer process).
+
+const STREAMS = Object.freeze({
+  STDOUT: 'stdout',
+  STDERR: 'stderr',
+  // A native PTY merges both streams into one, so chunks can't be split
+  PTY: 'pty',
+  // Messages generated by Easy Debug itself (banners, errors)
+  SYSTEM: 'system'
+});
+
+const DEFAULT_MAX_CHUNKS = 5000;
+
+// Only the foreground color is reset afterwards so programs that set their
+// own background or attributes keep their ANSI state.
+const STDERR_COLOR_START = '\x1b[31m';
+const STDERR_COLOR_END = '\x1b[39m';
+
+function createChunkSequencer() {
+  let seq = 0;
+  return (stream, data) => ({
+    stream,
+    data,
+    seq: ++seq,
+    timestamp: Date.now()
+  });
+}
+
+function colorizeStderr(data) {
+  if (!data) {
+    return data;
+  }
+  return `${STDERR_COLOR_START}${data}${STDERR_COLOR_END}`;
+}
+
+function renderChunk(chunk, { colorStderr = false } = {}) {
+  if (colorStderr && chunk.stream === STREAMS.STDERR) {
+    return colorizeStderr(chunk.data);
+  }
+  return chunk.data;
+}
+
+class StreamLog {
+  constructor(maxChunks = DEFAULT_MAX_CHUNKS) {
+    this.maxChunks = maxChunks;
+    this.chunks = [];
+  }
+
+  add(chunk) {
+    this.chunks.push(chunk);
+    if (this.chunks.length > this.maxChunks) {
+      this.chunks.splice(0, this.chunks.length - this.maxChunks);
+    }
+  }
+
+  // Chunks sorted by sequence number, optionally limited to one or more streams
+  getChunks({ stream = null, since = 0 } = {}) {
+    const streams = stream ? [].concat(stream) : null;
+    return this.chunks
+      .filter(chunk => chunk.seq > since && (!streams || streams.includes(chunk.stream)))
+      .sort((a, b) => a.seq - b.seq);
+  }
+
+  getText(options = {}) {
+    return this.getChunks(options).map(chunk => chunk.data).join('');
+  }
+
+  hasStream(stream) {
+    return this.chunks.some(chunk => chunk.stream === stream);
+  }
+
+  clear() {
+    this.chunks = [];
+  }
+}
+
+module.exports = {
+  STREAMS,
+  DEFAULT_MAX_CHUNKS,
+  createChunkSequencer,
+  colorizeStderr,
+  renderChunk,
+  StreamLog
+};
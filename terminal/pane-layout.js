@@ -0,0 +1,122 @@
+// Split-pane layout tree for a single terminal tab.
+// A node is either a pane `{ type: 'pane', id }` or a split
+// `{ type: 'split', direction, ratio, children: [first, second] }`.
+// `horizontal` places the children side by side, `vertical` stacks them.
+// All operations return a new tree; the input is never mutated.
+
+const DIRECTIONS = ['horizontal', 'vertical'];
+const MIN_RATIO = 0.1;
+const MAX_RATIO = 0.9;
+
+function createPaneLayout(paneId) {
+  return { type: 'pane', id: paneId };
+}
+
+function clampRatio(ratio) {
+  if (typeof ratio !== 'number' || Number.isNaN(ratio)) {
+    return 0.5;
+  }
+  return Math.min(MAX_RATIO, Math.max(MIN_RATIO, ratio));
+}
+
+function splitPane(layout, paneId, direction, newPaneId) {
+  if (!DIRECTIONS.includes(direction)) {
+    throw new Error(`Invalid split direction: ${direction}`);
+  }
+  if (!containsPane(layout, paneId)) {
+    throw new Error(`Pane ${paneId} not found`);
+  }
+
+  const split = (node) => {
+    if (node.type === 'pane') {
+      if (node.id !== paneId) {
+        return node;
+      }
+      return {
+        type: 'split',
+        direction,
+        ratio: 0.5,
+        children: [node, createPaneLayout(newPaneId)]
+      };
+    }
+    return { ...node, children: node.children.map(split) };
+  };
+
+  return split(layout);
+}
+
+// Removing a pane collapses its parent split into the remaining sibling.
+// Returns null when the last pane is removed.
+function removePane(layout, paneId) {
+  const remove = (node) => {
+    if (node.type === 'pane') {
+      return node.id === paneId ? null : node;
+    }
+
+    const children = node.children.map(remove);
+    if (!children[0]) return children[1];
+    if (!children[1]) return children[0];
+    return { ...node, children };
+  };
+
+  return remove(layout);
+}
+
+// Split paths are child indexes from the root, e.g. [1, 0]
+function setSplitRatio(layout, path, ratio) {
+  const update = (node, depth) => {
+    if (node.type !== 'split') {
+      return node;
+    }
+    if (depth === path.length) {
+      return { ...node, ratio: clampRatio(ratio) };
+    }
+    const index = path[depth];
+    return {
+      ...node,
+      children: node.children.map((child, i) => (i === index ? update(child, depth + 1) : child))
+    };
+  };
+
+  return update(layout, 0);
+}
+
+// Pane ids in reading order (left-to-right, top-to-bottom)
+function getPaneIds(layout) {
+  if (!layout) {
+    return [];
+  }
+  if (layout.type === 'pane') {
+    return [layout.id];
+  }
+  return layout.children.flatMap(getPaneIds);
+}
+
+function containsPane(layout, paneId) {
+  return getPaneIds(layout).includes(paneId);
+}
+
+// Cycles through panes in reading order, wrapping at either end
+function getAdjacentPaneId(layout, paneId, offset = 1) {
+  const paneIds = getPaneIds(layout);
+  const index = paneIds.indexOf(paneId);
+  if (index === -1 || paneIds.length === 0) {
+    return paneIds[0] || null;
+  }
+  const nextIndex = ((index + offset) % paneIds.length + paneIds.length) % paneIds.length;
+  return paneIds[nextIndex];
+}
+
+module.exports = {
+  DIRECTIONS,
+  MIN_RATIO,
+  MAX_RATIO,
+  createPaneLayout,
+  clampRatio,
+  splitPane,
+  removePane,
+  setSplitRatio,
+  getPaneIds,
+  containsPane,
+  getAdjacentPaneId
+};
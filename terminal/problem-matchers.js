@@ -0,0 +1,257 @@
+// Problem matchers: turn compiler, linter and test output into structured
+// problems ({ file, line, column, severity, message, code, source }).
+//
+// Each tool has a list of matchers. A matcher's `pattern` is applied to every
+// output line; `fields` maps problem properties to capture groups. Multi-line
+// formats are handled with two optional state patterns:
+//   - filePattern: a line naming the file for the lines that follow (eslint stylish)
+//   - messagePattern: a line holding the message for the next location (jest)
+
+const path = require('path');
+const { stripAnsi } = require('./output-export');
+
+const MAX_PROBLEMS = 500;
+const MAX_LINE_LENGTH = 4000;
+const SEVERITIES = ['error', 'warning', 'info'];
+
+const PROBLEM_MATCHERS = {
+  flutter: [
+    {
+      // "  error • Undefined name 'x' • lib/main.dart:12:5 • undefined_identifier"
+      id: 'flutter-analyze',
+      pattern: /^\s*(error|warning|info)\s+[•-]\s+(.+?)\s+[•-]\s+(\S+?):(\d+):(\d+)\s+[•-]\s+(\w+)\s*$/,
+      fields: { severity: 1, message: 2, file: 3, line: 4, column: 5, code: 6 }
+    },
+    {
+      // Dart front-end errors during `flutter run`: "lib/main.dart:42:7: Error: ..."
+      id: 'dart-compile',
+      pattern: /^(\S+\.dart):(\d+):(\d+): (Error|Warning|Context): (.+)$/,
+      fields: { file: 1, line: 2, column: 3, severity: 4, message: 5 }
+    }
+  ],
+  flake8: [
+    {
+      // "./app.py:10:1: E302 expected 2 blank lines, found 1"
+      id: 'flake8',
+      pattern: /^(\S+\.py):(\d+):(\d+): ([A-Z]+\d+) (.+)$/,
+      fields: { file: 1, line: 2, column: 3, code: 4, message: 5 },
+      // pycodestyle W*, mccabe C*, pep8-naming N* are warnings; E* and pyflakes F* are errors
+      severity: (values) => (/^[WCN]/.test(values.code) ? 'warning' : 'error')
+    }
+  ],
+  pytest: [
+    {
+      // Traceback location in a failure report: "tests/test_app.py:23: AssertionError"
+      id: 'pytest',
+      pattern: /^(\S+\.py):(\d+): (\w*(?:Error|Exception|Failed)\w*.*)$/,
+      fields: { file: 1, line: 2, message: 3 },
+      severity: 'error'
+    },
+    {
+      // Python tracebacks: '  File "/app/main.py", line 10, in <module>'
+      id: 'python-traceback',
+      pattern: /^\s*File "([^"]+\.py)", line (\d+), in (.+)$/,
+      fields: { file: 1, line: 2, message: 3 },
+      severity: 'error',
+      ignore: /[\\/](?:site-packages|lib[\\/]python\d)/
+    }
+  ],
+  jest: [
+    {
+      // "  ● Suite › test name" followed by "    at Object.<anonymous> (src/app.test.js:12:5)"
+      id: 'jest',
+      messagePattern: /^\s*● (.+)$/,
+      pattern: /^\s+at (?:.+? \()?((?:[A-Za-z]:)?[^\s():]+\.(?:[cm]?[jt]sx?)):(\d+):(\d+)\)?$/,
+      fields: { file: 1, line: 2, column: 3 },
+      requires: 'message',
+      severity: 'error',
+      ignore: /node_modules|^node:|internal[\\/]/
+    }
+  ],
+  tsc: [
+    {
+      // "src/app.ts(12,5): error TS2322: Type 'string' is not assignable..."
+      id: 'tsc',
+      pattern: /^(\S+?)\((\d+),(\d+)\): (error|warning) (TS\d+): (.+)$/,
+      fields: { file: 1, line: 2, column: 3, severity: 4, code: 5, message: 6 }
+    },
+    {
+      // --pretty output: "src/app.ts:12:5 - error TS2322: Type ..."
+      id: 'tsc-pretty',
+      pattern: /^(\S+?):(\d+):(\d+) - (error|warning) (TS\d+): (.+)$/,
+      fields: { file: 1, line: 2, column: 3, severity: 4, code: 5, message: 6 }
+    }
+  ],
+  eslint: [
+    {
+      // stylish: a file path line, then "  12:5  error  'x' is not defined  no-undef"
+      id: 'eslint-stylish',
+      // stylish always prints absolute paths, which keeps stray words from matching
+      filePattern: /^((?:[A-Za-z]:[\\/]|\/)[^:]*\.\w+)$/,
+      pattern: /^\s+(\d+):(\d+)\s+(error|warning)\s+(.+?)(?:\s{2,}(\S+))?$/,
+      fields: { line: 1, column: 2, severity: 3, message: 4, code: 5 },
+      requires: 'file'
+    },
+    {
+      // unix formatter: "src/app.js:12:5: 'x' is not defined. [Error/no-undef]"
+      id: 'eslint-unix',
+      pattern: /^(\S+?):(\d+):(\d+): (.+) \[(Error|Warning)(?:\/(\S+))?\]$/,
+      fields: { file: 1, line: 2, column: 3, message: 4, severity: 5, code: 6 }
+    }
+  ]
+};
+
+function getMatchers(tools = Object.keys(PROBLEM_MATCHERS)) {
+  return tools.flatMap(tool => {
+    const matchers = PROBLEM_MATCHERS[tool];
+    if (!matchers) {
+      throw new Error(`Unknown problem matcher tool: ${tool}`);
+    }
+    return matchers.map(matcher => ({ ...matcher, tool }));
+  });
+}
+
+function normalizeSeverity(severity) {
+  const value = String(severity || '').toLowerCase();
+  if (value === 'context') return 'info';
+  return SEVERITIES.includes(value) ? value : 'error';
+}
+
+// Applies one matcher to one line; returns a problem or null.
+// `state` carries the pending file/message between lines for multi-line formats.
+function matchLine(matcher, line, state = {}) {
+  if (matcher.messagePattern) {
+    const messageMatch = line.match(matcher.messagePattern);
+    if (messageMatch) {
+      state.message = messageMatch[1].trim();
+      return null;
+    }
+  }
+
+  if (matcher.filePattern) {
+    const fileMatch = line.match(matcher.filePattern);
+    if (fileMatch) {
+      state.file = fileMatch[1];
+      return null;
+    }
+  }
+
+  const match = line.match(matcher.pattern);
+  if (!match) {
+    return null;
+  }
+
+  const values = {};
+  Object.entries(matcher.fields).forEach(([field, group]) => {
+    values[field] = match[group];
+  });
+
+  if (matcher.requires === 'file') {
+    if (!state.file) return null;
+    values.file = state.file;
+  }
+  if (matcher.requires === 'message') {
+    if (!state.message) return null;
+    values.message = state.message;
+    // One problem per failure: the first frame is the test's own location
+    state.message = null;
+  }
+
+  if (!values.file || (matcher.ignore && matcher.ignore.test(values.file))) {
+    return null;
+  }
+
+  const severity = typeof matcher.severity === 'function'
+    ? matcher.severity(values)
+    : matcher.severity || values.severity;
+
+  return {
+    file: values.file,
+    line: parseInt(values.line, 10) || 1,
+    column: parseInt(values.column, 10) || 1,
+    severity: normalizeSeverity(severity),
+    message: (values.message || '').trim(),
+    code: values.code || null,
+    source: matcher.tool
+  };
+}
+
+// Feeds terminal output through the matchers, buffering partial lines
+// between chunks. Problems are de-duplicated and capped.
+class ProblemCollector {
+  constructor({ tools, cwd = null } = {}) {
+    this.matchers = getMatchers(tools);
+    this.cwd = cwd;
+    this.pending = '';
+    this.states = new Map(this.matchers.map(matcher => [matcher.id, {}]));
+    this.problems = [];
+    this.keys = new Set();
+  }
+
+  setCwd(cwd) {
+    this.cwd = cwd;
+  }
+
+  // Returns the problems found in this chunk
+  push(data) {
+    // The partial line stays raw so an escape sequence split across chunks is stripped whole
+    const lines = (this.pending + data).split('\n');
+    this.pending = lines.pop();
+
+    // A very long line without a newline is not compiler output; drop it
+    if (this.pending.length > MAX_LINE_LENGTH) {
+      this.pending = '';
+    }
+
+    const found = [];
+    lines.forEach(rawLine => {
+      // Keep only what is left after the last carriage return (progress redraws)
+      const line = stripAnsi(rawLine).replace(/\r$/, '').split('\r').pop();
+      this.matchers.forEach(matcher => {
+        const problem = matchLine(matcher, line, this.states.get(matcher.id));
+        if (problem && this.add(problem)) {
+          found.push(problem);
+        }
+      });
+    });
+
+    return found;
+  }
+
+  add(problem) {
+    if (this.problems.length >= MAX_PROBLEMS) {
+      return false;
+    }
+
+    if (this.cwd && !path.isAbsolute(problem.file)) {
+      problem.file = path.resolve(this.cwd, problem.file);
+    }
+
+    const key = `${problem.file}:${problem.line}:${problem.column}:${problem.message}`;
+    if (this.keys.has(key)) {
+      return false;
+    }
+
+    this.keys.add(key);
+    this.problems.push(problem);
+    return true;
+  }
+
+  getProblems() {
+    return this.problems.slice();
+  }
+
+  clear() {
+    this.problems = [];
+    this.keys.clear();
+    this.states.forEach((state, id) => this.states.set(id, {}));
+  }
+}
+
+module.exports = {
+  MAX_PROBLEMS,
+  PROBLEM_MATCHERS,
+  getMatchers,
+  matchLine,
+  ProblemCollector
+};
@@ -0,0 +1,168 @@
+const { execFile, spawn } = require('child_process');
+const os = require('os');
+
+// Process tree helpers for PTY shells. Everything a terminal starts
+// (npm run dev, flutter run, ...) is a descendant of the shell PID, so killing
+// only the shell leaves those children orphaned with their ports bound.
+
+const LIST_TIMEOUT_MS = 5000;
+
+function runCommand(command, args) {
+  return new Promise((resolve, reject) => {
+    execFile(command, args, { timeout: LIST_TIMEOUT_MS, maxBuffer: 10 * 1024 * 1024, windowsHide: true },
+      (error, stdout) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        resolve(stdout.toString());
+      });
+  });
+}
+
+// Parses `ps -A -o pid=,ppid=,pcpu=,rss=,args=` output (rss is in KiB)
+function parsePsOutput(output) {
+  return output
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => {
+      const match = line.match(/^(\d+)\s+(\d+)\s+([\d.,]+)\s+(\d+)\s+(.*)$/);
+      if (!match) {
+        return null;
+      }
+      return {
+        pid: parseInt(match[1], 10),
+        ppid: parseInt(match[2], 10),
+        cpu: parseFloat(match[3].replace(',', '.')),
+        memory: parseInt(match[4], 10) * 1024,
+        command: match[5]
+      };
+    })
+    .filter(Boolean);
+}
+
+// Parses Win32_Process objects serialized by ConvertTo-Json (single object or array)
+function parseWindowsProcessJson(output) {
+  if (!output.trim()) {
+    return [];
+  }
+
+  const parsed = JSON.parse(output);
+  const entries = Array.isArray(parsed) ? parsed : [parsed];
+
+  return entries.map(entry => ({
+    pid: entry.ProcessId,
+    ppid: entry.ParentProcessId,
+    // Win32_Process has no instantaneous CPU percentage
+    cpu: null,
+    memory: Number(entry.WorkingSetSize) || 0,
+    command: entry.CommandLine || entry.Name || ''
+  }));
+}
+
+async function listProcesses() {
+  if (os.platform() === 'win32') {
+    const output = await runCommand('powershell.exe', [
+      '-NoProfile',
+      '-Command',
+      'Get-CimInstance Win32_Process | Select-Object ProcessId,ParentProcessId,WorkingSetSize,Name,CommandLine | ConvertTo-Json -Compress'
+    ]);
+    return parseWindowsProcessJson(output);
+  }
+
+  const output = await runCommand('ps', ['-A', '-o', 'pid=,ppid=,pcpu=,rss=,args=']);
+  return parsePsOutput(output);
+}
+
+// All descendants of rootPid in breadth-first order, each tagged with its depth
+function getDescendants(processes, rootPid) {
+  const childrenByParent = new Map();
+  processes.forEach(proc => {
+    if (!childrenByParent.has(proc.ppid)) {
+      childrenByParent.set(proc.ppid, []);
+    }
+    childrenByParent.get(proc.ppid).push(proc);
+  });
+
+  const descendants = [];
+  const visited = new Set([rootPid]);
+  const queue = [{ pid: rootPid, depth: 0 }];
+
+  while (queue.length > 0) {
+    const { pid, depth } = queue.shift();
+    (childrenByParent.get(pid) || []).forEach(child => {
+      if (visited.has(child.pid)) {
+        return;
+      }
+      visited.add(child.pid);
+      descendants.push({ ...child, depth: depth + 1 });
+      queue.push({ pid: child.pid, depth: depth + 1 });
+    });
+  }
+
+  return descendants;
+}
+
+async function getProcessTree(rootPid) {
+  const processes = await listProcesses();
+  return getDescendants(processes, rootPid);
+}
+
+function killProcess(pid, signal = 'SIGTERM') {
+  try {
+    process.kill(pid, signal);
+    return true;
+  } catch (error) {
+    // ESRCH: the process already exited, which is what we wanted
+    if (error.code === 'ESRCH') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+function taskkillTree(pid) {
+  return new Promise((resolve) => {
+    const taskkill = spawn('taskkill', ['/pid', String(pid), '/t', '/f'], { windowsHide: true });
+    taskkill.on('exit', resolve);
+    taskkill.on('error', resolve);
+  });
+}
+
+// Kills rootPid and everything below it, deepest processes first so parents
+// can't respawn children in between. Returns the PIDs that were signalled.
+async function killProcessTree(rootPid, { signal = 'SIGTERM', includeRoot = true } = {}) {
+  let descendants = [];
+  try {
+    descendants = await getProcessTree(rootPid);
+  } catch (error) {
+    console.error('Error listing process tree, killing root only:', error);
+  }
+
+  if (os.platform() === 'win32') {
+    // taskkill /t already walks the tree, so only the top-level targets are needed
+    const roots = includeRoot ? [rootPid] : descendants.filter(proc => proc.depth === 1).map(proc => proc.pid);
+    await Promise.all(roots.map(taskkillTree));
+    return roots;
+  }
+
+  const targets = descendants
+    .sort((a, b) => b.depth - a.depth)
+    .map(proc => proc.pid);
+  if (includeRoot) {
+    targets.push(rootPid);
+  }
+
+  return targets.filter(pid => killProcess(pid, signal));
+}
+
+module.exports = {
+  parsePsOutput,
+  parseWindowsProcessJson,
+  listProcesses,
+  getDescendants,
+  getProcessTree,
+  killProcess,
+  killProcessTree
+};
@@ -0,0 +1,393 @@
+// Project-local configuration checked into the repository as .easydebug.json
+// (or .easydebug.yaml). It shares commands, ribbon groups, environment
+// variables and terminal profiles with everyone working on the project.
+// Malformed entries are dropped and reported, never silently filtered.
+// Environment variables and terminal profiles run code as soon as a terminal
+// opens, so they only apply once the user trusts that version of the file.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { FAILURE_MODES, normalizeTask } = require('./task-runner');
+const shellProfiles = require('./shell-profiles');
+const { validatePlaceholders } = require('./command-placeholders');
+const { validatePlatforms } = require('./command-variants');
+
+const CONFIG_FILE_NAMES = ['.easydebug.json', '.easydebug.yaml', '.easydebug.yml'];
+const TOP_LEVEL_KEYS = ['commands', 'ribbon', 'env', 'terminalProfiles', 'defaultProfile'];
+const COMMAND_KEYS = ['name', 'description', 'command', 'platforms', 'icon', 'steps', 'dependsOn', 'onFailure'];
+const ENV_KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const EMPTY_PROJECT_CONFIG = {
+  commands: [],
+  ribbon: [],
+  env: {},
+  terminalProfiles: [],
+  defaultProfileId: null
+};
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function findConfigFile(projectPath, fileExists = fs.existsSync) {
+  const fileName = CONFIG_FILE_NAMES.find(name => fileExists(path.join(projectPath, name)));
+  return fileName ? path.join(projectPath, fileName) : null;
+}
+
+function parseConfigText(text, fileName) {
+  if (path.extname(fileName) === '.json') {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+  }
+
+  try {
+    // An empty YAML document is an empty configuration
+    const parsed = yaml.load(text);
+    return parsed === undefined || parsed === null ? {} : parsed;
+  } catch (error) {
+    const line = error.mark ? ` (line ${error.mark.line + 1})` : '';
+    throw new Error(`Invalid YAML: ${error.reason || error.message}${line}`);
+  }
+}
+
+function describeEntry(list, index, entry) {
+  return isPlainObject(entry) && typeof entry.name === 'string' && entry.name.trim()
+    ? `${list}[${index}] ("${entry.name.trim()}")`
+    : `${list}[${index}]`;
+}
+
+function validateCommand(entry) {
+  if (!isPlainObject(entry)) {
+    return ['must be an object'];
+  }
+
+  const errors = Object.keys(entry)
+    .filter(key => !COMMAND_KEYS.includes(key))
+    .map(key => `unknown key "${key}"`);
+
+  if (typeof entry.name !== 'string' || !entry.name.trim()) {
+    errors.push('"name" is required');
+  }
+  ['description', 'command', 'icon'].forEach(key => {
+    if (entry[key] !== undefined && typeof entry[key] !== 'string') {
+      errors.push(`"${key}" must be a string`);
+    }
+  });
+  const commandPlaceholderError = typeof entry.command === 'string' ? validatePlaceholders(entry.command) : null;
+  if (commandPlaceholderError) {
+    errors.push(`"command": ${commandPlaceholderError}`);
+  }
+  if (typeof entry.icon === 'string' && !shellProfiles.isValidIcon(entry.icon)) {
+    errors.push('"icon" must be 1-2 characters');
+  }
+
+  if (entry.steps !== undefined) {
+    if (!Array.isArray(entry.steps)) {
+      errors.push('"steps" must be a list');
+    } else {
+      entry.steps.forEach((step, index) => {
+        if (!isPlainObject(step) || typeof step.command !== 'string' || !step.command.trim()) {
+          errors.push(`steps[${index}] needs a "command"`);
+          return;
+        }
+        const stepPlaceholderError = validatePlaceholders(step.command);
+        if (stepPlaceholderError) {
+          errors.push(`steps[${index}].command: ${stepPlaceholderError}`);
+        }
+        ['cwd', 'group'].forEach(key => {
+          if (step[key] !== undefined && typeof step[key] !== 'string') {
+            errors.push(`steps[${index}].${key} must be a string`);
+          }
+        });
+      });
+    }
+  }
+
+  const hasCommand = typeof entry.command === 'string' && entry.command.trim();
+  const hasSteps = Array.isArray(entry.steps) && entry.steps.length > 0;
+  if (!hasCommand && !hasSteps) {
+    errors.push('"command" or "steps" is required');
+  } else if (hasCommand && hasSteps) {
+    errors.push('use either "command" or "steps", not both');
+  }
+
+  if (entry.platforms !== undefined) {
+    if (hasSteps) {
+      errors.push('"platforms" only applies to "command"');
+    } else {
+      const platformErrors = validatePlatforms(entry.platforms);
+      errors.push(...platformErrors);
+      if (platformErrors.length === 0) {
+        Object.entries(entry.platforms).forEach(([key, command]) => {
+          const placeholderError = validatePlaceholders(command);
+          if (placeholderError) {
+            errors.push(`platforms.${key}: ${placeholderError}`);
+          }
+        });
+      }
+    }
+  }
+
+  if (entry.dependsOn !== undefined &&
+      (!Array.isArray(entry.dependsOn) || entry.dependsOn.some(name => typeof name !== 'string'))) {
+    errors.push('"dependsOn" must be a list of command names');
+  }
+  if (entry.onFailure !== undefined && !FAILURE_MODES.includes(entry.onFailure)) {
+    errors.push('"onFailure" must be "stop" or "continue"');
+  }
+
+  return errors;
+}
+
+function validateCommands(value, errors) {
+  if (value === undefined) {
+    return [];
+  }
+  if (!Array.isArray(value)) {
+    errors.push('"commands" must be a list');
+    return [];
+  }
+
+  const commands = [];
+  value.forEach((entry, index) => {
+    const entryErrors = validateCommand(entry);
+    const name = entryErrors.length === 0 ? entry.name.trim() : null;
+    if (name && commands.some(command => command.name.toLowerCase() === name.toLowerCase())) {
+      entryErrors.push(`duplicate name "${name}"`);
+    }
+
+    if (entryErrors.length > 0) {
+      entryErrors.forEach(error => errors.push(`${describeEntry('commands', index, entry)}: ${error}`));
+      return;
+    }
+
+    commands.push(normalizeTask({
+      ...entry,
+      id: `project:${name}`,
+      name,
+      description: entry.description || '',
+      icon: entry.icon || '📁',
+      source: 'project'
+    }));
+  });
+  return commands;
+}
+
+function validateRibbon(value, commands, errors) {
+  if (value === undefined) {
+    return [];
+  }
+  if (!Array.isArray(value)) {
+    errors.push('"ribbon" must be a list');
+    return [];
+  }
+
+  const ribbon = [];
+  value.forEach((group, index) => {
+    const label = describeEntry('ribbon', index, group);
+    if (!isPlainObject(group) || typeof group.name !== 'string' || !group.name.trim()) {
+      errors.push(`${label}: "name" is required`);
+      return;
+    }
+    if (!Array.isArray(group.commands) || group.commands.length === 0) {
+      errors.push(`${label}: "commands" must list command names`);
+      return;
+    }
+
+    const names = [];
+    group.commands.forEach(name => {
+      const command = typeof name === 'string'
+        ? commands.find(item => item.name.toLowerCase() === name.trim().toLowerCase())
+        : null;
+      if (command) {
+        names.push(command.name);
+      } else {
+        errors.push(`${label}: unknown command ${JSON.stringify(name)}`);
+      }
+    });
+
+    if (names.length > 0) {
+      ribbon.push({ name: group.name.trim(), commands: names });
+    }
+  });
+  return ribbon;
+}
+
+// YAML turns `PORT: 3000` into a number, so scalar values are kept as strings
+function validateEnv(value, errors) {
+  if (value === undefined) {
+    return {};
+  }
+  if (!isPlainObject(value)) {
+    errors.push('"env" must be an object of NAME: value pairs');
+    return {};
+  }
+
+  const env = {};
+  Object.entries(value).forEach(([key, envValue]) => {
+    if (!ENV_KEY_PATTERN.test(key)) {
+      errors.push(`env: invalid variable name "${key}"`);
+    } else if (!['string', 'number', 'boolean'].includes(typeof envValue)) {
+      errors.push(`env.${key} must be a string`);
+    } else {
+      env[key] = String(envValue);
+    }
+  });
+  return env;
+}
+
+function validateTerminalProfiles(value, errors) {
+  if (value === undefined) {
+    return [];
+  }
+  if (!Array.isArray(value)) {
+    errors.push('"terminalProfiles" must be a list');
+    return [];
+  }
+
+  const profiles = [];
+  value.forEach((entry, index) => {
+    const profileErrors = [];
+    let env = {};
+    if (isPlainObject(entry)) {
+      env = validateEnv(entry.env, profileErrors);
+      profileErrors.push(...shellProfiles.validateProfile({ ...entry, env }));
+    } else {
+      profileErrors.push('Profile must be an object');
+    }
+
+    if (profileErrors.length > 0) {
+      profileErrors.forEach(error => errors.push(`${describeEntry('terminalProfiles', index, entry)}: ${error}`));
+      return;
+    }
+
+    // Read-only like the built-in profiles: they are never saved to the user's store
+    profiles.push({
+      ...shellProfiles.createProfile({
+        ...entry,
+        id: `project:${entry.name.trim()}`,
+        name: entry.name.trim(),
+        env,
+        icon: entry.icon || '📁',
+        builtin: true
+      }),
+      source: 'project'
+    });
+  });
+  return profiles;
+}
+
+// Matches a project profile by name, or any profile by id (e.g. "bash", "pwsh")
+function resolveDefaultProfileId(value, profiles, errors) {
+  if (value === undefined) {
+    return null;
+  }
+  if (typeof value !== 'string' || !value.trim()) {
+    errors.push('"defaultProfile" must be a profile name');
+    return null;
+  }
+
+  const name = value.trim();
+  const projectProfile = profiles.find(profile => profile.name.toLowerCase() === name.toLowerCase());
+  return projectProfile ? projectProfile.id : name;
+}
+
+// Returns { config, errors }; config only holds the entries that passed
+function validateProjectConfig(raw) {
+  if (!isPlainObject(raw)) {
+    return { config: { ...EMPTY_PROJECT_CONFIG }, errors: ['The configuration must be an object'] };
+  }
+
+  const errors = Object.keys(raw)
+    .filter(key => !TOP_LEVEL_KEYS.includes(key))
+    .map(key => `unknown key "${key}"`);
+
+  const commands = validateCommands(raw.commands, errors);
+  const terminalProfiles = validateTerminalProfiles(raw.terminalProfiles, errors);
+  const config = {
+    commands,
+    ribbon: validateRibbon(raw.ribbon, commands, errors),
+    env: validateEnv(raw.env, errors),
+    terminalProfiles,
+    defaultProfileId: resolveDefaultProfileId(raw.defaultProfile, terminalProfiles, errors)
+  };
+
+  return { config, errors };
+}
+
+// Returns { filePath, hash, config, errors }; filePath is null when the project
+// has no file. hash identifies the file's contents for applyTrust.
+function loadProjectConfig(projectPath, fileSystem = fs) {
+  const filePath = findConfigFile(projectPath, candidate => fileSystem.existsSync(candidate));
+  if (!filePath) {
+    return { filePath: null, hash: null, config: { ...EMPTY_PROJECT_CONFIG }, errors: [] };
+  }
+
+  let hash = null;
+  try {
+    const text = fileSystem.readFileSync(filePath, 'utf8');
+    hash = crypto.createHash('sha256').update(text).digest('hex');
+    return { filePath, hash, ...validateProjectConfig(parseConfigText(text, filePath)) };
+  } catch (error) {
+    return { filePath, hash, config: { ...EMPTY_PROJECT_CONFIG }, errors: [error.message] };
+  }
+}
+
+// Whether the configuration sets anything that applies to terminals without
+// the user running a command: environment variables, profiles or the default profile
+function needsTrust(config) {
+  return Object.keys(config.env).length > 0 || config.terminalProfiles.length > 0 || !!config.defaultProfileId;
+}
+
+// "name: executable args (then runs startupCommand)"
+function describeProfileCommand(profile) {
+  const command = [profile.executable, ...(profile.args || [])].join(' ');
+  return `${profile.name}: ${command}${profile.startupCommand ? ` (then runs ${profile.startupCommand})` : ''}`;
+}
+
+// trusted maps project paths to the hash of the file version the user trusted.
+// Returns the result with trusted set; an untrusted file's terminal settings
+// are left out until the user trusts it, and listed in withheld
+// ({ env: names, profiles: "name: executable" }) to show when asking.
+function applyTrust(result, projectPath, trusted = {}) {
+  if (!result.filePath || !needsTrust(result.config) || trusted[projectPath] === result.hash) {
+    return { ...result, trusted: true, withheld: null };
+  }
+
+  const { env, terminalProfiles, defaultProfileId } = result.config;
+  return {
+    ...result,
+    config: { ...result.config, env: {}, terminalProfiles: [], defaultProfileId: null },
+    trusted: false,
+    withheld: {
+      env: Object.keys(env),
+      profiles: terminalProfiles.map(profile => describeProfileCommand(profile)),
+      defaultProfileId
+    }
+  };
+}
+
+function isInsideProject(directory, projectPath) {
+  if (!directory || !projectPath) {
+    return false;
+  }
+  const relative = path.relative(path.resolve(projectPath), path.resolve(directory));
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+module.exports = {
+  CONFIG_FILE_NAMES,
+  EMPTY_PROJECT_CONFIG,
+  findConfigFile,
+  parseConfigText,
+  validateProjectConfig,
+  loadProjectConfig,
+  needsTrust,
+  applyTrust,
+  isInsideProject
+};
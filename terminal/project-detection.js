@@ -0,0 +1,471 @@
+// Works out what a project folder contains. Each detector in the registry
+// looks for its ecosystem's files and scores what it finds; a folder can match
+// several detectors (a Flutter app with a Dockerfile, a Node frontend next to a
+// Python backend). Workspace folders of monorepos are detected the same way.
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { detectPackageManager } = require('./project-tasks');
+
+const IGNORED_DIRECTORIES = ['node_modules', '.git', '.dart_tool', 'build', 'dist', 'target', '__pycache__', '.venv', 'venv', 'bin', 'obj'];
+const CONVENTIONAL_WORKSPACE_PATTERNS = ['packages/*', 'apps/*', 'services/*', 'libs/*'];
+const MAX_WORKSPACES = 50;
+
+const NODE_FRAMEWORKS = [
+  { dependency: 'next', name: 'Next.js' },
+  { dependency: 'react', name: 'React' },
+  { dependency: 'vue', name: 'Vue' },
+  { dependency: 'svelte', name: 'Svelte' },
+  { dependency: '@angular/core', name: 'Angular' },
+  { dependency: 'vite', name: 'Vite' },
+  { dependency: 'electron', name: 'Electron' },
+  { dependency: 'express', name: 'Express' }
+];
+
+// Read-only view of one folder; missing or unreadable files read as null
+function createProjectContext(root, fileSystem = fs) {
+  const resolve = relativePath => path.join(root, relativePath);
+  const readText = (relativePath) => {
+    try {
+      return fileSystem.existsSync(resolve(relativePath)) ? fileSystem.readFileSync(resolve(relativePath), 'utf8') : null;
+    } catch (error) {
+      return null;
+    }
+  };
+  const list = (relativePath = '') => {
+    try {
+      return fileSystem.readdirSync(resolve(relativePath), { withFileTypes: true });
+    } catch (error) {
+      return [];
+    }
+  };
+
+  return {
+    root,
+    exists: (relativePath) => {
+      try {
+        return fileSystem.existsSync(resolve(relativePath));
+      } catch (error) {
+        return false;
+      }
+    },
+    readText,
+    readJson: (relativePath) => {
+      try {
+        const text = readText(relativePath);
+        return text === null ? null : JSON.parse(text);
+      } catch (error) {
+        return null;
+      }
+    },
+    readYaml: (relativePath) => {
+      try {
+        const text = readText(relativePath);
+        return text === null ? null : yaml.load(text);
+      } catch (error) {
+        return null;
+      }
+    },
+    listFiles: (relativePath = '') => list(relativePath).filter(entry => !entry.isDirectory()).map(entry => entry.name),
+    listDirectories: (relativePath = '') => list(relativePath)
+      .filter(entry => entry.isDirectory() && !IGNORED_DIRECTORIES.includes(entry.name))
+      .map(entry => entry.name)
+  };
+}
+
+// { signals, score } for the weighted files that exist
+function scoreFiles(project, weights) {
+  const signals = Object.keys(weights).filter(file => project.exists(file));
+  return { signals, score: signals.reduce((total, file) => total + weights[file], 0) };
+}
+
+function detectNode(project) {
+  const packageJson = project.readJson('package.json');
+  if (!packageJson) {
+    return null;
+  }
+
+  const { signals, score } = scoreFiles(project, {
+    'package.json': 10,
+    'package-lock.json': 2,
+    'yarn.lock': 2,
+    'pnpm-lock.yaml': 2,
+    'tsconfig.json': 1
+  });
+  const dependencies = { ...packageJson.devDependencies, ...packageJson.dependencies };
+  const frameworks = NODE_FRAMEWORKS
+    .filter(framework => dependencies[framework.dependency])
+    .map(framework => framework.name);
+
+  return {
+    signals,
+    score,
+    frameworks,
+    details: {
+      packageName: typeof packageJson.name === 'string' ? packageJson.name : null,
+      packageManager: detectPackageManager(packageJson, file => project.exists(file)),
+      typescript: project.exists('tsconfig.json') || !!dependencies.typescript
+    }
+  };
+}
+
+function detectPython(project) {
+  const { signals, score } = scoreFiles(project, {
+    'pyproject.toml': 10,
+    'setup.py': 8,
+    'requirements.txt': 8,
+    'Pipfile': 8,
+    'setup.cfg': 5,
+    'poetry.lock': 2,
+    'Pipfile.lock': 2,
+    'manage.py': 2,
+    'main.py': 2
+  });
+  if (score === 0) {
+    return null;
+  }
+
+  const pyproject = project.readText('pyproject.toml') || '';
+  let environment = null;
+  if (project.exists('poetry.lock') || /^\[tool\.poetry\]/m.test(pyproject)) {
+    environment = 'Poetry';
+  } else if (project.exists('Pipfile')) {
+    environment = 'Pipenv';
+  } else if (project.exists('uv.lock')) {
+    environment = 'uv';
+  }
+
+  const virtualEnv = ['.venv', 'venv', 'env'].find(folder => project.exists(path.join(folder, 'pyvenv.cfg'))) || null;
+  return {
+    signals,
+    score,
+    frameworks: project.exists('manage.py') ? ['Django'] : [],
+    details: { environment, virtualEnv }
+  };
+}
+
+function readPubspec(project) {
+  const pubspec = project.readYaml('pubspec.yaml');
+  return pubspec && typeof pubspec === 'object' ? pubspec : null;
+}
+
+function isFlutterPubspec(pubspec) {
+  return !!(pubspec.dependencies && pubspec.dependencies.flutter);
+}
+
+function detectFlutter(project) {
+  const pubspec = readPubspec(project);
+  if (!pubspec || !isFlutterPubspec(pubspec)) {
+    return null;
+  }
+
+  const platforms = ['android', 'ios', 'web', 'linux', 'macos', 'windows'].filter(platform => project.exists(platform));
+  return { signals: ['pubspec.yaml'], score: 12, frameworks: [], details: { packageName: pubspec.name || null, platforms } };
+}
+
+function detectDart(project) {
+  const pubspec = readPubspec(project);
+  if (!pubspec || isFlutterPubspec(pubspec)) {
+    return null;
+  }
+  return { signals: ['pubspec.yaml'], score: 10, frameworks: [], details: { packageName: pubspec.name || null } };
+}
+
+function detectGo(project) {
+  const { signals, score } = scoreFiles(project, { 'go.mod': 10, 'go.work': 4, 'go.sum': 1 });
+  if (score === 0) {
+    return null;
+  }
+
+  const moduleMatch = (project.readText('go.mod') || '').match(/^module\s+(\S+)/m);
+  return { signals, score, frameworks: [], details: { module: moduleMatch ? moduleMatch[1] : null } };
+}
+
+function detectRust(project) {
+  const cargo = project.readText('Cargo.toml');
+  if (cargo === null) {
+    return null;
+  }
+  return {
+    signals: ['Cargo.toml'],
+    score: 10,
+    frameworks: [],
+    details: { workspace: /^\[workspace\]/m.test(cargo) }
+  };
+}
+
+function detectJava(project) {
+  const { signals, score } = scoreFiles(project, {
+    'pom.xml': 10,
+    'build.gradle': 10,
+    'build.gradle.kts': 10,
+    'settings.gradle': 2,
+    'settings.gradle.kts': 2,
+    'gradlew': 1,
+    'mvnw': 1
+  });
+  if (score === 0) {
+    return null;
+  }
+
+  const buildTools = [];
+  if (project.exists('pom.xml')) buildTools.push('Maven');
+  if (signals.some(file => file.includes('gradle'))) buildTools.push('Gradle');
+  return { signals, score, frameworks: buildTools, details: { buildTools } };
+}
+
+function detectDotnet(project) {
+  const files = project.listFiles();
+  const signals = files.filter(file => /\.(sln|csproj|fsproj|vbproj)$/.test(file));
+  if (project.exists('global.json')) {
+    signals.push('global.json');
+  }
+  if (signals.length === 0) {
+    return null;
+  }
+  return {
+    signals,
+    score: 10,
+    frameworks: [],
+    details: { solution: signals.find(file => file.endsWith('.sln')) || null }
+  };
+}
+
+function detectDocker(project) {
+  const { signals, score } = scoreFiles(project, {
+    'Dockerfile': 5,
+    'docker-compose.yml': 5,
+    'docker-compose.yaml': 5,
+    'compose.yml': 5,
+    'compose.yaml': 5
+  });
+  if (score === 0) {
+    return null;
+  }
+
+  const composeFile = signals.find(file => file !== 'Dockerfile') || null;
+  return {
+    signals,
+    score,
+    frameworks: composeFile ? ['Compose'] : [],
+    details: { dockerfile: signals.includes('Dockerfile'), composeFile }
+  };
+}
+
+function detectGit(project) {
+  return project.exists('.git') ? { signals: ['.git'], score: 1, frameworks: [], details: {} } : null;
+}
+
+function detectHtml(project) {
+  return project.exists('index.html') ? { signals: ['index.html'], score: 3, frameworks: [], details: {} } : null;
+}
+
+// category "language" types can be the project's primary type; "tool" types only add to it.
+// toolchain names the get-system-versions entry a type's commands need.
+const BUILTIN_DETECTORS = [
+  { id: 'flutter', name: 'Flutter', icon: '📱', category: 'language', language: 'Dart', toolchain: 'flutter', detect: detectFlutter },
+  { id: 'dart', name: 'Dart', icon: '🎯', category: 'language', language: 'Dart', toolchain: 'dart', detect: detectDart },
+  { id: 'node', name: 'Node.js', icon: '🌐', category: 'language', language: 'JavaScript/TypeScript', toolchain: 'node', detect: detectNode },
+  { id: 'python', name: 'Python', icon: '🐍', category: 'language', language: 'Python', toolchain: 'python', detect: detectPython },
+  { id: 'go', name: 'Go', icon: '🐹', category: 'language', language: 'Go', toolchain: 'go', detect: detectGo },
+  { id: 'rust', name: 'Rust', icon: '🦀', category: 'language', language: 'Rust', toolchain: 'cargo', detect: detectRust },
+  { id: 'java', name: 'Java', icon: '☕', category: 'language', language: 'Java/Kotlin', toolchain: 'java', detect: detectJava },
+  { id: 'dotnet', name: '.NET', icon: '🟣', category: 'language', language: 'C#/F#', toolchain: 'dotnet', detect: detectDotnet },
+  { id: 'html', name: 'HTML', icon: '📄', category: 'language', language: 'HTML', toolchain: null, detect: detectHtml },
+  { id: 'docker', name: 'Docker', icon: '🐳', category: 'tool', language: null, toolchain: 'docker', detect: detectDocker },
+  { id: 'git', name: 'Git', icon: '🌿', category: 'tool', language: null, toolchain: 'git', detect: detectGit }
+];
+
+const detectors = [...BUILTIN_DETECTORS];
+
+// Adds a detector, or replaces the one with the same id
+function registerDetector(detector) {
+  if (!detector || typeof detector.id !== 'string' || typeof detector.name !== 'string' || typeof detector.detect !== 'function') {
+    throw new Error('A detector needs an id, a name and a detect function');
+  }
+
+  const normalized = { icon: '📦', category: 'language', language: null, toolchain: null, ...detector };
+  const index = detectors.findIndex(existing => existing.id === detector.id);
+  if (index === -1) {
+    detectors.push(normalized);
+  } else {
+    detectors[index] = normalized;
+  }
+}
+
+function getDetectors() {
+  return [...detectors];
+}
+
+// Matching types for one folder, best match first (registry order breaks ties).
+// A detector that throws is reported in errors and skipped.
+function detectTypes(project, detectorList, errors = []) {
+  const types = [];
+  detectorList.forEach((detector, order) => {
+    let match = null;
+    try {
+      match = detector.detect(project);
+    } catch (error) {
+      errors.push(`Detector "${detector.id}" failed: ${error.message}`);
+    }
+    if (!match || !(match.score > 0)) {
+      return;
+    }
+
+    types.push({
+      id: detector.id,
+      name: detector.name,
+      icon: detector.icon,
+      category: detector.category,
+      language: detector.language,
+      toolchain: detector.toolchain,
+      score: match.score,
+      signals: match.signals || [],
+      frameworks: match.frameworks || [],
+      details: match.details || {},
+      order
+    });
+  });
+
+  return types
+    .sort((a, b) => b.score - a.score || a.order - b.order)
+    .map(({ order, ...type }) => type);
+}
+
+function asList(value) {
+  return Array.isArray(value) ? value.filter(item => typeof item === 'string') : [];
+}
+
+// Workspace globs declared by npm/yarn, pnpm, lerna, Cargo and go.work
+function getDeclaredWorkspaces(project) {
+  const patterns = [];
+  const packageJson = project.readJson('package.json');
+  if (packageJson) {
+    const workspaces = packageJson.workspaces;
+    patterns.push(...asList(Array.isArray(workspaces) ? workspaces : workspaces && workspaces.packages));
+  }
+
+  const pnpmWorkspace = project.readYaml('pnpm-workspace.yaml');
+  if (pnpmWorkspace) {
+    patterns.push(...asList(pnpmWorkspace.packages));
+  }
+
+  const lerna = project.readJson('lerna.json');
+  if (lerna) {
+    patterns.push(...asList(lerna.packages));
+  }
+
+  const cargoMembers = (project.readText('Cargo.toml') || '').match(/^\[workspace\][^[]*?members\s*=\s*\[([^\]]*)\]/m);
+  if (cargoMembers) {
+    patterns.push(...(cargoMembers[1].match(/"[^"]+"|'[^']+'/g) || []).map(member => member.slice(1, -1)));
+  }
+
+  const goWork = project.readText('go.work') || '';
+  const useBlock = goWork.match(/^use\s*\(([^)]*)\)/m);
+  const useLines = useBlock ? useBlock[1].split('\n') : (goWork.match(/^use\s+\S+/gm) || []).map(line => line.slice(4));
+  patterns.push(...useLines.map(line => line.trim()).filter(line => line && !line.startsWith('//')));
+
+  return [...new Set(patterns.filter(pattern => !pattern.startsWith('!')))];
+}
+
+// Supports literal folders and `*` in the last segment (`packages/*`, `crates/app-*`, `apps/**`)
+function expandWorkspacePattern(project, pattern) {
+  const normalized = pattern.replace(/\\/g, '/').replace(/^\.\//, '').replace(/\/\*\*$/, '/*').replace(/\/$/, '');
+  if (!normalized || normalized === '.') {
+    return [];
+  }
+
+  const segments = normalized.split('/');
+  const last = segments.pop();
+  const parent = segments.join('/');
+  if (segments.some(segment => segment.includes('*'))) {
+    return [];
+  }
+  if (!last.includes('*')) {
+    return project.exists(normalized) ? [normalized] : [];
+  }
+
+  const matcher = new RegExp(`^${last.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+  return project.listDirectories(parent)
+    .filter(name => matcher.test(name))
+    .map(name => (parent ? `${parent}/${name}` : name));
+}
+
+// Detects the folder and its workspaces:
+// { projectPath, primary, types, isMonorepo, workspaces: [{ path, primary, types }], errors }
+function detectProject(projectPath, { fileSystem = fs, detectors: detectorList = detectors } = {}) {
+  const errors = [];
+  const project = createProjectContext(projectPath, fileSystem);
+  const types = detectTypes(project, detectorList, errors);
+  const declared = getDeclaredWorkspaces(project);
+
+  // Without declared workspaces, look in the usual monorepo folders, and in
+  // every subfolder when the root itself has no language (e.g. frontend/ + backend/)
+  const patterns = declared.length > 0 ? declared : [...CONVENTIONAL_WORKSPACE_PATTERNS];
+  if (declared.length === 0 && !types.some(type => type.category === 'language')) {
+    patterns.push('*');
+  }
+
+  const folders = [...new Set(patterns.flatMap(pattern => expandWorkspacePattern(project, pattern)))]
+    .sort()
+    .slice(0, MAX_WORKSPACES);
+  const workspaces = folders
+    .map(folder => {
+      const workspaceTypes = detectTypes(createProjectContext(path.join(projectPath, folder), fileSystem), detectorList, errors)
+        .filter(type => type.id !== 'git');
+      return { path: folder, primary: getPrimaryType(workspaceTypes), types: workspaceTypes };
+    })
+    .filter(workspace => workspace.types.length > 0);
+
+  return {
+    projectPath,
+    primary: getPrimaryType(types) || (workspaces.length > 0 ? workspaces[0].primary : null),
+    types,
+    isMonorepo: declared.length > 0 || workspaces.length > 1,
+    workspaces,
+    errors: [...new Set(errors)]
+  };
+}
+
+function getPrimaryType(types) {
+  const primary = types.find(type => type.category === 'language');
+  return primary ? primary.id : null;
+}
+
+// Every type found in the project or its workspaces, once
+function getAllTypeIds(result) {
+  return [...new Set([
+    ...result.types.map(type => type.id),
+    ...result.workspaces.flatMap(workspace => workspace.types.map(type => type.id))
+  ])];
+}
+
+// One-line summary, e.g. "🌐 Node.js (React, Vite) · 🐳 Docker · monorepo, 3 packages"
+function describeProject(result) {
+  const types = result.types.filter(type => type.id !== 'git');
+  const parts = types.map(type => (type.frameworks.length > 0
+    ? `${type.icon} ${type.name} (${type.frameworks.join(', ')})`
+    : `${type.icon} ${type.name}`));
+
+  if (result.isMonorepo) {
+    parts.push(`monorepo, ${result.workspaces.length} package${result.workspaces.length === 1 ? '' : 's'}`);
+  } else if (types.length === 0 && result.workspaces.length > 0) {
+    result.workspaces.forEach(workspace => {
+      const type = workspace.types[0];
+      parts.push(`${type.icon} ${type.name} in ${workspace.path}`);
+    });
+  }
+
+  return parts.length > 0 ? parts.join(' · ') : 'Unknown';
+}
+
+module.exports = {
+  BUILTIN_DETECTORS,
+  createProjectContext,
+  registerDetector,
+  getDetectors,
+  detectProject,
+  getAllTypeIds,
+  describeProject
+};
@@ -0,0 +1,428 @@
+// Runnable tasks discovered in a project's own build files, turned into
+// generated ribbon tabs: package.json scripts (run with the package manager
+// its lockfile points at), Makefile targets, pyproject.toml scripts and poe
+// tasks, justfile recipes and the Flutter/Dart commands for pubspec.yaml.
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const LOCKFILES = [
+  { file: 'pnpm-lock.yaml', manager: 'pnpm' },
+  { file: 'yarn.lock', manager: 'yarn' },
+  { file: 'bun.lockb', manager: 'bun' },
+  { file: 'bun.lock', manager: 'bun' },
+  { file: 'package-lock.json', manager: 'npm' }
+];
+const PACKAGE_MANAGERS = ['npm', 'yarn', 'pnpm', 'bun'];
+const PYTHON_RUNNERS = [
+  { file: 'poetry.lock', runner: 'poetry run' },
+  { file: 'uv.lock', runner: 'uv run' },
+  { file: 'pdm.lock', runner: 'pdm run' }
+];
+const MAKEFILE_NAMES = ['GNUmakefile', 'makefile', 'Makefile'];
+const JUSTFILE_NAMES = ['justfile', '.justfile', 'Justfile'];
+const JUST_KEYWORDS = ['alias', 'set', 'export', 'import', 'mod'];
+
+// Files whose changes can add, remove or re-run tasks
+const TASK_FILE_NAMES = [
+  'package.json',
+  ...LOCKFILES.map(lockfile => lockfile.file),
+  ...MAKEFILE_NAMES,
+  'pyproject.toml',
+  ...PYTHON_RUNNERS.map(runner => runner.file),
+  ...JUSTFILE_NAMES,
+  'pubspec.yaml'
+];
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// The "packageManager" field (corepack) wins over lockfiles; npm is the default
+function detectPackageManager(packageJson, fileExists) {
+  const declared = typeof packageJson.packageManager === 'string'
+    ? packageJson.packageManager.split('@')[0]
+    : null;
+  if (PACKAGE_MANAGERS.includes(declared)) {
+    return declared;
+  }
+
+  const lockfile = LOCKFILES.find(candidate => fileExists(candidate.file));
+  return lockfile ? lockfile.manager : 'npm';
+}
+
+function parsePackageScripts(text, fileExists = () => false) {
+  let packageJson;
+  try {
+    packageJson = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`package.json: Invalid JSON: ${error.message}`);
+  }
+
+  const manager = detectPackageManager(packageJson, fileExists);
+  const scripts = isPlainObject(packageJson.scripts) ? packageJson.scripts : {};
+  const names = Object.keys(scripts).filter(name => typeof scripts[name] === 'string');
+
+  // pre/post hooks run on their own around the script they belong to
+  const isHook = name => ['pre', 'post'].some(prefix =>
+    name.startsWith(prefix) && names.includes(name.slice(prefix.length)));
+
+  const tasks = [{ name: 'install', command: `${manager} install`, description: 'Install dependencies' }];
+  names.filter(name => !isHook(name)).forEach(name => {
+    tasks.push({ name, command: `${manager} run ${name}`, description: scripts[name] });
+  });
+
+  return { id: 'package-scripts', name: `${manager} scripts`, file: 'package.json', tasks };
+}
+
+// Targets of explicit rules; `target: ## description` documents a target,
+// as does a comment line right above it
+function parseMakefileTargets(text, fileName = 'Makefile') {
+  const tasks = [];
+  let comment = '';
+
+  text.split(/\r?\n/).forEach(line => {
+    const commentMatch = line.match(/^#+\s?(.*)$/);
+    if (commentMatch) {
+      comment = commentMatch[1].trim();
+      return;
+    }
+
+    const ruleMatch = line.match(/^([^\s:#=][^:#=]*?)\s*::?(?![:=])(.*)$/);
+    if (ruleMatch) {
+      const inlineDoc = ruleMatch[2].match(/##\s*(.*)$/);
+      const description = inlineDoc ? inlineDoc[1].trim() : comment;
+      ruleMatch[1].split(/\s+/)
+        .filter(target => !/^\.|[%$]/.test(target))
+        .filter(target => !tasks.some(task => task.name === target))
+        .forEach(target => tasks.push({ name: target, command: `make ${target}`, description }));
+    }
+    comment = '';
+  });
+
+  return { id: 'make', name: 'Make', file: fileName, tasks };
+}
+
+function parseTomlString(value) {
+  if (value.startsWith("'")) {
+    return value.slice(1, value.indexOf("'", 1));
+  }
+  try {
+    return JSON.parse(value.slice(0, findStringEnd(value) + 1));
+  } catch (error) {
+    return value.slice(1, -1);
+  }
+}
+
+function findStringEnd(value) {
+  for (let i = 1; i < value.length; i++) {
+    if (value[i] === '\\') {
+      i++;
+    } else if (value[i] === '"') {
+      return i;
+    }
+  }
+  return value.length - 1;
+}
+
+// Calls visit(char, index) for every character outside quoted strings;
+// stops early when visit returns true
+function forEachUnquoted(text, visit) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') {
+        i++;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (visit(char, i)) {
+      return;
+    }
+  }
+}
+
+// Splits `a = 1, b = { c = 2 }` on the commas that are not inside strings or brackets
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  forEachUnquoted(text, (char, index) => {
+    if (char === '[' || char === '{') {
+      depth++;
+    } else if (char === ']' || char === '}') {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      parts.push(text.slice(start, index));
+      start = index + 1;
+    }
+  });
+  parts.push(text.slice(start));
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+function stripTomlComment(line) {
+  let end = line.length;
+  forEachUnquoted(line, (char, index) => {
+    if (char === '#') {
+      end = index;
+      return true;
+    }
+    return false;
+  });
+  return line.slice(0, end);
+}
+
+function isBalanced(text) {
+  let depth = 0;
+  forEachUnquoted(text, (char) => {
+    if (char === '[' || char === '{') {
+      depth++;
+    } else if (char === ']' || char === '}') {
+      depth--;
+    }
+  });
+  return depth <= 0;
+}
+
+function parseTomlKey(key) {
+  const trimmed = key.trim();
+  return /^["']/.test(trimmed) ? parseTomlString(trimmed) : trimmed;
+}
+
+function parseTomlValue(value) {
+  if (value.startsWith('"') || value.startsWith("'")) {
+    return parseTomlString(value);
+  }
+  if (value.startsWith('{')) {
+    return parseTomlPairs(splitTopLevel(value.slice(1, value.lastIndexOf('}'))));
+  }
+  if (value.startsWith('[')) {
+    return splitTopLevel(value.slice(1, value.lastIndexOf(']'))).map(parseTomlValue);
+  }
+  return value;
+}
+
+function parseTomlPairs(pairs) {
+  const result = {};
+  pairs.forEach(pair => {
+    const separator = pair.indexOf('=');
+    if (separator > 0) {
+      result[parseTomlKey(pair.slice(0, separator))] = parseTomlValue(pair.slice(separator + 1).trim());
+    }
+  });
+  return result;
+}
+
+// Just enough TOML for script tables: [section] headers, strings, inline
+// tables and arrays (which may span lines). Values are keyed by section name.
+function parseTomlTables(text) {
+  const tables = {};
+  let section = null;
+  let pending = '';
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = stripTomlComment(rawLine).trim();
+    if (pending) {
+      pending += ` ${line}`;
+      if (isBalanced(pending)) {
+        Object.assign(tables[section], parseTomlPairs([pending]));
+        pending = '';
+      }
+      return;
+    }
+    if (!line) return;
+
+    const header = line.match(/^\[\s*([^[\]]+?)\s*\]$/);
+    if (header) {
+      section = header[1].split('.').map(parseTomlKey).join('.');
+      tables[section] = tables[section] || {};
+      return;
+    }
+    if (line.startsWith('[[')) {
+      section = null;
+      return;
+    }
+    if (section === null || !line.includes('=')) return;
+
+    if (!isBalanced(line)) {
+      pending = line;
+      return;
+    }
+    Object.assign(tables[section], parseTomlPairs([line]));
+  });
+
+  return tables;
+}
+
+// Sequences are listed as `lint → test`
+function describePoeTask(task) {
+  if (typeof task === 'string') {
+    return task;
+  }
+  if (Array.isArray(task)) {
+    return task.filter(step => typeof step === 'string').join(' → ');
+  }
+  if (!isPlainObject(task)) {
+    return '';
+  }
+  if (typeof task.help === 'string') {
+    return task.help;
+  }
+  if (Array.isArray(task.sequence)) {
+    return describePoeTask(task.sequence);
+  }
+  return ['cmd', 'shell', 'script'].map(key => task[key]).find(value => typeof value === 'string') || '';
+}
+
+// [project.scripts] / [tool.poetry.scripts] entry points and [tool.poe.tasks],
+// run through poetry, uv or pdm when the project uses one
+function parsePyprojectScripts(text, fileExists = () => false) {
+  const tables = parseTomlTables(text);
+  const lockRunner = PYTHON_RUNNERS.find(candidate => fileExists(candidate.file));
+  const runner = lockRunner ? lockRunner.runner : (tables['tool.poetry'] ? 'poetry run' : null);
+  const run = command => (runner ? `${runner} ${command}` : command);
+  const tasks = [];
+
+  ['project.scripts', 'tool.poetry.scripts'].forEach(section => {
+    Object.entries(tables[section] || {}).forEach(([name, target]) => {
+      if (typeof target === 'string' && !tasks.some(task => task.name === name)) {
+        tasks.push({ name, command: run(name), description: target });
+      }
+    });
+  });
+
+  // Poe tasks are either keys of [tool.poe.tasks] or their own [tool.poe.tasks.<name>] tables
+  const poeTasks = { ...(tables['tool.poe.tasks'] || {}) };
+  Object.keys(tables)
+    .filter(section => section.startsWith('tool.poe.tasks.'))
+    .forEach(section => {
+      poeTasks[section.slice('tool.poe.tasks.'.length)] = tables[section];
+    });
+  Object.entries(poeTasks)
+    .filter(([name]) => !name.startsWith('_'))
+    .forEach(([name, task]) => {
+      tasks.push({ name, command: run(`poe ${name}`), description: describePoeTask(task) });
+    });
+
+  return { id: 'pyproject', name: 'Python', file: 'pyproject.toml', tasks };
+}
+
+// Required recipe parameters become ${input:...} placeholders; ones with a
+// default (or `*variadic`) are left to just
+function parseJustfileRecipes(text, fileName = 'justfile') {
+  const tasks = [];
+  let comment = '';
+  let isPrivate = false;
+
+  text.split(/\r?\n/).forEach(line => {
+    if (/^\[.*\bprivate\b.*\]\s*$/.test(line)) {
+      isPrivate = true;
+      return;
+    }
+    if (/^\[.*\]\s*$/.test(line)) {
+      return;
+    }
+    const commentMatch = line.match(/^#\s?(.*)$/);
+    if (commentMatch) {
+      comment = commentMatch[1].trim();
+      return;
+    }
+
+    const recipeMatch = line.match(/^@?([A-Za-z_][\w-]*)((?:\s+[^:]*?)?)\s*:(?!=)/);
+    if (recipeMatch && !JUST_KEYWORDS.includes(recipeMatch[1]) && !recipeMatch[1].startsWith('_') && !isPrivate) {
+      const name = recipeMatch[1];
+      const parameters = [];
+      for (const match of recipeMatch[2].matchAll(/([+*]?)\$?([A-Za-z_][\w-]*)(=(?:'[^']*'|"[^"]*"|\S+))?/g)) {
+        if (!match[3] && match[1] !== '*') {
+          parameters.push(`\${input:${match[2]}}`);
+        }
+      }
+      tasks.push({ name, command: ['just', name, ...parameters].join(' '), description: comment });
+    }
+    comment = '';
+    isPrivate = false;
+  });
+
+  return { id: 'just', name: 'just', file: fileName, tasks };
+}
+
+// Flutter or plain Dart commands, plus `scripts` when rps or derry runs them
+function parsePubspec(text) {
+  let pubspec;
+  try {
+    pubspec = yaml.load(text) || {};
+  } catch (error) {
+    throw new Error(`pubspec.yaml: Invalid YAML: ${error.reason || error.message}`);
+  }
+  if (!isPlainObject(pubspec)) {
+    throw new Error('pubspec.yaml: must be a mapping');
+  }
+
+  const dependencies = isPlainObject(pubspec.dependencies) ? pubspec.dependencies : {};
+  const devDependencies = isPlainObject(pubspec.dev_dependencies) ? pubspec.dev_dependencies : {};
+  const tool = dependencies.flutter ? 'flutter' : 'dart';
+  const tasks = [
+    { name: 'pub get', command: `${tool} pub get`, description: 'Get dependencies' },
+    { name: 'run', command: `${tool} run`, description: tool === 'flutter' ? 'Run the app' : 'Run the main entry point' },
+    { name: 'test', command: `${tool} test`, description: 'Run tests' },
+    { name: 'analyze', command: `${tool} analyze`, description: 'Analyze the code' }
+  ];
+
+  const scriptRunner = devDependencies.rps ? 'dart run rps' : (devDependencies.derry ? 'derry' : null);
+  if (scriptRunner && isPlainObject(pubspec.scripts)) {
+    Object.entries(pubspec.scripts)
+      .filter(([, script]) => typeof script === 'string')
+      .forEach(([name, script]) => {
+        tasks.push({ name, command: `${scriptRunner} ${name}`, description: script });
+      });
+  }
+
+  return { id: 'pubspec', name: tool === 'flutter' ? 'Flutter' : 'Dart', file: 'pubspec.yaml', tasks };
+}
+
+const TASK_SOURCES = [
+  { fileNames: ['package.json'], parse: parsePackageScripts },
+  { fileNames: MAKEFILE_NAMES, parse: (text, fileExists, fileName) => parseMakefileTargets(text, fileName) },
+  { fileNames: ['pyproject.toml'], parse: parsePyprojectScripts },
+  { fileNames: JUSTFILE_NAMES, parse: (text, fileExists, fileName) => parseJustfileRecipes(text, fileName) },
+  { fileNames: ['pubspec.yaml'], parse: parsePubspec }
+];
+
+// Returns { groups, errors }; a file that can't be parsed is reported and skipped
+function loadProjectTasks(projectPath, fileSystem = fs) {
+  const fileExists = fileName => fileSystem.existsSync(path.join(projectPath, fileName));
+  const groups = [];
+  const errors = [];
+
+  TASK_SOURCES.forEach(source => {
+    const fileName = source.fileNames.find(fileExists);
+    if (!fileName) return;
+
+    try {
+      const group = source.parse(fileSystem.readFileSync(path.join(projectPath, fileName), 'utf8'), fileExists, fileName);
+      if (group.tasks.length > 0) {
+        groups.push(group);
+      }
+    } catch (error) {
+      errors.push(error.message);
+    }
+  });
+
+  return { groups, errors };
+}
+
+module.exports = {
+  TASK_FILE_NAMES,
+  detectPackageManager,
+  parsePackageScripts,
+  parseMakefileTargets,
+  parsePyprojectScripts,
+  parseJustfileRecipes,
+  parsePubspec,
+  loadProjectTasks
+};
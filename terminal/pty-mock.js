@@ -1,5 +1,6 @@
 const { spawn } = require('child_process');
 const os = require('os');
+const { STREAMS, createChunkSequencer } = require('./output-stream');
 
 class MockPtyManager {
   static createPtyProcess(cwd = process.cwd()) {
@@ -12,7 +13,11 @@ class MockPtyManager {
       stdio: ['pipe', 'pipe', 'pipe']
     });
 
+    const nextChunk = createChunkSequencer();
+
     const processWrapper = {
+      mode: 'pipe',
+
       write(data) {
         if (childProcess.stdin && !childProcess.stdin.destroyed) {
           childProcess.stdin.write(data);
@@ -22,12 +27,14 @@ class MockPtyManager {
       onData(callback) {
         if (childProcess.stdout) {
           childProcess.stdout.on('data', (data) => {
-            callback(data.toString());
+            const output = data.toString();
+            callback(output, nextChunk(STREAMS.STDOUT, output));
           });
         }
         if (childProcess.stderr) {
           childProcess.stderr.on('data', (data) => {
-            callback(`\x1b[31m${data.toString()}\x1b[0m`);
+            const output = data.toString();
+            callback(output, nextChunk(STREAMS.STDERR, output));
           });
         }
       },
@@ -1,10 +1,210 @@
 const { spawn } = require('child_process');
 const os = require('os');
 const path = require('path');
+const { STREAMS, createChunkSequencer } = require('./output-stream');
+const shellIntegration = require('./shell-integration');
+const { getLineEnding } = require('./command-variants');
+
+// Native PTY backend (node-pty) is optional: when the module is missing or
+// fails to load for the current Electron ABI we fall back to piped stdio.
+let nativePty = null;
+let nativePtyLoadAttempted = false;
 
 class PtyManager {
-  static createPtyProcess(cwd = process.cwd()) {
-    const shell = PtyManager.getShell();
+  static loadNativePty() {
+    if (!nativePtyLoadAttempted) {
+      nativePtyLoadAttempted = true;
+      try {
+        nativePty = require('node-pty');
+      } catch (error) {
+        console.warn(`Native PTY unavailable, using pipe mode: ${error.message}`);
+        nativePty = null;
+      }
+    }
+    return nativePty;
+  }
+
+  static isNativePtyAvailable() {
+    return !!PtyManager.loadNativePty();
+  }
+
+  static createPtyProcess(cwd = process.cwd(), options = {}) {
+    const pty = options.forcePipe ? null : PtyManager.loadNativePty();
+    let ptyProcess = null;
+
+    if (pty) {
+      try {
+        ptyProcess = PtyManager.createNativePtyProcess(pty, cwd, options);
+      } catch (error) {
+        console.error('Failed to spawn native PTY, falling back to pipe mode:', error);
+      }
+    }
+
+    if (!ptyProcess) {
+      ptyProcess = PtyManager.createPipeProcess(cwd, options);
+    }
+
+    PtyManager.runStartupCommand(ptyProcess, options.profile);
+    return ptyProcess;
+  }
+
+  // Profile args replace the defaults entirely; null/undefined keeps them
+  static getProfileArgs(profile, defaultArgs) {
+    return profile && Array.isArray(profile.args) ? profile.args : defaultArgs;
+  }
+
+  // Project variables (options.env) apply to every shell; the profile's own win
+  static getProfileEnv(profile, baseEnv = {}) {
+    return { ...baseEnv, ...(profile && profile.env ? profile.env : {}) };
+  }
+
+  // Injects the OSC 7 / OSC 133 scripts when the shell supports them.
+  // Any failure leaves the shell launching exactly as it would without them.
+  static getLaunchOptions(shell, args, profileEnv, options = {}) {
+    if (!options.shellIntegrationDir) {
+      return { args, env: profileEnv };
+    }
+
+    try {
+      const launch = shellIntegration.getIntegrationLaunch(shell, args, {
+        scriptDir: options.shellIntegrationDir,
+        env: { ...process.env, ...profileEnv },
+        homeDir: os.homedir()
+      });
+      if (!launch) {
+        return { args, env: profileEnv };
+      }
+
+      shellIntegration.installScripts(options.shellIntegrationDir);
+      return { args: launch.args, env: { ...profileEnv, ...launch.env } };
+    } catch (error) {
+      console.warn(`Shell integration unavailable: ${error.message}`);
+      return { args, env: profileEnv };
+    }
+  }
+
+  static runStartupCommand(ptyProcess, profile) {
+    if (!profile || !profile.startupCommand) {
+      return;
+    }
+
+    ptyProcess.write(`${profile.startupCommand}${getLineEnding(ptyProcess.mode, os.platform())}`);
+  }
+
+  static createNativePtyProcess(pty, cwd = process.cwd(), options = {}) {
+    const profile = options.profile || null;
+    const shell = profile ? profile.executable : PtyManager.getShell();
+    const isWindows = os.platform() === 'win32';
+    const cols = options.cols || 80;
+    const rows = options.rows || 24;
+
+    // A real TTY makes the shell interactive on its own, so no -i here
+    let shellArgs = [];
+    if (isWindows && shell.includes('powershell')) {
+      shellArgs = ['-NoLogo', '-ExecutionPolicy', 'Bypass'];
+    }
+
+    const launch = PtyManager.getLaunchOptions(
+      shell,
+      PtyManager.getProfileArgs(profile, shellArgs),
+      PtyManager.getProfileEnv(profile, options.env),
+      options
+    );
+
+    let nativeProcess;
+    try {
+      nativeProcess = pty.spawn(shell, launch.args, {
+        name: 'xterm-256color',
+        cols,
+        rows,
+        cwd: cwd || process.cwd(),
+        env: {
+          ...process.env,
+          ...launch.env,
+          TERM: 'xterm-256color',
+          COLORTERM: 'truecolor'
+        }
+      });
+
+      console.log(`PTY spawned successfully: ${shell} (PID: ${nativeProcess.pid}, ${cols}x${rows})`);
+    } catch (error) {
+      throw new Error(`Failed to create PTY process: ${error.message}`);
+    }
+
+    const ptyProcess = {
+      mode: 'pty',
+      shell,
+      profileId: profile ? profile.id : null,
+      _process: nativeProcess,
+      _dataCallbacks: [],
+      _exitCallbacks: [],
+      _nextChunk: createChunkSequencer(),
+
+      write(data) {
+        try {
+          nativeProcess.write(data);
+        } catch (error) {
+          console.error('Error writing to PTY:', error);
+          PtyManager.emitData(ptyProcess, STREAMS.SYSTEM, `\r\n\x1b[31mError: ${error.message}\x1b[0m\r\n`);
+        }
+      },
+
+      onData(callback) {
+        this._dataCallbacks.push(callback);
+      },
+
+      onExit(callback) {
+        this._exitCallbacks.push(callback);
+      },
+
+      resize(newCols, newRows) {
+        if (!Number.isInteger(newCols) || !Number.isInteger(newRows) || newCols < 1 || newRows < 1) {
+          return;
+        }
+        try {
+          nativeProcess.resize(newCols, newRows);
+        } catch (error) {
+          console.error('Error resizing PTY:', error);
+        }
+      },
+
+      kill() {
+        try {
+          if (isWindows) {
+            spawn('taskkill', ['/pid', nativeProcess.pid.toString(), '/f', '/t']);
+          } else {
+            nativeProcess.kill('SIGTERM');
+          }
+        } catch (error) {
+          console.error('Error killing process:', error);
+        }
+      },
+
+      get pid() {
+        return nativeProcess ? nativeProcess.pid : null;
+      }
+    };
+
+    nativeProcess.onData((data) => {
+      PtyManager.emitData(ptyProcess, STREAMS.PTY, data);
+    });
+
+    nativeProcess.onExit(({ exitCode, signal }) => {
+      ptyProcess._exitCallbacks.forEach(callback => {
+        try {
+          callback(exitCode, signal);
+        } catch (error) {
+          console.error('Error in exit callback:', error);
+        }
+      });
+    });
+
+    return ptyProcess;
+  }
+
+  static createPipeProcess(cwd = process.cwd(), options = {}) {
+    const profile = options.profile || null;
+    const shell = profile ? profile.executable : PtyManager.getShell();
     const isWindows = os.platform() === 'win32';
 
     // Windows-specific shell arguments for interactive session
@@ -21,17 +221,25 @@ class PtyManager {
       shellArgs = ['-i']; // Interactive mode
     }
 
+    const launch = PtyManager.getLaunchOptions(
+      shell,
+      PtyManager.getProfileArgs(profile, shellArgs),
+      PtyManager.getProfileEnv(profile, options.env),
+      options
+    );
+
     // Spawn the shell process
     let childProcess;
     try {
-      childProcess = spawn(shell, shellArgs, {
+      childProcess = spawn(shell, launch.args, {
         cwd: cwd || process.cwd(),
         stdio: ['pipe', 'pipe', 'pipe'],
         env: {
           ...process.env,
+          ...launch.env,
           TERM: 'xterm-256color',
-          COLUMNS: '80',
-          LINES: '24'
+          COLUMNS: String(options.cols || 80),
+          LINES: String(options.rows || 24)
         },
         windowsHide: false,
         detached: false
@@ -45,9 +253,13 @@ class PtyManager {
 
     // Create our PTY-like interface
     const ptyProcess = {
+      mode: 'pipe',
+      shell,
+      profileId: profile ? profile.id : null,
       _process: childProcess,
       _dataCallbacks: [],
       _exitCallbacks: [],
+      _nextChunk: createChunkSequencer(),
       _buffer: '',
 
       write(data) {
@@ -63,15 +275,11 @@ class PtyManager {
           } catch (error) {
             console.error('Error writing to shell:', error);
             // Notify callbacks of error
-            ptyProcess._dataCallbacks.forEach(callback => {
-              callback(`\r\n\x1b[31mError: ${error.message}\x1b[0m\r\n`);
-            });
+            PtyManager.emitData(ptyProcess, STREAMS.SYSTEM, `\r\n\x1b[31mError: ${error.message}\x1b[0m\r\n`);
           }
         } else {
           console.warn('Shell process not available for writing');
-          ptyProcess._dataCallbacks.forEach(callback => {
-            callback('\r\n\x1b[31mShell not ready\x1b[0m\r\n');
-          });
+          PtyManager.emitData(ptyProcess, STREAMS.SYSTEM, '\r\n\x1b[31mShell not ready\x1b[0m\r\n');
         }
       },
 
@@ -80,9 +288,10 @@ class PtyManager {
 
         // Send welcome message
         setTimeout(() => {
-          callback('\r\n\x1b[32mEasy Debug Terminal\x1b[0m\r\n');
-          callback(`\x1b[36mShell: ${shell} | Directory: ${cwd || process.cwd()}\x1b[0m\r\n`);
-          callback('\x1b[90mType commands below. Press Ctrl+C to interrupt running processes.\x1b[0m\r\n\r\n');
+          const banner = '\r\n\x1b[32mEasy Debug Terminal\x1b[0m\r\n' +
+            `\x1b[36mShell: ${shell} | Directory: ${cwd || process.cwd()}\x1b[0m\r\n` +
+            '\x1b[90mType commands below. Press Ctrl+C to interrupt running processes.\x1b[0m\r\n\r\n';
+          callback(banner, ptyProcess._nextChunk(STREAMS.SYSTEM, banner));
         }, 100);
       },
 
@@ -91,9 +300,8 @@ class PtyManager {
       },
 
       resize(cols, rows) {
-        // Terminal resizing not fully supported with basic child_process
-        // but we can log it for debugging
-        console.log(`Terminal resize: ${cols}x${rows}`);
+        // Piped stdio has no window size to set; keep it for debugging only
+        console.log(`Terminal resize (pipe mode, ignored): ${cols}x${rows}`);
       },
 
       kill() {
@@ -116,32 +324,17 @@ class PtyManager {
       }
     };
 
-    // Set up data handlers
+    // Set up data handlers. Each stream keeps its own tag so the renderer can
+    // decide how to display stderr instead of having it recolored here.
     if (childProcess.stdout) {
       childProcess.stdout.on('data', (data) => {
-        let output = data.toString();
-
-        ptyProcess._dataCallbacks.forEach(callback => {
-          try {
-            callback(output);
-          } catch (error) {
-            console.error('Error in data callback:', error);
-          }
-        });
+        PtyManager.emitData(ptyProcess, STREAMS.STDOUT, data.toString());
       });
     }
 
     if (childProcess.stderr) {
       childProcess.stderr.on('data', (data) => {
-        const output = data.toString();
-        ptyProcess._dataCallbacks.forEach(callback => {
-          try {
-            // Stderr in red color
-            callback(`\x1b[31m${output}\x1b[0m`);
-          } catch (error) {
-            console.error('Error in stderr callback:', error);
-          }
-        });
+        PtyManager.emitData(ptyProcess, STREAMS.STDERR, data.toString());
       });
     }
 
@@ -158,19 +351,25 @@ class PtyManager {
 
     childProcess.on('error', (error) => {
       console.error('Shell process error:', error);
-      ptyProcess._dataCallbacks.forEach(callback => {
-        try {
-          callback(`\r\n\x1b[31mShell error: ${error.message}\x1b[0m\r\n`);
-        } catch (callbackError) {
-          console.error('Error in error callback:', callbackError);
-        }
-      });
+      PtyManager.emitData(ptyProcess, STREAMS.SYSTEM, `\r\n\x1b[31mShell error: ${error.message}\x1b[0m\r\n`);
     });
 
     return ptyProcess;
   }
 
 
+  // Deliver a stream-tagged chunk to every data callback as (data, chunk)
+  static emitData(ptyProcess, stream, data) {
+    const chunk = ptyProcess._nextChunk(stream, data);
+    ptyProcess._dataCallbacks.forEach(callback => {
+      try {
+        callback(data, chunk);
+      } catch (error) {
+        console.error(`Error in ${stream} callback:`, error);
+      }
+    });
+  }
+
   static getShell() {
     if (os.platform() === 'win32') {
       // Use CMD by default on Windows as it's more compatible with stdio pipes
@@ -0,0 +1,143 @@
+// Decides which ribbon tabs to show for the open project and in what order.
+// Tabs for the detected ecosystems come first (the primary type leading), tabs
+// generated from the project's own files follow, and the general Utilities and
+// CMD tabs close the row. Ecosystem tabs the project doesn't use are hidden
+// unless "show all" is on. Also maps ribbon commands to the toolchain they need
+// so buttons can be disabled when get-system-versions can't find it.
+
+// Fixed tabs from index.html, in their original order. `types` lists the
+// detector ids a tab is relevant to; null marks a general tab that always shows.
+const STATIC_RIBBON_TABS = [
+  { target: 'flutter', types: ['flutter', 'dart'] },
+  { target: 'python', types: ['python'] },
+  { target: 'web', types: ['node', 'html'], replacedBy: 'package-scripts' },
+  { target: 'git', types: ['git'] },
+  { target: 'utilities', types: null },
+  { target: 'cmd', types: null }
+];
+
+// Detector ids for the tabs generated from task files (see project-tasks.js).
+// Groups not listed here (Makefile, justfile) belong to the project but not to
+// one ecosystem.
+const GROUP_TYPES = {
+  'package-scripts': ['node'],
+  pyproject: ['python'],
+  pubspec: ['flutter', 'dart']
+};
+
+// First word of a command -> the get-system-versions entry it depends on
+const COMMAND_TOOLCHAINS = {
+  node: 'node',
+  npm: 'node',
+  npx: 'node',
+  flutter: 'flutter',
+  python: 'python',
+  pip: 'python',
+  pytest: 'python',
+  flake8: 'python',
+  git: 'git'
+};
+
+const TOOLCHAIN_NAMES = {
+  node: 'Node.js',
+  git: 'Git',
+  flutter: 'Flutter',
+  python: 'Python',
+  vscode: 'VS Code'
+};
+
+// Tab descriptors in their natural order: the fixed tabs, one per task group,
+// then the ribbon groups from the .easydebug file
+function getRibbonTabs(groupIds = [], projectTargets = []) {
+  return [
+    ...STATIC_RIBBON_TABS.map(tab => ({
+      target: tab.target,
+      types: tab.types,
+      replaced: Boolean(tab.replacedBy) && groupIds.includes(tab.replacedBy)
+    })),
+    ...groupIds.map(id => ({ target: `detected-ribbon-${id}`, types: GROUP_TYPES[id] || [], replaced: false })),
+    ...projectTargets.map(target => ({ target, types: [], replaced: false }))
+  ];
+}
+
+// project: { primary, typeIds } from detect-project, or null when nothing is open.
+// Returns the tabs in display order with their visibility, plus how many
+// irrelevant tabs "show all" would reveal.
+function arrangeRibbonTabs(tabs, project, { showAll = false } = {}) {
+  const available = tabs.filter(tab => !tab.replaced);
+  if (!project || !project.primary) {
+    return { tabs: available.map(tab => ({ target: tab.target, visible: true })), hiddenCount: 0 };
+  }
+
+  const typeIds = [project.primary, ...project.typeIds.filter(id => id !== project.primary)];
+  const rankOf = (tab) => {
+    const ranks = tab.types.map(type => typeIds.indexOf(type)).filter(rank => rank >= 0);
+    return ranks.length > 0 ? Math.min(...ranks) : -1;
+  };
+
+  const ecosystem = [];
+  const projectSpecific = [];
+  const general = [];
+  const irrelevant = [];
+  available.forEach((tab, index) => {
+    if (tab.types === null) {
+      general.push(tab);
+    } else if (tab.types.length === 0) {
+      projectSpecific.push(tab);
+    } else {
+      const rank = rankOf(tab);
+      (rank >= 0 ? ecosystem : irrelevant).push({ tab, rank, index });
+    }
+  });
+  ecosystem.sort((a, b) => a.rank - b.rank || a.index - b.index);
+
+  return {
+    tabs: [
+      ...ecosystem.map(({ tab }) => ({ target: tab.target, visible: true })),
+      ...projectSpecific.map(tab => ({ target: tab.target, visible: true })),
+      ...general.map(tab => ({ target: tab.target, visible: true })),
+      ...irrelevant.map(({ tab }) => ({ target: tab.target, visible: showAll }))
+    ],
+    hiddenCount: irrelevant.length
+  };
+}
+
+// The first candidate that is visible, falling back to the first visible tab
+function pickRibbonTab(arranged, candidates = []) {
+  const visible = arranged.tabs.filter(tab => tab.visible).map(tab => tab.target);
+  return candidates.find(target => target && visible.includes(target)) || visible[0] || null;
+}
+
+function getCommandToolchain(command) {
+  if (!command || typeof command !== 'string') return null;
+
+  const executable = command.trim().split(/\s+/)[0].replace(/\.(exe|cmd|bat)$/i, '').toLowerCase();
+  return COMMAND_TOOLCHAINS[executable] || null;
+}
+
+// Same reading of the version strings as the System Information panel
+function isToolchainMissing(version) {
+  return typeof version === 'string' && (version.includes('Not') || version === 'Error' || version === 'Timeout');
+}
+
+// Explanation for a disabled button, or null when the toolchain is there (or wasn't checked)
+function describeMissingToolchain(toolchain, versions) {
+  if (!toolchain || !versions || !isToolchainMissing(versions[toolchain])) {
+    return null;
+  }
+
+  const name = TOOLCHAIN_NAMES[toolchain] || toolchain;
+  const status = versions[toolchain] === 'Timeout' ? 'did not answer in time' : 'was not found on this machine';
+  return `${name} ${status}. Install it or add it to PATH, then refresh System Info.`;
+}
+
+module.exports = {
+  STATIC_RIBBON_TABS,
+  GROUP_TYPES,
+  getRibbonTabs,
+  arrangeRibbonTabs,
+  pickRibbonTab,
+  getCommandToolchain,
+  isToolchainMissing,
+  describeMissingToolchain
+};
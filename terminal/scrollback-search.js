@@ -0,0 +1,96 @@
+// Plain-text search over terminal scrollback lines.
+// Highlighting and navigation in the live terminal use xterm's search addon;
+// this module backs match counting for exports and the excerpt format.
+
+const MAX_MATCHES = 10000;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Throws a readable error for invalid regular expressions
+function buildSearchPattern(query, { regex = false, caseSensitive = false } = {}) {
+  if (!query) {
+    throw new Error('Search query is required');
+  }
+
+  const flags = caseSensitive ? 'g' : 'gi';
+  try {
+    return new RegExp(regex ? query : escapeRegExp(query), flags);
+  } catch (error) {
+    throw new Error(`Invalid regular expression: ${error.message}`);
+  }
+}
+
+function isValidSearch(query, options = {}) {
+  try {
+    buildSearchPattern(query, options);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function findMatches(lines, query, options = {}) {
+  const pattern = buildSearchPattern(query, options);
+  const matches = [];
+
+  for (let lineIndex = 0; lineIndex < lines.length && matches.length < MAX_MATCHES; lineIndex++) {
+    const line = lines[lineIndex];
+    pattern.lastIndex = 0;
+
+    let match;
+    while ((match = pattern.exec(line)) !== null) {
+      // Zero-length matches (e.g. /^/) would otherwise never advance
+      if (match[0].length === 0) {
+        pattern.lastIndex++;
+        continue;
+      }
+
+      matches.push({ lineIndex, start: match.index, end: match.index + match[0].length, text: match[0] });
+      if (matches.length >= MAX_MATCHES) {
+        break;
+      }
+    }
+  }
+
+  return matches;
+}
+
+// grep-style excerpt: matching lines with surrounding context, numbered,
+// and `--` between groups that are not contiguous
+function formatExcerpt(lines, matches, { contextLines = 2, header = null } = {}) {
+  const included = new Set();
+  const matchedLines = new Set(matches.map(match => match.lineIndex));
+
+  matchedLines.forEach(lineIndex => {
+    const from = Math.max(0, lineIndex - contextLines);
+    const to = Math.min(lines.length - 1, lineIndex + contextLines);
+    for (let i = from; i <= to; i++) {
+      included.add(i);
+    }
+  });
+
+  const ordered = Array.from(included).sort((a, b) => a - b);
+  const width = String(lines.length).length;
+  const output = header ? [header, ''] : [];
+
+  ordered.forEach((lineIndex, i) => {
+    if (i > 0 && lineIndex !== ordered[i - 1] + 1) {
+      output.push('--');
+    }
+    const marker = matchedLines.has(lineIndex) ? ':' : '-';
+    output.push(`${String(lineIndex + 1).padStart(width)}${marker} ${lines[lineIndex]}`);
+  });
+
+  return output.join('\n');
+}
+
+module.exports = {
+  MAX_MATCHES,
+  escapeRegExp,
+  buildSearchPattern,
+  isValidSearch,
+  findMatches,
+  formatExcerpt
+};
@@ -0,0 +1,63 @@
+// Normalization for terminal sessions persisted across app restarts.
+// Sessions come from the renderer on quit, so everything is validated and
+// bounded before it reaches electron-store.
+
+const MAX_SESSIONS = 20;
+const MAX_SCROLLBACK_LINES = 1000;
+const MAX_LINE_LENGTH = 2000;
+
+function normalizeScrollback(scrollback) {
+  if (!Array.isArray(scrollback)) {
+    return [];
+  }
+
+  return scrollback
+    .filter(line => typeof line === 'string')
+    .slice(-MAX_SCROLLBACK_LINES)
+    .map(line => line.length > MAX_LINE_LENGTH ? line.slice(0, MAX_LINE_LENGTH) : line);
+}
+
+function normalizeSession(session) {
+  if (!session || typeof session !== 'object') {
+    return null;
+  }
+
+  const title = typeof session.title === 'string' && session.title.trim()
+    ? session.title.trim()
+    : null;
+  if (!title) {
+    return null;
+  }
+
+  const optionalString = (value) => (typeof value === 'string' && value ? value : null);
+
+  return {
+    title,
+    workingDirectory: optionalString(session.workingDirectory),
+    shell: optionalString(session.shell),
+    profileId: optionalString(session.profileId),
+    project: optionalString(session.project),
+    scrollback: normalizeScrollback(session.scrollback),
+    isActive: !!session.isActive,
+    savedAt: optionalString(session.savedAt) || new Date().toISOString()
+  };
+}
+
+function normalizeSessions(sessions) {
+  if (!Array.isArray(sessions)) {
+    return [];
+  }
+
+  return sessions
+    .map(normalizeSession)
+    .filter(Boolean)
+    .slice(0, MAX_SESSIONS);
+}
+
+module.exports = {
+  MAX_SESSIONS,
+  MAX_SCROLLBACK_LINES,
+  MAX_LINE_LENGTH,
+  normalizeSession,
+  normalizeSessions
+};
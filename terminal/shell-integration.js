@@ -0,0 +1,298 @@
+// Shell integration: small scripts injected into bash, zsh and PowerShell so
+// the shell reports what it is doing instead of us guessing from the output.
+//
+//   OSC 7   ; file://host/path   the working directory, sent before every prompt
+//   OSC 133 ; A                  prompt start
+//   OSC 133 ; B                  prompt end (the user types from here)
+//   OSC 133 ; C                  command executed
+//   OSC 133 ; D ; <exit code>    command finished
+//
+// The scripts are written to a writable directory at spawn time because the
+// shells cannot read files packed inside the app archive.
+
+const fs = require('fs');
+const path = require('path');
+
+const BASH_SCRIPT = `# Easy Debug shell integration for bash
+if [ -n "$EASYDEBUG_SHELL_INTEGRATION_LOADED" ]; then return; fi
+EASYDEBUG_SHELL_INTEGRATION_LOADED=1
+
+# --rcfile replaces ~/.bashrc, so load it first
+if [ -f "$HOME/.bashrc" ]; then . "$HOME/.bashrc"; fi
+
+__easydebug_urlencode() {
+  local LC_ALL=C str="$1" out="" c i
+  for (( i = 0; i < \${#str}; i++ )); do
+    c="\${str:i:1}"
+    case "$c" in
+      [a-zA-Z0-9/._~-]) out+="$c" ;;
+      *) printf -v c '%%%02X' "'$c"; out+="$c" ;;
+    esac
+  done
+  printf '%s' "$out"
+}
+
+__easydebug_prompt_shown=0
+
+__easydebug_precmd() {
+  local status=$?
+  if [ "$__easydebug_prompt_shown" = 1 ]; then
+    printf '\\033]133;D;%s\\007' "$status"
+  fi
+  __easydebug_prompt_shown=1
+  printf '\\033]7;file://%s%s\\007' "$HOSTNAME" "$(__easydebug_urlencode "$PWD")"
+  printf '\\033]133;A\\007'
+  return $status
+}
+
+# Prompt themes often rebuild PS1 from PROMPT_COMMAND, so re-add the marker each time
+__easydebug_mark_prompt() {
+  local status=$?
+  case "$PS1" in
+    *'\\[\\033]133;B\\007\\]') ;;
+    *) PS1="$PS1"'\\[\\033]133;B\\007\\]' ;;
+  esac
+  return $status
+}
+
+PROMPT_COMMAND="__easydebug_precmd\${PROMPT_COMMAND:+;$PROMPT_COMMAND};__easydebug_mark_prompt"
+PS0="$PS0"$'\\033]133;C\\007'
+`;
+
+// zsh has no --rcfile; ZDOTDIR points at our directory and these files load
+// the user's own startup files from EASYDEBUG_USER_ZDOTDIR. Login shells (the
+// macOS default) also read .zprofile before .zshrc, and .zlogin after it when
+// .zshrc didn't run and so never handed ZDOTDIR back.
+const forwardZshFile = (name) => `# Easy Debug shell integration for zsh
+if [[ -f "$EASYDEBUG_USER_ZDOTDIR/${name}" ]]; then
+  __easydebug_zdotdir="$ZDOTDIR"
+  ZDOTDIR="$EASYDEBUG_USER_ZDOTDIR"
+  . "$EASYDEBUG_USER_ZDOTDIR/${name}"
+  ZDOTDIR="$__easydebug_zdotdir"
+  unset __easydebug_zdotdir
+fi
+`;
+
+const ZSHENV_SCRIPT = forwardZshFile('.zshenv');
+const ZPROFILE_SCRIPT = forwardZshFile('.zprofile');
+const ZLOGIN_SCRIPT = forwardZshFile('.zlogin');
+
+const ZSHRC_SCRIPT = `# Easy Debug shell integration for zsh
+ZDOTDIR="$EASYDEBUG_USER_ZDOTDIR"
+if [[ -f "$ZDOTDIR/.zshrc" ]]; then . "$ZDOTDIR/.zshrc"; fi
+
+if [[ -z "$EASYDEBUG_SHELL_INTEGRATION_LOADED" ]]; then
+  EASYDEBUG_SHELL_INTEGRATION_LOADED=1
+  autoload -Uz add-zsh-hook
+
+  __easydebug_precmd() {
+    local ret=$?
+    if [[ -n "$__easydebug_command_running" ]]; then
+      printf '\\033]133;D;%s\\007' "$ret"
+    fi
+    unset __easydebug_command_running
+    __easydebug_report_cwd
+    printf '\\033]133;A\\007'
+  }
+
+  __easydebug_report_cwd() {
+    emulate -L zsh
+    setopt extendedglob
+    local LC_ALL=C
+    printf '\\033]7;file://%s%s\\007' "$HOST" "\${PWD//(#m)[^A-Za-z0-9\\/._~-]/%\${(l:2::0:)$(([##16]#MATCH))}}"
+  }
+
+  # Runs after the theme's own precmd hooks, which may rebuild PS1
+  __easydebug_mark_prompt() {
+    [[ "$PS1" == *$'\\e]133;B\\a'* ]] || PS1="$PS1%{"$'\\e]133;B\\a'"%}"
+  }
+
+  __easydebug_preexec() {
+    __easydebug_command_running=1
+    printf '\\033]133;C\\007'
+  }
+
+  add-zsh-hook precmd __easydebug_precmd
+  add-zsh-hook precmd __easydebug_mark_prompt
+  add-zsh-hook preexec __easydebug_preexec
+fi
+`;
+
+const POWERSHELL_SCRIPT = `# Easy Debug shell integration for PowerShell
+if ($Global:__EasyDebugOriginalPrompt) { return }
+
+$Global:__EasyDebugOriginalPrompt = $function:prompt
+$Global:__EasyDebugLastHistoryId = -1
+
+function Global:__EasyDebug-Osc([string]$payload) {
+  "$([char]27)]$payload$([char]7)"
+}
+
+function Global:prompt {
+  $succeeded = $?
+  $nativeExitCode = $Global:LASTEXITCODE
+  $marks = ''
+
+  $lastHistory = Get-History -Count 1
+  $lastHistoryId = if ($lastHistory) { $lastHistory.Id } else { 0 }
+  if ($Global:__EasyDebugLastHistoryId -ne -1 -and $lastHistoryId -ne $Global:__EasyDebugLastHistoryId) {
+    $exitCode = if ($succeeded) { 0 } elseif ($nativeExitCode) { $nativeExitCode } else { 1 }
+    $marks += __EasyDebug-Osc "133;D;$exitCode"
+  }
+  $Global:__EasyDebugLastHistoryId = $lastHistoryId
+
+  if ($PWD.Provider.Name -eq 'FileSystem') {
+    $segments = $PWD.ProviderPath -split '[\\\\/]' | ForEach-Object { [Uri]::EscapeDataString($_) }
+    $marks += __EasyDebug-Osc "7;file://$env:COMPUTERNAME/$($segments -join '/')"
+  }
+  $marks += __EasyDebug-Osc '133;A'
+
+  $originalPrompt = & $Global:__EasyDebugOriginalPrompt
+  $Global:LASTEXITCODE = $nativeExitCode
+  "$marks$originalPrompt$(__EasyDebug-Osc '133;B')"
+}
+
+# PSReadLine reads the command line; mark the point where it is submitted
+if (Get-Command PSConsoleHostReadLine -ErrorAction SilentlyContinue) {
+  $Global:__EasyDebugOriginalReadLine = $function:PSConsoleHostReadLine
+  function Global:PSConsoleHostReadLine {
+    $line = & $Global:__EasyDebugOriginalReadLine
+    [Console]::Write((__EasyDebug-Osc '133;C'))
+    $line
+  }
+}
+`;
+
+const SCRIPT_FILES = {
+  'bash-integration.sh': BASH_SCRIPT,
+  'zsh/.zshenv': ZSHENV_SCRIPT,
+  'zsh/.zprofile': ZPROFILE_SCRIPT,
+  'zsh/.zshrc': ZSHRC_SCRIPT,
+  'zsh/.zlogin': ZLOGIN_SCRIPT,
+  'powershell-integration.ps1': POWERSHELL_SCRIPT
+};
+
+// Arguments after which the shell would skip (or never read) our script
+const BASH_CONFLICTING_ARGS = ['-c', '-l', '--login', '--rcfile', '--init-file', '--norc', '--posix'];
+const ZSH_CONFLICTING_ARGS = ['-c', '-f', '--no-rcs'];
+const POWERSHELL_CONFLICTING_ARGS = ['-c', '-command', '-f', '-file', '-noexit', '-encodedcommand', '-e', '-ec'];
+
+const PROMPT_MARKS = {
+  A: 'prompt-start',
+  B: 'prompt-end',
+  C: 'command-executed',
+  D: 'command-finished'
+};
+
+function getShellType(shell) {
+  if (!shell) {
+    return null;
+  }
+
+  const name = path.basename(String(shell).replace(/\\/g, '/')).toLowerCase().replace(/\.exe$/, '');
+  if (name === 'bash') return 'bash';
+  if (name === 'zsh') return 'zsh';
+  if (name === 'pwsh' || name === 'powershell') return 'powershell';
+  return null;
+}
+
+function hasConflictingArg(args, conflicting) {
+  return args.some(arg => conflicting.includes(String(arg).toLowerCase()));
+}
+
+// Returns the args and extra env that load the integration script, or null
+// when the shell is unsupported or its arguments would bypass the script
+function getIntegrationLaunch(shell, args = [], { scriptDir, env = {}, homeDir = '' } = {}) {
+  const shellType = getShellType(shell);
+  if (!shellType || !scriptDir) {
+    return null;
+  }
+
+  if (shellType === 'bash') {
+    if (hasConflictingArg(args, BASH_CONFLICTING_ARGS)) return null;
+    // Long options must come before single-letter ones
+    return {
+      args: ['--rcfile', path.join(scriptDir, 'bash-integration.sh'), ...args],
+      env: {}
+    };
+  }
+
+  if (shellType === 'zsh') {
+    if (hasConflictingArg(args, ZSH_CONFLICTING_ARGS)) return null;
+    return {
+      args,
+      env: {
+        ZDOTDIR: path.join(scriptDir, 'zsh'),
+        EASYDEBUG_USER_ZDOTDIR: env.ZDOTDIR || homeDir
+      }
+    };
+  }
+
+  if (hasConflictingArg(args, POWERSHELL_CONFLICTING_ARGS)) return null;
+  const scriptPath = path.join(scriptDir, 'powershell-integration.ps1').replace(/'/g, "''");
+  return {
+    args: [...args, '-NoExit', '-Command', `. '${scriptPath}'`],
+    env: {}
+  };
+}
+
+// Writes the scripts into `dir`, skipping files that are already current
+function installScripts(dir, fileSystem = fs) {
+  Object.entries(SCRIPT_FILES).forEach(([name, content]) => {
+    const filePath = path.join(dir, name);
+    fileSystem.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    const existing = fileSystem.existsSync(filePath) ? fileSystem.readFileSync(filePath, 'utf8') : null;
+    if (existing !== content) {
+      fileSystem.writeFileSync(filePath, content, 'utf8');
+    }
+  });
+}
+
+// OSC 7 payload ("file://host/path") to a local path; null when unusable
+function parseCwdReport(payload, platform = process.platform) {
+  const match = /^file:\/\/[^/]*(\/.*)$/.exec(payload || '');
+  if (!match) {
+    return null;
+  }
+
+  let decoded;
+  try {
+    decoded = decodeURIComponent(match[1]);
+  } catch (error) {
+    return null;
+  }
+
+  // file://host/C:/Users/dev -> C:\Users\dev
+  if (/^\/[A-Za-z]:/.test(decoded)) {
+    const windowsPath = decoded.slice(1).replace(/\//g, '\\');
+    return /^[A-Za-z]:$/.test(windowsPath) ? `${windowsPath}\\` : windowsPath;
+  }
+
+  return platform === 'win32' ? decoded.replace(/\//g, '\\') : decoded;
+}
+
+// OSC 133 payload ("A", "D;1") to { type, exitCode }; null for unknown marks
+function parsePromptMark(payload) {
+  const [mark, ...params] = String(payload || '').split(';');
+  const type = PROMPT_MARKS[mark];
+  if (!type) {
+    return null;
+  }
+
+  if (type !== 'command-finished') {
+    return { type };
+  }
+
+  const exitCode = parseInt(params[0], 10);
+  return { type, exitCode: Number.isNaN(exitCode) ? null : exitCode };
+}
+
+module.exports = {
+  SCRIPT_FILES,
+  getShellType,
+  getIntegrationLaunch,
+  installScripts,
+  parseCwdReport,
+  parsePromptMark
+};
@@ -0,0 +1,171 @@
+// Shell profiles: named launch configurations for terminal tabs.
+// Built-in profiles are detected per platform; custom profiles are saved by
+// the user in electron-store under `shellProfiles`.
+
+const NAME_MAX_LENGTH = 50;
+const ENV_KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const ICON_MAX_CHARACTERS = 2;
+
+const UNIX_SHELL_CANDIDATES = [
+  { id: 'bash', name: 'Bash', icon: '🐚', paths: ['/bin/bash', '/usr/bin/bash', '/usr/local/bin/bash', '/opt/homebrew/bin/bash'] },
+  { id: 'zsh', name: 'Zsh', icon: '⚡', paths: ['/bin/zsh', '/usr/bin/zsh', '/usr/local/bin/zsh', '/opt/homebrew/bin/zsh'] },
+  { id: 'fish', name: 'Fish', icon: '🐟', paths: ['/usr/bin/fish', '/usr/local/bin/fish', '/opt/homebrew/bin/fish'] },
+  { id: 'sh', name: 'sh', icon: '📟', paths: ['/bin/sh'] }
+];
+
+const WINDOWS_SHELLS = [
+  { id: 'cmd', name: 'Command Prompt', icon: '📟', executable: 'cmd.exe', args: ['/k'] },
+  { id: 'powershell', name: 'PowerShell', icon: '🔷', executable: 'powershell.exe', args: ['-NoLogo', '-ExecutionPolicy', 'Bypass'] },
+  { id: 'pwsh', name: 'PowerShell 7', icon: '🔷', executable: 'pwsh.exe', args: ['-NoLogo'] }
+];
+
+function createProfile(fields) {
+  return {
+    id: fields.id,
+    name: fields.name,
+    executable: fields.executable,
+    // null means "use the default arguments for this shell"
+    args: Array.isArray(fields.args) ? fields.args : null,
+    env: fields.env || {},
+    startupCommand: fields.startupCommand || '',
+    icon: fields.icon || '💻',
+    builtin: !!fields.builtin
+  };
+}
+
+// Icons are counted in characters as displayed: emoji with a skin tone or
+// joined from several (👍🏽, 🧑‍💻) are one character but many code units
+function isValidIcon(icon) {
+  const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+  return Array.from(segmenter.segment(icon)).length <= ICON_MAX_CHARACTERS;
+}
+
+function getBuiltinProfiles(platform = process.platform, fileExists = () => true) {
+  if (platform === 'win32') {
+    return WINDOWS_SHELLS.map(shell => createProfile({ ...shell, builtin: true }));
+  }
+
+  return UNIX_SHELL_CANDIDATES
+    .map(candidate => {
+      const executable = candidate.paths.find(candidatePath => fileExists(candidatePath));
+      return executable
+        ? createProfile({ id: candidate.id, name: candidate.name, icon: candidate.icon, executable, builtin: true })
+        : null;
+    })
+    .filter(Boolean);
+}
+
+function validateProfile(profile) {
+  const errors = [];
+
+  if (!profile || typeof profile !== 'object') {
+    return ['Profile must be an object'];
+  }
+
+  if (!profile.name || typeof profile.name !== 'string' || !profile.name.trim()) {
+    errors.push('Profile name is required');
+  } else if (profile.name.length > NAME_MAX_LENGTH) {
+    errors.push(`Profile name must be no more than ${NAME_MAX_LENGTH} characters`);
+  }
+
+  if (!profile.executable || typeof profile.executable !== 'string' || !profile.executable.trim()) {
+    errors.push('Shell executable is required');
+  }
+
+  if (profile.args !== null && profile.args !== undefined &&
+      (!Array.isArray(profile.args) || profile.args.some(arg => typeof arg !== 'string'))) {
+    errors.push('Arguments must be a list of strings');
+  }
+
+  if (profile.env !== undefined) {
+    if (!profile.env || typeof profile.env !== 'object' || Array.isArray(profile.env)) {
+      errors.push('Environment must be an object');
+    } else {
+      Object.entries(profile.env).forEach(([key, value]) => {
+        if (!ENV_KEY_PATTERN.test(key)) {
+          errors.push(`Invalid environment variable name: ${key}`);
+        } else if (typeof value !== 'string') {
+          errors.push(`Environment variable ${key} must be a string`);
+        }
+      });
+    }
+  }
+
+  if (profile.startupCommand !== undefined && typeof profile.startupCommand !== 'string') {
+    errors.push('Startup command must be a string');
+  }
+
+  if (profile.icon && !isValidIcon(profile.icon)) {
+    errors.push('Icon must be 1-2 characters (emoji recommended)');
+  }
+
+  return errors;
+}
+
+// Splits an argument string on whitespace, honouring single and double quotes
+function parseArgs(text) {
+  if (!text || !text.trim()) {
+    return [];
+  }
+
+  const args = [];
+  const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    args.push(match[1] !== undefined ? match[1] : match[2] !== undefined ? match[2] : match[3]);
+  }
+  return args;
+}
+
+// Parses KEY=VALUE lines; blank lines and # comments are ignored
+function parseEnv(text) {
+  const env = {};
+  if (!text) {
+    return env;
+  }
+
+  text.split(/\r?\n/).forEach(line => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) {
+      return;
+    }
+    const separator = trimmed.indexOf('=');
+    if (separator <= 0) {
+      env[trimmed] = '';
+      return;
+    }
+    env[trimmed.slice(0, separator).trim()] = trimmed.slice(separator + 1);
+  });
+  return env;
+}
+
+function formatEnv(env = {}) {
+  return Object.entries(env).map(([key, value]) => `${key}=${value}`).join('\n');
+}
+
+function formatArgs(args) {
+  if (!Array.isArray(args)) {
+    return '';
+  }
+  return args.map(arg => (/\s/.test(arg) ? `"${arg}"` : arg)).join(' ');
+}
+
+function findProfile(profiles, profileId) {
+  if (!profileId) {
+    return null;
+  }
+  return profiles.find(profile => profile.id === profileId) || null;
+}
+
+module.exports = {
+  NAME_MAX_LENGTH,
+  createProfile,
+  getBuiltinProfiles,
+  isValidIcon,
+  validateProfile,
+  parseArgs,
+  parseEnv,
+  formatEnv,
+  formatArgs,
+  findProfile
+};
@@ -0,0 +1,281 @@
+// Composite tasks built on custom commands.
+// A custom command runs either its single shell command or a list of steps.
+// Consecutive steps sharing a parallel group run side by side, each in its own
+// terminal; the others run one after another. `dependsOn` names other custom
+// commands that run (once each) before the task itself.
+
+const path = require('path');
+const { normalizePlatforms, resolveCommandVariant, buildCdCommand } = require('./command-variants');
+
+const FAILURE_MODES = ['stop', 'continue'];
+
+function cleanString(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+function normalizeStep(step) {
+  if (!step || typeof step !== 'object') {
+    return null;
+  }
+  const command = cleanString(step.command);
+  if (!command) {
+    return null;
+  }
+  return {
+    command,
+    cwd: cleanString(step.cwd),
+    group: cleanString(step.group)
+  };
+}
+
+// Returns null for entries that can't be run. Commands saved by older versions
+// used `command` for the shell command.
+function normalizeTask(task) {
+  if (!task || typeof task !== 'object' || !cleanString(task.name)) {
+    return null;
+  }
+
+  const steps = Array.isArray(task.steps) ? task.steps.map(normalizeStep).filter(Boolean) : [];
+  const shellCommand = cleanString(task.shellCommand) || cleanString(task.command);
+  if (!shellCommand && steps.length === 0) {
+    return null;
+  }
+
+  const dependsOn = Array.isArray(task.dependsOn)
+    ? Array.from(new Set(task.dependsOn.map(cleanString).filter(Boolean)))
+    : [];
+
+  return {
+    ...task,
+    shellCommand,
+    steps,
+    dependsOn,
+    onFailure: FAILURE_MODES.includes(task.onFailure) ? task.onFailure : 'stop',
+    // Per-shell variants of shellCommand (see command-variants.js)
+    platforms: normalizePlatforms(task.platforms)
+  };
+}
+
+// Plain custom commands keep running through the ribbon's executeCommand
+function isCompositeTask(task) {
+  return task.steps.length > 0 || task.dependsOn.length > 0;
+}
+
+// A single-command task keeps its per-shell variants on its one step
+function getTaskSteps(task) {
+  return task.steps.length > 0
+    ? task.steps
+    : [{ command: task.shellCommand, cwd: '', group: '', platforms: task.platforms }];
+}
+
+// Commands from the project's .easydebug file join the user's own; the user's
+// command wins when both use the same name
+function mergeCustomCommands(userCommands, projectCommands) {
+  const userNames = new Set(userCommands.map(command => command.name.toLowerCase()));
+  return [
+    ...userCommands,
+    ...projectCommands.filter(command => !userNames.has(command.name.toLowerCase()))
+  ];
+}
+
+function findTask(tasks, name) {
+  const key = name.toLowerCase();
+  return tasks.find(task => task.name.toLowerCase() === key) || null;
+}
+
+// Dependencies first, each task once; throws on unknown names and cycles
+function resolveTaskOrder(tasks, rootName) {
+  const order = [];
+  const done = new Set();
+  const visiting = [];
+
+  const visit = (name, requiredBy) => {
+    const task = findTask(tasks, name);
+    if (!task) {
+      throw new Error(requiredBy
+        ? `Task "${requiredBy}" depends on unknown task "${name}"`
+        : `Unknown task "${name}"`);
+    }
+
+    const key = task.name.toLowerCase();
+    if (done.has(key)) {
+      return;
+    }
+    const cycleStart = visiting.indexOf(key);
+    if (cycleStart !== -1) {
+      const cycle = [...visiting.slice(cycleStart), key]
+        .map(item => findTask(tasks, item).name);
+      throw new Error(`Circular dependency: ${cycle.join(' → ')}`);
+    }
+
+    visiting.push(key);
+    task.dependsOn.forEach(dependency => visit(dependency, task.name));
+    visiting.pop();
+
+    done.add(key);
+    order.push(task);
+  };
+
+  visit(rootName, null);
+  return order;
+}
+
+// Problems that would stop the task from running, for the save form
+function validateTaskDependencies(task, tasks) {
+  const others = tasks.filter(other => other.name.toLowerCase() !== task.name.toLowerCase());
+  try {
+    resolveTaskOrder([...others, task], task.name);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+// stages: [{ taskName, onFailure, parallel, steps }]
+function buildTaskPlan(tasks, rootName) {
+  const stages = [];
+  let stepCount = 0;
+
+  resolveTaskOrder(tasks, rootName).forEach(task => {
+    let groupStage = null;
+
+    getTaskSteps(task).forEach(({ command, cwd, group, platforms = {} }) => {
+      const step = {
+        id: `step-${++stepCount}`,
+        taskName: task.name,
+        command,
+        platforms,
+        cwd,
+        group,
+        status: 'pending',
+        exitCode: null,
+        terminalId: null,
+        startedAt: null,
+        endedAt: null,
+        durationMs: null
+      };
+
+      if (group && groupStage && groupStage.group === group) {
+        groupStage.steps.push(step);
+        return;
+      }
+
+      const stage = { taskName: task.name, onFailure: task.onFailure, parallel: !!group, group, steps: [step] };
+      groupStage = group ? stage : null;
+      stages.push(stage);
+    });
+  });
+
+  return { name: rootName, stages };
+}
+
+function resolveStepDirectory(projectPath, cwd) {
+  return cwd ? path.resolve(projectPath, cwd) : projectPath;
+}
+
+// The step's command for the shell of the terminal it runs in (see command-variants.js)
+function resolveStepCommand(step, shell, platform = process.platform) {
+  return resolveCommandVariant(step.command, step.platforms, shell, platform);
+}
+
+// shell is the executable of the terminal the step runs in
+function buildStepCommand(step, projectPath, shell = null, platform = process.platform) {
+  return buildCdCommand(resolveStepDirectory(projectPath, step.cwd), step.command, shell, platform);
+}
+
+// Walks a plan stage by stage. Callers launch the steps returned by start()
+// and completeStep(), and report each one back when its command finishes.
+class TaskRun {
+  constructor(plan) {
+    this.name = plan.name;
+    this.stages = plan.stages;
+    this.steps = plan.stages.reduce((steps, stage) => steps.concat(stage.steps), []);
+    this.stageIndex = -1;
+    this.status = 'pending';
+  }
+
+  start(now = Date.now()) {
+    this.status = 'running';
+    return this.nextStage(now);
+  }
+
+  getStep(stepId) {
+    return this.steps.find(step => step.id === stepId) || null;
+  }
+
+  nextStage(now) {
+    this.stageIndex++;
+    const stage = this.stages[this.stageIndex];
+    if (!stage) {
+      this.status = this.steps.some(step => step.status === 'failed') ? 'failed' : 'passed';
+      return [];
+    }
+
+    stage.steps.forEach(step => {
+      step.status = 'running';
+      step.startedAt = now;
+    });
+    return stage.steps;
+  }
+
+  // A null exit code means the step's terminal closed before it finished
+  completeStep(stepId, exitCode, now = Date.now()) {
+    const step = this.getStep(stepId);
+    if (!step || step.status !== 'running' || this.status !== 'running') {
+      return [];
+    }
+
+    step.status = exitCode === 0 ? 'passed' : 'failed';
+    step.exitCode = exitCode;
+    step.endedAt = now;
+    step.durationMs = Math.max(0, now - step.startedAt);
+
+    const stage = this.stages[this.stageIndex];
+    if (stage.steps.some(item => item.status === 'running')) {
+      return [];
+    }
+
+    if (stage.onFailure === 'stop' && stage.steps.some(item => item.status === 'failed')) {
+      this.skipRemaining();
+      this.status = 'failed';
+      return [];
+    }
+    return this.nextStage(now);
+  }
+
+  // Nothing new is started; callers interrupt the steps still running
+  stop() {
+    if (this.status !== 'running') {
+      return;
+    }
+    this.skipRemaining();
+    this.status = 'stopped';
+  }
+
+  skipRemaining() {
+    this.steps
+      .filter(step => step.status === 'pending' || step.status === 'running')
+      .forEach(step => {
+        step.status = 'skipped';
+      });
+  }
+
+  isFinished() {
+    return this.status !== 'pending' && this.status !== 'running';
+  }
+}
+
+module.exports = {
+  FAILURE_MODES,
+  normalizeTask,
+  isCompositeTask,
+  getTaskSteps,
+  mergeCustomCommands,
+  resolveTaskOrder,
+  validateTaskDependencies,
+  buildTaskPlan,
+  resolveStepDirectory,
+  resolveStepCommand,
+  buildStepCommand,
+  TaskRun
+};
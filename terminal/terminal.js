@@ -1,11 +1,35 @@
 const { Terminal } = require('xterm');
 const { FitAddon } = require('xterm-addon-fit');
 const { WebLinksAddon } = require('xterm-addon-web-links');
+const { SearchAddon } = require('xterm-addon-search');
+const { SerializeAddon } = require('xterm-addon-serialize');
 const { ipcRenderer } = require('electron');
+const fs = require('fs');
+const { STREAMS, StreamLog, renderChunk } = require('./output-stream');
+const { findMatches, formatExcerpt } = require('./scrollback-search');
+const { ProblemCollector } = require('./problem-matchers');
+const { findFileLinks, resolveFileLink } = require('./file-links');
+const { parseCwdReport, parsePromptMark } = require('./shell-integration');
+const { getLineEnding } = require('./command-variants');
 
 // Import renderer logger for terminal logging
 const logger = require('../utils/renderer-logger');
 
+const SCROLLBACK_LINES = 10000;
+
+// How long a new terminal gets to show its first integrated prompt
+const SHELL_INTEGRATION_TIMEOUT_MS = 5000;
+
+// The search addon only reports match counts when decorations are enabled
+const SEARCH_DECORATIONS = {
+  matchBackground: '#515c6a',
+  matchBorder: '#74879f',
+  matchOverviewRuler: '#d186167e',
+  activeMatchBackground: '#a8ac94',
+  activeMatchBorder: '#f5f543',
+  activeMatchColorOverviewRuler: '#a0a0a0cc'
+};
+
 class TerminalManager {
   constructor() {
     logger.info('TerminalManager constructor started', {}, 'terminal');
@@ -13,6 +37,10 @@ class TerminalManager {
     this.terminals = new Map();
     this.activeTerminalId = null;
     this.terminalCounter = 0;
+    this.problemListeners = new Set();
+    this.shellEventListeners = new Set();
+    this.projectPath = null;
+    this.linkTooltip = null;
 
     logger.info('TerminalManager initialized', {
       terminalCount: this.terminals.size,
@@ -21,7 +49,7 @@ class TerminalManager {
     }, 'terminal');
   }
 
-  async createTerminal(containerId, workingDirectory = process.cwd()) {
+  async createTerminal(containerId, workingDirectory = process.cwd(), options = {}) {
     const terminalId = `terminal-${++this.terminalCounter}`;
     const timer = logger.startTimer('create-terminal');
 
@@ -60,16 +88,27 @@ class TerminalManager {
         fontFamily: 'Consolas, "Courier New", monospace',
         fontSize: 14,
         lineHeight: 1.2,
-        allowTransparency: true
+        allowTransparency: true,
+        scrollback: SCROLLBACK_LINES,
+        // Required by the search addon's match decorations
+        allowProposedApi: true
       });
 
       logger.debug('Terminal instance created', { terminalId }, 'terminal');
 
       const fitAddon = new FitAddon();
       const webLinksAddon = new WebLinksAddon();
+      const searchAddon = new SearchAddon();
+      const serializeAddon = new SerializeAddon();
 
       terminal.loadAddon(fitAddon);
       terminal.loadAddon(webLinksAddon);
+      terminal.loadAddon(searchAddon);
+      terminal.loadAddon(serializeAddon);
+      terminal.registerLinkProvider(this.createFileLinkProvider(terminal, () => {
+        const instance = this.terminals.get(terminalId);
+        return instance ? instance.workingDirectory : workingDirectory;
+      }));
       logger.debug('Terminal addons loaded', { terminalId }, 'terminal');
 
       const container = document.getElementById(containerId);
@@ -81,14 +120,33 @@ class TerminalManager {
       fitAddon.fit();
       logger.debug('Terminal opened in container', { containerId, terminalId }, 'terminal');
 
+      if (options.restoredSession) {
+        this.writeRestoredScrollback(terminal, options.restoredSession);
+      }
+
       // Create PTY process via IPC
-      const ptyResult = await ipcRenderer.invoke('create-pty', { workingDirectory });
+      const ptyResult = await ipcRenderer.invoke('create-pty', {
+        workingDirectory,
+        cols: terminal.cols,
+        rows: terminal.rows,
+        profileId: options.profileId || null
+      });
       if (!ptyResult.success) {
         throw new Error(`Failed to create PTY: ${ptyResult.error}`);
       }
 
       const ptyTerminalId = ptyResult.terminalId;
-      logger.debug('PTY process created via IPC', { terminalId, ptyTerminalId, workingDirectory }, 'terminal');
+      const ptyMode = ptyResult.mode || 'pipe';
+      const shell = ptyResult.shell || null;
+      const profileId = ptyResult.profileId || null;
+      logger.debug('PTY process created via IPC', { terminalId, ptyTerminalId, workingDirectory, ptyMode }, 'terminal');
+
+      // Keep the PTY window size in sync with xterm so full-screen tools render correctly
+      terminal.onResize(({ cols, rows }) => {
+        ipcRenderer.invoke('pty-resize', { terminalId: ptyTerminalId, cols, rows }).catch(error => {
+          logger.error('Error resizing PTY via IPC', error, { terminalId, cols, rows }, 'terminal');
+        });
+      });
 
       // Set up PTY handlers via IPC
       await ipcRenderer.invoke('pty-setup-handlers', { terminalId: ptyTerminalId });
@@ -98,11 +156,23 @@ class TerminalManager {
       let promptEndCol = 0;
       let promptEndRow = 0;
       let isInInputMode = false;
+      // Set once the shell sends its first OSC 133 mark; the prompt heuristic is skipped after that
+      let hasShellIntegration = false;
 
       // Handle terminal input with cursor control - send to PTY via IPC
       terminal.onData(async (data) => {
         logger.debug('Terminal data input', { terminalId, dataLength: data.length }, 'terminal');
 
+        // A real PTY does its own line editing, so pass every keystroke through untouched
+        if (ptyMode === 'pty') {
+          try {
+            await ipcRenderer.invoke('pty-write', { terminalId: ptyTerminalId, data });
+          } catch (error) {
+            logger.error('Error writing to PTY via IPC', error, { terminalId }, 'terminal');
+          }
+          return;
+        }
+
         // Handle special keys
         const keyCode = data.charCodeAt(0);
         const currentBuffer = terminal.buffer.active;
@@ -190,13 +260,26 @@ class TerminalManager {
         }
       });
 
+      // Every chunk keeps its stream tag so stderr can be filtered or recolored later
+      const streamLog = new StreamLog();
+      const outputSettings = { colorStderr: !!options.colorStderr };
+      const problemCollector = new ProblemCollector({ cwd: workingDirectory });
+
       // Listen for PTY data from main process
-      const ptyDataHandler = (event, { terminalId: responseTerminalId, data }) => {
+      const ptyDataHandler = (event, { terminalId: responseTerminalId, data, stream, seq, timestamp }) => {
         if (responseTerminalId === ptyTerminalId) {
-          logger.debug('PTY data output', { terminalId, dataLength: data.length }, 'terminal');
-
-          // Detect new prompt to update cursor constraints
-          if (data.includes('>') || data.includes('$')) {
+          logger.debug('PTY data output', { terminalId, dataLength: data.length, stream }, 'terminal');
+
+          const chunk = {
+            stream: stream || STREAMS.STDOUT,
+            data,
+            seq: seq || 0,
+            timestamp: timestamp || Date.now()
+          };
+          streamLog.add(chunk);
+
+          // Without shell integration, guess the prompt from the output to update cursor constraints
+          if (ptyMode === 'pipe' && !hasShellIntegration && (data.includes('>') || data.includes('$'))) {
             const buffer = terminal.buffer.active;
             // Set input mode when we detect a new prompt
             setTimeout(() => {
@@ -207,15 +290,79 @@ class TerminalManager {
             }, 10);
           }
 
-          terminal.write(data);
+          terminal.write(renderChunk(chunk, outputSettings));
+
+          if (chunk.stream !== STREAMS.SYSTEM && problemCollector.push(data).length > 0) {
+            this.notifyProblemsChanged(terminalId);
+          }
         }
       };
 
+      // Shell integration (see shell-integration.js). The handlers run while xterm parses
+      // the output, so the cursor is exactly where the shell left it.
+      terminal.parser.registerOscHandler(7, (payload) => {
+        const cwd = parseCwdReport(payload);
+        const instance = this.terminals.get(terminalId);
+        if (!cwd || !instance) {
+          return true;
+        }
+
+        // Reported independently of OSC 133, so it counts from the first report
+        instance.reportsWorkingDirectory = true;
+        if (cwd !== instance.workingDirectory) {
+          instance.workingDirectory = cwd;
+          problemCollector.setCwd(cwd);
+          this.notifyShellEvent(terminalId, { type: 'cwd', cwd });
+        }
+        return true;
+      });
+
+      // Where the user started typing (absolute buffer line) and the command that is running
+      let commandStart = null;
+      let runningCommand = null;
+
+      terminal.parser.registerOscHandler(133, (payload) => {
+        const mark = parsePromptMark(payload);
+        if (!mark) {
+          return false;
+        }
+
+        hasShellIntegration = true;
+        const instance = this.terminals.get(terminalId);
+        if (instance) {
+          instance.hasShellIntegration = true;
+        }
+
+        const buffer = terminal.buffer.active;
+        if (mark.type === 'prompt-end') {
+          promptEndRow = buffer.cursorY;
+          promptEndCol = buffer.cursorX;
+          isInInputMode = true;
+          inputBuffer = '';
+          commandStart = { line: buffer.baseY + buffer.cursorY, col: buffer.cursorX };
+        } else if (mark.type === 'command-executed') {
+          isInInputMode = false;
+          runningCommand = {
+            commandLine: commandStart ? this.readCommandLine(terminal, commandStart) : '',
+            cwd: instance ? instance.workingDirectory : workingDirectory,
+            startedAt: Date.now()
+          };
+          Object.assign(mark, runningCommand);
+        } else if (mark.type === 'command-finished' && runningCommand) {
+          Object.assign(mark, runningCommand, { durationMs: Date.now() - runningCommand.startedAt });
+          runningCommand = null;
+        }
+
+        this.notifyShellEvent(terminalId, mark);
+        return true;
+      });
+
       // Listen for PTY exit from main process
       const ptyExitHandler = (event, { terminalId: responseTerminalId, code, signal }) => {
         if (responseTerminalId === ptyTerminalId) {
           logger.info('PTY process exited', { terminalId, code, signal }, 'terminal');
           terminal.write('\r\n\x1b[31mProcess exited\x1b[0m\r\n');
+          this.notifyShellEvent(terminalId, { type: 'exit' });
           // Clean up listeners
           ipcRenderer.removeListener('pty-data', ptyDataHandler);
           ipcRenderer.removeListener('pty-exit', ptyExitHandler);
@@ -302,6 +449,8 @@ class TerminalManager {
               <div class="context-menu-item" data-action="copy" ${!terminal.hasSelection() ? 'disabled' : ''}>Copy</div>
               <div class="context-menu-item" data-action="paste">Paste</div>
               <div class="context-menu-item" data-action="selectall">Select All</div>
+              <div class="context-menu-item" data-action="copystderr" ${!streamLog.hasStream(STREAMS.STDERR) ? 'disabled' : ''}>Copy stderr Output</div>
+              <div class="context-menu-item" data-action="colorstderr">${outputSettings.colorStderr ? 'Stop Coloring stderr' : 'Color stderr Red'}</div>
             `;
 
             // Position menu
@@ -358,6 +507,10 @@ class TerminalManager {
                 });
               } else if (action === 'selectall') {
                 terminal.selectAll();
+              } else if (action === 'copystderr' && streamLog.hasStream(STREAMS.STDERR)) {
+                navigator.clipboard.writeText(streamLog.getText({ stream: STREAMS.STDERR }));
+              } else if (action === 'colorstderr') {
+                this.setStderrColoring(terminalId, !outputSettings.colorStderr);
               }
 
               document.body.removeChild(contextMenu);
@@ -387,25 +540,37 @@ class TerminalManager {
         id: terminalId,
         terminal,
         fitAddon,
+        searchAddon,
+        serializeAddon,
         ptyTerminalId,
+        ptyMode,
+        shell,
+        profileId,
+        streamLog,
+        outputSettings,
+        problemCollector,
         workingDirectory,
+        hasShellIntegration: false,
+        // Set by the first OSC 7 report; workingDirectory is where the shell started until then
+        reportsWorkingDirectory: false,
         isActive: false,
         createdAt: new Date().toISOString(),
         ptyDataHandler,
         ptyExitHandler
       };
 
-      this.terminals.set(terminalId, terminalInstance);
-      this.setActiveTerminal(terminalId);
-
-      // Log terminal resize events
+      // Every visible pane needs refitting, not just the focused one
       const resizeHandler = () => {
-        if (this.activeTerminalId === terminalId) {
+        if (this.isTerminalVisible(terminalInstance)) {
           logger.debug('Terminal resize triggered', { terminalId }, 'terminal');
           setTimeout(() => fitAddon.fit(), 100);
         }
       };
       window.addEventListener('resize', resizeHandler);
+      terminalInstance.resizeHandler = resizeHandler;
+
+      this.terminals.set(terminalId, terminalInstance);
+      this.setActiveTerminal(terminalId);
 
       logger.endTimer(timer, { success: true, terminalId });
       logger.info('Terminal created successfully', {
@@ -468,7 +633,7 @@ class TerminalManager {
       try {
         await ipcRenderer.invoke('pty-write', {
           terminalId: terminal.ptyTerminalId,
-          data: command + '\r\n'
+          data: command + getLineEnding(terminal.ptyMode)
         });
         logger.info('Command executed in terminal', {
           command,
@@ -514,9 +679,16 @@ class TerminalManager {
       if (terminal.ptyExitHandler) {
         ipcRenderer.removeListener('pty-exit', terminal.ptyExitHandler);
       }
+      if (terminal.resizeHandler) {
+        window.removeEventListener('resize', terminal.resizeHandler);
+      }
 
       terminal.terminal.dispose();
       this.terminals.delete(terminalId);
+      this.notifyShellEvent(terminalId, { type: 'exit' });
+      if (terminal.problemCollector.getProblems().length > 0) {
+        this.notifyProblemsChanged(terminalId);
+      }
 
       if (this.activeTerminalId === terminalId) {
         const remainingTerminals = Array.from(this.terminals.keys());
@@ -547,18 +719,377 @@ class TerminalManager {
     });
   }
 
+  // Fits every visible terminal, including all panes of a split tab; each
+  // xterm's onResize then forwards the new size to its PTY
   resizeAll() {
     this.terminals.forEach(terminal => {
-      terminal.fitAddon.fit();
+      if (this.isTerminalVisible(terminal)) {
+        terminal.fitAddon.fit();
+      }
     });
   }
 
+  isTerminalVisible(terminal) {
+    const element = terminal.terminal.element;
+    return !!element && element.offsetParent !== null;
+  }
+
   clear(terminalId = null) {
     const targetId = terminalId || this.activeTerminalId;
     const terminal = this.terminals.get(targetId);
     
     if (terminal) {
       terminal.terminal.clear();
+      this.clearProblems(targetId);
+    }
+  }
+
+  // Previous output is dimmed so it is clearly separate from the fresh shell below it
+  writeRestoredScrollback(terminal, session) {
+    const lines = Array.isArray(session.scrollback) ? session.scrollback : [];
+    if (lines.length === 0) {
+      return;
+    }
+
+    const savedAt = session.savedAt ? new Date(session.savedAt).toLocaleString() : 'previous session';
+    const output = lines.map(line => `\x1b[2m${line}\x1b[22m`).join('\r\n');
+    terminal.write(`${output}\r\n\x1b[90m── Restored from ${savedAt} ──\x1b[0m\r\n`);
+  }
+
+  // Plain-text snapshot of the scrollback, trailing blank lines removed
+  getScrollbackLines(terminalId = null, maxLines = 1000) {
+    const terminal = this.terminals.get(terminalId || this.activeTerminalId);
+    if (!terminal) {
+      return [];
+    }
+
+    const buffer = terminal.terminal.buffer.active;
+    const lines = [];
+    for (let i = 0; i < buffer.length; i++) {
+      const line = buffer.getLine(i);
+      lines.push(line ? line.translateToString(true) : '');
+    }
+
+    while (lines.length > 0 && lines[lines.length - 1].trim() === '') {
+      lines.pop();
+    }
+
+    return lines.slice(-maxLines);
+  }
+
+  getSessionSnapshot(terminalId) {
+    const terminal = this.terminals.get(terminalId);
+    if (!terminal) {
+      return null;
+    }
+
+    return {
+      workingDirectory: terminal.workingDirectory,
+      shell: terminal.shell,
+      profileId: terminal.profileId,
+      scrollback: this.getScrollbackLines(terminalId)
+    };
+  }
+
+  // Only affects output received after the change; existing scrollback is left as-is
+  setStderrColoring(terminalId, enabled) {
+    const terminal = this.terminals.get(terminalId);
+    if (!terminal) {
+      return false;
+    }
+
+    terminal.outputSettings.colorStderr = !!enabled;
+    logger.info('Terminal stderr coloring updated', { terminalId, colorStderr: !!enabled }, 'terminal');
+    return true;
+  }
+
+  getStreamChunks(terminalId = null, options = {}) {
+    const terminal = this.terminals.get(terminalId || this.activeTerminalId);
+    return terminal ? terminal.streamLog.getChunks(options) : [];
+  }
+
+  getStreamOutput(terminalId = null, options = {}) {
+    const terminal = this.terminals.get(terminalId || this.activeTerminalId);
+    return terminal ? terminal.streamLog.getText(options) : '';
+  }
+
+  // Highlights every match and moves to the next/previous one.
+  // Returns false when there is no match (or no terminal).
+  search(terminalId, query, options = {}, direction = 'next') {
+    const terminal = this.terminals.get(terminalId || this.activeTerminalId);
+    if (!terminal || !query) {
+      return false;
+    }
+
+    const searchOptions = {
+      regex: !!options.regex,
+      caseSensitive: !!options.caseSensitive,
+      incremental: !!options.incremental,
+      decorations: SEARCH_DECORATIONS
+    };
+
+    return direction === 'previous'
+      ? terminal.searchAddon.findPrevious(query, searchOptions)
+      : terminal.searchAddon.findNext(query, searchOptions);
+  }
+
+  clearSearch(terminalId = null) {
+    const terminal = this.terminals.get(terminalId || this.activeTerminalId);
+    if (terminal) {
+      terminal.searchAddon.clearDecorations();
+      terminal.terminal.clearSelection();
+    }
+  }
+
+  // callback receives { resultIndex, resultCount }; returns a disposable
+  onSearchResults(terminalId, callback) {
+    const terminal = this.terminals.get(terminalId);
+    return terminal ? terminal.searchAddon.onDidChangeResults(callback) : { dispose: () => {} };
+  }
+
+  getSearchExcerpt(terminalId, query, options = {}) {
+    const lines = this.getScrollbackLines(terminalId, Infinity);
+    const matches = findMatches(lines, query, options);
+    const terminal = this.terminals.get(terminalId || this.activeTerminalId);
+    const header = [
+      `Search: ${options.regex ? `/${query}/` : `"${query}"`}${options.caseSensitive ? ' (case-sensitive)' : ''}`,
+      `Directory: ${terminal ? terminal.workingDirectory : ''}`,
+      `Matches: ${matches.length}`
+    ].join('\n');
+
+    return {
+      matchCount: matches.length,
+      text: formatExcerpt(lines, matches, { contextLines: options.contextLines, header })
+    };
+  }
+
+  // Serializes the rendered buffer rather than the raw stream, so progress
+  // bars and redraws appear the way they ended up on screen
+  serializeOutput(terminalId = null, format = 'ansi') {
+    const terminal = this.terminals.get(terminalId || this.activeTerminalId);
+    if (!terminal) {
+      return null;
+    }
+
+    return format === 'html'
+      ? terminal.serializeAddon.serializeAsHTML({ includeGlobalBackground: true })
+      : terminal.serializeAddon.serialize();
+  }
+
+  async saveOutput(terminalId = null, format = 'text', title = 'terminal') {
+    const targetId = terminalId || this.activeTerminalId;
+    const terminal = this.terminals.get(targetId);
+    if (!terminal) {
+      throw new Error('Terminal not found');
+    }
+
+    const theme = terminal.terminal.options.theme || {};
+    logger.terminalOperation('save-output', { terminalId: targetId, format });
+
+    return ipcRenderer.invoke('save-terminal-output', {
+      content: this.serializeOutput(targetId, format),
+      format,
+      title,
+      background: theme.background,
+      foreground: theme.foreground
+    });
+  }
+
+  // Problems parsed from each terminal's output by the problem matchers
+  getProblems(terminalId = null) {
+    const terminals = terminalId ? [this.terminals.get(terminalId)].filter(Boolean) : Array.from(this.terminals.values());
+    return terminals.flatMap(terminal => terminal.problemCollector.getProblems().map(problem => ({
+      ...problem,
+      terminalId: terminal.id
+    })));
+  }
+
+  clearProblems(terminalId = null) {
+    const terminals = terminalId ? [this.terminals.get(terminalId)].filter(Boolean) : Array.from(this.terminals.values());
+    terminals.forEach(terminal => terminal.problemCollector.clear());
+    this.notifyProblemsChanged(terminalId);
+  }
+
+  // Returns a function that removes the listener
+  onProblemsChanged(callback) {
+    this.problemListeners.add(callback);
+    return () => this.problemListeners.delete(callback);
+  }
+
+  notifyProblemsChanged(terminalId) {
+    this.problemListeners.forEach(callback => {
+      try {
+        callback(terminalId);
+      } catch (error) {
+        logger.error('Error in problems listener', error, { terminalId }, 'terminal');
+      }
+    });
+  }
+
+  // Shell integration events: { type: 'cwd', cwd }, { type: 'prompt-start' | 'prompt-end' },
+  // { type: 'command-executed', commandLine, cwd, startedAt } and { type: 'command-finished',
+  // exitCode, commandLine, cwd, startedAt, durationMs } (timing is missing when the shell sent
+  // no execution mark), plus { type: 'exit' } when the shell exits or its terminal is closed.
+  // Returns a function that removes the listener.
+  onShellEvent(callback) {
+    this.shellEventListeners.add(callback);
+    return () => this.shellEventListeners.delete(callback);
+  }
+
+  notifyShellEvent(terminalId, event) {
+    this.shellEventListeners.forEach(callback => {
+      try {
+        callback(terminalId, event);
+      } catch (error) {
+        logger.error('Error in shell event listener', error, { terminalId, type: event.type }, 'terminal');
+      }
+    });
+  }
+
+  // Resolves true once the terminal's shell has sent an OSC 133 mark, false if it
+  // exits or stays silent until the timeout (no integration for that shell).
+  waitForShellIntegration(terminalId, timeoutMs = SHELL_INTEGRATION_TIMEOUT_MS) {
+    const instance = this.terminals.get(terminalId);
+    if (!instance || instance.hasShellIntegration) {
+      return Promise.resolve(!!instance);
+    }
+
+    return new Promise(resolve => {
+      let removeListener = null;
+      const finish = (result) => {
+        clearTimeout(timer);
+        removeListener();
+        resolve(result);
+      };
+      const timer = setTimeout(() => finish(false), timeoutMs);
+      removeListener = this.onShellEvent((id, event) => {
+        if (id !== terminalId) {
+          return;
+        }
+        if (event.type === 'exit') {
+          finish(false);
+        } else if (instance.hasShellIntegration) {
+          finish(true);
+        }
+      });
+    });
+  }
+
+  // Text typed after the prompt, read from the buffer once the shell starts running it.
+  // Empty in pipe mode, where the shell does not echo input.
+  readCommandLine(terminal, start) {
+    const buffer = terminal.buffer.active;
+    const end = buffer.baseY + buffer.cursorY;
+    let text = '';
+
+    for (let y = start.line; y <= end; y++) {
+      const line = buffer.getLine(y);
+      if (!line) continue;
+      if (y > start.line && !line.isWrapped) {
+        text += '\n';
+      }
+      text += line.translateToString(true, y === start.line ? start.col : 0);
+    }
+
+    return text.trim();
+  }
+
+  // Relative file links fall back to the project when they don't exist under the terminal's directory
+  setProjectPath(projectPath) {
+    this.projectPath = projectPath;
+  }
+
+  // Link provider for file:line[:col] references. Wrapped rows are joined so
+  // long paths still resolve; Ctrl/Cmd+click opens the file in the preferred editor.
+  createFileLinkProvider(terminal, getWorkingDirectory) {
+    return {
+      provideLinks: (bufferLineNumber, callback) => {
+        const buffer = terminal.buffer.active;
+        const cols = terminal.cols;
+
+        let startRow = bufferLineNumber - 1;
+        while (startRow > 0 && buffer.getLine(startRow) && buffer.getLine(startRow).isWrapped) {
+          startRow--;
+        }
+        let endRow = bufferLineNumber - 1;
+        while (buffer.getLine(endRow + 1) && buffer.getLine(endRow + 1).isWrapped) {
+          endRow++;
+        }
+
+        const rows = [];
+        for (let row = startRow; row <= endRow; row++) {
+          const line = buffer.getLine(row);
+          rows.push(line ? line.translateToString(row === endRow) : '');
+        }
+
+        const toPosition = (index) => ({ x: (index % cols) + 1, y: startRow + Math.floor(index / cols) + 1 });
+        const context = {
+          cwd: getWorkingDirectory(),
+          projectPath: this.projectPath,
+          fileExists: (filePath) => fs.existsSync(filePath)
+        };
+
+        const links = findFileLinks(rows.join(''))
+          .map(link => ({ ...link, resolvedPath: resolveFileLink(link.filePath, context) }))
+          .filter(link => link.resolvedPath)
+          .map(link => {
+            const start = toPosition(link.start);
+            const end = toPosition(link.end - 1);
+            return { link, range: { start, end } };
+          })
+          .filter(({ range }) => range.start.y <= bufferLineNumber && range.end.y >= bufferLineNumber)
+          .map(({ link, range }) => ({
+            range,
+            text: link.text,
+            decorations: { pointerCursor: true, underline: true },
+            activate: (event) => {
+              if (event.ctrlKey || event.metaKey) {
+                this.openFileLink(link.resolvedPath, link.line, link.column);
+              }
+            },
+            hover: (event) => {
+              this.showLinkTooltip(event, `${link.resolvedPath}:${link.line}:${link.column}`);
+            },
+            leave: () => {
+              this.hideLinkTooltip();
+            }
+          }));
+
+        callback(links.length > 0 ? links : undefined);
+      }
+    };
+  }
+
+  async openFileLink(filePath, line, column) {
+    logger.terminalOperation('open-file-link', { filePath, line, column });
+
+    try {
+      const result = await ipcRenderer.invoke('open-in-editor', filePath, null, { line, column });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+    } catch (error) {
+      logger.error('Error opening file link', error, { filePath, line }, 'terminal');
+    }
+  }
+
+  showLinkTooltip(event, text) {
+    if (!this.linkTooltip) {
+      this.linkTooltip = document.createElement('div');
+      this.linkTooltip.className = 'terminal-link-tooltip';
+      document.body.appendChild(this.linkTooltip);
+    }
+
+    const modifier = process.platform === 'darwin' ? 'Cmd' : 'Ctrl';
+    this.linkTooltip.textContent = `${text} (${modifier}+Click to open)`;
+    this.linkTooltip.style.left = `${event.clientX + 12}px`;
+    this.linkTooltip.style.top = `${event.clientY + 16}px`;
+    this.linkTooltip.style.display = 'block';
+  }
+
+  hideLinkTooltip() {
+    if (this.linkTooltip) {
+      this.linkTooltip.style.display = 'none';
     }
   }
 
@@ -0,0 +1,29 @@
+// In-memory project folder for the loaders that take a file system argument.
+// Keys of files are paths relative to projectPath; folders are implied by them.
+
+const path = require('path');
+
+function createFileSystem(projectPath, files) {
+  const relative = file => path.relative(projectPath, file).split(path.sep).join('/');
+  const hasFile = file => Object.prototype.hasOwnProperty.call(files, relative(file));
+  const isDirectory = dir => dir === '' || Object.keys(files).some(file => file.startsWith(`${dir}/`));
+
+  return {
+    existsSync: file => hasFile(file) || isDirectory(relative(file)),
+    readFileSync: file => {
+      if (!hasFile(file)) {
+        throw new Error('ENOENT');
+      }
+      return files[relative(file)];
+    },
+    readdirSync: dir => {
+      const prefix = relative(dir) ? `${relative(dir)}/` : '';
+      const names = new Set(Object.keys(files)
+        .filter(file => file.startsWith(prefix))
+        .map(file => file.slice(prefix.length).split('/')[0]));
+      return [...names].map(name => ({ name, isDirectory: () => isDirectory(`${prefix}${name}`) }));
+    }
+  };
+}
+
+module.exports = { createFileSystem };
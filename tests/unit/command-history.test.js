@@ -0,0 +1,234 @@
+// Test file for command history entries and run result tracking
+
+const {
+  createHistoryEntry,
+  getEntryStatus,
+  normalizeHistoryEntry,
+  completeHistoryEntry,
+  formatDuration,
+  filterHistory,
+  CommandTracker
+} = require('../../terminal/command-history');
+
+describe('Command History', () => {
+  const now = new Date('2024-12-13T10:30:00.000Z');
+
+  describe('createHistoryEntry', () => {
+    test('should record the command, project and owning terminal', () => {
+      const entry = createHistoryEntry({
+        command: 'flutter test',
+        projectPath: '/mock/flutter-project',
+        terminalId: 'terminal-2',
+        terminalName: 'Terminal 2',
+        tracked: true,
+        now
+      });
+
+      expect(entry).toEqual(expect.objectContaining({
+        id: expect.stringMatching(new RegExp(`^${now.getTime()}-\\d+$`)),
+        command: 'flutter test',
+        projectPath: 'flutter-project',
+        fullProjectPath: '/mock/flutter-project',
+        timestamp: '2024-12-13T10:30:00.000Z',
+        terminalId: 'terminal-2',
+        terminalName: 'Terminal 2',
+        status: 'running',
+        exitCode: null,
+        durationMs: null
+      }));
+    });
+
+    test('should mark entries as unknown when no result will be reported', () => {
+      const entry = createHistoryEntry({ command: 'dir', projectPath: '/mock/project', now });
+      expect(entry.status).toBe('unknown');
+    });
+
+    test('should give entries created in the same millisecond their own ids', () => {
+      const first = createHistoryEntry({ command: 'npm run lint', projectPath: '/mock/project', now });
+      const second = createHistoryEntry({ command: 'npm test', projectPath: '/mock/project', now });
+
+      expect(first.id).not.toBe(second.id);
+    });
+  });
+
+  describe('normalizeHistoryEntry', () => {
+    test('should fill in result fields for entries saved by older versions', () => {
+      const entry = normalizeHistoryEntry({
+        id: '1',
+        command: 'npm test',
+        projectPath: 'web',
+        fullProjectPath: '/mock/web',
+        timestamp: '2024-12-01T08:00:00.000Z'
+      });
+
+      expect(entry.status).toBe('unknown');
+      expect(entry.exitCode).toBeNull();
+      expect(entry.startedAt).toBe('2024-12-01T08:00:00.000Z');
+      expect(entry.durationMs).toBeNull();
+    });
+
+    test('should turn entries left running by a previous session into unknown', () => {
+      const entry = createHistoryEntry({ command: 'flutter run', projectPath: '/mock/app', tracked: true, now });
+      expect(normalizeHistoryEntry(entry).status).toBe('unknown');
+    });
+
+    test('should keep finished results', () => {
+      const entry = { ...createHistoryEntry({ command: 'pytest', projectPath: '/mock/py', now }), status: 'failed', exitCode: 1 };
+      expect(normalizeHistoryEntry(entry)).toEqual(entry);
+    });
+  });
+
+  describe('completeHistoryEntry', () => {
+    const entry = createHistoryEntry({ command: 'npm run build', projectPath: '/mock/web', tracked: true, now });
+    const startedAt = now.getTime();
+
+    test('should record a passing run with its timing', () => {
+      const completed = completeHistoryEntry(entry, { exitCode: 0, startedAt, endedAt: startedAt + 12500 });
+
+      expect(completed.status).toBe('passed');
+      expect(completed.exitCode).toBe(0);
+      expect(completed.startedAt).toBe('2024-12-13T10:30:00.000Z');
+      expect(completed.endedAt).toBe('2024-12-13T10:30:12.500Z');
+      expect(completed.durationMs).toBe(12500);
+    });
+
+    test('should record a failing run', () => {
+      const completed = completeHistoryEntry(entry, { exitCode: 2, startedAt, endedAt: startedAt + 800 });
+      expect(completed.status).toBe('failed');
+      expect(completed.exitCode).toBe(2);
+    });
+
+    test('should mark runs that never reported back as unknown', () => {
+      const completed = completeHistoryEntry(entry, { exitCode: null });
+      expect(completed.status).toBe('unknown');
+      expect(completed.durationMs).toBeNull();
+    });
+  });
+
+  describe('getEntryStatus', () => {
+    test('should fall back to unknown for missing or invalid statuses', () => {
+      expect(getEntryStatus({ status: 'passed' })).toBe('passed');
+      expect(getEntryStatus({ status: 'exploded' })).toBe('unknown');
+      expect(getEntryStatus({})).toBe('unknown');
+    });
+  });
+
+  describe('formatDuration', () => {
+    test('should format durations at a readable precision', () => {
+      expect(formatDuration(850)).toBe('850ms');
+      expect(formatDuration(12340)).toBe('12.3s');
+      expect(formatDuration(125000)).toBe('2m 05s');
+      expect(formatDuration(3720000)).toBe('1h 02m');
+    });
+
+    test('should return an empty string for missing durations', () => {
+      expect(formatDuration(null)).toBe('');
+      expect(formatDuration(-1)).toBe('');
+    });
+  });
+
+  describe('filterHistory', () => {
+    const entry = (id, command, status, timestamp) => ({
+      id, command, status, timestamp, projectPath: 'web', fullProjectPath: '/mock/web'
+    });
+    const entries = [
+      entry('1', 'npm test', 'failed', '2024-12-13T09:00:00.000Z'),
+      entry('2', 'npm run build', 'passed', '2024-12-10T09:00:00.000Z'),
+      entry('3', 'npm test', 'failed', '2024-11-20T09:00:00.000Z'),
+      entry('4', 'npm start', 'unknown', '2024-12-13T08:00:00.000Z')
+    ];
+    const ids = (filters) => filterHistory(entries, filters, now).map(item => item.id);
+
+    test('should return everything without filters', () => {
+      expect(ids()).toEqual(['1', '2', '3', '4']);
+    });
+
+    test('should filter by search term and status', () => {
+      expect(ids({ search: 'TEST' })).toEqual(['1', '3']);
+      expect(ids({ status: 'passed' })).toEqual(['2']);
+    });
+
+    test('should find failed commands from the last week', () => {
+      expect(ids({ status: 'failed', period: 'week' })).toEqual(['1']);
+    });
+
+    test('should filter commands run today', () => {
+      const localNoon = new Date(2024, 11, 13, 12, 0, 0);
+      const todayEntries = [
+        entry('a', 'ls', 'passed', new Date(2024, 11, 13, 8, 0, 0).toISOString()),
+        entry('b', 'ls', 'passed', new Date(2024, 11, 12, 23, 0, 0).toISOString())
+      ];
+      expect(filterHistory(todayEntries, { period: 'today' }, localNoon).map(item => item.id)).toEqual(['a']);
+    });
+  });
+
+  describe('CommandTracker', () => {
+    let tracker;
+
+    beforeEach(() => {
+      tracker = new CommandTracker();
+    });
+
+    test('should time a tracked command from execution to finish', () => {
+      tracker.track('terminal-1', 'entry-1', 1000);
+
+      expect(tracker.handleEvent('terminal-1', { type: 'command-executed' }, 1200)).toBeNull();
+      expect(tracker.handleEvent('terminal-1', { type: 'command-finished', exitCode: 1 }, 4200)).toEqual({
+        entryId: 'entry-1',
+        exitCode: 1,
+        startedAt: 1200,
+        endedAt: 4200
+      });
+    });
+
+    test('should ignore commands typed by hand', () => {
+      tracker.handleEvent('terminal-1', { type: 'command-executed' }, 1000);
+      expect(tracker.handleEvent('terminal-1', { type: 'command-finished', exitCode: 0 }, 2000)).toBeNull();
+    });
+
+    test('should ignore finished marks for empty prompts', () => {
+      tracker.track('terminal-1', 'entry-1', 1000);
+      tracker.handleEvent('terminal-1', { type: 'command-executed' }, 1100);
+      tracker.handleEvent('terminal-1', { type: 'command-finished', exitCode: 0 }, 1500);
+
+      expect(tracker.handleEvent('terminal-1', { type: 'command-finished', exitCode: 0 }, 1600)).toBeNull();
+    });
+
+    test('should queue commands sent while another is running', () => {
+      tracker.track('terminal-1', 'entry-1', 1000);
+      tracker.handleEvent('terminal-1', { type: 'command-executed' }, 1000);
+      tracker.track('terminal-1', 'entry-2', 1500);
+
+      expect(tracker.handleEvent('terminal-1', { type: 'command-finished', exitCode: 0 }, 2000).entryId).toBe('entry-1');
+      tracker.handleEvent('terminal-1', { type: 'command-executed' }, 2100);
+      expect(tracker.handleEvent('terminal-1', { type: 'command-finished', exitCode: 0 }, 3000).entryId).toBe('entry-2');
+    });
+
+    test('should time from when the command was sent for shells without execution marks', () => {
+      tracker.track('terminal-1', 'entry-1', 1000);
+
+      expect(tracker.handleEvent('terminal-1', { type: 'command-finished', exitCode: 0 }, 2500)).toEqual({
+        entryId: 'entry-1',
+        exitCode: 0,
+        startedAt: 1000,
+        endedAt: 2500
+      });
+    });
+
+    test('should keep terminals separate', () => {
+      tracker.track('terminal-1', 'entry-1', 1000);
+      tracker.handleEvent('terminal-2', { type: 'command-executed' }, 1100);
+
+      expect(tracker.handleEvent('terminal-2', { type: 'command-finished', exitCode: 0 }, 1200)).toBeNull();
+    });
+
+    test('should return unfinished commands when a terminal is forgotten', () => {
+      tracker.track('terminal-1', 'entry-1', 1000);
+      tracker.handleEvent('terminal-1', { type: 'command-executed' }, 1000);
+      tracker.track('terminal-1', 'entry-2', 1500);
+
+      expect(tracker.forget('terminal-1')).toEqual(['entry-1', 'entry-2']);
+      expect(tracker.forget('terminal-1')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,120 @@
+// Test file for long-running command notification rules
+
+const path = require('path');
+const {
+  DEFAULT_NOTIFICATION_SETTINGS,
+  normalizeNotificationSettings,
+  stripProjectCd,
+  isProjectMuted,
+  isCommandMuted,
+  shouldNotify,
+  buildNotification
+} = require('../../terminal/command-notifications');
+const { buildCdCommand } = require('../../terminal/command-variants');
+
+describe('Command Notifications', () => {
+  const projectPath = path.resolve('/mock/flutter-project');
+
+  describe('normalizeNotificationSettings', () => {
+    test('should fall back to the defaults', () => {
+      expect(normalizeNotificationSettings()).toEqual(DEFAULT_NOTIFICATION_SETTINGS);
+      expect(normalizeNotificationSettings(null)).toEqual(DEFAULT_NOTIFICATION_SETTINGS);
+    });
+
+    test('should clamp the threshold and clean the opt-out lists', () => {
+      const settings = normalizeNotificationSettings({
+        enabled: false,
+        thresholdSeconds: 0,
+        mutedProjects: [projectPath, projectPath, 42],
+        mutedCommands: ['  flutter run ', '', 'npm start']
+      });
+
+      expect(settings).toEqual({
+        enabled: false,
+        thresholdSeconds: 1,
+        mutedProjects: [projectPath],
+        mutedCommands: ['flutter run', 'npm start']
+      });
+      expect(normalizeNotificationSettings({ thresholdSeconds: 'soon' }).thresholdSeconds).toBe(30);
+    });
+  });
+
+  describe('stripProjectCd', () => {
+    test('should remove the project cd added to ribbon commands', () => {
+      expect(stripProjectCd('cd "/mock/my app" && flutter build apk')).toBe('flutter build apk');
+      expect(stripProjectCd('cd /tmp && make')).toBe('make');
+      expect(stripProjectCd('npm run build')).toBe('npm run build');
+    });
+
+    test('should remove the cd as each shell is sent it', () => {
+      const shells = [['/bin/bash', 'linux'], ['/usr/bin/fish', 'linux'], ['cmd.exe', 'win32'], ['powershell.exe', 'win32']];
+
+      shells.forEach(([shell, platform]) => {
+        expect(stripProjectCd(buildCdCommand("/mock/it's here", 'flutter run', shell, platform))).toBe('flutter run');
+      });
+    });
+  });
+
+  describe('isProjectMuted', () => {
+    test('should mute the project and its subdirectories only', () => {
+      expect(isProjectMuted(projectPath, [projectPath])).toBe(true);
+      expect(isProjectMuted(path.join(projectPath, 'android'), [projectPath])).toBe(true);
+      expect(isProjectMuted(`${projectPath}-old`, [projectPath])).toBe(false);
+      expect(isProjectMuted(null, [projectPath])).toBe(false);
+    });
+  });
+
+  describe('isCommandMuted', () => {
+    test('should match whole-word command prefixes', () => {
+      expect(isCommandMuted('flutter run -d chrome', ['flutter run'])).toBe(true);
+      expect(isCommandMuted('cd "/mock/app" && flutter  run', ['flutter run'])).toBe(true);
+      expect(isCommandMuted('flutter runner', ['flutter run'])).toBe(false);
+      expect(isCommandMuted('flutter build apk', ['flutter run'])).toBe(false);
+    });
+  });
+
+  describe('shouldNotify', () => {
+    const settings = { enabled: true, thresholdSeconds: 30, mutedProjects: [], mutedCommands: ['flutter run'] };
+    const run = { command: 'flutter build apk', projectPath, durationMs: 45000 };
+
+    test('should notify for commands longer than the threshold', () => {
+      expect(shouldNotify(run, settings)).toBe(true);
+      expect(shouldNotify({ ...run, durationMs: 29999 }, settings)).toBe(false);
+    });
+
+    test('should respect the global switch and the opt-outs', () => {
+      expect(shouldNotify(run, { ...settings, enabled: false })).toBe(false);
+      expect(shouldNotify(run, { ...settings, mutedProjects: [projectPath] })).toBe(false);
+      expect(shouldNotify({ ...run, command: 'flutter run -d chrome' }, settings)).toBe(false);
+    });
+
+    test('should not notify without a duration', () => {
+      expect(shouldNotify({ ...run, durationMs: null }, settings)).toBe(false);
+    });
+  });
+
+  describe('buildNotification', () => {
+    test('should show the command, exit status and duration', () => {
+      expect(buildNotification({
+        command: 'cd "/mock/app" && flutter build apk',
+        exitCode: 0,
+        durationMs: 125000,
+        terminalName: 'Terminal 2'
+      })).toEqual({
+        title: 'flutter build apk',
+        body: '✓ Succeeded in 2m 05s · Terminal 2'
+      });
+    });
+
+    test('should report failures with their exit code', () => {
+      expect(buildNotification({ command: 'npm run build', exitCode: 1, durationMs: 40000 }).body)
+        .toBe('✗ Failed (exit 1) in 40.0s');
+    });
+
+    test('should shorten long commands', () => {
+      const { title } = buildNotification({ command: 'x'.repeat(200), exitCode: 0, durationMs: 31000 });
+      expect(title).toHaveLength(80);
+      expect(title.endsWith('…')).toBe(true);
+    });
+  });
+});
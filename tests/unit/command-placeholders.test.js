@@ -0,0 +1,163 @@
+// Test file for placeholders in custom command strings
+
+const path = require('path');
+const {
+  parsePlaceholders,
+  validatePlaceholders,
+  getPromptedPlaceholders,
+  resolvePlaceholders,
+  matchesGlob,
+  findMatchingFiles
+} = require('../../terminal/command-placeholders');
+
+describe('Command Placeholders', () => {
+  describe('parsePlaceholders', () => {
+    test('should list each placeholder once in order of appearance', () => {
+      const placeholders = parsePlaceholders([
+        'flutter run -d ${input:device=emulator-5554} ${currentFile}',
+        'python ${pick:file:*.py} --out ${project}/out ${input:device} ${env:HOME}'
+      ]);
+
+      expect(placeholders).toEqual([
+        { key: 'input:device', type: 'input', name: 'device', defaultValue: 'emulator-5554' },
+        { key: 'currentFile', type: 'currentFile' },
+        { key: 'pick:file:*.py', type: 'pick', name: '*.py', kind: 'file', pattern: '*.py' },
+        { key: 'project', type: 'project' },
+        { key: 'env:HOME', type: 'env', name: 'HOME' }
+      ]);
+      expect(getPromptedPlaceholders(placeholders).map(item => item.key)).toEqual(['input:device', 'pick:file:*.py']);
+    });
+
+    test('should keep a default given on a later occurrence', () => {
+      expect(parsePlaceholders('echo ${input:name} ${input:name=world}')[0].defaultValue).toBe('world');
+    });
+  });
+
+  describe('validatePlaceholders', () => {
+    test('should accept commands with and without placeholders', () => {
+      expect(validatePlaceholders('npm test')).toBeNull();
+      expect(validatePlaceholders('echo $HOME')).toBeNull();
+      expect(validatePlaceholders('pytest ${pick:file:tests/**/*.py} -k ${input:filter=}')).toBeNull();
+    });
+
+    test('should leave shell parameter expansion alone', () => {
+      expect(validatePlaceholders('docker run -v ${PWD}:/app -e HOME=${HOME} ${IMAGE:-node}')).toBeNull();
+      expect(parsePlaceholders('cd ${HOME} && ls ${project}').map(item => item.key)).toEqual(['project']);
+    });
+
+    test('should explain malformed placeholders', () => {
+      expect(validatePlaceholders('echo ${input:device')).toBe('Placeholder is missing its closing }');
+      expect(validatePlaceholders('echo ${input:}')).toMatch(/^\$\{input:\} needs a name/);
+      expect(validatePlaceholders('cat ${pick:folder:src}')).toBe('${pick:folder:src} must look like ${pick:file:*.py}');
+      expect(validatePlaceholders('echo ${env:}')).toBe('${env:} needs a variable name');
+      expect(validatePlaceholders('ls ${project:src}')).toBe('${project} takes no arguments');
+    });
+  });
+
+  describe('resolvePlaceholders', () => {
+    const context = {
+      values: { 'input:device': 'pixel', 'pick:file:*.py': 'scripts/main.py' },
+      projectPath: '/mock/app',
+      currentFile: '/mock/app/lib/main.dart',
+      env: { FLAVOR: 'dev' },
+      shell: '/bin/bash',
+      platform: 'linux'
+    };
+
+    test('should fill in every placeholder', () => {
+      expect(resolvePlaceholders(
+        'flutter run -d ${input:device} -t ${currentFile} --flavor ${env:FLAVOR} && python ${pick:file:*.py} ${project}',
+        context
+      )).toBe('flutter run -d pixel -t /mock/app/lib/main.dart --flavor dev && python scripts/main.py /mock/app');
+    });
+
+    test('should use the value of the placeholder key whatever its default', () => {
+      expect(resolvePlaceholders('adb -s ${input:device=emulator}', context)).toBe('adb -s pixel');
+    });
+
+    test('should leave unset variables empty and other text untouched', () => {
+      expect(resolvePlaceholders('echo ${env:MISSING} $HOME ${PWD}', context)).toBe("echo '' $HOME ${PWD}");
+    });
+
+    test('should keep paths with spaces as one argument', () => {
+      expect(resolvePlaceholders('python ${currentFile}', { ...context, currentFile: '/home/u/My Project/a b.py' }))
+        .toBe("python '/home/u/My Project/a b.py'");
+      expect(resolvePlaceholders('python ${currentFile}', {
+        ...context,
+        currentFile: 'C:\\Users\\u\\My Project\\a.py',
+        shell: 'powershell.exe',
+        platform: 'win32'
+      })).toBe("python 'C:\\Users\\u\\My Project\\a.py'");
+    });
+
+    test('should escape placeholders the command already quotes instead of quoting them again', () => {
+      const spaced = { ...context, projectPath: '/mock/my app' };
+
+      expect(resolvePlaceholders('cd "${project}"', context)).toBe('cd "/mock/app"');
+      expect(resolvePlaceholders("cd '${project}'", context)).toBe("cd '/mock/app'");
+      expect(resolvePlaceholders('cd "${project}"', spaced)).toBe(`cd ""'/mock/my app'""`);
+      expect(resolvePlaceholders("cd '${project}'", { ...spaced, projectPath: "/mock/it's" })).toBe("cd '/mock/it'\\''s'");
+    });
+
+    test('should escape quoted placeholders for PowerShell and cmd', () => {
+      const windows = { ...context, projectPath: "C:\\it's $HOME", platform: 'win32' };
+
+      expect(resolvePlaceholders('cd "${project}"', { ...windows, shell: 'powershell.exe' })).toBe('cd "C:\\it\'s `$HOME"');
+      expect(resolvePlaceholders("cd '${project}'", { ...windows, shell: 'powershell.exe' })).toBe("cd 'C:\\it''s $HOME'");
+      expect(resolvePlaceholders('cd "${project}"', { ...windows, shell: 'cmd.exe' })).toBe('cd "C:\\it\'s $HOME"');
+    });
+
+    test('should not let typed values add commands', () => {
+      const values = { 'input:device': "x'; rm -rf ~; echo '" };
+
+      expect(resolvePlaceholders('adb -s ${input:device}', { ...context, values }))
+        .toBe("adb -s 'x'\\''; rm -rf ~; echo '\\'''");
+      expect(resolvePlaceholders('adb -s ${input:device}', { ...context, values, shell: 'pwsh', platform: 'linux' }))
+        .toBe("adb -s 'x''; rm -rf ~; echo '''");
+    });
+
+    test('should report values it cannot provide', () => {
+      expect(() => resolvePlaceholders('cat ${currentFile}', { ...context, currentFile: null }))
+        .toThrow('Select a file in the explorer to use ${currentFile}');
+      expect(() => resolvePlaceholders('echo ${input:name}', context)).toThrow('No value for ${input:name}');
+    });
+  });
+
+  describe('matchesGlob', () => {
+    test('should match file names anywhere without a folder in the pattern', () => {
+      expect(matchesGlob(path.join('scripts', 'main.py'), '*.py')).toBe(true);
+      expect(matchesGlob('main.pyc', '*.py')).toBe(false);
+      expect(matchesGlob('test_1.py', 'test_?.py')).toBe(true);
+    });
+
+    test('should match project-relative paths when the pattern has folders', () => {
+      expect(matchesGlob(path.join('tests', 'unit', 'api.py'), 'tests/**/*.py')).toBe(true);
+      expect(matchesGlob(path.join('tests', 'api.py'), 'tests/**/*.py')).toBe(true);
+      expect(matchesGlob(path.join('src', 'tests', 'api.py'), 'tests/**/*.py')).toBe(false);
+      expect(matchesGlob(path.join('lib', 'src', 'main.dart'), 'lib/*.dart')).toBe(false);
+    });
+  });
+
+  describe('findMatchingFiles', () => {
+    const root = path.resolve('/mock/app');
+    const entry = (name, isDirectory = false) => ({ name, isDirectory: () => isDirectory });
+    const fileSystem = {
+      promises: {
+        readdir: async (directory) => ({
+          [root]: [entry('main.py'), entry('scripts', true), entry('node_modules', true), entry('README.md')],
+          [path.join(root, 'scripts')]: [entry('build.py'), entry('deploy.sh')],
+          [path.join(root, 'node_modules')]: [entry('vendored.py')]
+        })[directory] || []
+      }
+    };
+
+    test('should find matching files outside dependency folders', async () => {
+      await expect(findMatchingFiles(root, '*.py', { fileSystem }))
+        .resolves.toEqual(['main.py', path.join('scripts', 'build.py')]);
+    });
+
+    test('should stop at the limit', async () => {
+      await expect(findMatchingFiles(root, '*.py', { fileSystem, limit: 1 })).resolves.toEqual(['main.py']);
+    });
+  });
+});
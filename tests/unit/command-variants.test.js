@@ -0,0 +1,132 @@
+// Test file for per-shell command variants
+
+const {
+  getShellInfo,
+  getVariantKeys,
+  resolveCommandVariant,
+  resolveBuiltinAction,
+  quoteArgument,
+  buildCdCommand,
+  getLineEnding,
+  normalizePlatforms,
+  parsePlatforms,
+  formatPlatforms
+} = require('../../terminal/command-variants');
+
+describe('Command Variants', () => {
+  describe('getShellInfo', () => {
+    test('should recognise the shell from its executable', () => {
+      expect(getShellInfo('/usr/bin/zsh', 'linux')).toEqual({ name: 'zsh', family: 'posix' });
+      expect(getShellInfo('C:\\Windows\\System32\\cmd.exe', 'win32')).toEqual({ name: 'cmd', family: 'cmd' });
+      expect(getShellInfo('pwsh.exe', 'win32')).toEqual({ name: 'pwsh', family: 'powershell' });
+      expect(getShellInfo('POWERSHELL.EXE', 'win32').family).toBe('powershell');
+    });
+
+    test('should assume the platform default when the shell is unknown', () => {
+      expect(getShellInfo(null, 'win32').family).toBe('cmd');
+      expect(getShellInfo(null, 'darwin').family).toBe('posix');
+    });
+  });
+
+  describe('getVariantKeys', () => {
+    test('should order keys from shell to family to system', () => {
+      expect(getVariantKeys('/bin/bash', 'linux')).toEqual(['bash', 'linux', 'posix']);
+      expect(getVariantKeys('powershell.exe', 'win32')).toEqual(['powershell', 'windows']);
+      expect(getVariantKeys('/usr/local/bin/pwsh', 'darwin')).toEqual(['pwsh', 'powershell', 'macos']);
+    });
+
+    test('should not use Windows variants in a POSIX shell on Windows', () => {
+      expect(getVariantKeys('C:\\Program Files\\Git\\bin\\bash.exe', 'win32')).toEqual(['bash', 'posix']);
+    });
+  });
+
+  describe('resolveBuiltinAction', () => {
+    test('should pick the variant for the terminal\'s shell', () => {
+      expect(resolveBuiltinAction('list-files', '/bin/bash', 'linux')).toBe('ls -la');
+      expect(resolveBuiltinAction('list-files', 'cmd.exe', 'win32')).toBe('dir');
+      expect(resolveBuiltinAction('list-files', 'pwsh', 'linux')).toBe('Get-ChildItem');
+      expect(resolveBuiltinAction('clear-screen', 'powershell.exe', 'win32')).toBe('Clear-Host');
+      expect(resolveBuiltinAction('network-info', '/bin/bash', 'linux')).toBe('ip addr');
+      expect(resolveBuiltinAction('network-info', '/bin/zsh', 'darwin')).toBe('ifconfig');
+      expect(resolveBuiltinAction('network-info', 'powershell.exe', 'win32')).toBe('ipconfig');
+      expect(resolveBuiltinAction('shell-help', '/bin/zsh', 'darwin')).toBe('run-help');
+      expect(resolveBuiltinAction('unknown', '/bin/bash', 'linux')).toBeNull();
+    });
+  });
+
+  describe('resolveCommandVariant', () => {
+    test('should fall back to the command without a matching variant', () => {
+      const platforms = { windows: 'netstat -ano', macos: 'lsof -i -P' };
+
+      expect(resolveCommandVariant('ss -tulpn', platforms, 'cmd.exe', 'win32')).toBe('netstat -ano');
+      expect(resolveCommandVariant('ss -tulpn', platforms, '/bin/zsh', 'darwin')).toBe('lsof -i -P');
+      expect(resolveCommandVariant('ss -tulpn', platforms, '/bin/bash', 'linux')).toBe('ss -tulpn');
+      expect(resolveCommandVariant('ss -tulpn', undefined, '/bin/bash', 'linux')).toBe('ss -tulpn');
+    });
+  });
+
+  describe('quoteArgument', () => {
+    test('should leave plain words and paths alone', () => {
+      expect(quoteArgument('src/main.py', '/bin/bash', 'linux')).toBe('src/main.py');
+      expect(quoteArgument('C:\\app\\main.py', 'powershell.exe', 'win32')).toBe('C:\\app\\main.py');
+      expect(quoteArgument('C:\\app\\main.py', 'cmd.exe', 'win32')).toBe('C:\\app\\main.py');
+    });
+
+    test('should quote for the shell the command is sent to', () => {
+      expect(quoteArgument("it's here", '/bin/zsh', 'darwin')).toBe("'it'\\''s here'");
+      expect(quoteArgument("it's a\\b", '/usr/bin/fish', 'linux')).toBe("'it\\'s a\\\\b'");
+      expect(quoteArgument("it's here", 'pwsh', 'linux')).toBe("'it''s here'");
+      expect(quoteArgument('a & b', 'cmd.exe', 'win32')).toBe('"a & b"');
+      expect(quoteArgument('', null, 'linux')).toBe("''");
+    });
+
+    test('should refuse double quotes for cmd', () => {
+      expect(() => quoteArgument('say "hi"', null, 'win32')).toThrow(/double quote/);
+    });
+  });
+
+  describe('buildCdCommand', () => {
+    test('should only run the command once the cd worked', () => {
+      expect(buildCdCommand('/mock/my app', 'npm test', '/bin/bash', 'linux')).toBe("cd '/mock/my app' && npm test");
+      expect(buildCdCommand('C:\\my app', 'npm test', 'cmd.exe', 'win32')).toBe('cd /d "C:\\my app" && npm test');
+    });
+
+    test('should not use && in PowerShell, which 5.1 does not have', () => {
+      expect(buildCdCommand('C:\\my app', 'npm test', 'powershell.exe', 'win32'))
+        .toBe("Set-Location -LiteralPath 'C:\\my app' -ErrorAction Stop; npm test");
+    });
+  });
+
+  describe('getLineEnding', () => {
+    test('should end lines with a carriage return in a PTY', () => {
+      expect(getLineEnding('pty', 'linux')).toBe('\r');
+      expect(getLineEnding('pty', 'win32')).toBe('\r');
+    });
+
+    test('should send whole lines to piped shells', () => {
+      expect(getLineEnding('pipe', 'linux')).toBe('\n');
+      expect(getLineEnding('pipe', 'win32')).toBe('\r\n');
+    });
+  });
+
+  describe('platforms from the custom command form', () => {
+    test('should parse and format platform lines', () => {
+      const { platforms, errors } = parsePlatforms('# overrides\nWindows: dir /b\n\npowershell: Get-ChildItem -Name');
+
+      expect(errors).toEqual([]);
+      expect(platforms).toEqual({ windows: 'dir /b', powershell: 'Get-ChildItem -Name' });
+      expect(formatPlatforms(platforms)).toBe('windows: dir /b\npowershell: Get-ChildItem -Name');
+    });
+
+    test('should report lines that are not platform overrides', () => {
+      expect(parsePlatforms('dir').errors).toEqual(['Line 1: use "platform: command"']);
+      expect(parsePlatforms('dos: dir').errors[0]).toMatch(/^unknown platform "dos"/);
+      expect(parsePlatforms('cmd:').errors).toEqual(['platforms.cmd must be a command']);
+    });
+
+    test('should drop invalid entries when normalizing', () => {
+      expect(normalizePlatforms({ cmd: ' dir ', dos: 'dir', zsh: '' })).toEqual({ cmd: 'dir' });
+      expect(normalizePlatforms('dir')).toEqual({});
+    });
+  });
+});
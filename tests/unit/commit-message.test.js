@@ -0,0 +1,76 @@
+// Test file for commit message rules and the Conventional Commits helper
+
+const {
+  SUBJECT_MAX_LENGTH,
+  formatConventionalPrefix,
+  buildCommitMessage,
+  parseConventionalHeader,
+  validateCommitMessage,
+  getSubjectLength
+} = require('../../terminal/commit-message');
+
+describe('Commit Message', () => {
+  describe('buildCommitMessage', () => {
+    test('should prefix the first line with type, scope and breaking marker', () => {
+      expect(buildCommitMessage('  add login form \n', { type: 'feat', scope: 'auth', breaking: false })).toBe('feat(auth): add login form');
+      expect(buildCommitMessage('drop node 14', { type: 'build', scope: '', breaking: true })).toBe('build!: drop node 14');
+      expect(buildCommitMessage('Fix typo\n\nDetails', { type: 'docs' })).toBe('docs: Fix typo\n\nDetails');
+    });
+
+    test('should leave the message alone without a type', () => {
+      expect(buildCommitMessage('Fix typo', null)).toBe('Fix typo');
+      expect(buildCommitMessage('Fix typo', { type: '', scope: 'ui' })).toBe('Fix typo');
+      expect(formatConventionalPrefix({ type: '' })).toBe('');
+    });
+  });
+
+  describe('parseConventionalHeader', () => {
+    test('should split the prefix off an existing message', () => {
+      expect(parseConventionalHeader('fix(api)!: handle timeouts\n\nMore')).toEqual({
+        conventional: { type: 'fix', scope: 'api', breaking: true },
+        message: 'handle timeouts\n\nMore'
+      });
+      expect(parseConventionalHeader('chore: bump deps').conventional).toEqual({ type: 'chore', scope: '', breaking: false });
+    });
+
+    test('should ignore messages without a known type', () => {
+      expect(parseConventionalHeader('Fix login')).toBeNull();
+      expect(parseConventionalHeader('wip: stuff')).toBeNull();
+      expect(parseConventionalHeader('')).toBeNull();
+    });
+  });
+
+  describe('validateCommitMessage', () => {
+    test('should require a message of at least 3 characters', () => {
+      expect(validateCommitMessage('')).toBe('Commit message is required');
+      expect(validateCommitMessage('  \n ')).toBe('Commit message is required');
+      expect(validateCommitMessage('ab')).toBe('Commit message must be at least 3 characters');
+      expect(validateCommitMessage('abc')).toBeNull();
+    });
+
+    test('should limit the first line to 72 characters, prefix included', () => {
+      expect(SUBJECT_MAX_LENGTH).toBe(72);
+      expect(validateCommitMessage('a'.repeat(72))).toBeNull();
+      expect(validateCommitMessage('a'.repeat(73))).toBe('The first line must be no more than 72 characters (it has 73)');
+      expect(validateCommitMessage('a'.repeat(70), { type: 'fix' })).toBe('The first line must be no more than 72 characters (it has 75)');
+    });
+
+    test('should allow a long body after an empty line', () => {
+      expect(validateCommitMessage(`Summary\n\n${'b'.repeat(600)}`)).toBeNull();
+      expect(validateCommitMessage('Summary\nbody right away')).toBe('Leave an empty line between the first line and the rest of the message');
+    });
+
+    test('should check the conventional type and scope', () => {
+      expect(validateCommitMessage('add it', { type: 'feat', scope: 'ui/forms' })).toBeNull();
+      expect(validateCommitMessage('add it', { type: 'feature' })).toBe('Unknown commit type "feature"');
+      expect(validateCommitMessage('add it', { type: 'feat', scope: 'two words' })).toBe('Scope can only contain letters, numbers, and - _ . /');
+    });
+  });
+
+  describe('getSubjectLength', () => {
+    test('should count the first line as it will be committed', () => {
+      expect(getSubjectLength('Fix it\n\nbody', { type: 'fix', scope: 'ui' })).toBe('fix(ui): Fix it'.length);
+      expect(getSubjectLength('', null)).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,80 @@
+// Test file for file:line link detection in terminal output
+
+const path = require('path');
+const { findFileLinks, resolveFileLink } = require('../../terminal/file-links');
+
+describe('File Links', () => {
+  describe('findFileLinks', () => {
+    const linkSummary = (text) => findFileLinks(text).map(link => [link.filePath, link.line, link.column, link.text]);
+
+    test('should detect Dart and Node style path:line:col references', () => {
+      expect(linkSummary('lib/main.dart:42:7: Error: The getter \'titel\' isn\'t defined.')).toEqual([
+        ['lib/main.dart', 42, 7, 'lib/main.dart:42:7']
+      ]);
+      expect(linkSummary('    at Object.<anonymous> (/mock/project/src/app.js:3:9)')).toEqual([
+        ['/mock/project/src/app.js', 3, 9, '/mock/project/src/app.js:3:9']
+      ]);
+    });
+
+    test('should default the column when only a line is given', () => {
+      expect(linkSummary('tests/test_math.py:12: AssertionError')).toEqual([
+        ['tests/test_math.py', 12, 1, 'tests/test_math.py:12']
+      ]);
+    });
+
+    test('should detect Python traceback locations', () => {
+      expect(linkSummary('  File "app/main.py", line 10, in <module>')).toEqual([
+        ['app/main.py', 10, 1, 'File "app/main.py", line 10']
+      ]);
+    });
+
+    test('should detect tsc parenthesised locations', () => {
+      expect(linkSummary('src/app.ts(12,5): error TS2322')).toEqual([
+        ['src/app.ts', 12, 5, 'src/app.ts(12,5)']
+      ]);
+    });
+
+    test('should strip file:// prefixes and keep Windows drive letters', () => {
+      expect(linkSummary('at file:///mock/project/index.mjs:1:9')[0].slice(0, 2)).toEqual(['/mock/project/index.mjs', 1]);
+      expect(linkSummary('C:\\dev\\app\\main.js:3:5')[0].slice(0, 3)).toEqual(['C:\\dev\\app\\main.js', 3, 5]);
+    });
+
+    test('should report positions of every link on a line', () => {
+      const text = 'a.js:1 and b.js:2:3';
+      const links = findFileLinks(text);
+
+      expect(links.map(link => [link.start, link.end])).toEqual([[0, 6], [11, 19]]);
+      expect(text.slice(links[1].start, links[1].end)).toBe('b.js:2:3');
+    });
+
+    test('should ignore times, versions and the middle of URLs', () => {
+      expect(findFileLinks('Done at 12:30:45 with flutter 3.16.0:1')).toEqual([]);
+      expect(findFileLinks('Serving on http://localhost:3000/main.js:10')).toEqual([]);
+    });
+  });
+
+  describe('resolveFileLink', () => {
+    const existing = new Set([
+      path.resolve('/mock/project/lib/main.dart'),
+      path.resolve('/mock/project/packages/app/src/index.js'),
+      '/abs/file.js'
+    ]);
+    const fileExists = (filePath) => existing.has(filePath);
+
+    test('should resolve relative paths against the terminal directory first', () => {
+      expect(resolveFileLink('src/index.js', { cwd: '/mock/project/packages/app', projectPath: '/mock/project', fileExists }))
+        .toBe(path.resolve('/mock/project/packages/app/src/index.js'));
+    });
+
+    test('should fall back to the project directory', () => {
+      expect(resolveFileLink('lib/main.dart', { cwd: '/tmp', projectPath: '/mock/project', fileExists }))
+        .toBe(path.resolve('/mock/project/lib/main.dart'));
+    });
+
+    test('should return null for files that do not exist', () => {
+      expect(resolveFileLink('example.com', { cwd: '/mock/project', fileExists })).toBeNull();
+      expect(resolveFileLink('/abs/missing.js', { fileExists })).toBeNull();
+      expect(resolveFileLink('/abs/file.js', { fileExists })).toBe('/abs/file.js');
+    });
+  });
+});
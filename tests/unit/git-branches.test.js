@@ -0,0 +1,78 @@
+// Test file for the branch list and branch name checks of the branch manager
+
+const { parseBranches, validateBranchName, describeTracking } = require('../../terminal/git-branches');
+
+describe('Git Branches', () => {
+  const ref = (...fields) => fields.join('\0');
+
+  describe('parseBranches', () => {
+    const output = [
+      ref('refs/heads/main', 'main', 'a1b2c3d', 'origin/main', 'ahead 2, behind 1', '*', '2 hours ago', 'Fix login'),
+      ref('refs/heads/feature/x', 'feature/x', 'd4e5f6a', '', '', ' ', '3 days ago', 'WIP'),
+      ref('refs/heads/old', 'old', 'b7c8d9e', 'origin/old', 'gone', ' ', '1 year ago', 'Old work'),
+      ref('refs/remotes/origin/HEAD', 'origin', 'a1b2c3d', '', '', ' ', '2 hours ago', 'Fix login'),
+      ref('refs/remotes/origin/main', 'origin/main', '9f8e7d6', '', '', ' ', '1 hour ago', 'Release'),
+      ref('refs/remotes/origin/release/1.0', 'origin/release/1.0', '5a4b3c2', '', '', ' ', '1 week ago', 'Bump'),
+      ''
+    ].join('\n');
+
+    test('should read local branches with their upstream and tracking counts', () => {
+      const { current, local } = parseBranches(output);
+
+      expect(current).toBe('main');
+      expect(local).toHaveLength(3);
+      expect(local[0]).toEqual({
+        name: 'main',
+        oid: 'a1b2c3d',
+        upstream: 'origin/main',
+        ahead: 2,
+        behind: 1,
+        gone: false,
+        current: true,
+        date: '2 hours ago',
+        subject: 'Fix login'
+      });
+      expect(local[1]).toMatchObject({ name: 'feature/x', upstream: null, ahead: 0, behind: 0, current: false });
+      expect(local[2].gone).toBe(true);
+    });
+
+    test('should split remote branches and skip the remote HEAD', () => {
+      const { remote } = parseBranches(output);
+
+      expect(remote.map(branch => branch.name)).toEqual(['origin/main', 'origin/release/1.0']);
+      expect(remote[1]).toMatchObject({ remote: 'origin', branch: 'release/1.0', tracked: false });
+      expect(remote[0].tracked).toBe(true);
+    });
+
+    test('should report a detached HEAD as no current branch', () => {
+      const detached = ref('refs/heads/main', 'main', 'a1b2c3d', '', '', ' ', 'now', 'Init');
+
+      expect(parseBranches(detached).current).toBeNull();
+      expect(parseBranches('')).toEqual({ current: null, local: [], remote: [] });
+    });
+  });
+
+  describe('validateBranchName', () => {
+    test('should accept ordinary branch names', () => {
+      ['main', 'feature/login-form', 'release/1.2.0', 'fix_#42'].forEach(name => {
+        expect(validateBranchName(name)).toBeNull();
+      });
+    });
+
+    test('should reject names git would refuse or read as options', () => {
+      ['', '  ', '-f', 'my branch', 'a..b', 'a~1', 'topic^', 'x:y', 'what?', 'star*', 'br[1]', 'back\\slash',
+        'a@{1}', '@', '/lead', 'trail/', 'a//b', 'dot.', 'name.lock', '.hidden', 'feature/.x'].forEach(name => {
+        expect(validateBranchName(name)).toEqual(expect.any(String));
+      });
+    });
+  });
+
+  describe('describeTracking', () => {
+    test('should show ahead and behind counts', () => {
+      expect(describeTracking({ ahead: 2, behind: 1 })).toBe('↑2 ↓1');
+      expect(describeTracking({ ahead: 0, behind: 3 })).toBe('↓3');
+      expect(describeTracking({ ahead: 0, behind: 0 })).toBe('');
+      expect(describeTracking({ ahead: 0, behind: 0, gone: true })).toBe('upstream gone');
+    });
+  });
+});
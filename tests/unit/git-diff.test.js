@@ -0,0 +1,88 @@
+// Test file for parsing diffs and building single-hunk patches
+
+const { parseDiff, buildHunkPatch, toSideBySide } = require('../../terminal/git-diff');
+
+describe('Git Diff', () => {
+  const diffText = [
+    'diff --git a/src/app.js b/src/app.js',
+    'index 1111111..2222222 100644',
+    '--- a/src/app.js',
+    '+++ b/src/app.js',
+    '@@ -1,4 +1,4 @@ function start() {',
+    ' const a = 1;',
+    '-const b = 2;',
+    '-const c = 3;',
+    '+const b = 20;',
+    ' const d = 4;',
+    '@@ -10 +10,2 @@',
+    ' end();',
+    '+log();',
+    '\\ No newline at end of file',
+    ''
+  ].join('\n');
+
+  describe('parseDiff', () => {
+    test('should read hunks with line numbers', () => {
+      const diff = parseDiff(diffText);
+
+      expect(diff.header).toHaveLength(4);
+      expect(diff.binary).toBe(false);
+      expect(diff.hunks).toHaveLength(2);
+      expect(diff.hunks[0]).toEqual(expect.objectContaining({ oldStart: 1, oldLines: 4, newStart: 1, newLines: 4, section: 'function start() {' }));
+      expect(diff.hunks[0].lines[1]).toEqual({ type: 'del', text: 'const b = 2;', oldNumber: 2, newNumber: null });
+      expect(diff.hunks[0].lines[3]).toEqual({ type: 'add', text: 'const b = 20;', oldNumber: null, newNumber: 2 });
+      expect(diff.hunks[0].lines[4]).toEqual({ type: 'context', text: 'const d = 4;', oldNumber: 4, newNumber: 3 });
+      expect(diff.hunks[1]).toEqual(expect.objectContaining({ oldStart: 10, oldLines: 1, newLines: 2 }));
+      expect(diff.hunks[1].lines[2].type).toBe('meta');
+    });
+
+    test('should flag binary files', () => {
+      const diff = parseDiff('diff --git a/logo.png b/logo.png\nindex 1..2 100644\nBinary files a/logo.png and b/logo.png differ\n');
+
+      expect(diff.binary).toBe(true);
+      expect(diff.hunks).toEqual([]);
+    });
+
+    test('should return an empty diff for no output', () => {
+      expect(parseDiff('')).toEqual({ header: [], hunks: [], binary: false });
+    });
+  });
+
+  describe('buildHunkPatch', () => {
+    test('should keep the file header and only the chosen hunk', () => {
+      expect(buildHunkPatch(parseDiff(diffText), 1)).toBe([
+        'diff --git a/src/app.js b/src/app.js',
+        'index 1111111..2222222 100644',
+        '--- a/src/app.js',
+        '+++ b/src/app.js',
+        '@@ -10 +10,2 @@',
+        ' end();',
+        '+log();',
+        '\\ No newline at end of file',
+        ''
+      ].join('\n'));
+    });
+
+    test('should reject missing hunks', () => {
+      expect(() => buildHunkPatch(parseDiff(diffText), 2)).toThrow('The diff has no hunk 3');
+    });
+  });
+
+  describe('toSideBySide', () => {
+    test('should pair removed and added lines', () => {
+      const rows = toSideBySide(parseDiff(diffText).hunks[0]);
+      const numbers = rows.map(row => [row.left && row.left.oldNumber, row.right && row.right.newNumber]);
+
+      expect(numbers).toEqual([[1, 1], [2, 2], [3, null], [4, 3]]);
+      expect(rows[1].left.type).toBe('del');
+      expect(rows[1].right.type).toBe('add');
+    });
+
+    test('should give no-newline markers their own row', () => {
+      const rows = toSideBySide(parseDiff(diffText).hunks[1]);
+
+      expect(rows[1].right.text).toBe('log();');
+      expect(rows[2]).toEqual({ meta: '\\ No newline at end of file', left: null, right: null });
+    });
+  });
+});
@@ -0,0 +1,134 @@
+// Test file for the commit history parsing and graph lanes of the log browser
+
+const { buildLogArgs, parseLog, parseCommitFiles, computeGraph } = require('../../terminal/git-log');
+
+describe('Git Log', () => {
+  describe('buildLogArgs', () => {
+    test('should request a page of history from HEAD by default', () => {
+      const args = buildLogArgs();
+
+      expect(args.slice(0, 2)).toEqual(['log', '-z']);
+      expect(args).toEqual(expect.arrayContaining(['--parents', '--date-order', '--decorate=full', '--max-count=200']));
+      expect(args).not.toContain('--all');
+      expect(args[args.length - 1]).toBe('--');
+    });
+
+    test('should page through all branches', () => {
+      const args = buildLogArgs({ limit: 50, skip: 100, all: true });
+
+      expect(args).toEqual(expect.arrayContaining(['--max-count=50', '--skip=100', '--all']));
+    });
+
+    test('should search messages and authors as plain text', () => {
+      expect(buildLogArgs({ search: { field: 'message', text: ' fix(ui) ' } }))
+        .toEqual(expect.arrayContaining(['--fixed-strings', '--regexp-ignore-case', '--grep=fix(ui)']));
+      expect(buildLogArgs({ search: { field: 'author', text: 'Ada' } })).toContain('--author=Ada');
+      expect(buildLogArgs({ search: { field: 'message', text: '  ' } }).some(arg => arg.startsWith('--grep'))).toBe(false);
+    });
+
+    test('should put a path search after the separator', () => {
+      const args = buildLogArgs({ search: { field: 'path', text: '-src/app.js' } });
+
+      expect(args.slice(-2)).toEqual(['--', '-src/app.js']);
+    });
+  });
+
+  describe('parseLog', () => {
+    const record = (...fields) => fields.join('\x1f');
+
+    test('should read commits with parents, refs and message', () => {
+      const output = [
+        record('a'.repeat(40), `${'b'.repeat(40)} ${'c'.repeat(40)}`, 'Ada Lovelace', 'ada@example.com', '1700000000',
+          'HEAD -> refs/heads/main, tag: refs/tags/v1.0, refs/remotes/origin/main, refs/remotes/origin/HEAD', 'Merge branch "x"', 'Details\n\n'),
+        record('b'.repeat(40), '', 'Bob', 'bob@example.com', '1690000000', 'refs/heads/feature/login', 'Initial commit', ''),
+        ''
+      ].join('\0');
+
+      const commits = parseLog(output);
+
+      expect(commits).toHaveLength(2);
+      expect(commits[0]).toEqual({
+        hash: 'a'.repeat(40),
+        shortHash: 'aaaaaaa',
+        parents: ['b'.repeat(40), 'c'.repeat(40)],
+        author: 'Ada Lovelace',
+        email: 'ada@example.com',
+        date: 1700000000000,
+        refs: [
+          { name: 'HEAD', type: 'head' },
+          { name: 'main', type: 'branch' },
+          { name: 'v1.0', type: 'tag' },
+          { name: 'origin/main', type: 'remote' }
+        ],
+        subject: 'Merge branch "x"',
+        body: 'Details'
+      });
+      expect(commits[1].parents).toEqual([]);
+      expect(commits[1].refs).toEqual([{ name: 'feature/login', type: 'branch' }]);
+    });
+
+    test('should return no commits for empty output', () => {
+      expect(parseLog('')).toEqual([]);
+    });
+  });
+
+  describe('parseCommitFiles', () => {
+    test('should read statuses and both paths of renames', () => {
+      const output = '\nM\0src/app.js\0R087\0old name.js\0new name.js\0A\0docs/guide.md\0D\0gone.txt\0';
+
+      expect(parseCommitFiles(output)).toEqual([
+        { status: 'M', origPath: null, path: 'src/app.js' },
+        { status: 'R', origPath: 'old name.js', path: 'new name.js' },
+        { status: 'A', origPath: null, path: 'docs/guide.md' },
+        { status: 'D', origPath: null, path: 'gone.txt' }
+      ]);
+    });
+  });
+
+  describe('computeGraph', () => {
+    const commit = (hash, ...parents) => ({ hash, parents });
+
+    test('should keep a linear history in one lane', () => {
+      const rows = computeGraph([commit('c', 'b'), commit('b', 'a'), commit('a')]);
+
+      expect(rows.map(row => row.column)).toEqual([0, 0, 0]);
+      expect(rows[0]).toEqual({ column: 0, lanes: 1, top: [], bottom: [[0, 0]] });
+      expect(rows[2]).toEqual({ column: 0, lanes: 1, top: [[0, 0]], bottom: [] });
+    });
+
+    test('should open a lane for a merged branch and close it at the fork point', () => {
+      // m merges x into b; x and b both come from a
+      const rows = computeGraph([commit('m', 'b', 'x'), commit('b', 'a'), commit('x', 'a'), commit('a')]);
+
+      expect(rows.map(row => row.column)).toEqual([0, 0, 1, 0]);
+      expect(rows[0].bottom).toEqual([[0, 0], [0, 1]]);
+      expect(rows[1].bottom).toEqual([[0, 0], [1, 1]]);
+      // x's lane bends back into a's lane
+      expect(rows[2].top).toEqual([[0, 0], [1, 1]]);
+      expect(rows[2].bottom).toEqual([[1, 0], [0, 0]]);
+      expect(rows[3]).toEqual({ column: 0, lanes: 1, top: [[0, 0]], bottom: [] });
+    });
+
+    test('should give branch tips without children their own lane', () => {
+      // Two branch heads (--all) that share the parent p
+      const rows = computeGraph([commit('h1', 'p'), commit('h2', 'p'), commit('p')]);
+
+      expect(rows.map(row => row.column)).toEqual([0, 1, 0]);
+      expect(rows[1].top).toEqual([[0, 0]]);
+      expect(rows[1].bottom).toEqual([[1, 0], [0, 0]]);
+      expect(rows[2].top).toEqual([[0, 0]]);
+    });
+
+    test('should free the lane of a branch once it joins another', () => {
+      const rows = computeGraph([
+        commit('m', 'b', 'x'),
+        commit('x', 'b'),
+        commit('b', 'a'),
+        commit('t', 'a'),
+        commit('a')
+      ]);
+
+      expect(rows.map(row => row.column)).toEqual([0, 1, 0, 1, 0]);
+    });
+  });
+});
@@ -0,0 +1,418 @@
+// Test file for the git operations behind the Git panel
+
+const {
+  getStatus,
+  getFileDiff,
+  stageFiles,
+  unstageFiles,
+  applyHunk,
+  getBranches,
+  stashChanges,
+  switchBranch,
+  createBranch,
+  deleteBranch,
+  setUpstream,
+  getLastCommitMessage,
+  commit,
+  getLog,
+  getCommitFiles,
+  getCommitFileDiff,
+  cherryPick,
+  revertCommit,
+  getStashes,
+  getStashFiles,
+  getStashFileDiff,
+  applyStash,
+  dropStash
+} = require('../../terminal/git-service');
+
+describe('Git Service', () => {
+  // Records each git call and answers with the stdout registered for its first
+  // argument, or the result registered as a function of all arguments
+  const createRunner = (responses = {}) => {
+    const calls = [];
+    const run = jest.fn(async (cwd, args, options = {}) => {
+      calls.push({ cwd, args, options });
+      const response = responses[args[0]];
+      if (response instanceof Error) throw response;
+      if (typeof response === 'function') return response(args);
+      return { stdout: response || '', stderr: '', exitCode: 0 };
+    });
+    return { run, calls };
+  };
+
+  const fileDiff = [
+    'diff --git a/app.js b/app.js',
+    'index 1..2 100644',
+    '--- a/app.js',
+    '+++ b/app.js',
+    '@@ -1,2 +1,2 @@',
+    '-old',
+    '+new',
+    ' same',
+    '@@ -9 +9 @@',
+    '-x',
+    '+y',
+    ''
+  ].join('\n');
+
+  describe('getStatus', () => {
+    test('should run porcelain v2 status from the repository root', async () => {
+      const { run, calls } = createRunner({
+        'rev-parse': '/work/repo\n',
+        status: '# branch.head main\0? notes.md\0'
+      });
+
+      const status = await getStatus('/work/repo/packages/web', run);
+
+      expect(calls[1]).toEqual(expect.objectContaining({
+        cwd: '/work/repo',
+        args: ['status', '--porcelain=v2', '--branch', '-z', '--untracked-files=all']
+      }));
+      expect(status.root).toBe('/work/repo');
+      expect(status.branch.head).toBe('main');
+      expect(status.untracked.map(file => file.path)).toEqual(['notes.md']);
+    });
+
+    test('should report folders outside a repository', async () => {
+      const { run } = createRunner({ 'rev-parse': new Error('fatal: not a git repository (or any of the parent directories): .git') });
+
+      await expect(getStatus('/tmp', run)).resolves.toEqual({ root: null });
+    });
+  });
+
+  describe('getFileDiff', () => {
+    test('should diff staged, unstaged and untracked files', async () => {
+      const { run, calls } = createRunner({ diff: fileDiff });
+
+      await getFileDiff('/repo', 'app.js', {}, run);
+      await getFileDiff('/repo', 'app.js', { staged: true }, run);
+      await getFileDiff('/repo', 'new.txt', { untracked: true }, run);
+
+      expect(calls[0].args.slice(-2)).toEqual(['--', 'app.js']);
+      expect(calls[1].args).toContain('--cached');
+      expect(calls[2].args.slice(-4)).toEqual(['--no-index', '--', '/dev/null', 'new.txt']);
+      expect(calls[2].options.okExitCodes).toEqual([0, 1]);
+    });
+  });
+
+  describe('staging', () => {
+    test('should stage and unstage whole files', async () => {
+      const { run, calls } = createRunner();
+
+      await stageFiles('/repo', ['a.js', '-weird.js'], run);
+      await unstageFiles('/repo', ['a.js'], run);
+
+      expect(calls.map(call => call.args)).toEqual([
+        ['add', '--', 'a.js', '-weird.js'],
+        ['reset', '-q', '--', 'a.js']
+      ]);
+    });
+
+    test('should apply the matching hunk to the index', async () => {
+      const { run, calls } = createRunner({ diff: fileDiff });
+
+      await applyHunk('/repo', 'app.js', '@@ -9 +9 @@', {}, run);
+
+      expect(calls[1].args).toEqual(['apply', '--cached', '--whitespace=nowarn', '-']);
+      expect(calls[1].options.input).toContain('@@ -9 +9 @@\n-x\n+y\n');
+      expect(calls[1].options.input).not.toContain('-old');
+    });
+
+    test('should unstage a hunk by reversing it from the staged diff', async () => {
+      const { run, calls } = createRunner({ diff: fileDiff });
+
+      await applyHunk('/repo', 'app.js', '@@ -1,2 +1,2 @@', { unstage: true }, run);
+
+      expect(calls[0].args).toContain('--cached');
+      expect(calls[1].args).toEqual(['apply', '--cached', '--whitespace=nowarn', '--reverse', '-']);
+    });
+
+    test('should refuse a hunk that is no longer in the diff', async () => {
+      const { run } = createRunner({ diff: fileDiff });
+
+      await expect(applyHunk('/repo', 'app.js', '@@ -5 +5 @@', {}, run)).rejects.toThrow(/changed since its diff was shown/);
+    });
+  });
+
+  describe('branches', () => {
+    test('should list local and remote branches from the repository root', async () => {
+      const { run, calls } = createRunner({
+        'rev-parse': '/repo\n',
+        'for-each-ref': 'refs/heads/main\0main\0abc\0origin/main\0ahead 1\0*\0now\0Fix\n'
+      });
+
+      const branches = await getBranches('/repo/src', run);
+
+      expect(calls[1].cwd).toBe('/repo');
+      expect(calls[1].args.slice(-2)).toEqual(['refs/heads', 'refs/remotes']);
+      expect(branches.current).toBe('main');
+      expect(branches.local[0].ahead).toBe(1);
+    });
+
+    test('should switch to local branches and track remote ones', async () => {
+      const { run, calls } = createRunner();
+
+      await switchBranch('/repo', 'develop', {}, run);
+      await switchBranch('/repo', 'origin/feature', { remote: true }, run);
+
+      expect(calls.map(call => call.args)).toEqual([
+        ['switch', 'develop'],
+        ['switch', '--track', 'origin/feature']
+      ]);
+    });
+
+    test('should stash before switching and restore the stash when the switch fails', async () => {
+      const { run, calls } = createRunner({
+        stash: 'Saved working directory and index state On main: Before switching to develop',
+        switch: new Error('error: pathspec did not match')
+      });
+
+      await expect(switchBranch('/repo', 'develop', { stash: true }, run)).rejects.toThrow(/pathspec/);
+
+      expect(calls.map(call => call.args)).toEqual([
+        ['stash', 'push', '-m', 'Before switching to develop'],
+        ['switch', 'develop'],
+        ['stash', 'pop', '--quiet']
+      ]);
+    });
+
+    test('should not pop anything when there was nothing to stash', async () => {
+      const { run, calls } = createRunner({ stash: 'No local changes to save\n' });
+
+      await expect(switchBranch('/repo', 'develop', { stash: true }, run)).resolves.toEqual({ stashed: false });
+      expect(calls).toHaveLength(2);
+    });
+
+    test('should create branches with or without switching to them', async () => {
+      const { run, calls } = createRunner();
+
+      await createBranch('/repo', 'feature/a', 'v1.0', {}, run);
+      await createBranch('/repo', 'feature/b', '', { checkout: true }, run);
+
+      expect(calls.map(call => call.args)).toEqual([
+        ['branch', 'feature/a', 'v1.0'],
+        ['switch', '-c', 'feature/b']
+      ]);
+    });
+
+    test('should mark branches that are not fully merged', async () => {
+      const { run } = createRunner({ branch: new Error("error: the branch 'old' is not fully merged.") });
+
+      await expect(deleteBranch('/repo', 'old', {}, run)).rejects.toMatchObject({ unmerged: true });
+    });
+
+    test('should force delete and set or unset upstreams', async () => {
+      const { run, calls } = createRunner();
+
+      await deleteBranch('/repo', 'old', { force: true }, run);
+      await setUpstream('/repo', 'main', 'origin/main', run);
+      await setUpstream('/repo', 'main', '', run);
+
+      expect(calls.map(call => call.args)).toEqual([
+        ['branch', '-D', 'old'],
+        ['branch', '--set-upstream-to=origin/main', 'main'],
+        ['branch', '--unset-upstream', 'main']
+      ]);
+    });
+  });
+
+  describe('commit', () => {
+    test('should pass the message on stdin instead of the command line', async () => {
+      const { run, calls } = createRunner({ 'rev-parse': 'abc1234\n' });
+      const message = 'fix: quote "this" and `that` $(rm -rf /)';
+
+      await expect(commit('/repo', message, {}, run)).resolves.toEqual({ oid: 'abc1234' });
+
+      expect(calls[0].args).toEqual(['commit', '-F', '-']);
+      expect(calls[0].options.input).toBe(message);
+      expect(calls[0].options.timeoutMs).toBeGreaterThan(15000);
+    });
+
+    test('should add amend, sign-off and no-verify flags', async () => {
+      const { run, calls } = createRunner();
+
+      await commit('/repo', 'msg', { amend: true, signoff: true, noVerify: true }, run);
+
+      expect(calls[0].args).toEqual(['commit', '-F', '-', '--amend', '--signoff', '--no-verify']);
+    });
+
+    test('should stage everything first when asked to', async () => {
+      const { run, calls } = createRunner();
+
+      await commit('/repo', 'msg', { stageAll: true }, run);
+
+      expect(calls.map(call => call.args[0])).toEqual(['add', 'commit', 'rev-parse']);
+      expect(calls[0].args).toEqual(['add', '--all']);
+    });
+
+    test('should commit only the selected files, adding the untracked ones first', async () => {
+      const { run, calls } = createRunner({ 'ls-files': 'new file.txt\0' });
+
+      await commit('/repo', 'msg', { paths: ['src/a.js', 'new file.txt'] }, run);
+
+      expect(calls[0].args).toEqual(['ls-files', '--others', '--exclude-standard', '-z', '--', 'src/a.js', 'new file.txt']);
+      expect(calls[1].args).toEqual(['add', '--', 'new file.txt']);
+      expect(calls[2].args).toEqual(['commit', '-F', '-', '--only', '--', 'src/a.js', 'new file.txt']);
+    });
+
+    test('should leave a deleted file to commit --only', async () => {
+      const { run, calls } = createRunner({ 'ls-files': '' });
+
+      await commit('/repo', 'msg', { paths: ['gone.js'] }, run);
+
+      expect(calls.map(call => call.args[0])).toEqual(['ls-files', 'commit', 'rev-parse']);
+      expect(calls[1].args).toEqual(['commit', '-F', '-', '--only', '--', 'gone.js']);
+    });
+
+    test('should commit both names of a renamed file without adding the old one', async () => {
+      const { run, calls } = createRunner({ 'ls-files': '' });
+
+      await commit('/repo', 'msg', { paths: ['src/new.js', 'src/old.js'] }, run);
+
+      expect(calls.map(call => call.args[0])).toEqual(['ls-files', 'commit', 'rev-parse']);
+      expect(calls[1].args).toEqual(['commit', '-F', '-', '--only', '--', 'src/new.js', 'src/old.js']);
+    });
+
+    test('should read the last commit message, empty before the first commit', async () => {
+      const { run } = createRunner({ log: 'feat: add x\n\nbody\n\n' });
+      const empty = createRunner({ log: new Error("fatal: your current branch 'main' does not have any commits yet") });
+
+      await expect(getLastCommitMessage('/repo', run)).resolves.toBe('feat: add x\n\nbody');
+      await expect(getLastCommitMessage('/repo', empty.run)).resolves.toBe('');
+    });
+  });
+
+  describe('history', () => {
+    test('should read a page of the log from the repository root', async () => {
+      const { run, calls } = createRunner({
+        'rev-parse': '/repo\n',
+        log: ['a'.repeat(40), '', 'Ada', 'ada@example.com', '1700000000', '', 'Init', ''].join('\x1f') + '\0'
+      });
+
+      const result = await getLog('/repo/src', { limit: 10, all: true }, run);
+
+      expect(calls[1].cwd).toBe('/repo');
+      expect(calls[1].args).toEqual(expect.arrayContaining(['--max-count=10', '--all']));
+      expect(result.commits.map(commit => commit.subject)).toEqual(['Init']);
+    });
+
+    test('should show an empty history before the first commit', async () => {
+      const { run } = createRunner({
+        'rev-parse': '/repo\n',
+        log: new Error("fatal: your current branch 'main' does not have any commits yet")
+      });
+
+      await expect(getLog('/repo', {}, run)).resolves.toEqual({ root: '/repo', commits: [] });
+    });
+
+    test('should list and diff the files of a commit against its first parent', async () => {
+      const { run, calls } = createRunner({ show: 'M\0app.js\0' });
+
+      await expect(getCommitFiles('/repo', 'abc1234', run)).resolves.toEqual([{ status: 'M', origPath: null, path: 'app.js' }]);
+      await getCommitFileDiff('/repo', 'abc1234', ['new.js', 'old.js'], run);
+
+      expect(calls[0].args).toEqual(expect.arrayContaining(['-m', '--first-parent', '--name-status', '-z', 'abc1234']));
+      expect(calls[1].args.slice(-4)).toEqual(['abc1234', '--', 'new.js', 'old.js']);
+      expect(calls[1].args).toContain('--no-ext-diff');
+    });
+  });
+
+  describe('cherry-pick and revert', () => {
+    test('should pick and revert commits, merges relative to their first parent', async () => {
+      const { run, calls } = createRunner();
+
+      await cherryPick('/repo', 'abc1234', {}, run);
+      await cherryPick('/repo', 'def5678', { mainline: true }, run);
+      await revertCommit('/repo', 'abc1234', {}, run);
+
+      expect(calls.map(call => call.args)).toEqual([
+        ['cherry-pick', 'abc1234'],
+        ['cherry-pick', '-m', '1', 'def5678'],
+        ['revert', '--no-edit', 'abc1234']
+      ]);
+    });
+
+    test('should explain how to continue after conflicts', async () => {
+      const { run } = createRunner({ 'cherry-pick': new Error('error: could not apply abc1234... Fix\nCONFLICT (content): Merge conflict in app.js') });
+
+      await expect(cherryPick('/repo', 'abc1234', {}, run)).rejects.toThrow(/git cherry-pick --continue/);
+    });
+  });
+
+  describe('stashes', () => {
+    const stashHash = 'a'.repeat(40);
+    const stashList = ['b'.repeat(40), 'c'.repeat(40), '1700000000', 'On main: Newer'].join('\x1f') + '\0' +
+      [stashHash, 'c'.repeat(40), '1690000000', 'On main: Older'].join('\x1f') + '\0';
+    // stash list answers with the list above, other stash commands with result
+    const stashRunner = (result = { stdout: '', stderr: '', exitCode: 0 }) => createRunner({
+      'rev-parse': '/repo\n',
+      stash: (args) => (args[1] === 'list' ? { stdout: stashList, stderr: '', exitCode: 0 } : result)
+    });
+
+    test('should stash with a message and untracked files when asked', async () => {
+      const { run, calls } = createRunner({ stash: 'Saved working directory and index state On main: wip' });
+
+      await switchBranch('/repo', 'develop', { stash: true }, run);
+      await expect(stashChanges('/repo', 'wip', { includeUntracked: true }, run)).resolves.toBe(true);
+      await stashChanges('/repo', '', {}, run);
+
+      expect(calls.map(call => call.args).filter(args => args[0] === 'stash')).toEqual([
+        ['stash', 'push', '-m', 'Before switching to develop'],
+        ['stash', 'push', '--include-untracked', '-m', 'wip'],
+        ['stash', 'push']
+      ]);
+    });
+
+    test('should list the stashes of the repository', async () => {
+      const { run } = stashRunner();
+
+      const result = await getStashes('/repo/src', run);
+
+      expect(result.root).toBe('/repo');
+      expect(result.stashes.map(stash => stash.message)).toEqual(['Newer', 'Older']);
+    });
+
+    test('should apply, pop and drop a stash by its current position', async () => {
+      const { run, calls } = stashRunner();
+
+      await applyStash('/repo', stashHash, {}, run);
+      await applyStash('/repo', stashHash, { pop: true }, run);
+      await dropStash('/repo', stashHash, run);
+
+      expect(calls.map(call => call.args).filter(args => args[1] !== 'list')).toEqual([
+        ['stash', 'apply', 'stash@{1}'],
+        ['stash', 'pop', 'stash@{1}'],
+        ['stash', 'drop', 'stash@{1}']
+      ]);
+    });
+
+    test('should refuse a stash that is no longer in the list', async () => {
+      const { run, calls } = stashRunner();
+
+      await expect(dropStash('/repo', 'f'.repeat(40), run)).rejects.toThrow(/no longer exists/);
+      expect(calls).toHaveLength(1);
+    });
+
+    test('should report conflicts and keep other errors from git', async () => {
+      const conflict = stashRunner({ stdout: 'Auto-merging app.js\nCONFLICT (content): Merge conflict in app.js\n', stderr: '', exitCode: 1 });
+      const refused = stashRunner({ stdout: '', stderr: 'error: Your local changes would be overwritten by merge.\n', exitCode: 1 });
+
+      await expect(applyStash('/repo', stashHash, { pop: true }, conflict.run)).rejects.toThrow(/conflicts and has been kept/);
+      await expect(applyStash('/repo', stashHash, {}, refused.run)).rejects.toThrow(/would be overwritten/);
+    });
+
+    test('should read untracked files from the third parent of a stash', async () => {
+      const { run, calls } = createRunner({ show: (args) => ({ stdout: args.includes(`${stashHash}^3`) ? 'A\0new.txt\0' : 'M\0app.js\0', stderr: '', exitCode: 0 }) });
+
+      const files = await getStashFiles('/repo', stashHash, { untracked: true }, run);
+      await getStashFileDiff('/repo', stashHash, ['new.txt'], { untracked: true }, run);
+
+      expect(files).toEqual([
+        { status: 'M', origPath: null, path: 'app.js' },
+        { status: 'A', origPath: null, path: 'new.txt', untracked: true }
+      ]);
+      expect(calls[2].args.slice(-3)).toEqual([`${stashHash}^3`, '--', 'new.txt']);
+    });
+  });
+});
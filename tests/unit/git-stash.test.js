@@ -0,0 +1,48 @@
+// Test file for the stash list of the stash manager
+
+const { parseStashList } = require('../../terminal/git-stash');
+
+describe('Git Stash', () => {
+  const entry = (...fields) => fields.join('\x1f');
+
+  describe('parseStashList', () => {
+    const output = [
+      entry('a'.repeat(40), 'b'.repeat(40) + ' ' + 'c'.repeat(40), '1700000000', 'WIP on main: 1a2b3c4 Fix login'),
+      entry('d'.repeat(40), 'b'.repeat(40) + ' ' + 'e'.repeat(40) + ' ' + 'f'.repeat(40), '1690000000', 'On feature/x: Half-done refactor'),
+      ''
+    ].join('\0');
+
+    test('should number entries from the newest', () => {
+      const stashes = parseStashList(output);
+
+      expect(stashes).toHaveLength(2);
+      expect(stashes.map(stash => stash.ref)).toEqual(['stash@{0}', 'stash@{1}']);
+      expect(stashes[1]).toMatchObject({ index: 1, hash: 'd'.repeat(40), date: 1690000000000 });
+    });
+
+    test('should split the branch off the message', () => {
+      const [wip, named] = parseStashList(output);
+
+      expect(wip).toMatchObject({ branch: 'main', message: 'WIP: 1a2b3c4 Fix login' });
+      expect(named).toMatchObject({ branch: 'feature/x', message: 'Half-done refactor' });
+    });
+
+    test('should tell stashes with untracked files by their third parent', () => {
+      const [wip, named] = parseStashList(output);
+
+      expect(wip.untracked).toBe(false);
+      expect(named.untracked).toBe(true);
+    });
+
+    test('should keep a subject it does not recognise as the message', () => {
+      const [stash] = parseStashList(entry('a'.repeat(40), 'b'.repeat(40), '1700000000', 'autostash'));
+
+      expect(stash).toMatchObject({ branch: null, message: 'autostash' });
+    });
+
+    test('should return no entries for empty output', () => {
+      expect(parseStashList('')).toEqual([]);
+      expect(parseStashList(null)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,75 @@
+// Test file for parsing git status --porcelain=v2 output
+
+const { parseStatus, groupByDirectory } = require('../../terminal/git-status');
+
+describe('Git Status', () => {
+  const entries = (...lines) => lines.join('\0') + '\0';
+
+  describe('parseStatus', () => {
+    test('should read the branch headers', () => {
+      const { branch } = parseStatus(entries(
+        '# branch.oid 1a2b3c4d',
+        '# branch.head feature/login',
+        '# branch.upstream origin/feature/login',
+        '# branch.ab +2 -1'
+      ));
+
+      expect(branch).toEqual({
+        oid: '1a2b3c4d',
+        head: 'feature/login',
+        detached: false,
+        upstream: 'origin/feature/login',
+        ahead: 2,
+        behind: 1
+      });
+    });
+
+    test('should handle a new repository and a detached HEAD', () => {
+      expect(parseStatus(entries('# branch.oid (initial)', '# branch.head main')).branch.oid).toBeNull();
+      expect(parseStatus(entries('# branch.head (detached)')).branch).toEqual(expect.objectContaining({ head: null, detached: true }));
+    });
+
+    test('should split files into staged, unstaged, untracked and conflicted', () => {
+      const status = parseStatus(entries(
+        '1 M. N... 100644 100644 100644 aaa bbb src/app.js',
+        '1 .M N... 100644 100644 100644 aaa aaa README.md',
+        '1 MM N... 100644 100644 100644 aaa ccc src/file with spaces.js',
+        '1 A. N... 000000 100644 100644 000 ddd new.txt',
+        '2 R. N... 100644 100644 100644 eee eee R100 lib/new-name.js',
+        'lib/old-name.js',
+        'u UU N... 100644 100644 100644 100644 f1 f2 f3 merge.txt',
+        '? notes/todo.md'
+      ));
+
+      expect(status.staged).toEqual([
+        { path: 'src/app.js', origPath: null, status: 'M' },
+        { path: 'src/file with spaces.js', origPath: null, status: 'M' },
+        { path: 'new.txt', origPath: null, status: 'A' },
+        { path: 'lib/new-name.js', origPath: 'lib/old-name.js', status: 'R' }
+      ]);
+      expect(status.unstaged.map(file => file.path)).toEqual(['README.md', 'src/file with spaces.js']);
+      expect(status.untracked).toEqual([{ path: 'notes/todo.md', origPath: null, status: '?' }]);
+      expect(status.conflicted).toEqual([{ path: 'merge.txt', origPath: null, status: 'U', conflict: 'UU' }]);
+    });
+
+    test('should return empty lists for a clean tree', () => {
+      const status = parseStatus('');
+
+      expect(status.staged).toEqual([]);
+      expect(status.untracked).toEqual([]);
+    });
+  });
+
+  describe('groupByDirectory', () => {
+    test('should group files by folder with the root first', () => {
+      const groups = groupByDirectory([
+        { path: 'src/b.js', status: 'M' },
+        { path: 'package.json', status: 'M' },
+        { path: 'src/a.js', status: 'A' }
+      ]);
+
+      expect(groups.map(group => group.directory)).toEqual(['', 'src']);
+      expect(groups[1].files.map(file => file.name)).toEqual(['a.js', 'b.js']);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+// Test file for terminal output export formats
+
+const {
+  EXPORT_FORMATS,
+  getExportFormat,
+  stripAnsi,
+  getDefaultFileName,
+  buildHtmlDocument,
+  buildExportContent
+} = require('../../terminal/output-export');
+
+describe('Output Export', () => {
+  const ansiOutput = '\x1b[32m✓ built in 1.2s\x1b[39m\r\n\x1b[1;31mError:\x1b[0m missing module\r\n';
+
+  describe('getExportFormat', () => {
+    test('should describe every supported format', () => {
+      expect(Object.keys(EXPORT_FORMATS)).toEqual(['text', 'ansi', 'html']);
+      expect(getExportFormat('html').extension).toBe('html');
+    });
+
+    test('should reject unknown formats', () => {
+      expect(() => getExportFormat('pdf')).toThrow('Unsupported export format: pdf');
+    });
+  });
+
+  describe('stripAnsi', () => {
+    test('should remove SGR color sequences', () => {
+      expect(stripAnsi(ansiOutput)).toBe('✓ built in 1.2s\r\nError: missing module\r\n');
+    });
+
+    test('should remove cursor movement and OSC sequences', () => {
+      const text = '\x1b]0;npm run dev\x07\x1b[2K\x1b[1G\x1b(Bready\x1b]7;file:///mock/project\x1b\\\x1b7';
+
+      expect(stripAnsi(text)).toBe('ready');
+    });
+  });
+
+  describe('getDefaultFileName', () => {
+    const date = new Date('2024-12-13T10:30:00.000Z');
+
+    test('should build a filesystem-safe name from the tab title', () => {
+      expect(getDefaultFileName('🐚 Bash 2', 'text', date)).toBe('bash-2-2024-12-13.txt');
+      expect(getDefaultFileName('flutter run: Pixel/7', 'html', date)).toBe('flutter-run-pixel-7-2024-12-13.html');
+    });
+
+    test('should fall back to a generic name', () => {
+      expect(getDefaultFileName('', 'ansi', date)).toBe('terminal-2024-12-13.ansi');
+      expect(getDefaultFileName('🚀', 'ansi', date)).toBe('terminal-2024-12-13.ansi');
+    });
+  });
+
+  describe('buildHtmlDocument', () => {
+    const serialized = '<html><body><!--StartFragment--><pre><div style=\'color: #ffffff;\'>ok</div></pre><!--EndFragment--></body></html>';
+
+    test('should wrap the serialized fragment in a standalone document', () => {
+      const html = buildHtmlDocument(serialized, { title: 'Build <log>', background: '#000000' });
+
+      expect(html).toContain('<!DOCTYPE html>');
+      expect(html).toContain('<meta charset="utf-8">');
+      expect(html).toContain('<title>Build &lt;log&gt;</title>');
+      expect(html).toContain('background: #000000');
+      expect(html).toContain('<pre><div style=\'color: #ffffff;\'>ok</div></pre>');
+      expect(html).not.toContain('StartFragment');
+    });
+
+    test('should keep content without fragment markers', () => {
+      expect(buildHtmlDocument('<pre>plain</pre>')).toContain('<pre>plain</pre>');
+    });
+  });
+
+  describe('buildExportContent', () => {
+    test('should strip escapes for plain text and keep them for raw ANSI', () => {
+      expect(buildExportContent({ content: ansiOutput, format: 'text' })).not.toContain('\x1b');
+      expect(buildExportContent({ content: ansiOutput, format: 'ansi' })).toBe(ansiOutput);
+    });
+
+    test('should reject missing content', () => {
+      expect(() => buildExportContent({ content: null, format: 'text' })).toThrow('Invalid terminal output provided');
+    });
+  });
+});
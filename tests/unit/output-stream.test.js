@@ -0,0 +1,98 @@
+// Test file for stream-aware terminal output helpers
+
+const {
+  STREAMS,
+  createChunkSequencer,
+  colorizeStderr,
+  renderChunk,
+  StreamLog
+} = require('../../terminal/output-stream');
+
+describe('Output Streams', () => {
+  describe('createChunkSequencer', () => {
+    test('should tag chunks with stream, monotonic sequence and timestamp', () => {
+      const nextChunk = createChunkSequencer();
+
+      const first = nextChunk(STREAMS.STDOUT, 'building...\n');
+      const second = nextChunk(STREAMS.STDERR, 'warning\n');
+
+      expect(first).toEqual(expect.objectContaining({ stream: 'stdout', data: 'building...\n', seq: 1 }));
+      expect(second).toEqual(expect.objectContaining({ stream: 'stderr', data: 'warning\n', seq: 2 }));
+      expect(typeof first.timestamp).toBe('number');
+    });
+
+    test('should keep independent counters per sequencer', () => {
+      const a = createChunkSequencer();
+      const b = createChunkSequencer();
+
+      a(STREAMS.STDOUT, 'x');
+      expect(b(STREAMS.STDOUT, 'y').seq).toBe(1);
+    });
+  });
+
+  describe('stderr coloring', () => {
+    test('should only reset the foreground color', () => {
+      const colored = colorizeStderr('E: failed');
+
+      expect(colored).toBe('\x1b[31mE: failed\x1b[39m');
+      expect(colored).not.toContain('\x1b[0m');
+    });
+
+    test('should leave stderr untouched unless coloring is enabled', () => {
+      const chunk = { stream: STREAMS.STDERR, data: '\x1b[33mwarn\x1b[0m', seq: 1 };
+
+      expect(renderChunk(chunk)).toBe(chunk.data);
+      expect(renderChunk(chunk, { colorStderr: true })).toBe(`\x1b[31m${chunk.data}\x1b[39m`);
+    });
+
+    test('should never color stdout or PTY chunks', () => {
+      expect(renderChunk({ stream: STREAMS.STDOUT, data: 'ok' }, { colorStderr: true })).toBe('ok');
+      expect(renderChunk({ stream: STREAMS.PTY, data: 'ok' }, { colorStderr: true })).toBe('ok');
+    });
+  });
+
+  describe('StreamLog', () => {
+    let log;
+
+    beforeEach(() => {
+      log = new StreamLog(3);
+    });
+
+    test('should return chunks in sequence order', () => {
+      log.add({ stream: STREAMS.STDERR, data: 'b', seq: 2 });
+      log.add({ stream: STREAMS.STDOUT, data: 'a', seq: 1 });
+
+      expect(log.getText()).toBe('ab');
+    });
+
+    test('should filter by a single stream or several streams', () => {
+      log.add({ stream: STREAMS.STDOUT, data: 'out', seq: 1 });
+      log.add({ stream: STREAMS.STDERR, data: 'err', seq: 2 });
+      log.add({ stream: STREAMS.SYSTEM, data: 'sys', seq: 3 });
+
+      expect(log.getText({ stream: STREAMS.STDERR })).toBe('err');
+      expect(log.getText({ stream: [STREAMS.STDOUT, STREAMS.STDERR] })).toBe('outerr');
+      expect(log.hasStream(STREAMS.STDERR)).toBe(true);
+    });
+
+    test('should drop the oldest chunks beyond its limit', () => {
+      [1, 2, 3, 4].forEach(seq => log.add({ stream: STREAMS.STDOUT, data: String(seq), seq }));
+
+      expect(log.getText()).toBe('234');
+    });
+
+    test('should return only chunks after a given sequence', () => {
+      [1, 2, 3].forEach(seq => log.add({ stream: STREAMS.STDOUT, data: String(seq), seq }));
+
+      expect(log.getText({ since: 1 })).toBe('23');
+    });
+
+    test('should clear all chunks', () => {
+      log.add({ stream: STREAMS.STDERR, data: 'err', seq: 1 });
+      log.clear();
+
+      expect(log.getChunks()).toEqual([]);
+      expect(log.hasStream(STREAMS.STDERR)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,99 @@
+// Test file for the split-pane layout tree
+
+const {
+  MIN_RATIO,
+  MAX_RATIO,
+  createPaneLayout,
+  clampRatio,
+  splitPane,
+  removePane,
+  setSplitRatio,
+  getPaneIds,
+  containsPane,
+  getAdjacentPaneId
+} = require('../../terminal/pane-layout');
+
+describe('Pane Layout', () => {
+  const twoByOne = () => {
+    let layout = createPaneLayout('p1');
+    layout = splitPane(layout, 'p1', 'horizontal', 'p2');
+    return splitPane(layout, 'p2', 'vertical', 'p3');
+  };
+
+  describe('splitPane', () => {
+    test('should replace the pane with an even split', () => {
+      const layout = splitPane(createPaneLayout('p1'), 'p1', 'horizontal', 'p2');
+
+      expect(layout).toEqual({
+        type: 'split',
+        direction: 'horizontal',
+        ratio: 0.5,
+        children: [{ type: 'pane', id: 'p1' }, { type: 'pane', id: 'p2' }]
+      });
+    });
+
+    test('should split nested panes and keep reading order', () => {
+      expect(getPaneIds(twoByOne())).toEqual(['p1', 'p2', 'p3']);
+    });
+
+    test('should not mutate the original layout', () => {
+      const original = createPaneLayout('p1');
+      splitPane(original, 'p1', 'vertical', 'p2');
+
+      expect(original).toEqual({ type: 'pane', id: 'p1' });
+    });
+
+    test('should reject unknown panes and directions', () => {
+      expect(() => splitPane(createPaneLayout('p1'), 'p9', 'horizontal', 'p2')).toThrow('Pane p9 not found');
+      expect(() => splitPane(createPaneLayout('p1'), 'p1', 'diagonal', 'p2')).toThrow('Invalid split direction');
+    });
+  });
+
+  describe('removePane', () => {
+    test('should collapse the parent split into the sibling', () => {
+      const layout = removePane(twoByOne(), 'p3');
+
+      expect(layout).toEqual({
+        type: 'split',
+        direction: 'horizontal',
+        ratio: 0.5,
+        children: [{ type: 'pane', id: 'p1' }, { type: 'pane', id: 'p2' }]
+      });
+    });
+
+    test('should return null when the last pane is removed', () => {
+      expect(removePane(createPaneLayout('p1'), 'p1')).toBeNull();
+      expect(getPaneIds(null)).toEqual([]);
+    });
+  });
+
+  describe('setSplitRatio', () => {
+    test('should update the split at the given path', () => {
+      const layout = setSplitRatio(twoByOne(), [1], 0.25);
+
+      expect(layout.ratio).toBe(0.5);
+      expect(layout.children[1].ratio).toBe(0.25);
+    });
+
+    test('should clamp ratios so panes never collapse completely', () => {
+      expect(setSplitRatio(twoByOne(), [], 0).ratio).toBe(MIN_RATIO);
+      expect(setSplitRatio(twoByOne(), [], 1).ratio).toBe(MAX_RATIO);
+      expect(clampRatio(NaN)).toBe(0.5);
+    });
+  });
+
+  describe('getAdjacentPaneId', () => {
+    test('should cycle through panes and wrap around', () => {
+      const layout = twoByOne();
+
+      expect(getAdjacentPaneId(layout, 'p1', 1)).toBe('p2');
+      expect(getAdjacentPaneId(layout, 'p3', 1)).toBe('p1');
+      expect(getAdjacentPaneId(layout, 'p1', -1)).toBe('p3');
+    });
+
+    test('should fall back to the first pane for unknown ids', () => {
+      expect(getAdjacentPaneId(twoByOne(), 'missing')).toBe('p1');
+      expect(containsPane(twoByOne(), 'missing')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,184 @@
+// Test file for problem matchers
+
+const {
+  MAX_PROBLEMS,
+  getMatchers,
+  matchLine,
+  ProblemCollector
+} = require('../../terminal/problem-matchers');
+
+describe('Problem Matchers', () => {
+  const collect = (tool, output, cwd = null) => {
+    const collector = new ProblemCollector({ tools: [tool], cwd });
+    collector.push(output);
+    return collector.getProblems();
+  };
+
+  describe('getMatchers', () => {
+    test('should tag matchers with their tool', () => {
+      expect(getMatchers(['tsc']).map(matcher => [matcher.id, matcher.tool])).toEqual([
+        ['tsc', 'tsc'],
+        ['tsc-pretty', 'tsc']
+      ]);
+    });
+
+    test('should reject unknown tools', () => {
+      expect(() => getMatchers(['cargo'])).toThrow('Unknown problem matcher tool: cargo');
+    });
+  });
+
+  describe('flutter', () => {
+    test('should parse flutter analyze output', () => {
+      const output = [
+        'Analyzing lib...',
+        '',
+        '  error • Undefined name \'titel\' • lib/main.dart:42:7 • undefined_identifier',
+        '   info • Prefer const with constant constructors • lib/home.dart:10:12 • prefer_const_constructors',
+        '',
+        '2 issues found. (ran in 1.8s)',
+        ''
+      ].join('\n');
+
+      expect(collect('flutter', output)).toEqual([
+        { file: 'lib/main.dart', line: 42, column: 7, severity: 'error', message: 'Undefined name \'titel\'', code: 'undefined_identifier', source: 'flutter' },
+        { file: 'lib/home.dart', line: 10, column: 12, severity: 'info', message: 'Prefer const with constant constructors', code: 'prefer_const_constructors', source: 'flutter' }
+      ]);
+    });
+
+    test('should parse dart compile errors from flutter run', () => {
+      const [problem] = collect('flutter', 'lib/main.dart:42:7: Error: The getter \'titel\' isn\'t defined.\n');
+
+      expect(problem).toMatchObject({ file: 'lib/main.dart', line: 42, column: 7, severity: 'error' });
+    });
+  });
+
+  describe('flake8', () => {
+    test('should map error codes to severities', () => {
+      const problems = collect('flake8', './app.py:10:1: E302 expected 2 blank lines, found 1\n./app.py:3:80: W291 trailing whitespace\n');
+
+      expect(problems.map(problem => [problem.code, problem.severity])).toEqual([
+        ['E302', 'error'],
+        ['W291', 'warning']
+      ]);
+    });
+  });
+
+  describe('pytest', () => {
+    test('should parse failure locations and skip library frames', () => {
+      const output = [
+        '    def test_add():',
+        '>       assert add(1, 2) == 4',
+        'E       assert 3 == 4',
+        '',
+        'tests/test_math.py:12: AssertionError',
+        '  File "/usr/lib/python3.11/site-packages/pluggy/_hooks.py", line 493, in __call__',
+        ''
+      ].join('\n');
+
+      expect(collect('pytest', output)).toEqual([
+        { file: 'tests/test_math.py', line: 12, column: 1, severity: 'error', message: 'AssertionError', code: null, source: 'pytest' }
+      ]);
+    });
+  });
+
+  describe('jest', () => {
+    test('should pair a failing test title with its first stack frame', () => {
+      const output = [
+        '  ● Math › adds numbers',
+        '',
+        '    expect(received).toBe(expected)',
+        '',
+        '      at Object.toBe (/mock/project/src/math.test.js:12:5)',
+        '      at Promise.then.completed (/mock/project/node_modules/jest-circus/build/utils.js:298:28)',
+        ''
+      ].join('\n');
+
+      expect(collect('jest', output)).toEqual([
+        { file: '/mock/project/src/math.test.js', line: 12, column: 5, severity: 'error', message: 'Math › adds numbers', code: null, source: 'jest' }
+      ]);
+    });
+
+    test('should ignore stack traces without a failing test', () => {
+      expect(collect('jest', '    at Object.<anonymous> (/mock/project/src/app.js:3:9)\n')).toEqual([]);
+    });
+  });
+
+  describe('tsc', () => {
+    test('should parse plain and pretty output', () => {
+      const output = [
+        'src/app.ts(12,5): error TS2322: Type \'string\' is not assignable to type \'number\'.',
+        'src/util.ts:3:10 - warning TS6133: \'x\' is declared but its value is never read.',
+        ''
+      ].join('\n');
+
+      expect(collect('tsc', output).map(problem => [problem.file, problem.line, problem.severity, problem.code])).toEqual([
+        ['src/app.ts', 12, 'error', 'TS2322'],
+        ['src/util.ts', 3, 'warning', 'TS6133']
+      ]);
+    });
+  });
+
+  describe('eslint', () => {
+    test('should parse the stylish formatter using the preceding file line', () => {
+      const output = [
+        '',
+        '/mock/project/src/app.js',
+        '   3:9   error    \'foo\' is not defined  no-undef',
+        '  10:1   warning  Unexpected console statement  no-console',
+        '',
+        '✖ 2 problems (1 error, 1 warning)',
+        ''
+      ].join('\n');
+
+      expect(collect('eslint', output)).toEqual([
+        { file: '/mock/project/src/app.js', line: 3, column: 9, severity: 'error', message: '\'foo\' is not defined', code: 'no-undef', source: 'eslint' },
+        { file: '/mock/project/src/app.js', line: 10, column: 1, severity: 'warning', message: 'Unexpected console statement', code: 'no-console', source: 'eslint' }
+      ]);
+    });
+
+    test('should parse the unix formatter', () => {
+      const [problem] = collect('eslint', 'src/app.js:3:9: \'foo\' is not defined. [Error/no-undef]\n');
+
+      expect(problem).toMatchObject({ file: 'src/app.js', severity: 'error', code: 'no-undef' });
+    });
+  });
+
+  describe('ProblemCollector', () => {
+    test('should join lines split across chunks and strip ANSI colors', () => {
+      const collector = new ProblemCollector({ tools: ['tsc'] });
+
+      expect(collector.push('\x1b[96msrc/app.ts\x1b[0m:\x1b[93m12\x1b[0m:5 - \x1b[91merror\x1b[0m TS23')).toEqual([]);
+      expect(collector.push('22: Bad type\r\n')).toHaveLength(1);
+      expect(collector.getProblems()[0]).toMatchObject({ file: 'src/app.ts', line: 12, code: 'TS2322' });
+    });
+
+    test('should resolve relative paths against the terminal directory', () => {
+      const [problem] = collect('flake8', 'app.py:1:1: F401 unused import\n', '/mock/project');
+
+      expect(problem.file).toBe(require('path').resolve('/mock/project', 'app.py'));
+    });
+
+    test('should de-duplicate repeated problems and clear', () => {
+      const collector = new ProblemCollector({ tools: ['flake8'] });
+      collector.push('app.py:1:1: F401 unused import\napp.py:1:1: F401 unused import\n');
+
+      expect(collector.getProblems()).toHaveLength(1);
+      collector.clear();
+      expect(collector.getProblems()).toEqual([]);
+    });
+
+    test('should cap the number of problems', () => {
+      const collector = new ProblemCollector({ tools: ['flake8'] });
+      const output = Array.from({ length: MAX_PROBLEMS + 5 }, (_, i) => `app.py:${i + 1}:1: E501 line too long`).join('\n');
+      collector.push(`${output}\n`);
+
+      expect(collector.getProblems()).toHaveLength(MAX_PROBLEMS);
+    });
+
+    test('matchLine should leave unrelated lines alone', () => {
+      const [matcher] = getMatchers(['flake8']);
+
+      expect(matchLine(matcher, 'Compiling... 42%')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,131 @@
+// Test file for terminal process tree management
+
+const {
+  parsePsOutput,
+  parseWindowsProcessJson,
+  getDescendants,
+  killProcess
+} = require('../../terminal/process-tree');
+
+describe('Process Tree', () => {
+  describe('parsePsOutput', () => {
+    test('should parse pid, ppid, cpu, memory and full command line', () => {
+      const output = [
+        '  100     1  0.0  2048 /bin/zsh -i',
+        '  200   100 12.5 51200 node /mock/project/node_modules/.bin/vite --port 3000',
+        ''
+      ].join('\n');
+
+      expect(parsePsOutput(output)).toEqual([
+        { pid: 100, ppid: 1, cpu: 0, memory: 2048 * 1024, command: '/bin/zsh -i' },
+        { pid: 200, ppid: 100, cpu: 12.5, memory: 51200 * 1024, command: 'node /mock/project/node_modules/.bin/vite --port 3000' }
+      ]);
+    });
+
+    test('should accept comma decimal separators from localized ps', () => {
+      const [proc] = parsePsOutput('300 100 3,7 1024 flutter run');
+      expect(proc.cpu).toBeCloseTo(3.7);
+    });
+
+    test('should skip lines that do not match the expected columns', () => {
+      expect(parsePsOutput('PID PPID %CPU RSS ARGS\ngarbage')).toEqual([]);
+    });
+  });
+
+  describe('parseWindowsProcessJson', () => {
+    test('should parse an array of Win32_Process entries', () => {
+      const output = JSON.stringify([
+        { ProcessId: 10, ParentProcessId: 4, WorkingSetSize: 4096, Name: 'cmd.exe', CommandLine: 'cmd.exe /k' },
+        { ProcessId: 11, ParentProcessId: 10, WorkingSetSize: 8192, Name: 'node.exe', CommandLine: null }
+      ]);
+
+      expect(parseWindowsProcessJson(output)).toEqual([
+        { pid: 10, ppid: 4, cpu: null, memory: 4096, command: 'cmd.exe /k' },
+        { pid: 11, ppid: 10, cpu: null, memory: 8192, command: 'node.exe' }
+      ]);
+    });
+
+    test('should handle a single object and empty output', () => {
+      const single = JSON.stringify({ ProcessId: 5, ParentProcessId: 1, WorkingSetSize: 0, Name: 'System' });
+
+      expect(parseWindowsProcessJson(single)).toHaveLength(1);
+      expect(parseWindowsProcessJson('  ')).toEqual([]);
+    });
+  });
+
+  describe('getDescendants', () => {
+    const processes = [
+      { pid: 1, ppid: 0, command: 'init' },
+      { pid: 100, ppid: 1, command: 'bash' },
+      { pid: 200, ppid: 100, command: 'npm run dev' },
+      { pid: 300, ppid: 200, command: 'node server.js' },
+      { pid: 400, ppid: 100, command: 'pytest -f' },
+      { pid: 500, ppid: 1, command: 'unrelated' }
+    ];
+
+    test('should return every descendant with its depth', () => {
+      const descendants = getDescendants(processes, 100);
+
+      expect(descendants.map(proc => [proc.pid, proc.depth])).toEqual([
+        [200, 1],
+        [400, 1],
+        [300, 2]
+      ]);
+    });
+
+    test('should not include the root or unrelated processes', () => {
+      const pids = getDescendants(processes, 100).map(proc => proc.pid);
+
+      expect(pids).not.toContain(100);
+      expect(pids).not.toContain(500);
+    });
+
+    test('should return an empty list for a process without children', () => {
+      expect(getDescendants(processes, 300)).toEqual([]);
+    });
+
+    test('should not loop forever on cyclic parent links', () => {
+      const cyclic = [
+        { pid: 10, ppid: 20, command: 'a' },
+        { pid: 20, ppid: 10, command: 'b' }
+      ];
+
+      expect(getDescendants(cyclic, 10).map(proc => proc.pid)).toEqual([20]);
+    });
+  });
+
+  describe('killProcess', () => {
+    let killSpy;
+
+    afterEach(() => {
+      killSpy.mockRestore();
+    });
+
+    test('should send the requested signal', () => {
+      killSpy = jest.spyOn(process, 'kill').mockImplementation(() => true);
+
+      expect(killProcess(1234, 'SIGKILL')).toBe(true);
+      expect(killSpy).toHaveBeenCalledWith(1234, 'SIGKILL');
+    });
+
+    test('should treat already-exited processes as not killed', () => {
+      killSpy = jest.spyOn(process, 'kill').mockImplementation(() => {
+        const error = new Error('kill ESRCH');
+        error.code = 'ESRCH';
+        throw error;
+      });
+
+      expect(killProcess(1234)).toBe(false);
+    });
+
+    test('should rethrow permission errors', () => {
+      killSpy = jest.spyOn(process, 'kill').mockImplementation(() => {
+        const error = new Error('kill EPERM');
+        error.code = 'EPERM';
+        throw error;
+      });
+
+      expect(() => killProcess(1)).toThrow('EPERM');
+    });
+  });
+});
@@ -0,0 +1,237 @@
+// Test file for project-local .easydebug configuration files
+
+const path = require('path');
+const {
+  findConfigFile,
+  parseConfigText,
+  validateProjectConfig,
+  loadProjectConfig,
+  needsTrust,
+  applyTrust,
+  isInsideProject
+} = require('../../terminal/project-config');
+const { createFileSystem } = require('../mocks/file-system');
+
+describe('Project Config', () => {
+  const projectPath = path.resolve('/mock/web-app');
+
+  describe('findConfigFile', () => {
+    test('should prefer the JSON file over YAML', () => {
+      const existing = [path.join(projectPath, '.easydebug.json'), path.join(projectPath, '.easydebug.yml')];
+      expect(findConfigFile(projectPath, file => existing.includes(file))).toBe(existing[0]);
+      expect(findConfigFile(projectPath, file => file === existing[1])).toBe(existing[1]);
+      expect(findConfigFile(projectPath, () => false)).toBeNull();
+    });
+  });
+
+  describe('parseConfigText', () => {
+    test('should parse JSON and YAML by extension', () => {
+      expect(parseConfigText('{"env": {"PORT": "3000"}}', '.easydebug.json')).toEqual({ env: { PORT: '3000' } });
+      expect(parseConfigText('env:\n  PORT: 3000\n', '.easydebug.yaml')).toEqual({ env: { PORT: 3000 } });
+      expect(parseConfigText('', '.easydebug.yml')).toEqual({});
+    });
+
+    test('should explain syntax errors', () => {
+      expect(() => parseConfigText('{"commands": [', '.easydebug.json')).toThrow(/^Invalid JSON: /);
+      expect(() => parseConfigText('commands: [\n  - x', '.easydebug.yaml')).toThrow(/^Invalid YAML: .*\(line \d+\)$/);
+    });
+  });
+
+  describe('validateProjectConfig', () => {
+    test('should accept a complete configuration', () => {
+      const { config, errors } = validateProjectConfig({
+        commands: [
+          { name: 'Test', command: 'npm test', icon: '👩🏽‍🔬' },
+          { name: 'CI', steps: [{ command: 'npm ci' }, { command: 'npm test', cwd: 'web' }], dependsOn: ['Test'] }
+        ],
+        ribbon: [{ name: 'Team', commands: ['test', 'CI'] }],
+        env: { API_URL: 'http://localhost:3000', PORT: 3000, DEBUG: true },
+        terminalProfiles: [{ name: 'Node 18', executable: '/bin/bash', startupCommand: 'nvm use 18' }],
+        defaultProfile: 'node 18'
+      });
+
+      expect(errors).toEqual([]);
+      expect(config.commands[0]).toEqual(expect.objectContaining({
+        id: 'project:Test',
+        name: 'Test',
+        shellCommand: 'npm test',
+        source: 'project'
+      }));
+      expect(config.commands[1].steps).toHaveLength(2);
+      expect(config.ribbon).toEqual([{ name: 'Team', commands: ['Test', 'CI'] }]);
+      expect(config.env).toEqual({ API_URL: 'http://localhost:3000', PORT: '3000', DEBUG: 'true' });
+      expect(config.terminalProfiles[0]).toEqual(expect.objectContaining({
+        id: 'project:Node 18',
+        builtin: true,
+        source: 'project'
+      }));
+      expect(config.defaultProfileId).toBe('project:Node 18');
+    });
+
+    test('should report malformed commands and keep the valid ones', () => {
+      const { config, errors } = validateProjectConfig({
+        commands: [
+          { name: 'Build', command: 'npm run build' },
+          { name: 'Lint' },
+          { command: 'npm start', colour: 'red' },
+          { name: 'build', command: 'make' },
+          { name: 'Deploy', command: 'npm run deploy', steps: [{ command: 'x' }], onFailure: 'retry' },
+          'npm test'
+        ]
+      });
+
+      expect(config.commands.map(command => command.name)).toEqual(['Build']);
+      expect(errors).toEqual([
+        'commands[1] ("Lint"): "command" or "steps" is required',
+        'commands[2]: unknown key "colour"',
+        'commands[2]: "name" is required',
+        'commands[3] ("build"): duplicate name "build"',
+        'commands[4] ("Deploy"): use either "command" or "steps", not both',
+        'commands[4] ("Deploy"): "onFailure" must be "stop" or "continue"',
+        'commands[5]: must be an object'
+      ]);
+    });
+
+    test('should report bad ribbon groups, variables and profiles', () => {
+      const { config, errors } = validateProjectConfig({
+        commands: [{ name: 'Test', command: 'npm test' }],
+        ribbon: [{ name: 'Team', commands: ['Test', 'Deploy'] }, { commands: ['Test'] }],
+        env: { 'BAD-NAME': 'x', NESTED: { a: 1 } },
+        terminalProfiles: [{ name: 'Broken' }],
+        extra: true
+      });
+
+      expect(config.ribbon).toEqual([{ name: 'Team', commands: ['Test'] }]);
+      expect(config.env).toEqual({});
+      expect(config.terminalProfiles).toEqual([]);
+      expect(errors).toEqual([
+        'unknown key "extra"',
+        'terminalProfiles[0] ("Broken"): Shell executable is required',
+        'ribbon[0] ("Team"): unknown command "Deploy"',
+        'ribbon[1]: "name" is required',
+        'env: invalid variable name "BAD-NAME"',
+        'env.NESTED must be a string'
+      ]);
+    });
+
+    test('should report malformed placeholders in commands and steps', () => {
+      const { config, errors } = validateProjectConfig({
+        commands: [
+          { name: 'Run', command: 'flutter run -d ${input:device}' },
+          { name: 'Deploy', command: 'deploy ${input:}' },
+          { name: 'CI', steps: [{ command: 'pytest ${pick:file:*.py' }] }
+        ]
+      });
+
+      expect(config.commands.map(command => command.name)).toEqual(['Run']);
+      expect(errors).toEqual([
+        'commands[1] ("Deploy"): "command": ${input:} needs a name made of letters, digits, - or _',
+        'commands[2] ("CI"): steps[0].command: Placeholder is missing its closing }'
+      ]);
+    });
+
+    test('should keep per-shell variants of a command and report bad ones', () => {
+      const { config, errors } = validateProjectConfig({
+        commands: [
+          { name: 'List', command: 'ls -la', platforms: { cmd: 'dir', powershell: ' Get-ChildItem ' } },
+          { name: 'Ports', command: 'lsof -i', platforms: { amiga: 'dir', windows: '' } },
+          { name: 'CI', steps: [{ command: 'npm ci' }], platforms: { cmd: 'npm ci' } }
+        ]
+      });
+
+      expect(config.commands.map(command => command.name)).toEqual(['List']);
+      expect(config.commands[0].platforms).toEqual({ cmd: 'dir', powershell: 'Get-ChildItem' });
+      expect(errors).toEqual([
+        expect.stringMatching(/^commands\[1\] \("Ports"\): unknown platform "amiga"/),
+        'commands[1] ("Ports"): platforms.windows must be a command',
+        'commands[2] ("CI"): "platforms" only applies to "command"'
+      ]);
+    });
+
+    test('should keep built-in profile ids as the default profile', () => {
+      expect(validateProjectConfig({ defaultProfile: 'zsh' }).config.defaultProfileId).toBe('zsh');
+    });
+
+    test('should reject configurations that are not objects', () => {
+      expect(validateProjectConfig(['npm test']).errors).toEqual(['The configuration must be an object']);
+    });
+  });
+
+  describe('loadProjectConfig', () => {
+    test('should load and validate the project file', () => {
+      const result = loadProjectConfig(projectPath, createFileSystem(projectPath, {
+        '.easydebug.yaml': 'commands:\n  - name: Test\n    command: npm test\n'
+      }));
+
+      expect(result.filePath).toBe(path.join(projectPath, '.easydebug.yaml'));
+      expect(result.errors).toEqual([]);
+      expect(result.config.commands[0].shellCommand).toBe('npm test');
+    });
+
+    test('should return an empty configuration without a file', () => {
+      const result = loadProjectConfig(projectPath, createFileSystem(projectPath, {}));
+      expect(result.filePath).toBeNull();
+      expect(result.config.commands).toEqual([]);
+    });
+
+    test('should report files that do not parse', () => {
+      const result = loadProjectConfig(projectPath, createFileSystem(projectPath, { '.easydebug.json': '{' }));
+
+      expect(result.config.commands).toEqual([]);
+      expect(result.errors[0]).toMatch(/^Invalid JSON: /);
+    });
+  });
+
+  describe('applyTrust', () => {
+    const load = (text) => loadProjectConfig(projectPath, createFileSystem(projectPath, { '.easydebug.json': text }));
+    const terminalSettings = JSON.stringify({
+      commands: [{ name: 'Test', command: 'npm test' }],
+      env: { NODE_OPTIONS: '--require ./hook.js' },
+      terminalProfiles: [{ name: 'Node 18', executable: '/bin/bash', startupCommand: 'nvm use 18' }],
+      defaultProfile: 'Node 18'
+    });
+
+    test('should hash the file contents', () => {
+      expect(load(terminalSettings).hash).toMatch(/^[0-9a-f]{64}$/);
+      expect(load(terminalSettings).hash).not.toBe(load(`${terminalSettings}\n`).hash);
+    });
+
+    test('should only ask for trust when the file sets up terminals', () => {
+      expect(needsTrust(load(terminalSettings).config)).toBe(true);
+      expect(needsTrust(load('{"commands":[{"name":"Test","command":"npm test"}]}').config)).toBe(false);
+    });
+
+    test('should withhold env and profiles until that version of the file is trusted', () => {
+      const result = load(terminalSettings);
+
+      const untrusted = applyTrust(result, projectPath, {});
+      expect(untrusted.trusted).toBe(false);
+      expect(untrusted.config).toMatchObject({ env: {}, terminalProfiles: [], defaultProfileId: null });
+      expect(untrusted.config.commands).toHaveLength(1);
+      expect(untrusted.withheld).toEqual({
+        env: ['NODE_OPTIONS'],
+        profiles: ['Node 18: /bin/bash (then runs nvm use 18)'],
+        defaultProfileId: 'project:Node 18'
+      });
+
+      expect(applyTrust(result, projectPath, { [projectPath]: 'old-hash' }).trusted).toBe(false);
+      const trusted = applyTrust(result, projectPath, { [projectPath]: result.hash });
+      expect(trusted.trusted).toBe(true);
+      expect(trusted.config.env).toEqual({ NODE_OPTIONS: '--require ./hook.js' });
+    });
+
+    test('should not need trust without a file', () => {
+      const result = loadProjectConfig(projectPath, createFileSystem(projectPath, {}));
+      expect(applyTrust(result, projectPath, {}).trusted).toBe(true);
+    });
+  });
+
+  describe('isInsideProject', () => {
+    test('should match the project folder and its subfolders', () => {
+      expect(isInsideProject(projectPath, projectPath)).toBe(true);
+      expect(isInsideProject(path.join(projectPath, 'src'), projectPath)).toBe(true);
+      expect(isInsideProject(`${projectPath}-old`, projectPath)).toBe(false);
+      expect(isInsideProject(projectPath, null)).toBe(false);
+    });
+  });
+});
@@ -2,6 +2,15 @@
 
 jest.mock('fs');
 const fs = require('fs');
+const path = require('path');
+const {
+  registerDetector,
+  getDetectors,
+  detectProject,
+  getAllTypeIds,
+  describeProject
+} = require('../../terminal/project-detection');
+const { createFileSystem } = require('../mocks/file-system');
 
 describe('Project Detection', () => {
   beforeEach(() => {
@@ -339,4 +348,129 @@ describe('Project Detection', () => {
       expect(commands).toEqual([]);
     });
   });
-});
\ No newline at end of file
+
+  describe('detectProject', () => {
+    const projectPath = path.resolve('/mock/project');
+
+    const detect = files => detectProject(projectPath, { fileSystem: createFileSystem(projectPath, files) });
+
+    test('should detect Node frameworks and the package manager', () => {
+      const result = detect({
+        'package.json': JSON.stringify({ name: 'web', dependencies: { react: '^18.0.0' }, devDependencies: { vite: '^5.0.0' } }),
+        'pnpm-lock.yaml': '',
+        'tsconfig.json': '{}'
+      });
+
+      expect(result.primary).toBe('node');
+      expect(result.types[0]).toEqual(expect.objectContaining({
+        id: 'node',
+        frameworks: ['React', 'Vite'],
+        signals: ['package.json', 'pnpm-lock.yaml', 'tsconfig.json'],
+        details: { packageName: 'web', packageManager: 'pnpm', typescript: true }
+      }));
+      expect(describeProject(result)).toBe('🌐 Node.js (React, Vite)');
+    });
+
+    test('should tell Flutter apps from Dart packages', () => {
+      expect(detect({ 'pubspec.yaml': 'name: app\ndependencies:\n  flutter:\n    sdk: flutter\n', 'web/index.html': '' }).types[0])
+        .toEqual(expect.objectContaining({ id: 'flutter', details: { packageName: 'app', platforms: ['web'] } }));
+      expect(detect({ 'pubspec.yaml': 'name: cli\n' }).primary).toBe('dart');
+    });
+
+    test('should detect Python environments', () => {
+      const result = detect({ 'pyproject.toml': '[tool.poetry]\nname = "api"\n', 'manage.py': '', '.venv/pyvenv.cfg': '' });
+
+      expect(result.types[0]).toEqual(expect.objectContaining({
+        id: 'python',
+        frameworks: ['Django'],
+        details: { environment: 'Poetry', virtualEnv: '.venv' }
+      }));
+    });
+
+    test('should rank every matching ecosystem and keep tools out of the primary type', () => {
+      const result = detect({
+        'Dockerfile': '',
+        'compose.yaml': '',
+        'go.mod': 'module example.com/api\n',
+        'Api.csproj': '',
+        'pom.xml': '',
+        '.git/HEAD': ''
+      });
+
+      expect(result.primary).toBe('go');
+      expect(getAllTypeIds(result)).toEqual(['go', 'java', 'dotnet', 'docker', 'git']);
+      expect(result.types.find(type => type.id === 'go').details.module).toBe('example.com/api');
+      expect(result.types.find(type => type.id === 'docker').frameworks).toEqual(['Compose']);
+    });
+
+    test('should detect declared workspaces of a monorepo', () => {
+      const result = detect({
+        'package.json': JSON.stringify({ private: true, workspaces: ['packages/*', 'tools/cli'] }),
+        'packages/web/package.json': JSON.stringify({ dependencies: { next: '14.0.0', react: '18.0.0' } }),
+        'packages/api/package.json': JSON.stringify({ dependencies: { express: '4.0.0' } }),
+        'packages/docs/README.md': '',
+        'tools/cli/package.json': '{}'
+      });
+
+      expect(result.isMonorepo).toBe(true);
+      expect(result.workspaces.map(workspace => workspace.path)).toEqual(['packages/api', 'packages/web', 'tools/cli']);
+      expect(result.workspaces[1].types[0].frameworks).toEqual(['Next.js', 'React']);
+      expect(describeProject(result)).toBe('🌐 Node.js · monorepo, 3 packages');
+    });
+
+    test('should read pnpm, Cargo and go.work workspaces', () => {
+      expect(detect({
+        'pnpm-workspace.yaml': "packages:\n  - 'apps/*'\n  - '!apps/legacy'\n",
+        'apps/mobile/pubspec.yaml': 'name: mobile\ndependencies:\n  flutter:\n    sdk: flutter\n'
+      }).workspaces.map(workspace => workspace.primary)).toEqual(['flutter']);
+
+      expect(detect({
+        'Cargo.toml': '[workspace]\nmembers = ["crates/core", "crates/cli"]\n',
+        'crates/core/Cargo.toml': '',
+        'crates/cli/Cargo.toml': ''
+      }).workspaces.map(workspace => workspace.path)).toEqual(['crates/cli', 'crates/core']);
+
+      expect(detect({
+        'go.work': 'go 1.22\n\nuse (\n  ./api\n  ./worker\n)\n',
+        'api/go.mod': 'module api\n',
+        'worker/go.mod': 'module worker\n'
+      }).workspaces).toHaveLength(2);
+    });
+
+    test('should look into subfolders when the root has no language', () => {
+      const result = detect({
+        'frontend/package.json': '{}',
+        'backend/requirements.txt': 'flask\n',
+        'docs/index.md': ''
+      });
+
+      expect(result.isMonorepo).toBe(true);
+      expect(result.primary).toBe('python');
+      expect(result.workspaces.map(workspace => `${workspace.path}:${workspace.primary}`))
+        .toEqual(['backend:python', 'frontend:node']);
+    });
+
+    test('should report an empty folder as unknown', () => {
+      const result = detect({});
+
+      expect(result.primary).toBeNull();
+      expect(describeProject(result)).toBe('Unknown');
+    });
+
+    test('should use registered detectors and report the ones that fail', () => {
+      const detectors = [
+        ...getDetectors(),
+        { id: 'zig', name: 'Zig', icon: '⚡', category: 'language', detect: project => (project.exists('build.zig') ? { score: 10, signals: ['build.zig'] } : null) },
+        { id: 'broken', name: 'Broken', detect: () => { throw new Error('boom'); } }
+      ];
+      const result = detectProject(projectPath, { fileSystem: createFileSystem(projectPath, { 'build.zig': '' }), detectors });
+
+      expect(result.primary).toBe('zig');
+      expect(result.errors).toEqual(['Detector "broken" failed: boom']);
+    });
+
+    test('should reject detectors without an id, name or detect function', () => {
+      expect(() => registerDetector({ id: 'zig', name: 'Zig' })).toThrow('A detector needs an id, a name and a detect function');
+    });
+  });
+});
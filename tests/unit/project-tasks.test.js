@@ -0,0 +1,177 @@
+// Test file for the ribbon tasks generated from a project's build files
+
+const path = require('path');
+const {
+  detectPackageManager,
+  parsePackageScripts,
+  parseMakefileTargets,
+  parsePyprojectScripts,
+  parseJustfileRecipes,
+  parsePubspec,
+  loadProjectTasks
+} = require('../../terminal/project-tasks');
+const { createFileSystem } = require('../mocks/file-system');
+
+describe('Project Tasks', () => {
+  const commands = group => group.tasks.map(task => task.command);
+
+  describe('detectPackageManager', () => {
+    test('should prefer the packageManager field over lockfiles', () => {
+      expect(detectPackageManager({ packageManager: 'pnpm@8.15.0' }, file => file === 'yarn.lock')).toBe('pnpm');
+      expect(detectPackageManager({}, file => file === 'yarn.lock')).toBe('yarn');
+      expect(detectPackageManager({}, file => file === 'pnpm-lock.yaml')).toBe('pnpm');
+      expect(detectPackageManager({}, () => false)).toBe('npm');
+    });
+  });
+
+  describe('parsePackageScripts', () => {
+    test('should run scripts with the detected package manager', () => {
+      const group = parsePackageScripts(JSON.stringify({
+        scripts: { dev: 'vite', prebuild: 'rimraf dist', build: 'vite build', postinstall: 'patch-package', lint: 'eslint .' }
+      }), file => file === 'yarn.lock');
+
+      expect(group.name).toBe('yarn scripts');
+      expect(commands(group)).toEqual(['yarn install', 'yarn run dev', 'yarn run build', 'yarn run postinstall', 'yarn run lint']);
+      expect(group.tasks[2]).toEqual({ name: 'build', command: 'yarn run build', description: 'vite build' });
+    });
+
+    test('should report invalid JSON', () => {
+      expect(() => parsePackageScripts('{', () => false)).toThrow(/^package\.json: Invalid JSON: /);
+    });
+  });
+
+  describe('parseMakefileTargets', () => {
+    test('should list explicit targets with their documentation', () => {
+      const group = parseMakefileTargets([
+        '.PHONY: build test',
+        'CC := gcc',
+        'VERSION ::= 1.0',
+        '# Build the binary',
+        'build: deps',
+        '\tgo build ./...',
+        'test: build ## Run the tests',
+        '%.o: %.c',
+        'lint fmt:',
+        'build:'
+      ].join('\n'));
+
+      expect(group.tasks).toEqual([
+        { name: 'build', command: 'make build', description: 'Build the binary' },
+        { name: 'test', command: 'make test', description: 'Run the tests' },
+        { name: 'lint', command: 'make lint', description: '' },
+        { name: 'fmt', command: 'make fmt', description: '' }
+      ]);
+    });
+  });
+
+  describe('parsePyprojectScripts', () => {
+    const pyproject = [
+      '[project]',
+      'name = "api"',
+      '',
+      '[project.scripts]',
+      'serve = "api.main:run"  # entry point',
+      '',
+      '[tool.poe.tasks]',
+      'test = "pytest"',
+      'lint = { cmd = "ruff check .", help = "Lint the code" }',
+      'ci = [',
+      '  "lint",',
+      '  "test",',
+      ']',
+      '_setup = "pip install -e ."',
+      '',
+      '[tool.poe.tasks.docs]',
+      'help = "Build the docs"',
+      'cmd = "mkdocs build"'
+    ].join('\n');
+
+    test('should list entry points and poe tasks', () => {
+      expect(parsePyprojectScripts(pyproject).tasks).toEqual([
+        { name: 'serve', command: 'serve', description: 'api.main:run' },
+        { name: 'test', command: 'poe test', description: 'pytest' },
+        { name: 'lint', command: 'poe lint', description: 'Lint the code' },
+        { name: 'ci', command: 'poe ci', description: 'lint → test' },
+        { name: 'docs', command: 'poe docs', description: 'Build the docs' }
+      ]);
+    });
+
+    test('should run them through the project\'s environment manager', () => {
+      expect(commands(parsePyprojectScripts(pyproject, file => file === 'uv.lock'))[1]).toBe('uv run poe test');
+      expect(commands(parsePyprojectScripts('[tool.poetry]\nname = "api"\n[tool.poetry.scripts]\napi = "api:main"\n')))
+        .toEqual(['poetry run api']);
+    });
+  });
+
+  describe('parseJustfileRecipes', () => {
+    test('should list public recipes and prompt for required parameters', () => {
+      const group = parseJustfileRecipes([
+        'set shell := ["bash", "-c"]',
+        'version := "1.0"',
+        '',
+        '# Build the app',
+        'build target mode=\'debug\' *flags:',
+        '    cargo build --{{mode}} {{target}}',
+        '',
+        '[private]',
+        'helper:',
+        '_hidden:',
+        '@deploy +hosts: build'
+      ].join('\n'));
+
+      expect(group.tasks).toEqual([
+        { name: 'build', command: 'just build ${input:target}', description: 'Build the app' },
+        { name: 'deploy', command: 'just deploy ${input:hosts}', description: '' }
+      ]);
+    });
+  });
+
+  describe('parsePubspec', () => {
+    test('should use flutter for Flutter apps and list rps scripts', () => {
+      const group = parsePubspec([
+        'name: app',
+        'dependencies:',
+        '  flutter:',
+        '    sdk: flutter',
+        'dev_dependencies:',
+        '  rps: ^0.7.0',
+        'scripts:',
+        '  gen: dart run build_runner build'
+      ].join('\n'));
+
+      expect(group.name).toBe('Flutter');
+      expect(commands(group)).toEqual(['flutter pub get', 'flutter run', 'flutter test', 'flutter analyze', 'dart run rps gen']);
+    });
+
+    test('should use dart for other packages', () => {
+      expect(commands(parsePubspec('name: cli\nscripts:\n  gen: x\n'))[0]).toBe('dart pub get');
+      expect(parsePubspec('name: cli\n').tasks).toHaveLength(4);
+    });
+  });
+
+  describe('loadProjectTasks', () => {
+    const projectPath = path.resolve('/mock/app');
+
+    test('should collect a group for each task file', () => {
+      const result = loadProjectTasks(projectPath, createFileSystem(projectPath, {
+        'package.json': '{"scripts": {"test": "jest"}}',
+        'pnpm-lock.yaml': '',
+        'justfile': '# nothing to run here\n'
+      }));
+
+      expect(result.errors).toEqual([]);
+      expect(result.groups.map(group => group.name)).toEqual(['pnpm scripts']);
+      expect(commands(result.groups[0])).toEqual(['pnpm install', 'pnpm run test']);
+    });
+
+    test('should report files that do not parse and keep the others', () => {
+      const result = loadProjectTasks(projectPath, createFileSystem(projectPath, {
+        'package.json': '{',
+        'Makefile': 'test:\n\tpytest\n'
+      }));
+
+      expect(result.groups.map(group => group.file)).toEqual(['Makefile']);
+      expect(result.errors[0]).toMatch(/^package\.json: Invalid JSON/);
+    });
+  });
+});
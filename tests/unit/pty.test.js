@@ -0,0 +1,226 @@
+// Test file for PtyManager backend selection
+
+jest.mock('child_process', () => ({
+  spawn: jest.fn()
+}));
+
+const { EventEmitter } = require('events');
+
+const createMockChildProcess = () => {
+  const child = new EventEmitter();
+  child.pid = 4321;
+  child.stdin = { writable: true, write: jest.fn() };
+  child.stdout = new EventEmitter();
+  child.stderr = new EventEmitter();
+  child.kill = jest.fn();
+  return child;
+};
+
+const createMockNativePty = () => {
+  let dataListener = null;
+  let exitListener = null;
+
+  return {
+    pid: 1234,
+    write: jest.fn(),
+    resize: jest.fn(),
+    kill: jest.fn(),
+    onData: jest.fn((listener) => { dataListener = listener; }),
+    onExit: jest.fn((listener) => { exitListener = listener; }),
+    emitData: (data) => dataListener(data),
+    emitExit: (exit) => exitListener(exit)
+  };
+};
+
+describe('PtyManager', () => {
+  let PtyManager;
+  let childProcess;
+
+  const loadPtyManager = (nodePtyFactory) => {
+    jest.resetModules();
+    jest.isolateModules(() => {
+      if (nodePtyFactory) {
+        jest.doMock('node-pty', nodePtyFactory, { virtual: true });
+      } else {
+        jest.doMock('node-pty', () => {
+          throw new Error('Cannot find module \'node-pty\'');
+        }, { virtual: true });
+      }
+      childProcess = require('child_process');
+      PtyManager = require('../../terminal/pty.js');
+    });
+  };
+
+  describe('native PTY backend', () => {
+    let nativeProcess;
+    let nodePty;
+
+    beforeEach(() => {
+      nativeProcess = createMockNativePty();
+      nodePty = { spawn: jest.fn(() => nativeProcess) };
+      loadPtyManager(() => nodePty);
+    });
+
+    test('should spawn through node-pty when it is available', () => {
+      const ptyProcess = PtyManager.createPtyProcess('/mock/project', { cols: 120, rows: 40 });
+
+      expect(ptyProcess.mode).toBe('pty');
+      expect(ptyProcess.pid).toBe(1234);
+      expect(nodePty.spawn).toHaveBeenCalledWith(
+        expect.any(String),
+        expect.any(Array),
+        expect.objectContaining({ cwd: '/mock/project', cols: 120, rows: 40, name: 'xterm-256color' })
+      );
+      expect(childProcess.spawn).not.toHaveBeenCalled();
+    });
+
+    test('should forward resize to the native PTY', () => {
+      const ptyProcess = PtyManager.createPtyProcess('/mock/project');
+
+      ptyProcess.resize(100, 30);
+      expect(nativeProcess.resize).toHaveBeenCalledWith(100, 30);
+    });
+
+    test('should ignore invalid resize dimensions', () => {
+      const ptyProcess = PtyManager.createPtyProcess('/mock/project');
+
+      ptyProcess.resize(0, 30);
+      ptyProcess.resize(80.5, 24);
+      expect(nativeProcess.resize).not.toHaveBeenCalled();
+    });
+
+    test('should deliver data and exit events through the shared interface', () => {
+      const ptyProcess = PtyManager.createPtyProcess('/mock/project');
+      const onData = jest.fn();
+      const onExit = jest.fn();
+
+      ptyProcess.onData(onData);
+      ptyProcess.onExit(onExit);
+      nativeProcess.emitData('hello\r\n');
+      nativeProcess.emitExit({ exitCode: 2, signal: 0 });
+
+      expect(onData).toHaveBeenCalledWith('hello\r\n', expect.objectContaining({ stream: 'pty' }));
+      expect(onExit).toHaveBeenCalledWith(2, 0);
+    });
+
+    test('should write input straight to the native PTY', () => {
+      const ptyProcess = PtyManager.createPtyProcess('/mock/project');
+
+      ptyProcess.write('ls\r');
+      expect(nativeProcess.write).toHaveBeenCalledWith('ls\r');
+    });
+
+    test('should launch the profile executable with its args and env', () => {
+      const profile = {
+        id: 'custom-node18',
+        executable: '/usr/local/bin/zsh',
+        args: ['--login'],
+        env: { NODE_ENV: 'development' },
+        startupCommand: ''
+      };
+
+      const ptyProcess = PtyManager.createPtyProcess('/mock/project', { profile });
+
+      const [shell, args, spawnOptions] = nodePty.spawn.mock.calls[0];
+      expect(shell).toBe('/usr/local/bin/zsh');
+      expect(args).toEqual(['--login']);
+      expect(spawnOptions.env.NODE_ENV).toBe('development');
+      expect(ptyProcess.profileId).toBe('custom-node18');
+      expect(nativeProcess.write).not.toHaveBeenCalled();
+    });
+
+    test('should run the profile startup command once the shell is spawned', () => {
+      const profile = { id: 'nvm', executable: '/bin/bash', args: null, env: {}, startupCommand: 'nvm use 18' };
+
+      PtyManager.createPtyProcess('/mock/project', { profile });
+
+      expect(nodePty.spawn.mock.calls[0][1]).toEqual(expect.any(Array));
+      expect(nativeProcess.write).toHaveBeenCalledWith('nvm use 18\r');
+    });
+
+    test('should inject the shell integration script for bash', () => {
+      const fs = require('fs');
+      const os = require('os');
+      const path = require('path');
+      const scriptDir = fs.mkdtempSync(path.join(os.tmpdir(), 'easydebug-pty-'));
+      const profile = { id: 'bash', executable: '/bin/bash', args: null, env: {}, startupCommand: '' };
+
+      try {
+        PtyManager.createPtyProcess('/mock/project', { profile, shellIntegrationDir: scriptDir });
+
+        const args = nodePty.spawn.mock.calls[0][1];
+        expect(args.slice(0, 2)).toEqual(['--rcfile', path.join(scriptDir, 'bash-integration.sh')]);
+        expect(fs.existsSync(path.join(scriptDir, 'bash-integration.sh'))).toBe(true);
+      } finally {
+        fs.rmSync(scriptDir, { recursive: true, force: true });
+      }
+    });
+
+    test('should leave profile args alone when they bypass the integration script', () => {
+      const profile = { id: 'login', executable: '/bin/bash', args: ['-l'], env: {}, startupCommand: '' };
+
+      PtyManager.createPtyProcess('/mock/project', { profile, shellIntegrationDir: '/mock/integration' });
+
+      expect(nodePty.spawn.mock.calls[0][1]).toEqual(['-l']);
+    });
+
+    test('should fall back to pipe mode when forced', () => {
+      childProcess.spawn.mockReturnValue(createMockChildProcess());
+
+      const ptyProcess = PtyManager.createPtyProcess('/mock/project', { forcePipe: true });
+      expect(ptyProcess.mode).toBe('pipe');
+      expect(nodePty.spawn).not.toHaveBeenCalled();
+    });
+
+    test('should fall back to pipe mode when native spawn throws', () => {
+      nodePty.spawn.mockImplementation(() => {
+        throw new Error('posix_spawnp failed');
+      });
+      childProcess.spawn.mockReturnValue(createMockChildProcess());
+
+      const ptyProcess = PtyManager.createPtyProcess('/mock/project');
+      expect(ptyProcess.mode).toBe('pipe');
+      expect(childProcess.spawn).toHaveBeenCalled();
+    });
+  });
+
+  describe('pipe fallback', () => {
+    beforeEach(() => {
+      loadPtyManager(null);
+    });
+
+    test('should report native PTY as unavailable', () => {
+      expect(PtyManager.isNativePtyAvailable()).toBe(false);
+    });
+
+    test('should spawn a piped shell when node-pty cannot be loaded', () => {
+      const child = createMockChildProcess();
+      childProcess.spawn.mockReturnValue(child);
+
+      const ptyProcess = PtyManager.createPtyProcess('/mock/project', { cols: 100, rows: 30 });
+
+      expect(ptyProcess.mode).toBe('pipe');
+      expect(ptyProcess.pid).toBe(4321);
+      const spawnOptions = childProcess.spawn.mock.calls[0][2];
+      expect(spawnOptions.stdio).toEqual(['pipe', 'pipe', 'pipe']);
+      expect(spawnOptions.env.COLUMNS).toBe('100');
+      expect(spawnOptions.env.LINES).toBe('30');
+    });
+
+    test('should tag stdout and stderr chunks without recoloring stderr', () => {
+      const child = createMockChildProcess();
+      childProcess.spawn.mockReturnValue(child);
+      const onData = jest.fn();
+
+      const ptyProcess = PtyManager.createPtyProcess('/mock/project');
+      ptyProcess.onData(onData);
+      child.stdout.emit('data', Buffer.from('collected 3 items\n'));
+      child.stderr.emit('data', Buffer.from('\x1b[33mDeprecationWarning\x1b[0m\n'));
+
+      expect(onData).toHaveBeenNthCalledWith(1, 'collected 3 items\n',
+        expect.objectContaining({ stream: 'stdout', seq: 1 }));
+      expect(onData).toHaveBeenNthCalledWith(2, '\x1b[33mDeprecationWarning\x1b[0m\n',
+        expect.objectContaining({ stream: 'stderr', seq: 2 }));
+    });
+  });
+});
@@ -0,0 +1,89 @@
+// Test file for choosing and ordering ribbon tabs for the open project
+
+const {
+  getRibbonTabs,
+  arrangeRibbonTabs,
+  pickRibbonTab,
+  getCommandToolchain,
+  isToolchainMissing,
+  describeMissingToolchain
+} = require('../../terminal/ribbon-layout');
+
+describe('Ribbon Layout', () => {
+  const targets = arranged => arranged.tabs.filter(tab => tab.visible).map(tab => tab.target);
+
+  describe('getRibbonTabs', () => {
+    test('should add task groups and project tabs after the fixed tabs', () => {
+      const tabs = getRibbonTabs(['package-scripts', 'make'], ['project-ribbon-0']);
+
+      expect(tabs.map(tab => tab.target)).toEqual([
+        'flutter', 'python', 'web', 'git', 'utilities', 'cmd',
+        'detected-ribbon-package-scripts', 'detected-ribbon-make', 'project-ribbon-0'
+      ]);
+      expect(tabs.find(tab => tab.target === 'web').replaced).toBe(true);
+      expect(tabs.find(tab => tab.target === 'detected-ribbon-make').types).toEqual([]);
+    });
+  });
+
+  describe('arrangeRibbonTabs', () => {
+    test('should show every tab in order when no project type is known', () => {
+      expect(targets(arrangeRibbonTabs(getRibbonTabs(), null)))
+        .toEqual(['flutter', 'python', 'web', 'git', 'utilities', 'cmd']);
+      expect(arrangeRibbonTabs(getRibbonTabs(), { primary: null, typeIds: ['git'] }).hiddenCount).toBe(0);
+    });
+
+    test('should put the primary ecosystem first and hide unrelated tabs', () => {
+      const tabs = getRibbonTabs(['make', 'pyproject'], ['project-ribbon-0']);
+      const arranged = arrangeRibbonTabs(tabs, { primary: 'python', typeIds: ['docker', 'python', 'git'] });
+
+      expect(targets(arranged)).toEqual([
+        'python', 'detected-ribbon-pyproject', 'git', 'detected-ribbon-make', 'project-ribbon-0', 'utilities', 'cmd'
+      ]);
+      expect(arranged.hiddenCount).toBe(2);
+    });
+
+    test('should reveal hidden tabs at the end when showing all', () => {
+      const arranged = arrangeRibbonTabs(getRibbonTabs(), { primary: 'flutter', typeIds: ['flutter'] }, { showAll: true });
+
+      expect(targets(arranged)).toEqual(['flutter', 'utilities', 'cmd', 'python', 'web', 'git']);
+    });
+
+    test('should keep tabs for workspace types of a monorepo', () => {
+      const arranged = arrangeRibbonTabs(getRibbonTabs(['package-scripts']), { primary: 'node', typeIds: ['node', 'git', 'python'] });
+
+      expect(targets(arranged)).toEqual(['detected-ribbon-package-scripts', 'git', 'python', 'utilities', 'cmd']);
+    });
+  });
+
+  describe('pickRibbonTab', () => {
+    const arranged = { tabs: [{ target: 'web', visible: true }, { target: 'git', visible: true }, { target: 'flutter', visible: false }] };
+
+    test('should pick the first visible candidate', () => {
+      expect(pickRibbonTab(arranged, ['flutter', 'git'])).toBe('git');
+      expect(pickRibbonTab(arranged, [null, 'missing'])).toBe('web');
+      expect(pickRibbonTab({ tabs: [] })).toBeNull();
+    });
+  });
+
+  describe('toolchains', () => {
+    test('should map a command to the toolchain it runs', () => {
+      expect(getCommandToolchain('flutter clean && flutter pub get')).toBe('flutter');
+      expect(getCommandToolchain('  npm.cmd run dev')).toBe('node');
+      expect(getCommandToolchain('pytest')).toBe('python');
+      expect(getCommandToolchain('make build')).toBeNull();
+      expect(getCommandToolchain('')).toBeNull();
+    });
+
+    test('should explain a missing toolchain', () => {
+      const versions = { node: '20.11.0', flutter: 'Not installed', python: 'Timeout' };
+
+      expect(isToolchainMissing('Not found')).toBe(true);
+      expect(isToolchainMissing('3.12.1')).toBe(false);
+      expect(describeMissingToolchain('node', versions)).toBeNull();
+      expect(describeMissingToolchain('git', versions)).toBeNull();
+      expect(describeMissingToolchain('flutter', versions)).toBe('Flutter was not found on this machine. Install it or add it to PATH, then refresh System Info.');
+      expect(describeMissingToolchain('python', versions)).toMatch(/^Python did not answer in time/);
+      expect(describeMissingToolchain('flutter', null)).toBeNull();
+    });
+  });
+});
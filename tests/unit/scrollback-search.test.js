@@ -0,0 +1,104 @@
+// Test file for terminal scrollback search
+
+const {
+  MAX_MATCHES,
+  escapeRegExp,
+  buildSearchPattern,
+  isValidSearch,
+  findMatches,
+  formatExcerpt
+} = require('../../terminal/scrollback-search');
+
+describe('Scrollback Search', () => {
+  const lines = [
+    'Launching lib/main.dart on Pixel 7 in debug mode...',
+    'Running Gradle task \'assembleDebug\'...',
+    'lib/main.dart:42:7: Error: The getter \'titel\' isn\'t defined.',
+    'Try correcting the name.',
+    '',
+    'FAILURE: Build failed with an exception.',
+    'error: 2 errors found'
+  ];
+
+  describe('buildSearchPattern', () => {
+    test('should escape plain-text queries', () => {
+      expect(escapeRegExp('main.dart (42)')).toBe('main\\.dart \\(42\\)');
+      expect(buildSearchPattern('a.b').test('axb')).toBe(false);
+    });
+
+    test('should be case-insensitive unless requested', () => {
+      expect(buildSearchPattern('ERROR').flags).toContain('i');
+      expect(buildSearchPattern('ERROR', { caseSensitive: true }).flags).not.toContain('i');
+    });
+
+    test('should report invalid regular expressions', () => {
+      expect(() => buildSearchPattern('(unclosed', { regex: true })).toThrow('Invalid regular expression');
+      expect(isValidSearch('(unclosed', { regex: true })).toBe(false);
+      expect(isValidSearch('(unclosed')).toBe(true);
+    });
+
+    test('should require a query', () => {
+      expect(() => buildSearchPattern('')).toThrow('Search query is required');
+    });
+  });
+
+  describe('findMatches', () => {
+    test('should find case-insensitive plain-text matches with positions', () => {
+      const matches = findMatches(lines, 'error');
+
+      expect(matches.map(match => [match.lineIndex, match.start, match.text])).toEqual([
+        [2, 20, 'Error'],
+        [6, 0, 'error'],
+        [6, 9, 'error']
+      ]);
+    });
+
+    test('should honour case sensitivity', () => {
+      expect(findMatches(lines, 'Error', { caseSensitive: true })).toHaveLength(1);
+    });
+
+    test('should support regular expressions', () => {
+      const matches = findMatches(lines, '\\w+\\.dart:\\d+:\\d+', { regex: true });
+
+      expect(matches).toHaveLength(1);
+      expect(matches[0].text).toBe('main.dart:42:7');
+    });
+
+    test('should skip zero-length matches instead of looping', () => {
+      expect(findMatches(lines, '^', { regex: true })).toEqual([]);
+    });
+
+    test('should cap the number of matches', () => {
+      const manyLines = Array.from({ length: MAX_MATCHES + 10 }, () => 'x');
+
+      expect(findMatches(manyLines, 'x')).toHaveLength(MAX_MATCHES);
+    });
+  });
+
+  describe('formatExcerpt', () => {
+    test('should number lines and mark matches grep-style', () => {
+      const excerpt = formatExcerpt(lines, findMatches(lines, 'FAILURE'), { contextLines: 1 });
+
+      expect(excerpt.split('\n')).toEqual([
+        '5- ',
+        '6: FAILURE: Build failed with an exception.',
+        '7- error: 2 errors found'
+      ]);
+    });
+
+    test('should separate non-contiguous groups and include a header', () => {
+      const excerpt = formatExcerpt(lines, findMatches(lines, 'Launching|Try', { regex: true }), {
+        contextLines: 0,
+        header: 'Search: Launching|Try'
+      });
+
+      expect(excerpt.split('\n')).toEqual([
+        'Search: Launching|Try',
+        '',
+        '1: Launching lib/main.dart on Pixel 7 in debug mode...',
+        '--',
+        '4: Try correcting the name.'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,89 @@
+// Test file for terminal session persistence
+
+const {
+  MAX_SESSIONS,
+  MAX_SCROLLBACK_LINES,
+  MAX_LINE_LENGTH,
+  normalizeSession,
+  normalizeSessions
+} = require('../../terminal/session-store');
+
+describe('Terminal Session Store', () => {
+  const validSession = {
+    title: 'Terminal 2',
+    workingDirectory: '/mock/flutter-project',
+    shell: '/bin/zsh',
+    profileId: 'zsh',
+    project: '/mock/flutter-project',
+    scrollback: ['$ flutter run', 'Launching lib/main.dart...'],
+    isActive: true,
+    savedAt: '2024-12-13T10:30:00.000Z'
+  };
+
+  describe('normalizeSession', () => {
+    test('should keep a valid session as-is', () => {
+      expect(normalizeSession(validSession)).toEqual(validSession);
+    });
+
+    test('should reject sessions without a title', () => {
+      expect(normalizeSession({ ...validSession, title: '' })).toBeNull();
+      expect(normalizeSession({ ...validSession, title: '   ' })).toBeNull();
+      expect(normalizeSession(null)).toBeNull();
+      expect(normalizeSession('Terminal 1')).toBeNull();
+    });
+
+    test('should null out invalid optional fields', () => {
+      const session = normalizeSession({ title: 'Terminal 1', workingDirectory: 42, shell: {}, project: '' });
+
+      expect(session.workingDirectory).toBeNull();
+      expect(session.shell).toBeNull();
+      expect(session.profileId).toBeNull();
+      expect(session.project).toBeNull();
+      expect(session.scrollback).toEqual([]);
+      expect(session.isActive).toBe(false);
+      expect(session.savedAt).toEqual(expect.any(String));
+    });
+
+    test('should keep only the most recent scrollback lines', () => {
+      const scrollback = Array.from({ length: MAX_SCROLLBACK_LINES + 10 }, (_, i) => `line ${i}`);
+      const session = normalizeSession({ ...validSession, scrollback });
+
+      expect(session.scrollback).toHaveLength(MAX_SCROLLBACK_LINES);
+      expect(session.scrollback[0]).toBe('line 10');
+    });
+
+    test('should truncate very long lines and drop non-string lines', () => {
+      const session = normalizeSession({
+        ...validSession,
+        scrollback: ['x'.repeat(MAX_LINE_LENGTH + 50), null, 7, 'ok']
+      });
+
+      expect(session.scrollback).toHaveLength(2);
+      expect(session.scrollback[0]).toHaveLength(MAX_LINE_LENGTH);
+      expect(session.scrollback[1]).toBe('ok');
+    });
+  });
+
+  describe('normalizeSessions', () => {
+    test('should return an empty list for non-array input', () => {
+      expect(normalizeSessions(undefined)).toEqual([]);
+      expect(normalizeSessions({})).toEqual([]);
+    });
+
+    test('should filter invalid sessions and preserve order', () => {
+      const sessions = normalizeSessions([
+        validSession,
+        { title: '' },
+        { ...validSession, title: 'Terminal 3', isActive: false }
+      ]);
+
+      expect(sessions.map(session => session.title)).toEqual(['Terminal 2', 'Terminal 3']);
+    });
+
+    test('should cap the number of saved sessions', () => {
+      const sessions = Array.from({ length: MAX_SESSIONS + 5 }, (_, i) => ({ title: `Terminal ${i + 1}` }));
+
+      expect(normalizeSessions(sessions)).toHaveLength(MAX_SESSIONS);
+    });
+  });
+});
@@ -0,0 +1,153 @@
+// Test file for shell integration launch args and OSC 7 / OSC 133 parsing
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  SCRIPT_FILES,
+  getShellType,
+  getIntegrationLaunch,
+  installScripts,
+  parseCwdReport,
+  parsePromptMark
+} = require('../../terminal/shell-integration');
+
+describe('Shell Integration', () => {
+  describe('getShellType', () => {
+    test('should recognize supported shells by executable name', () => {
+      expect(getShellType('/bin/bash')).toBe('bash');
+      expect(getShellType('/usr/local/bin/zsh')).toBe('zsh');
+      expect(getShellType('C:\\Program Files\\PowerShell\\7\\pwsh.exe')).toBe('powershell');
+      expect(getShellType('powershell.exe')).toBe('powershell');
+    });
+
+    test('should return null for unsupported shells', () => {
+      expect(getShellType('cmd.exe')).toBeNull();
+      expect(getShellType('/usr/bin/fish')).toBeNull();
+      expect(getShellType('')).toBeNull();
+    });
+  });
+
+  describe('getIntegrationLaunch', () => {
+    const scriptDir = '/data/shell-integration';
+
+    test('should load the bash script with --rcfile before other args', () => {
+      expect(getIntegrationLaunch('/bin/bash', ['-i'], { scriptDir })).toEqual({
+        args: ['--rcfile', path.join(scriptDir, 'bash-integration.sh'), '-i'],
+        env: {}
+      });
+    });
+
+    test('should point zsh at the script directory and remember the user ZDOTDIR', () => {
+      const launch = getIntegrationLaunch('/bin/zsh', ['-l'], { scriptDir, env: {}, homeDir: '/home/dev' });
+
+      expect(launch.args).toEqual(['-l']);
+      expect(launch.env).toEqual({
+        ZDOTDIR: path.join(scriptDir, 'zsh'),
+        EASYDEBUG_USER_ZDOTDIR: '/home/dev'
+      });
+
+      const custom = getIntegrationLaunch('/bin/zsh', [], { scriptDir, env: { ZDOTDIR: '/home/dev/.config/zsh' } });
+      expect(custom.env.EASYDEBUG_USER_ZDOTDIR).toBe('/home/dev/.config/zsh');
+    });
+
+    test('should dot-source the PowerShell script and keep the session open', () => {
+      const launch = getIntegrationLaunch('pwsh.exe', ['-NoLogo'], { scriptDir: "C:\\Users\\o'neil\\data" });
+
+      expect(launch.args.slice(0, 3)).toEqual(['-NoLogo', '-NoExit', '-Command']);
+      expect(launch.args[3]).toMatch(/^\. 'C:\\Users\\o''neil\\data.powershell-integration\.ps1'$/);
+    });
+
+    test('should skip shells whose args bypass the startup files', () => {
+      expect(getIntegrationLaunch('/bin/bash', ['--login'], { scriptDir })).toBeNull();
+      expect(getIntegrationLaunch('/bin/bash', ['-c', 'make'], { scriptDir })).toBeNull();
+      expect(getIntegrationLaunch('/bin/zsh', ['-f'], { scriptDir })).toBeNull();
+      expect(getIntegrationLaunch('pwsh', ['-Command', 'dir'], { scriptDir })).toBeNull();
+    });
+
+    test('should skip unsupported shells and missing script directories', () => {
+      expect(getIntegrationLaunch('cmd.exe', ['/k'], { scriptDir })).toBeNull();
+      expect(getIntegrationLaunch('/bin/bash', [], {})).toBeNull();
+    });
+  });
+
+  describe('installScripts', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'easydebug-integration-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should write every script', () => {
+      installScripts(dir);
+
+      Object.entries(SCRIPT_FILES).forEach(([name, content]) => {
+        expect(fs.readFileSync(path.join(dir, name), 'utf8')).toBe(content);
+      });
+    });
+
+    test('should forward every zsh startup file, login ones included', () => {
+      installScripts(dir);
+
+      ['.zshenv', '.zprofile', '.zshrc', '.zlogin'].forEach(name => {
+        const script = fs.readFileSync(path.join(dir, 'zsh', name), 'utf8');
+        expect(script).toContain('EASYDEBUG_USER_ZDOTDIR');
+        expect(script).toContain(`/${name}"`);
+      });
+    });
+
+    test('should not rewrite scripts that are already current', () => {
+      installScripts(dir);
+      const writeSpy = jest.spyOn(fs, 'writeFileSync');
+
+      try {
+        installScripts(dir);
+        expect(writeSpy).not.toHaveBeenCalled();
+      } finally {
+        writeSpy.mockRestore();
+      }
+    });
+  });
+
+  describe('parseCwdReport', () => {
+    test('should decode POSIX paths and ignore the host name', () => {
+      expect(parseCwdReport('file://devbox/home/dev/my%20app', 'linux')).toBe('/home/dev/my app');
+      expect(parseCwdReport('file:///tmp', 'darwin')).toBe('/tmp');
+    });
+
+    test('should convert Windows drive paths', () => {
+      expect(parseCwdReport('file://DESKTOP/C%3A/Users/dev/project', 'win32')).toBe('C:\\Users\\dev\\project');
+      expect(parseCwdReport('file://DESKTOP/D:', 'win32')).toBe('D:\\');
+    });
+
+    test('should reject payloads that are not file URLs', () => {
+      expect(parseCwdReport('http://example.com/path')).toBeNull();
+      expect(parseCwdReport('file://host')).toBeNull();
+      expect(parseCwdReport('file://host/%E0%A4%A')).toBeNull();
+      expect(parseCwdReport(undefined)).toBeNull();
+    });
+  });
+
+  describe('parsePromptMark', () => {
+    test('should map prompt and command marks', () => {
+      expect(parsePromptMark('A')).toEqual({ type: 'prompt-start' });
+      expect(parsePromptMark('B')).toEqual({ type: 'prompt-end' });
+      expect(parsePromptMark('C')).toEqual({ type: 'command-executed' });
+    });
+
+    test('should read the exit code from command-finished marks', () => {
+      expect(parsePromptMark('D;0')).toEqual({ type: 'command-finished', exitCode: 0 });
+      expect(parsePromptMark('D;127')).toEqual({ type: 'command-finished', exitCode: 127 });
+      expect(parsePromptMark('D')).toEqual({ type: 'command-finished', exitCode: null });
+    });
+
+    test('should ignore unknown marks', () => {
+      expect(parsePromptMark('P;Cwd=/tmp')).toBeNull();
+      expect(parsePromptMark('')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,136 @@
+// Test file for shell profile helpers
+
+const {
+  NAME_MAX_LENGTH,
+  createProfile,
+  getBuiltinProfiles,
+  isValidIcon,
+  validateProfile,
+  parseArgs,
+  parseEnv,
+  formatEnv,
+  formatArgs,
+  findProfile
+} = require('../../terminal/shell-profiles');
+
+describe('Shell Profiles', () => {
+  const validProfile = createProfile({
+    id: 'custom-1',
+    name: 'Bash (nvm 18)',
+    executable: '/bin/bash',
+    args: ['--login'],
+    env: { NODE_ENV: 'development' },
+    startupCommand: 'nvm use 18',
+    icon: '🟢'
+  });
+
+  describe('getBuiltinProfiles', () => {
+    test('should only include Unix shells that exist', () => {
+      const existing = new Set(['/bin/bash', '/opt/homebrew/bin/fish']);
+      const profiles = getBuiltinProfiles('darwin', candidate => existing.has(candidate));
+
+      expect(profiles.map(profile => [profile.id, profile.executable])).toEqual([
+        ['bash', '/bin/bash'],
+        ['fish', '/opt/homebrew/bin/fish']
+      ]);
+      expect(profiles.every(profile => profile.builtin)).toBe(true);
+    });
+
+    test('should list cmd and PowerShell variants on Windows', () => {
+      const ids = getBuiltinProfiles('win32').map(profile => profile.id);
+
+      expect(ids).toEqual(['cmd', 'powershell', 'pwsh']);
+    });
+  });
+
+  describe('validateProfile', () => {
+    test('should accept a complete profile', () => {
+      expect(validateProfile(validProfile)).toEqual([]);
+    });
+
+    test('should require a name and executable', () => {
+      const errors = validateProfile({ ...validProfile, name: ' ', executable: '' });
+
+      expect(errors).toContain('Profile name is required');
+      expect(errors).toContain('Shell executable is required');
+    });
+
+    test('should reject overly long names', () => {
+      const errors = validateProfile({ ...validProfile, name: 'x'.repeat(NAME_MAX_LENGTH + 1) });
+
+      expect(errors).toContain(`Profile name must be no more than ${NAME_MAX_LENGTH} characters`);
+    });
+
+    test('should reject invalid args and environment entries', () => {
+      const errors = validateProfile({
+        ...validProfile,
+        args: ['--login', 5],
+        env: { 'BAD-NAME': 'x', PORT: 3000 }
+      });
+
+      expect(errors).toContain('Arguments must be a list of strings');
+      expect(errors).toContain('Invalid environment variable name: BAD-NAME');
+      expect(errors).toContain('Environment variable PORT must be a string');
+    });
+
+    test('should allow null args to keep the shell defaults', () => {
+      expect(validateProfile({ ...validProfile, args: null })).toEqual([]);
+    });
+  });
+
+  describe('isValidIcon', () => {
+    test('should count emoji as displayed, not in code units', () => {
+      expect(isValidIcon('👍🏽')).toBe(true);
+      expect(isValidIcon('🧑‍💻')).toBe(true);
+      expect(isValidIcon('🇳🇱🐳')).toBe(true);
+      expect(validateProfile({ ...validProfile, icon: '🧑‍💻' })).toEqual([]);
+    });
+
+    test('should reject more than two characters', () => {
+      expect(isValidIcon('abc')).toBe(false);
+      expect(isValidIcon('🚀🚀🚀')).toBe(false);
+      expect(validateProfile({ ...validProfile, icon: 'abc' })).toContain('Icon must be 1-2 characters (emoji recommended)');
+    });
+  });
+
+  describe('parseArgs / formatArgs', () => {
+    test('should split on whitespace and honour quotes', () => {
+      expect(parseArgs('-NoLogo -Command "Set-Location C:\\Dev" \'a b\'')).toEqual([
+        '-NoLogo', '-Command', 'Set-Location C:\\Dev', 'a b'
+      ]);
+      expect(parseArgs('   ')).toEqual([]);
+    });
+
+    test('should round-trip arguments containing spaces', () => {
+      const args = ['--rcfile', '/mock/my profile/.bashrc'];
+
+      expect(parseArgs(formatArgs(args))).toEqual(args);
+      expect(formatArgs(null)).toBe('');
+    });
+  });
+
+  describe('parseEnv / formatEnv', () => {
+    test('should parse KEY=VALUE lines and skip comments', () => {
+      const env = parseEnv('# project env\nNODE_ENV=development\n\nDATABASE_URL=postgres://u:p@host/db?a=b\n');
+
+      expect(env).toEqual({
+        NODE_ENV: 'development',
+        DATABASE_URL: 'postgres://u:p@host/db?a=b'
+      });
+    });
+
+    test('should round-trip through formatEnv', () => {
+      const env = { PATH_EXTRA: '/opt/bin', DEBUG: '1' };
+
+      expect(parseEnv(formatEnv(env))).toEqual(env);
+    });
+  });
+
+  describe('findProfile', () => {
+    test('should look up profiles by id', () => {
+      expect(findProfile([validProfile], 'custom-1')).toBe(validProfile);
+      expect(findProfile([validProfile], 'missing')).toBeNull();
+      expect(findProfile([validProfile], null)).toBeNull();
+    });
+  });
+});
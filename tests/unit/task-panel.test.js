@@ -0,0 +1,89 @@
+// Test file for starting task runs from the task panel
+
+jest.mock('../../utils/renderer-logger', () => ({
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  userAction: jest.fn()
+}));
+
+const TaskPanel = require('../../renderer/scripts/task-panel');
+const { normalizeTask } = require('../../terminal/task-runner');
+
+describe('Task Panel', () => {
+  const createTerminalManager = (integrated) => ({
+    activeTerminalId: 'terminal-1',
+    getTerminal: jest.fn(() => ({ shell: '/bin/bash' })),
+    onShellEvent: jest.fn(),
+    waitForShellIntegration: jest.fn(async (terminalId) => integrated.includes(terminalId)),
+    executeCommand: jest.fn(async () => true)
+  });
+
+  const createPanel = (terminalManager, task) => {
+    const onNotify = jest.fn();
+    const panel = new TaskPanel(terminalManager, {
+      onNotify,
+      getProjectPath: () => '/projects/app',
+      getTasks: () => [normalizeTask(task)],
+      openTerminal: jest.fn(async (title) => `terminal-${title}`)
+    });
+    return { panel, onNotify };
+  };
+
+  beforeEach(() => {
+    // No panel markup, so nothing is rendered
+    document.getElementById.mockReturnValue(null);
+  });
+
+  test('should run steps in a terminal with shell integration', async () => {
+    const terminalManager = createTerminalManager(['terminal-1']);
+    const { panel } = createPanel(terminalManager, { name: 'Test', shellCommand: 'npm test' });
+
+    await panel.runTask('Test');
+
+    expect(terminalManager.executeCommand).toHaveBeenCalledWith('cd /projects/app && npm test', 'terminal-1');
+    expect(panel.isRunning()).toBe(true);
+  });
+
+  test('should send the variant for the terminal\'s shell with its placeholders filled in', async () => {
+    const terminalManager = createTerminalManager(['terminal-1']);
+    terminalManager.getTerminal.mockReturnValue({ shell: 'cmd.exe' });
+    const { panel } = createPanel(terminalManager, { name: 'List', shellCommand: 'ls -la', platforms: { cmd: 'dir ${input:pattern}' } });
+
+    await panel.runTask('List', { resolveCommand: (command) => command.replace('${input:pattern}', '*.js') });
+
+    expect(terminalManager.executeCommand.mock.calls[0][0]).toMatch(/ && dir \*\.js$/);
+    expect(panel.run.steps[0].command).toBe('dir *.js');
+  });
+
+  test('should refuse to run in a terminal without shell integration', async () => {
+    const terminalManager = createTerminalManager([]);
+    const { panel, onNotify } = createPanel(terminalManager, { name: 'Test', shellCommand: 'npm test' });
+
+    await panel.runTask('Test');
+
+    expect(terminalManager.executeCommand).not.toHaveBeenCalled();
+    expect(panel.isRunning()).toBe(false);
+    expect(onNotify).toHaveBeenCalledWith(expect.stringContaining('shell integration'), 'error');
+  });
+
+  test('should fail parallel steps whose terminals have no shell integration', async () => {
+    const terminalManager = createTerminalManager(['terminal-1']);
+    const { panel, onNotify } = createPanel(terminalManager, {
+      name: 'Check',
+      steps: [
+        { command: 'npm run lint', group: 'checks' },
+        { command: 'npm test', group: 'checks' }
+      ]
+    });
+
+    await panel.runTask('Check');
+
+    expect(terminalManager.executeCommand).not.toHaveBeenCalled();
+    expect(panel.isRunning()).toBe(false);
+    expect(panel.run.status).toBe('failed');
+    expect(panel.run.steps.map(step => step.exitCode)).toEqual([null, null]);
+    expect(onNotify).toHaveBeenCalledWith('Task "Check" failed', 'error');
+  });
+});
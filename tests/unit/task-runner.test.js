@@ -0,0 +1,246 @@
+// Test file for composite custom command tasks
+
+const path = require('path');
+const {
+  normalizeTask,
+  isCompositeTask,
+  mergeCustomCommands,
+  resolveTaskOrder,
+  validateTaskDependencies,
+  buildTaskPlan,
+  resolveStepCommand,
+  buildStepCommand,
+  TaskRun
+} = require('../../terminal/task-runner');
+
+describe('Task Runner', () => {
+  const task = (name, fields = {}) => normalizeTask({ id: name, name, shellCommand: `echo ${name}`, ...fields });
+
+  describe('normalizeTask', () => {
+    test('should keep single shell commands runnable', () => {
+      const normalized = normalizeTask({ id: '1', name: 'Test', shellCommand: ' npm test ', icon: '🧪' });
+
+      expect(normalized).toEqual({
+        id: '1',
+        name: 'Test',
+        shellCommand: 'npm test',
+        icon: '🧪',
+        steps: [],
+        dependsOn: [],
+        onFailure: 'stop',
+        platforms: {}
+      });
+      expect(isCompositeTask(normalized)).toBe(false);
+    });
+
+    test('should accept the command field saved by older versions', () => {
+      expect(normalizeTask({ name: 'Build', command: 'npm run build' }).shellCommand).toBe('npm run build');
+    });
+
+    test('should clean steps and dependencies', () => {
+      const normalized = normalizeTask({
+        name: 'CI',
+        steps: [{ command: 'npm ci', cwd: ' web ' }, { command: '  ' }, null],
+        dependsOn: ['Lint', ' Lint', ''],
+        onFailure: 'sometimes'
+      });
+
+      expect(normalized.steps).toEqual([{ command: 'npm ci', cwd: 'web', group: '' }]);
+      expect(normalized.dependsOn).toEqual(['Lint']);
+      expect(normalized.onFailure).toBe('stop');
+      expect(isCompositeTask(normalized)).toBe(true);
+    });
+
+    test('should reject entries without a name or anything to run', () => {
+      expect(normalizeTask({ shellCommand: 'npm test' })).toBeNull();
+      expect(normalizeTask({ name: 'Empty', steps: [{ command: '' }] })).toBeNull();
+      expect(normalizeTask('npm test')).toBeNull();
+    });
+  });
+
+  describe('mergeCustomCommands', () => {
+    test('should add project commands unless the user has one with the same name', () => {
+      const merged = mergeCustomCommands(
+        [task('Test')],
+        [task('test', { source: 'project' }), task('Lint', { source: 'project' })]
+      );
+
+      expect(merged.map(item => item.name)).toEqual(['Test', 'Lint']);
+      expect(merged[0].source).toBeUndefined();
+    });
+  });
+
+  describe('resolveTaskOrder', () => {
+    test('should run dependencies first and only once', () => {
+      const tasks = [
+        task('Deploy', { dependsOn: ['Build', 'Test'] }),
+        task('Build', { dependsOn: ['Install'] }),
+        task('Test', { dependsOn: ['install'] }),
+        task('Install')
+      ];
+
+      expect(resolveTaskOrder(tasks, 'deploy').map(item => item.name))
+        .toEqual(['Install', 'Build', 'Test', 'Deploy']);
+    });
+
+    test('should report unknown dependencies', () => {
+      expect(() => resolveTaskOrder([task('Deploy', { dependsOn: ['Build'] })], 'Deploy'))
+        .toThrow('Task "Deploy" depends on unknown task "Build"');
+    });
+
+    test('should report circular dependencies', () => {
+      const tasks = [
+        task('A', { dependsOn: ['B'] }),
+        task('B', { dependsOn: ['C'] }),
+        task('C', { dependsOn: ['A'] })
+      ];
+
+      expect(() => resolveTaskOrder(tasks, 'A')).toThrow('Circular dependency: A → B → C → A');
+    });
+  });
+
+  describe('validateTaskDependencies', () => {
+    test('should check the edited task against the saved ones', () => {
+      const saved = [task('Build', { dependsOn: ['Release'] })];
+
+      expect(validateTaskDependencies(task('Release'), saved)).toBeNull();
+      expect(validateTaskDependencies(task('Release', { dependsOn: ['Build'] }), saved))
+        .toBe('Circular dependency: Release → Build → Release');
+      expect(validateTaskDependencies(task('Release', { dependsOn: ['Docs'] }), saved))
+        .toBe('Task "Release" depends on unknown task "Docs"');
+    });
+  });
+
+  describe('buildTaskPlan', () => {
+    test('should group consecutive steps of a parallel group into one stage', () => {
+      const tasks = [
+        task('Dev', {
+          dependsOn: ['Install'],
+          onFailure: 'continue',
+          steps: [
+            { command: 'npm run api', group: 'servers' },
+            { command: 'npm run web', cwd: 'web', group: 'servers' },
+            { command: 'npm run e2e' }
+          ]
+        }),
+        task('Install')
+      ];
+
+      const plan = buildTaskPlan(tasks, 'Dev');
+      const stages = plan.stages.map(stage => ({
+        taskName: stage.taskName,
+        onFailure: stage.onFailure,
+        parallel: stage.parallel,
+        commands: stage.steps.map(step => step.command)
+      }));
+
+      expect(stages).toEqual([
+        { taskName: 'Install', onFailure: 'stop', parallel: false, commands: ['echo Install'] },
+        { taskName: 'Dev', onFailure: 'continue', parallel: true, commands: ['npm run api', 'npm run web'] },
+        { taskName: 'Dev', onFailure: 'continue', parallel: false, commands: ['npm run e2e'] }
+      ]);
+      expect(plan.stages[1].steps[1]).toEqual(expect.objectContaining({ id: 'step-3', cwd: 'web', status: 'pending' }));
+    });
+
+    test('should keep the shell variants of a single-command dependency', () => {
+      const tasks = [
+        task('List', { shellCommand: 'ls -la', platforms: { cmd: 'dir' } }),
+        task('Check', { steps: [{ command: 'ls' }], dependsOn: ['List'] })
+      ];
+
+      const [dependency, step] = buildTaskPlan(tasks, 'Check').stages.map(stage => stage.steps[0]);
+
+      expect(resolveStepCommand(dependency, 'cmd.exe', 'win32')).toBe('dir');
+      expect(resolveStepCommand(dependency, '/bin/bash', 'linux')).toBe('ls -la');
+      expect(resolveStepCommand(step, 'cmd.exe', 'win32')).toBe('ls');
+    });
+  });
+
+  describe('buildStepCommand', () => {
+    test('should run steps from their directory inside the project', () => {
+      const projectPath = path.resolve('/mock/app');
+
+      expect(buildStepCommand({ command: 'npm test', cwd: '' }, projectPath))
+        .toBe(`cd ${projectPath} && npm test`);
+      expect(buildStepCommand({ command: 'npm test', cwd: 'packages/api' }, projectPath))
+        .toBe(`cd ${path.join(projectPath, 'packages/api')} && npm test`);
+    });
+
+    test('should change directory the way the step terminal\'s shell does', () => {
+      const step = { command: 'npm test', cwd: '' };
+
+      expect(buildStepCommand(step, 'C:\\my app', 'powershell.exe', 'win32'))
+        .toBe("Set-Location -LiteralPath 'C:\\my app' -ErrorAction Stop; npm test");
+      expect(buildStepCommand(step, '/mock/my app', '/bin/zsh', 'darwin')).toBe("cd '/mock/my app' && npm test");
+    });
+  });
+
+  describe('TaskRun', () => {
+    const plan = (onFailure) => buildTaskPlan([
+      task('Check', {
+        onFailure,
+        steps: [
+          { command: 'npm run lint', group: 'checks' },
+          { command: 'npm run typecheck', group: 'checks' },
+          { command: 'npm test' }
+        ]
+      })
+    ], 'Check');
+    const ids = steps => steps.map(step => step.id);
+
+    test('should start the next stage once every parallel step has finished', () => {
+      const run = new TaskRun(plan('stop'));
+
+      expect(ids(run.start(1000))).toEqual(['step-1', 'step-2']);
+      expect(run.completeStep('step-2', 0, 3000)).toEqual([]);
+      expect(ids(run.completeStep('step-1', 0, 4000))).toEqual(['step-3']);
+      expect(run.getStep('step-1')).toEqual(expect.objectContaining({ status: 'passed', durationMs: 3000 }));
+
+      run.completeStep('step-3', 0, 5000);
+      expect(run.status).toBe('passed');
+      expect(run.isFinished()).toBe(true);
+    });
+
+    test('should skip the remaining steps on failure', () => {
+      const run = new TaskRun(plan('stop'));
+      run.start(1000);
+
+      run.completeStep('step-1', 2, 2000);
+      expect(run.isFinished()).toBe(false);
+      expect(run.completeStep('step-2', 0, 3000)).toEqual([]);
+
+      expect(run.status).toBe('failed');
+      expect(run.getStep('step-1').exitCode).toBe(2);
+      expect(run.getStep('step-3').status).toBe('skipped');
+    });
+
+    test('should keep going when the task continues on failure', () => {
+      const run = new TaskRun(plan('continue'));
+      run.start(1000);
+      run.completeStep('step-1', 1, 2000);
+
+      expect(ids(run.completeStep('step-2', 0, 3000))).toEqual(['step-3']);
+      run.completeStep('step-3', 0, 4000);
+      expect(run.status).toBe('failed');
+    });
+
+    test('should fail steps whose terminal closed', () => {
+      const run = new TaskRun(plan('stop'));
+      run.start(1000);
+      run.completeStep('step-1', null, 2000);
+
+      expect(run.getStep('step-1')).toEqual(expect.objectContaining({ status: 'failed', exitCode: null }));
+    });
+
+    test('should stop scheduling and ignore late results', () => {
+      const run = new TaskRun(plan('stop'));
+      run.start(1000);
+      run.stop();
+
+      expect(run.status).toBe('stopped');
+      expect(run.steps.map(step => step.status)).toEqual(['skipped', 'skipped', 'skipped']);
+      expect(run.completeStep('step-1', 0, 2000)).toEqual([]);
+      expect(run.getStep('step-1').status).toBe('skipped');
+    });
+  });
+});
@@ -55,20 +55,13 @@ describe('InputValidator', () => {
         return null;
       },
 
-      validateCommitMessage: (value) => {
+      // The app delegates to the shared commit message rules
+      validateCommitMessage: (value, conventional = null) => {
         if (!value || value.trim() === '') {
           return 'Commit message is required';
         }
-        
-        if (value.length < 3) {
-          return 'Commit message must be at least 3 characters';
-        }
-        
-        if (value.length > 500) {
-          return 'Commit message must be no more than 500 characters';
-        }
-        
-        return null;
+
+        return require('../../terminal/commit-message').validateCommitMessage(value, conventional);
       }
     };
 
@@ -222,10 +215,10 @@ describe('InputValidator', () => {
       expect(result).toBe('Commit message must be at least 3 characters');
     });
 
-    test('should return error for message too long', () => {
-      const longMessage = 'a'.repeat(501);
+    test('should return error for a first line that is too long', () => {
+      const longMessage = 'a'.repeat(73);
       const result = InputValidator.validateCommitMessage(longMessage);
-      expect(result).toBe('Commit message must be no more than 500 characters');
+      expect(result).toBe('The first line must be no more than 72 characters (it has 73)');
     });
 
     test('should return null for valid message', () => {
@@ -235,12 +228,17 @@ describe('InputValidator', () => {
 
     test('should handle boundary conditions', () => {
       const minMessage = 'abc';
-      const maxMessage = 'a'.repeat(500);
+      const maxMessage = 'a'.repeat(72);
       
       expect(InputValidator.validateCommitMessage(minMessage)).toBeNull();
       expect(InputValidator.validateCommitMessage(maxMessage)).toBeNull();
     });
 
+    test('should count the conventional commit prefix', () => {
+      expect(InputValidator.validateCommitMessage('a'.repeat(67), { type: 'fix', scope: '' })).toBeNull();
+      expect(InputValidator.validateCommitMessage('a'.repeat(68), { type: 'fix', scope: '' })).toMatch(/72 characters/);
+    });
+
     test('should trim whitespace before validation', () => {
       const result = InputValidator.validateCommitMessage('   ');
       expect(result).toBe('Commit message is required');